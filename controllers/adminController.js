@@ -1,9 +1,32 @@
+const crypto = require("crypto");
 const User = require("../models/User");
 const Clan = require("../models/Clan");
 const Federation = require("../models/Federation");
 const cacheService = require("../services/cacheService");
 const CacheKeys = require("../utils/cacheKeys");
 const presenceService = require("../services/presenceService");
+const accountStatusService = require("../services/accountStatusService");
+const sessionService = require("../services/sessionService");
+const loginAttemptService = require("../services/loginAttemptService");
+const impersonationService = require("../services/impersonationService");
+const affiliationService = require("../services/affiliationService");
+const usernameService = require("../services/usernameService");
+const systemSettingService = require("../services/systemSettingService");
+const capacityService = require("../services/capacityService");
+const membershipService = require("../services/membershipService");
+const { CLAN_ROLES, normalizeClanRole } = require("../utils/clanRoles");
+
+// Torna o usuário líder do clã pelo serviço de membros: transfere-o para o clã (saindo do
+// anterior, respeitando capacidade e federação) se ainda não for membro e passa a liderança.
+// Retorna o erro do serviço, se houver.
+const assignLeaderThroughMembership = async (clan, userId) => {
+  if (!clan.members.some(memberId => String(memberId) === String(userId))) {
+    const { error } = await membershipService.transferMember(userId, clan);
+    if (error) return error;
+  }
+  const { error } = await membershipService.transferClanLeadership(clan, userId);
+  return error || null;
+};
 
 /**
  * @swagger
@@ -783,137 +806,7 @@ exports.setFederationTerritory = async (req, res) => {
  */
 exports.purgeMyAffiliations = async (req, res) => {
   try {
-    const adminId = req.user.id;
-    let summary = {
-      clansLeft: 0,
-      clansDestroyed: 0,
-      federationsLeft: 0,
-      federationsDestroyed: 0
-    };
-
-    // ✅ CORREÇÃO: Buscar clãs onde o ADM é líder ou membro
-    const clansAsLeader = await Clan.find({ leader: adminId });
-    const clansAsMember = await Clan.find({ 
-      members: adminId,
-      leader: { $ne: adminId } // Não incluir clãs onde já é líder
-    });
-
-    // Processar clãs onde é líder
-    for (const clan of clansAsLeader) {
-      // Verificar se há outros membros que podem ser líderes
-      const otherMembers = clan.members.filter(memberId => memberId.toString() !== adminId);
-      
-      if (otherMembers.length > 0) {
-        // Transferir liderança para o primeiro membro disponível
-        const newLeaderId = otherMembers[0];
-        const newLeader = await User.findById(newLeaderId);
-        
-        if (newLeader) {
-          clan.leader = newLeaderId;
-          clan.members = clan.members.filter(memberId => memberId.toString() !== adminId);
-          
-          newLeader.clanRole = "Leader";
-          await newLeader.save();
-          await clan.save();
-          
-          summary.clansLeft++;
-        } else {
-          // Se o novo líder não existe, destruir o clã
-          await Clan.deleteOne({ _id: clan._id });
-          await User.updateMany(
-            { clan: clan._id },
-            { $unset: { clan: "", clanRole: "" } }
-          );
-          summary.clansDestroyed++;
-        }
-      } else {
-        // Não há outros membros, destruir o clã
-        await Clan.deleteOne({ _id: clan._id });
-        summary.clansDestroyed++;
-      }
-    }
-
-    // Processar clãs onde é apenas membro
-    for (const clan of clansAsMember) {
-      clan.members = clan.members.filter(memberId => memberId.toString() !== adminId);
-      clan.subLeaders = clan.subLeaders.filter(subLeaderId => subLeaderId.toString() !== adminId);
-      await clan.save();
-      summary.clansLeft++;
-    }
-
-    // ✅ CORREÇÃO: Buscar federações onde o ADM é líder ou sub-líder
-    const federationsAsLeader = await Federation.find({ leader: adminId });
-    const federationsAsSubLeader = await Federation.find({ 
-      subLeaders: adminId,
-      leader: { $ne: adminId } // Não incluir federações onde já é líder
-    });
-
-    // Processar federações onde é líder
-    for (const federation of federationsAsLeader) {
-      // Verificar se há sub-líderes que podem assumir a liderança
-      const availableSubLeaders = federation.subLeaders.filter(subLeaderId => subLeaderId.toString() !== adminId);
-      
-      if (availableSubLeaders.length > 0) {
-        // Transferir liderança para o primeiro sub-líder disponível
-        const newLeaderId = availableSubLeaders[0];
-        const newLeader = await User.findById(newLeaderId);
-        
-        if (newLeader) {
-          federation.leader = newLeaderId;
-          federation.subLeaders = federation.subLeaders.filter(subLeaderId => subLeaderId.toString() !== adminId);
-          
-          newLeader.federationRole = "leader";
-          await newLeader.save();
-          await federation.save();
-          
-          summary.federationsLeft++;
-        } else {
-          // Se o novo líder não existe, destruir a federação
-          await Federation.deleteOne({ _id: federation._id });
-          await User.updateMany(
-            { federation: federation._id },
-            { $unset: { federation: "", federationRole: "" } }
-          );
-          await Clan.updateMany(
-            { federation: federation._id },
-            { $unset: { federation: "" } }
-          );
-          summary.federationsDestroyed++;
-        }
-      } else {
-        // Não há sub-líderes, destruir a federação
-        await Federation.deleteOne({ _id: federation._id });
-        await User.updateMany(
-          { federation: federation._id },
-          { $unset: { federation: "", federationRole: "" } }
-        );
-        await Clan.updateMany(
-          { federation: federation._id },
-          { $unset: { federation: "" } }
-        );
-        summary.federationsDestroyed++;
-      }
-    }
-
-    // Processar federações onde é apenas sub-líder
-    for (const federation of federationsAsSubLeader) {
-      federation.subLeaders = federation.subLeaders.filter(subLeaderId => subLeaderId.toString() !== adminId);
-      await federation.save();
-      summary.federationsLeft++;
-    }
-
-    // Limpar dados do ADM
-    const admin = await User.findById(adminId);
-    admin.clan = null;
-    admin.clanRole = null;
-    admin.federation = null;
-    admin.federationRole = null;
-    await admin.save();
-
-    // Invalidar caches relevantes
-    await cacheService.del(CacheKeys.user(adminId));
-    await cacheService.del(CacheKeys.clanList('all'));
-    await cacheService.del(CacheKeys.federationList());
+    const summary = await affiliationService.leaveAll(req.user.id);
 
     res.json({
       success: true,
@@ -1057,8 +950,18 @@ exports.banUser = async (req, res) => {
     }
 
     user.banned = true;
-    user.banReason = reason;
+    user.banReason = reason || null;
+    user.bannedAt = new Date();
+    user.bannedBy = req.user.id;
     await user.save();
+    await cacheService.del(CacheKeys.user(user._id));
+
+    // Encerrar sessões, sockets e participação em voz/chamadas do usuário banido
+    await accountStatusService.enforce(
+      req.app.get("socketio"),
+      user._id,
+      await accountStatusService.getRestriction(user)
+    );
 
     res.json({ success: true, msg: "Usuário banido com sucesso!" });
   } catch (error) {
@@ -1084,8 +987,11 @@ exports.unbanUser = async (req, res) => {
     }
 
     user.banned = false;
-    user.banReason = undefined;
+    user.banReason = null;
+    user.bannedAt = null;
+    user.bannedBy = null;
     await user.save();
+    await cacheService.del(CacheKeys.user(user._id));
 
     res.json({ success: true, msg: "Usuário desbanido com sucesso!" });
   } catch (error) {
@@ -1104,7 +1010,13 @@ exports.unbanUser = async (req, res) => {
 exports.suspendUser = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { reason, duration } = req.body;
+    const { reason, durationDays, duration } = req.body;
+
+    // A rota documenta `durationDays`; `duration` é mantido por compatibilidade
+    const days = Number(durationDays !== undefined ? durationDays : duration);
+    if (!Number.isFinite(days) || days <= 0) {
+      return res.status(400).json({ msg: "Duração da suspensão (em dias) inválida" });
+    }
 
     const user = await User.findById(userId);
     if (!user) {
@@ -1112,9 +1024,17 @@ exports.suspendUser = async (req, res) => {
     }
 
     user.suspended = true;
-    user.suspensionReason = reason;
-    user.suspensionExpires = new Date(Date.now() + duration * 24 * 60 * 60 * 1000);
+    user.suspensionReason = reason || null;
+    user.suspensionExpires = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
     await user.save();
+    await cacheService.del(CacheKeys.user(user._id));
+
+    // Encerrar sessões, sockets e participação em voz/chamadas do usuário suspenso
+    await accountStatusService.enforce(
+      req.app.get("socketio"),
+      user._id,
+      await accountStatusService.getRestriction(user)
+    );
 
     res.json({ success: true, msg: "Usuário suspenso com sucesso!" });
   } catch (error) {
@@ -1140,9 +1060,10 @@ exports.unsuspendUser = async (req, res) => {
     }
 
     user.suspended = false;
-    user.suspensionReason = undefined;
-    user.suspensionExpires = undefined;
+    user.suspensionReason = null;
+    user.suspensionExpires = null;
     await user.save();
+    await cacheService.del(CacheKeys.user(user._id));
 
     res.json({ success: true, msg: "Suspensão removida com sucesso!" });
   } catch (error) {
@@ -1151,6 +1072,186 @@ exports.unsuspendUser = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/admin/users/{userId}/reset-password:
+ *   post:
+ *     summary: Redefinir senha com senha temporária
+ *     tags: [Admin]
+ */
+exports.resetUserPassword = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ msg: "Usuário não encontrado" });
+    }
+
+    // Senha temporária exibida uma única vez ao ADM; o usuário é obrigado a trocá-la no próximo login
+    const temporaryPassword = crypto.randomBytes(9).toString("base64url");
+    user.password = temporaryPassword;
+    user.mustChangePasswordOnNextLogin = true;
+    user.passwordResetBy = req.user._id;
+    user.passwordResetAt = new Date();
+    await user.save();
+    await cacheService.del(CacheKeys.user(user._id));
+
+    // Sessões abertas com a senha anterior são encerradas
+    await sessionService.revokeAllUserSessions(user._id);
+    const io = req.app.get("socketio");
+    if (io) {
+      io.in(`user:${user._id}`).disconnectSockets(true);
+    }
+
+    res.json({
+      success: true,
+      msg: "Senha redefinida. O usuário deverá alterá-la no próximo login.",
+      temporaryPassword,
+      passwordResetAt: user.passwordResetAt
+    });
+  } catch (error) {
+    console.error("Erro ao redefinir senha:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: Listar contas bloqueadas por tentativas de login
+ *     tags: [Admin]
+ */
+exports.getLoginLockouts = async (req, res) => {
+  try {
+    const lockouts = await loginAttemptService.listLockouts();
+    res.json({ success: true, count: lockouts.length, lockouts });
+  } catch (error) {
+    console.error("Erro ao listar bloqueios de login:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/lockouts/{username}:
+ *   delete:
+ *     summary: Remover o bloqueio de login de uma conta
+ *     tags: [Admin]
+ */
+exports.clearLoginLockout = async (req, res) => {
+  try {
+    const cleared = await loginAttemptService.clearLockout(req.params.username, req.user._id);
+    if (!cleared) {
+      return res.status(404).json({ msg: "Nenhum bloqueio ativo para este usuário." });
+    }
+    res.json({ success: true, msg: "Bloqueio de login removido com sucesso!" });
+  } catch (error) {
+    console.error("Erro ao remover bloqueio de login:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/username:
+ *   put:
+ *     summary: Trocar o nome de um usuário (ignora cooldown e reserva)
+ *     tags: [Admin]
+ */
+exports.changeUsername = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ msg: "Usuário não encontrado" });
+    }
+
+    const { error } = await usernameService.rename(user, req.body.username, { changedBy: req.user._id, override: true });
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg, code: error.code });
+    }
+
+    res.json({ success: true, msg: "Nome de usuário alterado com sucesso!", username: user.username });
+  } catch (error) {
+    console.error("Erro ao trocar nome de usuário:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/impersonate:
+ *   post:
+ *     summary: Iniciar personificação (somente leitura) de um usuário
+ *     tags: [Admin]
+ */
+exports.startImpersonation = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { durationMinutes } = req.body;
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!reason) {
+      return res.status(400).json({ msg: "Informe o motivo da personificação." });
+    }
+    if (userId === req.user.id) {
+      return res.status(400).json({ msg: "Você não pode personificar a si mesmo." });
+    }
+
+    const user = await User.findById(userId).select("-password");
+    if (!user) {
+      return res.status(404).json({ msg: "Usuário não encontrado" });
+    }
+    if (user.role === "ADM" || user.isBot) {
+      return res.status(400).json({ msg: "Não é possível personificar administradores ou bots." });
+    }
+
+    const { token, expiresAt, durationMinutes: minutes } = await impersonationService.start({
+      admin: req.user,
+      user,
+      durationMinutes,
+      reason,
+      req
+    });
+
+    res.json({
+      success: true,
+      msg: `Personificando ${user.username} por ${minutes} minuto(s). Ações que alteram dados estão bloqueadas.`,
+      token,
+      expiresAt,
+      impersonation: {
+        user: { _id: user._id, username: user.username, role: user.role },
+        impersonatedBy: { _id: req.user._id, username: req.user.username },
+        readOnly: true
+      }
+    });
+  } catch (error) {
+    console.error("Erro ao iniciar personificação:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/impersonate:
+ *   delete:
+ *     summary: Encerrar a personificação de um usuário
+ *     tags: [Admin]
+ */
+exports.endImpersonation = async (req, res) => {
+  try {
+    const ended = await impersonationService.end({ admin: req.user, userId: req.params.userId });
+    if (ended === 0) {
+      return res.status(404).json({ msg: "Nenhuma personificação ativa para este usuário." });
+    }
+    res.json({ success: true, msg: "Personificação encerrada.", ended });
+  } catch (error) {
+    console.error("Erro ao encerrar personificação:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
 /**
  * @swagger
  * /api/admin/logs:
@@ -1168,20 +1269,91 @@ exports.getLogs = async (req, res) => {
   }
 };
 
-// Adicionar ao module.exports existente
-module.exports = {
-  ...module.exports,
-  getDashboardStats: exports.getDashboardStats,
-  setFederationTerritory: exports.setFederationTerritory,
-  setUserRole: exports.setUserRole,
-  deleteUser: exports.deleteUser,
-  banUser: exports.banUser,
-  unbanUser: exports.unbanUser,
-  suspendUser: exports.suspendUser,
-  unsuspendUser: exports.unsuspendUser,
-  getLogs: exports.getLogs
+/**
+ * @swagger
+ * /api/admin/clans/{clanId}/capacity:
+ *   put:
+ *     summary: Definir o limite de membros de um clã
+ *     tags: [Admin]
+ */
+exports.setClanCapacity = async (req, res) => {
+  try {
+    const clan = await Clan.findById(req.params.clanId);
+    if (!clan) {
+      return res.status(404).json({ msg: "Clã não encontrado" });
+    }
+
+    const { capacity, error } = await capacityService.setOverride("clan", clan, req.body.limit ?? null, req.user._id);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    res.json({ success: true, msg: "Limite de membros do clã atualizado com sucesso!", capacity });
+  } catch (error) {
+    console.error("Erro ao definir limite de membros do clã:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/federations/{federationId}/capacity:
+ *   put:
+ *     summary: Definir o limite de clãs de uma federação
+ *     tags: [Admin]
+ */
+exports.setFederationCapacity = async (req, res) => {
+  try {
+    const federation = await Federation.findById(req.params.federationId);
+    if (!federation) {
+      return res.status(404).json({ msg: "Federação não encontrada" });
+    }
+
+    const { capacity, error } = await capacityService.setOverride("federation", federation, req.body.limit ?? null, req.user._id);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    res.json({ success: true, msg: "Limite de clãs da federação atualizado com sucesso!", capacity });
+  } catch (error) {
+    console.error("Erro ao definir limite de clãs da federação:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/membership/consistency:
+ *   get:
+ *     summary: Verificar referências de afiliação órfãs ou divergentes
+ *     tags: [Admin]
+ */
+exports.checkMembershipConsistency = async (req, res) => {
+  try {
+    const report = await membershipService.checkConsistency();
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error("Erro ao verificar consistência das afiliações:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
 };
 
+/**
+ * @swagger
+ * /api/admin/membership/consistency/repair:
+ *   post:
+ *     summary: Corrigir referências de afiliação órfãs ou divergentes
+ *     tags: [Admin]
+ */
+exports.repairMembershipConsistency = async (req, res) => {
+  try {
+    const report = await membershipService.checkConsistency({ repair: true, performedBy: req.user._id });
+    res.json({ success: true, msg: `${report.total} problema(s) corrigido(s).`, report });
+  } catch (error) {
+    console.error("Erro ao corrigir consistência das afiliações:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
 
 /**
  * Middleware para verificar se o usuário é administrador
@@ -1193,22 +1365,9 @@ exports.checkAdmin = (req, res, next) => {
   next();
 };
 
-// Atualizar module.exports
-module.exports = {
-  ...module.exports,
-  checkAdmin: exports.checkAdmin
-};
-
-
-
-const SystemConfig = require("../models/SystemConfig");
-
 exports.getSystemSettings = async (req, res) => {
   try {
-    const settings = await SystemConfig.findOne();
-    if (!settings) {
-      return res.status(404).json({ success: false, message: "Configurações do sistema não encontradas." });
-    }
+    const settings = await systemSettingService.get();
     res.json({ success: true, data: settings });
   } catch (error) {
     console.error("Erro ao obter configurações do sistema:", error);
@@ -1216,6 +1375,19 @@ exports.getSystemSettings = async (req, res) => {
   }
 };
 
+exports.updateSystemSettings = async (req, res) => {
+  try {
+    const settings = await systemSettingService.update(req.body || {});
+    res.json({ success: true, msg: "Configurações atualizadas com sucesso!", data: settings });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ success: false, message: "Valor de configuração inválido." });
+    }
+    console.error("Erro ao atualizar configurações do sistema:", error);
+    res.status(500).json({ success: false, message: "Erro interno do servidor." });
+  }
+};
+
 
 
 /**
@@ -1276,7 +1448,7 @@ exports.createClan = async (req, res) => {
 
     let leader = null;
     if (leaderUsername) {
-      leader = await User.findOne({ username: leaderUsername });
+      leader = await usernameService.findByUsername(leaderUsername);
       if (!leader) {
         return res.status(404).json({
           success: false,
@@ -1301,7 +1473,7 @@ exports.createClan = async (req, res) => {
     // Se há um líder, atualizar os dados do usuário
     if (leader) {
       leader.clan = newClan._id;
-      leader.clanRole = "Leader";
+      leader.clanRole = CLAN_ROLES.LEADER;
       await leader.save();
     }
 
@@ -1353,8 +1525,12 @@ exports.createClan = async (req, res) => {
  *     responses:
  *       200:
  *         description: Líder atribuído com sucesso
+ *       400:
+ *         description: Limite de membros do clã atingido
  *       404:
  *         description: Clã ou usuário não encontrado
+ *       409:
+ *         description: A liderança ou os membros do clã mudaram durante a operação
  *       500:
  *         description: Erro interno do servidor
  */
@@ -1372,8 +1548,8 @@ exports.assignClanLeaderByName = async (req, res) => {
       });
     }
 
-    // Buscar o usuário pelo nome
-    const newLeader = await User.findOne({ username });
+    // Buscar o usuário pelo nome (atual ou anterior)
+    const newLeader = await usernameService.findByUsername(username);
     if (!newLeader) {
       return res.status(404).json({
         success: false,
@@ -1381,43 +1557,23 @@ exports.assignClanLeaderByName = async (req, res) => {
       });
     }
 
-    // Remover liderança do líder anterior (se existir)
-    if (clan.leader) {
-      const oldLeader = await User.findById(clan.leader);
-      if (oldLeader) {
-        oldLeader.clanRole = "Member";
-        await oldLeader.save();
-      }
-    }
-
-    // Atribuir novo líder
-    clan.leader = newLeader._id;
-    
-    // Adicionar o novo líder aos membros se não estiver
-    if (!clan.members.includes(newLeader._id)) {
-      clan.members.push(newLeader._id);
+    // Trazer o novo líder para o clã (se ainda não for membro) e só então passar a liderança
+    const error = await assignLeaderThroughMembership(clan, newLeader._id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.msg,
+        code: error.code,
+        capacity: error.capacity
+      });
     }
-
-    // Remover das sublideranças se estiver
-    clan.subLeaders = clan.subLeaders.filter(
-      subLeaderId => subLeaderId.toString() !== newLeader._id.toString()
-    );
-
-    await clan.save();
-
-    // Atualizar dados do novo líder
     newLeader.clan = clan._id;
-    newLeader.clanRole = "Leader";
-    await newLeader.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.clan(clan._id));
-    await cacheService.del(CacheKeys.user(newLeader._id));
+    newLeader.clanRole = CLAN_ROLES.LEADER;
 
     res.json({
       success: true,
       message: `${username} foi definido como líder do clã ${clanName}`,
-      clan: clan,
+      clan: await Clan.findById(clan._id),
       newLeader: {
         id: newLeader._id,
         username: newLeader.username,
@@ -1490,8 +1646,8 @@ exports.assignClanMemberByName = async (req, res) => {
       });
     }
 
-    // Buscar o usuário pelo nome
-    const user = await User.findOne({ username });
+    // Buscar o usuário pelo nome (atual ou anterior)
+    const user = await usernameService.findByUsername(username);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -1507,49 +1663,23 @@ exports.assignClanMemberByName = async (req, res) => {
       });
     }
 
-    // Remover de clã anterior se existir
-    if (user.clan) {
-      const oldClan = await Clan.findById(user.clan);
-      if (oldClan) {
-        oldClan.members = oldClan.members.filter(
-          memberId => memberId.toString() !== user._id.toString()
-        );
-        oldClan.subLeaders = oldClan.subLeaders.filter(
-          subLeaderId => subLeaderId.toString() !== user._id.toString()
-        );
-        
-        // Se era líder, remover liderança
-        if (oldClan.leader && oldClan.leader.toString() === user._id.toString()) {
-          oldClan.leader = null;
-        }
-        
-        await oldClan.save();
-        await cacheService.del(CacheKeys.clan(oldClan._id));
-      }
-    }
-
-    // Adicionar ao novo clã
-    clan.members.push(user._id);
-    
-    if (role === "SubLeader") {
-      clan.subLeaders.push(user._id);
+    // Sair do clã anterior e entrar no novo na mesma transação, respeitando o limite de membros
+    const { error } = await membershipService.transferMember(user._id, clan, { role: normalizeClanRole(role) });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.msg,
+        code: error.code,
+        capacity: error.capacity
+      });
     }
-
-    await clan.save();
-
-    // Atualizar dados do usuário
     user.clan = clan._id;
-    user.clanRole = role;
-    await user.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.clan(clan._id));
-    await cacheService.del(CacheKeys.user(user._id));
+    user.clanRole = normalizeClanRole(role);
 
     res.json({
       success: true,
       message: `${username} foi adicionado ao clã ${clanName} como ${role}`,
-      clan: clan,
+      clan: await Clan.findById(clan._id),
       member: {
         id: user._id,
         username: user.username,
@@ -1625,7 +1755,7 @@ exports.createClan = async (req, res) => {
 
     let leader = null;
     if (leaderUsername) {
-      leader = await User.findOne({ username: leaderUsername });
+      leader = await usernameService.findByUsername(leaderUsername);
       if (!leader) {
         return res.status(404).json({
           success: false,
@@ -1650,7 +1780,7 @@ exports.createClan = async (req, res) => {
     // Se há um líder, atualizar os dados do usuário
     if (leader) {
       leader.clan = newClan._id;
-      leader.clanRole = "Leader";
+      leader.clanRole = CLAN_ROLES.LEADER;
       await leader.save();
       
       // Invalidar cache do usuário
@@ -1715,8 +1845,12 @@ exports.createClan = async (req, res) => {
  *     responses:
  *       200:
  *         description: Líder atribuído com sucesso
+ *       400:
+ *         description: Limite de membros do clã atingido
  *       404:
  *         description: Clã ou usuário não encontrado
+ *       409:
+ *         description: A liderança ou os membros do clã mudaram durante a operação
  *       500:
  *         description: Erro interno do servidor
  */
@@ -1734,8 +1868,8 @@ exports.assignClanLeaderByName = async (req, res) => {
       });
     }
 
-    // Buscar o usuário pelo nome
-    const newLeader = await User.findOne({ username });
+    // Buscar o usuário pelo nome (atual ou anterior)
+    const newLeader = await usernameService.findByUsername(username);
     if (!newLeader) {
       return res.status(404).json({
         success: false,
@@ -1743,40 +1877,21 @@ exports.assignClanLeaderByName = async (req, res) => {
       });
     }
 
-    let oldLeader = null;
-    // Remover liderança do líder anterior (se existir)
-    if (clan.leader) {
-      oldLeader = await User.findById(clan.leader);
-      if (oldLeader) {
-        oldLeader.clanRole = "Member";
-        await oldLeader.save();
-        await cacheService.del(CacheKeys.user(oldLeader._id));
-      }
-    }
+    const oldLeader = clan.leader ? await User.findById(clan.leader).select("username") : null;
 
-    // Atribuir novo líder
-    clan.leader = newLeader._id;
-    
-    // Adicionar o novo líder aos membros se não estiver
-    if (!clan.members.includes(newLeader._id)) {
-      clan.members.push(newLeader._id);
+    // Trazer o novo líder para o clã (se ainda não for membro) e só então passar a liderança
+    const error = await assignLeaderThroughMembership(clan, newLeader._id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.msg,
+        code: error.code,
+        capacity: error.capacity
+      });
     }
-
-    // Remover das sublideranças se estiver
-    clan.subLeaders = clan.subLeaders.filter(
-      subLeaderId => subLeaderId.toString() !== newLeader._id.toString()
-    );
-
-    await clan.save();
-
-    // Atualizar dados do novo líder
     newLeader.clan = clan._id;
-    newLeader.clanRole = "Leader";
-    await newLeader.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.clan(clan._id));
-    await cacheService.del(CacheKeys.user(newLeader._id));
+    newLeader.clanRole = CLAN_ROLES.LEADER;
+    const updatedClan = await Clan.findById(clan._id);
 
     // Emitir evento em tempo real
     const io = req.app.get('socketio');
@@ -1796,7 +1911,7 @@ exports.assignClanLeaderByName = async (req, res) => {
       });
 
       // Notificar membros do clã
-      clan.members.forEach(async (memberId) => {
+      updatedClan.members.forEach(async (memberId) => {
         const memberSocketId = await presenceService.getSocketId(memberId.toString());
         if (memberSocketId) {
           io.to(memberSocketId).emit('clan_leadership_update', {
@@ -1811,7 +1926,7 @@ exports.assignClanLeaderByName = async (req, res) => {
     res.json({
       success: true,
       message: `${username} foi definido como líder do clã ${clanName}`,
-      clan: clan,
+      clan: updatedClan,
       newLeader: {
         id: newLeader._id,
         username: newLeader.username,
@@ -1884,8 +1999,8 @@ exports.assignClanMemberByName = async (req, res) => {
       });
     }
 
-    // Buscar o usuário pelo nome
-    const user = await User.findOne({ username });
+    // Buscar o usuário pelo nome (atual ou anterior)
+    const user = await usernameService.findByUsername(username);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -1901,45 +2016,21 @@ exports.assignClanMemberByName = async (req, res) => {
       });
     }
 
-    let oldClan = null;
-    // Remover de clã anterior se existir
-    if (user.clan) {
-      oldClan = await Clan.findById(user.clan);
-      if (oldClan) {
-        oldClan.members = oldClan.members.filter(
-          memberId => memberId.toString() !== user._id.toString()
-        );
-        oldClan.subLeaders = oldClan.subLeaders.filter(
-          subLeaderId => subLeaderId.toString() !== user._id.toString()
-        );
-        
-        // Se era líder, remover liderança
-        if (oldClan.leader && oldClan.leader.toString() === user._id.toString()) {
-          oldClan.leader = null;
-        }
-        
-        await oldClan.save();
-        await cacheService.del(CacheKeys.clan(oldClan._id));
-      }
-    }
+    const oldClan = user.clan ? await Clan.findById(user.clan).select("name") : null;
 
-    // Adicionar ao novo clã
-    clan.members.push(user._id);
-    
-    if (role === "SubLeader") {
-      clan.subLeaders.push(user._id);
+    // Sair do clã anterior e entrar no novo na mesma transação, respeitando o limite de membros
+    const { error } = await membershipService.transferMember(user._id, clan, { role: normalizeClanRole(role) });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.msg,
+        code: error.code,
+        capacity: error.capacity
+      });
     }
-
-    await clan.save();
-
-    // Atualizar dados do usuário
     user.clan = clan._id;
-    user.clanRole = role;
-    await user.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.clan(clan._id));
-    await cacheService.del(CacheKeys.user(user._id));
+    user.clanRole = normalizeClanRole(role);
+    const updatedClan = await Clan.findById(clan._id);
 
     // Emitir evento em tempo real
     const io = req.app.get('socketio');
@@ -1992,7 +2083,7 @@ exports.assignClanMemberByName = async (req, res) => {
     res.json({
       success: true,
       message: `${username} foi adicionado ao clã ${clanName} como ${role}`,
-      clan: clan,
+      clan: updatedClan,
       member: {
         id: user._id,
         username: user.username,
@@ -2074,7 +2165,7 @@ exports.createFederationWithTerritory = async (req, res) => {
 
     let leader = null;
     if (leaderUsername) {
-      leader = await User.findOne({ username: leaderUsername });
+      leader = await usernameService.findByUsername(leaderUsername);
       if (!leader) {
         return res.status(404).json({ msg: "Líder especificado não encontrado." });
       }
@@ -2191,7 +2282,7 @@ exports.createClanWithTerritory = async (req, res) => {
 
     let leader = null;
     if (leaderUsername) {
-      leader = await User.findOne({ username: leaderUsername });
+      leader = await usernameService.findByUsername(leaderUsername);
       if (!leader) {
         return res.status(404).json({ msg: "Líder especificado não encontrado." });
       }
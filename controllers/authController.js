@@ -1,12 +1,113 @@
 const User = require("../models/User");
-const jwt = require("jsonwebtoken");
+const FCMToken = require("../models/FCMToken");
 require("dotenv").config();
 const { validationResult } = require("express-validator");
+const sessionService = require("../services/sessionService");
+const accountStatusService = require("../services/accountStatusService");
+const twoFactorService = require("../services/twoFactorService");
+const loginAttemptService = require("../services/loginAttemptService");
+const usernameService = require("../services/usernameService");
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  getSessionMetadata,
+  getDeviceMetadata,
+  generateAccessToken,
+  issueAuthTokens
+} = require("../utils/authTokens");
 
-// ✅ NOVO: Gera o token JWT com id e role
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
+// Registra o token FCM enviado no login e retorna o ID para vincular à sessão do dispositivo
+const registerDeviceFcmToken = async (user, body) => {
+  if (!body.fcmToken) return {};
+  try {
+    const { deviceId, deviceType, appVersion } = getDeviceMetadata(body);
+    const fcmToken = await FCMToken.registerToken(user._id, body.fcmToken, body.deviceInfo || {}, {
+      deviceId,
+      deviceType,
+      appVersion
+    });
+    return { fcmTokenId: String(fcmToken._id) };
+  } catch (err) {
+    console.warn("Não foi possível registrar o token FCM do dispositivo:", err.message);
+    return {};
+  }
+};
+
+// Formata uma sessão para exibição ao usuário, completando dados do dispositivo pelo FCMToken
+const formatDeviceSession = (session, fcmTokens, currentSessionId) => {
+  const fcmToken = fcmTokens.find(t =>
+    (session.fcmTokenId && String(t._id) === session.fcmTokenId) ||
+    (session.deviceId && t.deviceId === session.deviceId)
+  );
+
+  return {
+    id: session.sessionId,
+    current: session.sessionId === currentSessionId,
+    deviceId: session.deviceId || (fcmToken && fcmToken.deviceId) || null,
+    deviceType: session.deviceType || (fcmToken && fcmToken.deviceType) || null,
+    deviceModel: session.deviceModel || (fcmToken && fcmToken.deviceInfo && fcmToken.deviceInfo.model) || null,
+    osVersion: session.osVersion || (fcmToken && fcmToken.deviceInfo && fcmToken.deviceInfo.osVersion) || null,
+    appVersion: session.appVersion || (fcmToken && fcmToken.appVersion) || null,
+    userAgent: session.userAgent || null,
+    lastIp: session.lastIp || null,
+    lastActivity: session.lastActivity,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    pushEnabled: Boolean(fcmToken)
+  };
+};
+
+// Resposta 429 para contas com atraso progressivo ou bloqueio temporário
+const sendLoginBlocked = (res, status) => {
+  res.set("Retry-After", String(status.retryAfter));
+  return res.status(429).json({
+    msg: status.code === "ACCOUNT_LOCKED"
+      ? "Conta bloqueada temporariamente por excesso de tentativas. Tente novamente mais tarde."
+      : "Muitas tentativas falhas. Aguarde antes de tentar novamente.",
+    code: status.code,
+    retryAfter: status.retryAfter,
+    until: status.until || null
+  });
+};
+
+// Registra a falha e responde: bloqueio (429) quando o limite é atingido, senão a mensagem padrão
+const handleLoginFailure = async (res, username, context, failureResponse) => {
+  const { locked } = await loginAttemptService.recordFailure(username, context);
+  if (locked) {
+    // Uma falha concorrente pode ter atingido o limite e ainda estar gravando o bloqueio
+    const status = await loginAttemptService.checkAllowed(username);
+    return sendLoginBlocked(res, status.allowed
+      ? { code: "ACCOUNT_LOCKED", retryAfter: loginAttemptService.lockoutSeconds }
+      : status);
+  }
+  return res.status(failureResponse.status).json(failureResponse.body);
+};
+
+// Etapa final do login: marca presença, abre a sessão do dispositivo e responde com os tokens
+const completeLogin = async (user, req, res, extra = {}) => {
+  await loginAttemptService.recordSuccess(user.username);
+
+  user.lastSeen = new Date();
+  user.online = true;
+  await user.save();
+
+  // ✅ Access token curto + refresh token rotativo, vinculados ao dispositivo
+  const deviceLink = await registerDeviceFcmToken(user, req.body);
+  const { token, refreshToken, expiresIn } = await issueAuthTokens(user, req, deviceLink);
+
+  res.json({
+    _id: user._id,
+    username: user.username,
+    token,
+    refreshToken,
+    expiresIn,
+    role: user.role,
+    clan: user.clan,
+    federation: user.federation,
+    // ADM sem 2FA com a política obrigatória ativa só acessa as rotas de cadastro do 2FA
+    twoFactorSetupRequired: await twoFactorService.isSetupPending(user),
+    // Senha temporária (reset pelo ADM): as demais rotas ficam bloqueadas até PUT /api/auth/password
+    mustChangePassword: Boolean(user.mustChangePasswordOnNextLogin),
+    ...extra
   });
 };
 
@@ -22,24 +123,28 @@ exports.registerUser = async (req, res) => {
   const { username, password } = req.body;
 
   try {
-    let user = await User.findOne({ username });
-    if (user) {
-      return res.status(400).json({ msg: "Usuário já existe" });
+    // Nome em uso ou reservado por quem acabou de trocá-lo
+    const { available, reason } = await usernameService.checkAvailability(username);
+    if (!available) {
+      return res.status(400).json({ msg: reason });
     }
 
-    user = new User({
+    const user = new User({
       username,
       password,
     });
 
     await user.save();
 
-    // ✅ Token agora inclui role
-    const token = generateToken(user._id, user.role);
+    // ✅ Access token curto + refresh token rotativo, vinculados ao dispositivo
+    const deviceLink = await registerDeviceFcmToken(user, req.body);
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user, req, deviceLink);
     res.status(201).json({
       _id: user._id,
       username: user.username,
       token,
+      refreshToken,
+      expiresIn,
       role: user.role,
     });
   } catch (err) {
@@ -60,38 +165,101 @@ exports.loginUser = async (req, res) => {
   const { username, password } = req.body;
 
   try {
+    // ✅ Proteção por conta: atraso progressivo e bloqueio independem do IP
+    const attemptStatus = await loginAttemptService.checkAllowed(username);
+    if (!attemptStatus.allowed) {
+      return sendLoginBlocked(res, attemptStatus);
+    }
+
+    const invalidCredentials = { status: 400, body: { msg: "Credenciais inválidas" } };
+
     const user = await User.findOne({ username });
     if (!user) {
-      return res.status(400).json({ msg: "Credenciais inválidas" });
+      return handleLoginFailure(res, username, { ip: req.ip }, invalidCredentials);
     }
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(400).json({ msg: "Credenciais inválidas" });
+      return handleLoginFailure(res, username, { userId: user._id, ip: req.ip }, invalidCredentials);
     }
 
-    // Atualiza o lastSeen e marca como online
-    user.lastSeen = new Date();
-    user.online = true;
-    await user.save();
+    // Contas de serviço só autenticam por API key
+    if (user.isBot) {
+      return res.status(403).json({ msg: "Contas de bot não podem fazer login. Use uma API key." });
+    }
 
-    // ✅ Token agora inclui role
-    const token = generateToken(user._id, user.role);
+    // Contas banidas ou suspensas não recebem novos tokens
+    const restriction = await accountStatusService.getRestriction(user);
+    if (restriction) {
+      return res.status(403).json(accountStatusService.toResponse(restriction));
+    }
 
-    res.json({
-      _id: user._id,
-      username: user.username,
-      token,
-      role: user.role,
-      clan: user.clan,
-      federation: user.federation
-    });
+    // ✅ Segunda etapa: contas com 2FA recebem apenas um desafio de curta duração
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        twoFactorToken: twoFactorService.createLoginChallenge(user),
+        msg: "Informe o código do aplicativo autenticador para concluir o login."
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (err) {
     console.error("Erro ao logar:", err.message);
     res.status(500).send("Erro no servidor");
   }
 };
 
+// @desc    Concluir login com código 2FA (TOTP ou código de recuperação)
+// @route   POST /api/auth/2fa/login
+// @access  Public (requer twoFactorToken emitido pelo login)
+exports.loginTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  try {
+    const userId = twoFactorService.verifyLoginChallenge(twoFactorToken);
+    if (!userId) {
+      return res.status(401).json({ msg: "Desafio de login inválido ou expirado. Faça login novamente." });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ msg: "Credenciais inválidas" });
+    }
+
+    const restriction = await accountStatusService.getRestriction(user);
+    if (restriction) {
+      return res.status(403).json(accountStatusService.toResponse(restriction));
+    }
+
+    const attemptStatus = await loginAttemptService.checkAllowed(user.username);
+    if (!attemptStatus.allowed) {
+      return sendLoginBlocked(res, attemptStatus);
+    }
+
+    const result = await twoFactorService.verify(user._id, { code, recoveryCode });
+    if (!result.valid) {
+      // Códigos 2FA errados contam para o mesmo limite da senha
+      return handleLoginFailure(res, user.username, { userId: user._id, ip: req.ip }, {
+        status: 401,
+        body: { msg: "Código de verificação inválido." }
+      });
+    }
+
+    await completeLogin(user, req, res, result.method === "recovery"
+      ? { remainingRecoveryCodes: result.remainingRecoveryCodes }
+      : {});
+  } catch (err) {
+    console.error("Erro ao concluir login 2FA:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
 // @desc    Obter perfil do usuário logado
 // @route   GET /api/auth/profile
 // @access  Private
@@ -121,3 +289,265 @@ exports.getUserProfile = async (req, res) => {
     res.status(500).send("Erro no servidor");
   }
 };
+
+// @desc    Trocar refresh token por um novo par de tokens (rotação)
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await sessionService.rotateRefreshToken(req.body.refreshToken, getSessionMetadata(req));
+
+    if (result.error === "unavailable") {
+      return res.status(503).json({ msg: "Serviço de sessões indisponível. Faça login novamente mais tarde." });
+    }
+    if (result.error === "reused") {
+      return res.status(401).json({ msg: "Refresh token reutilizado. A sessão foi encerrada por segurança." });
+    }
+    if (result.error) {
+      return res.status(401).json({ msg: "Refresh token inválido ou expirado." });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user) {
+      await sessionService.revokeSession(result.session.sessionId);
+      return res.status(401).json({ msg: "Usuário da sessão não encontrado." });
+    }
+
+    const restriction = await accountStatusService.getRestriction(user);
+    if (restriction) {
+      await sessionService.revokeSession(result.session.sessionId);
+      return res.status(403).json(accountStatusService.toResponse(restriction));
+    }
+
+    res.json({
+      token: generateAccessToken(user, result.session.sessionId),
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+  } catch (err) {
+    console.error("Erro ao renovar token:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Encerrar a sessão atual
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logoutUser = async (req, res) => {
+  try {
+    const session = await sessionService.getSessionById(req.sessionId);
+    await sessionService.revokeSession(req.sessionId);
+    if (session) {
+      await FCMToken.deactivateForSession(req.user._id, session);
+    }
+    await User.updateOne({ _id: req.user.id }, { $set: { online: false, lastSeen: new Date() } });
+
+    res.json({ success: true, msg: "Sessão encerrada com sucesso" });
+  } catch (err) {
+    console.error("Erro ao fazer logout:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Encerrar todas as sessões do usuário em todos os dispositivos
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAllSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllUserSessions(req.user.id);
+    await FCMToken.updateMany({ userId: req.user._id, isActive: true }, { $set: { isActive: false } });
+    await User.updateOne({ _id: req.user.id }, { $set: { online: false, lastSeen: new Date() } });
+
+    res.json({ success: true, msg: "Todas as sessões foram encerradas", revoked });
+  } catch (err) {
+    console.error("Erro ao encerrar todas as sessões:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Listar as sessões ativas do usuário (uma por dispositivo)
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getUserSessions(req.user.id);
+    const fcmTokens = await FCMToken.findActiveTokensByUserId(req.user._id).lean();
+
+    const data = sessions
+      .map(session => formatDeviceSession(session, fcmTokens, req.sessionId))
+      .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+
+    res.json({ success: true, count: data.length, data });
+  } catch (err) {
+    console.error("Erro ao listar sessões:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Encerrar a sessão de um dispositivo específico
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeMySession = async (req, res) => {
+  try {
+    const session = await sessionService.getSessionById(req.params.id);
+    if (!session || session.userId !== String(req.user.id)) {
+      return res.status(404).json({ msg: "Sessão não encontrada" });
+    }
+
+    await sessionService.revokeSession(session.sessionId);
+    const { modifiedCount } = await FCMToken.deactivateForSession(req.user._id, session);
+
+    res.json({
+      success: true,
+      msg: "Dispositivo desconectado com sucesso",
+      current: session.sessionId === req.sessionId,
+      fcmTokensDeactivated: modifiedCount
+    });
+  } catch (err) {
+    console.error("Erro ao encerrar sessão:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Iniciar cadastro do 2FA (gera segredo e URL otpauth para o QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ msg: "A autenticação em dois fatores já está ativa." });
+    }
+
+    const { secret, otpauthUrl } = await twoFactorService.startSetup(req.user);
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      msg: "Escaneie o QR code no aplicativo autenticador e confirme com um código."
+    });
+  } catch (err) {
+    console.error("Erro ao iniciar cadastro 2FA:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Confirmar cadastro do 2FA com o primeiro código e receber os códigos de recuperação
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+exports.verifyTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ msg: "A autenticação em dois fatores já está ativa." });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmSetup(req.user._id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ msg: "Código inválido ou cadastro não iniciado." });
+    }
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      msg: "Autenticação em dois fatores ativada. Guarde os códigos de recuperação em local seguro."
+    });
+  } catch (err) {
+    console.error("Erro ao confirmar 2FA:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Desativar o 2FA (exige senha e código TOTP ou de recuperação)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { password, code, recoveryCode } = req.body;
+
+  try {
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ msg: "A autenticação em dois fatores não está ativa." });
+    }
+
+    if (await twoFactorService.isRequired(req.user)) {
+      return res.status(403).json({ msg: "A autenticação em dois fatores é obrigatória para administradores." });
+    }
+
+    if (!(await req.user.comparePassword(password))) {
+      return res.status(400).json({ msg: "Senha incorreta" });
+    }
+
+    const result = await twoFactorService.verify(req.user._id, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(401).json({ msg: "Código de verificação inválido." });
+    }
+
+    await twoFactorService.disable(req.user._id);
+    res.json({ success: true, msg: "Autenticação em dois fatores desativada." });
+  } catch (err) {
+    console.error("Erro ao desativar 2FA:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Alterar a própria senha (encerra todas as sessões e abre uma nova para o dispositivo atual)
+// @route   PUT /api/auth/password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ msg: "Usuário não encontrado" });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ msg: "Senha atual incorreta" });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ msg: "A nova senha deve ser diferente da atual" });
+    }
+
+    user.password = newPassword;
+    user.mustChangePasswordOnNextLogin = false;
+    await user.save();
+
+    // ✅ Tokens emitidos com a senha antiga deixam de valer em todos os dispositivos
+    await sessionService.revokeAllUserSessions(user._id);
+    const io = req.app.get("socketio");
+    if (io) {
+      io.in(`user:${user._id}`).disconnectSockets(true);
+    }
+
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user, req);
+    res.json({
+      success: true,
+      msg: "Senha alterada com sucesso. As outras sessões foram encerradas.",
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (err) {
+    console.error("Erro ao alterar senha:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
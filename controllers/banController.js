@@ -0,0 +1,248 @@
+const User = require("../models/User");
+const Clan = require("../models/Clan");
+const JoinRequest = require("../models/JoinRequest");
+const Invite = require("../models/Invite");
+const banService = require("../services/banService");
+const membershipService = require("../services/membershipService");
+
+/**
+ * Calcula o fim do ban a partir de `duration` (dias). Sem duração = permanente.
+ * @returns {{endAt: Date|null, error: string|null}}
+ */
+const parseBanDuration = (duration) => {
+  if (duration === undefined || duration === null || duration === "") {
+    return { endAt: null, error: null };
+  }
+  const days = Number(duration);
+  if (!Number.isFinite(days) || days <= 0) {
+    return { endAt: null, error: "Duração do ban (em dias) inválida" };
+  }
+  return { endAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000), error: null };
+};
+
+/**
+ * Cancela solicitações e convites pendentes do usuário banido para o mesmo alvo
+ */
+const closePendingRequests = async (userId, targetType, targetId) => {
+  const now = Date.now();
+  if (targetType !== "channel") {
+    await JoinRequest.updateMany(
+      { requester: userId, type: targetType, target: targetId, status: "pending" },
+      { $set: { status: "rejected", respondedAt: now } }
+    );
+  }
+  await Invite.updateMany(
+    { recipient: userId, type: targetType, target: targetId, status: "pending" },
+    { $set: { status: "expired", respondedAt: now } }
+  );
+};
+
+/**
+ * Fluxo comum de criação de ban: valida entrada, aplica o ban,
+ * executa a remoção específica do escopo e avisa o usuário em tempo real
+ */
+const applyScopedBan = async (req, res, { targetType, target, protectedIds, removeFromScope }) => {
+  const { userId, reason } = req.body;
+
+  if (!userId) {
+    return res.status(400).json({ msg: "userId é obrigatório." });
+  }
+  if (userId === req.user.id) {
+    return res.status(400).json({ msg: "Você não pode banir a si mesmo." });
+  }
+  if (protectedIds.some(id => id && id.toString() === userId)) {
+    return res.status(400).json({ msg: "Não é possível banir o responsável por este escopo." });
+  }
+
+  const { endAt, error } = parseBanDuration(req.body.duration);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return res.status(404).json({ msg: "Usuário não encontrado" });
+  }
+
+  const ban = await banService.createBan({
+    userId: user._id,
+    targetType,
+    targetId: target._id,
+    bannedBy: req.user.id,
+    reason: reason || "",
+    endAt
+  });
+
+  await removeFromScope(user);
+  await closePendingRequests(user._id, targetType, target._id);
+
+  const io = req.app.get("socketio");
+  if (io) {
+    io.to(`user:${user._id}`).emit("scope_banned", banService.toResponse(ban));
+  }
+
+  res.status(201).json({ success: true, msg: "Usuário banido com sucesso!", ban });
+};
+
+const liftScopedBan = async (req, res, targetType, target) => {
+  const ban = await banService.liftBan({
+    userId: req.params.userId,
+    targetType,
+    targetId: target._id,
+    liftedBy: req.user.id
+  });
+
+  if (!ban) {
+    return res.status(404).json({ msg: "Nenhum ban ativo encontrado para este usuário." });
+  }
+  res.json({ success: true, msg: "Ban revogado com sucesso!" });
+};
+
+// @desc    Banir um usuário do clã
+// @route   POST /api/clans/:id/bans
+// @access  Private (Líder, Sub-líder ou ADM)
+exports.banFromClan = async (req, res) => {
+  try {
+    const clan = req.clan;
+    await applyScopedBan(req, res, {
+      targetType: "clan",
+      target: clan,
+      protectedIds: [clan.leader],
+      removeFromScope: async (user) => {
+        if (!user.clan || user.clan.toString() !== clan._id.toString()) return;
+
+        // Mesma remoção da expulsão: cargos customizados e federação do clã saem junto
+        await membershipService.kickMember(clan._id, user._id, req.user.id);
+      }
+    });
+  } catch (error) {
+    console.error("Erro ao banir usuário do clã:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Revogar o ban de um usuário no clã
+// @route   DELETE /api/clans/:id/bans/:userId
+// @access  Private (Líder, Sub-líder ou ADM)
+exports.unbanFromClan = async (req, res) => {
+  try {
+    await liftScopedBan(req, res, "clan", req.clan);
+  } catch (error) {
+    console.error("Erro ao revogar ban do clã:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Listar bans ativos do clã
+// @route   GET /api/clans/:id/bans
+// @access  Private (Líder, Sub-líder ou ADM)
+exports.getClanBans = async (req, res) => {
+  try {
+    const bans = await banService.listActiveBans("clan", req.clan._id);
+    res.json({ success: true, count: bans.length, bans });
+  } catch (error) {
+    console.error("Erro ao listar bans do clã:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Banir um usuário da federação
+// @route   POST /api/federations/:id/bans
+// @access  Private (Líder da federação ou ADM)
+exports.banFromFederation = async (req, res) => {
+  try {
+    const federation = req.federation;
+    await applyScopedBan(req, res, {
+      targetType: "federation",
+      target: federation,
+      protectedIds: [federation.leader],
+      removeFromScope: async (user) => {
+        if (!user.federation || user.federation.toString() !== federation._id.toString()) return;
+
+        // Quem está na federação pelo clã continua membro (o ban bloqueia o acesso individual)
+        // e perde o cargo; quem entrou sozinho sai da federação
+        const viaClan = user.clan && await Clan.exists({ _id: user.clan, federation: federation._id });
+        if (viaClan) {
+          await membershipService.demoteInFederation(federation._id, user._id);
+        } else {
+          await membershipService.leaveFederation(federation._id, user._id);
+        }
+      }
+    });
+  } catch (error) {
+    console.error("Erro ao banir usuário da federação:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Revogar o ban de um usuário na federação
+// @route   DELETE /api/federations/:id/bans/:userId
+// @access  Private (Líder da federação ou ADM)
+exports.unbanFromFederation = async (req, res) => {
+  try {
+    await liftScopedBan(req, res, "federation", req.federation);
+  } catch (error) {
+    console.error("Erro ao revogar ban da federação:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Listar bans ativos da federação
+// @route   GET /api/federations/:id/bans
+// @access  Private (Líder da federação ou ADM)
+exports.getFederationBans = async (req, res) => {
+  try {
+    const bans = await banService.listActiveBans("federation", req.federation._id);
+    res.json({ success: true, count: bans.length, bans });
+  } catch (error) {
+    console.error("Erro ao listar bans da federação:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Banir um usuário do canal
+// @route   POST /api/channels/:id/bans
+// @access  Private (Dono do canal ou ADM)
+exports.banFromChannel = async (req, res) => {
+  try {
+    const channel = req.channel;
+    await applyScopedBan(req, res, {
+      targetType: "channel",
+      target: channel,
+      protectedIds: [channel.owner],
+      removeFromScope: async (user) => {
+        channel.members = channel.members.filter(id => id.toString() !== user._id.toString());
+        channel.memberRoles = channel.memberRoles.filter(entry => entry.user.toString() !== user._id.toString());
+        await channel.save();
+      }
+    });
+  } catch (error) {
+    console.error("Erro ao banir usuário do canal:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Revogar o ban de um usuário no canal
+// @route   DELETE /api/channels/:id/bans/:userId
+// @access  Private (Dono do canal ou ADM)
+exports.unbanFromChannel = async (req, res) => {
+  try {
+    await liftScopedBan(req, res, "channel", req.channel);
+  } catch (error) {
+    console.error("Erro ao revogar ban do canal:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Listar bans ativos do canal
+// @route   GET /api/channels/:id/bans
+// @access  Private (Dono do canal ou ADM)
+exports.getChannelBans = async (req, res) => {
+  try {
+    const bans = await banService.listActiveBans("channel", req.channel._id);
+    res.json({ success: true, count: bans.length, bans });
+  } catch (error) {
+    console.error("Erro ao listar bans do canal:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
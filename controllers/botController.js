@@ -0,0 +1,196 @@
+const User = require("../models/User");
+const Clan = require("../models/Clan");
+const ApiKey = require("../models/ApiKey");
+const apiKeyService = require("../services/apiKeyService");
+const permissionService = require("../services/permissionService");
+const usernameService = require("../services/usernameService");
+const { validationResult } = require("express-validator");
+
+/**
+ * Verifica se o usuário pode gerenciar bots no escopo informado:
+ * bots de clã exigem `clan.bots.manage` no clã; bots globais são exclusivos do ADM
+ * @returns {Promise<{error: {status: number, msg: string}|null}>}
+ */
+const checkBotScope = async (user, clanId) => {
+  if (!clanId) {
+    return permissionService.isAdmin(user)
+      ? { error: null }
+      : { error: { status: 403, msg: "Apenas ADM pode gerenciar bots globais." } };
+  }
+
+  const clan = await Clan.findById(clanId);
+  if (!clan) {
+    return { error: { status: 404, msg: "Clã não encontrado." } };
+  }
+  if (!(await permissionService.can(user, "clan.bots.manage", clan))) {
+    return { error: { status: 403, msg: "Apenas o líder do clã ou ADM pode gerenciar os bots deste clã." } };
+  }
+  return { error: null };
+};
+
+/**
+ * Carrega o bot de `req.params.botId` e confere se o usuário pode gerenciá-lo
+ * @returns {Promise<{bot: object|null, error: {status: number, msg: string}|null}>}
+ */
+const loadManagedBot = async (req) => {
+  const bot = await User.findOne({ _id: req.params.botId, isBot: true }).select("-password");
+  if (!bot) {
+    return { bot: null, error: { status: 404, msg: "Bot não encontrado." } };
+  }
+  const { error } = await checkBotScope(req.user, bot.botClan);
+  return { bot: error ? null : bot, error };
+};
+
+// @desc    Criar conta de bot (do clã ou global)
+// @route   POST /api/bots
+// @access  Private (líder do clã ou ADM; bots globais só ADM)
+exports.createBot = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { username, clanId = null } = req.body;
+
+    const { error } = await checkBotScope(req.user, clanId);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+
+    const { available, reason } = await usernameService.checkAvailability(username);
+    if (!available) {
+      return res.status(400).json({ msg: reason });
+    }
+
+    const bot = await apiKeyService.createBot({ username, clanId, createdBy: req.user._id });
+    res.status(201).json({
+      success: true,
+      msg: "Bot criado com sucesso!",
+      bot: { _id: bot._id, username: bot.username, botClan: bot.botClan, createdAt: bot.createdAt }
+    });
+  } catch (error) {
+    console.error("Erro ao criar bot:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Listar bots de um clã (ou todos, para ADM sem clanId)
+// @route   GET /api/bots?clanId=
+// @access  Private (líder do clã ou ADM)
+exports.listBots = async (req, res) => {
+  try {
+    const { clanId } = req.query;
+
+    const { error } = await checkBotScope(req.user, clanId);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+
+    const filter = { isBot: true };
+    if (clanId) filter.botClan = clanId;
+
+    const bots = await User.find(filter)
+      .select("username avatar botClan botCreatedBy createdAt")
+      .populate("botCreatedBy", "username")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: bots.length, bots });
+  } catch (error) {
+    console.error("Erro ao listar bots:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Emitir API key para um bot (a chave só é exibida nesta resposta)
+// @route   POST /api/bots/:botId/keys
+// @access  Private (líder do clã do bot ou ADM)
+exports.issueKey = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { bot, error } = await loadManagedBot(req);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+
+    const { name, scopes, rateLimitPerMinute, expiresInDays } = req.body;
+    const invalidScopes = scopes.filter(scope => !apiKeyService.SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        msg: `Escopos inválidos: ${invalidScopes.join(", ")}`,
+        validScopes: apiKeyService.SCOPES
+      });
+    }
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { apiKey, key } = await apiKeyService.issueKey({
+      bot,
+      name,
+      scopes,
+      rateLimitPerMinute: rateLimitPerMinute !== undefined ? Number(rateLimitPerMinute) : undefined,
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      msg: "API key emitida. Guarde a chave agora: ela não será exibida novamente.",
+      key,
+      apiKey
+    });
+  } catch (error) {
+    console.error("Erro ao emitir API key:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Listar API keys de um bot (sem o valor da chave)
+// @route   GET /api/bots/:botId/keys
+// @access  Private (líder do clã do bot ou ADM)
+exports.listKeys = async (req, res) => {
+  try {
+    const { bot, error } = await loadManagedBot(req);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+
+    const keys = await ApiKey.find({ bot: bot._id })
+      .populate("createdBy", "username")
+      .populate("revokedBy", "username")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: keys.length, keys });
+  } catch (error) {
+    console.error("Erro ao listar API keys:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Revogar API key de um bot
+// @route   DELETE /api/bots/:botId/keys/:keyId
+// @access  Private (líder do clã do bot ou ADM)
+exports.revokeKey = async (req, res) => {
+  try {
+    const { bot, error } = await loadManagedBot(req);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+
+    const apiKey = await apiKeyService.revokeKey({ botId: bot._id, keyId: req.params.keyId, revokedBy: req.user._id });
+    if (!apiKey) {
+      return res.status(404).json({ msg: "API key não encontrada ou já revogada." });
+    }
+
+    res.json({ success: true, msg: "API key revogada com sucesso!" });
+  } catch (error) {
+    console.error("Erro ao revogar API key:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
@@ -3,6 +3,8 @@ const User = require("../models/User");
 const Message = require("../models/Message");
 const Clan = require("../models/Clan");
 const Federation = require("../models/Federation");
+const banService = require("../services/banService");
+const permissionService = require("../services/permissionService");
 const { validationResult } = require("express-validator");
 
 /**
@@ -140,63 +142,39 @@ exports.createChannel = async (req, res) => {
   }
 };
 
+// Criar canais de clã/federação exige gerenciar canais no escopo (permissionService)
 async function validateChannelCreationPermission(user, channelType, entityId) {
-  if (user.role === "ADM") {
-    return { allowed: true };
-  }
-
   switch (channelType) {
     case 'global':
       return { allowed: true };
 
-    case 'federation':
-      if (!user.clan) {
-        return { 
-          allowed: false, 
-          message: "Você precisa estar em um clã para criar canais na federação." 
-        };
+    case 'federation': {
+      const federation = entityId ? await Federation.findById(entityId) : null;
+      if (!federation) {
+        return { allowed: false, message: "Federação não encontrada." };
       }
-
-      if (user.clanRole !== 'leader') {
-        return { 
-          allowed: false, 
-          message: "Apenas líderes de clã podem criar canais na federação." 
-        };
-      }
-
-      const clan = await Clan.findById(user.clan._id);
-      if (!clan || clan.federation.toString() !== entityId) {
-        return { 
-          allowed: false, 
-          message: "Seu clã não pertence a esta federação." 
+      if (!(await permissionService.can(user, "federation.channels.manage", federation))) {
+        return {
+          allowed: false,
+          message: "Você não tem permissão para criar canais nesta federação."
         };
       }
-
       return { allowed: true };
+    }
 
-    case 'clan':
-      if (!user.clan) {
-        return { 
-          allowed: false, 
-          message: "Você precisa estar em um clã para criar canais no clã." 
-        };
-      }
-
-      if (!['leader', 'sub_leader'].includes(user.clanRole)) {
-        return { 
-          allowed: false, 
-          message: "Apenas líderes e sub-líderes podem criar canais no clã." 
-        };
+    case 'clan': {
+      const clan = entityId ? await Clan.findById(entityId) : null;
+      if (!clan) {
+        return { allowed: false, message: "Clã não encontrado." };
       }
-
-      if (user.clan._id.toString() !== entityId) {
-        return { 
-          allowed: false, 
-          message: "Você só pode criar canais no seu próprio clã." 
+      if (!(await permissionService.can(user, "clan.channels.manage", clan))) {
+        return {
+          allowed: false,
+          message: "Você não tem permissão para criar canais neste clã."
         };
       }
-
       return { allowed: true };
+    }
 
     default:
       return { 
@@ -438,6 +416,15 @@ exports.joinChannel = async (req, res) => {
       return res.status(400).json({ msg: "Usuário já está neste canal" });
     }
 
+    const ban = await banService.findActiveBan(req.user.id, [
+      { targetType: "channel", targetId: channel._id },
+      { targetType: "clan", targetId: channel.clan },
+      { targetType: "federation", targetId: channel.federation }
+    ]);
+    if (ban) {
+      return res.status(403).json(banService.toResponse(ban));
+    }
+
     channel.members.push(req.user.id);
     await channel.save();
 
@@ -694,18 +681,8 @@ exports.updateChannel = async (req, res) => {
   const { name, description, voiceSettings, type } = req.body;
 
   try {
-    const channel = await Channel.findById(req.params.id);
-
-    if (!channel) {
-      return res.status(404).json({ msg: "Canal não encontrado" });
-    }
-
-    const user = await User.findById(req.user.id).populate('clan');
-    const hasPermission = await validateChannelManagementPermission(user, channel);
-    
-    if (!hasPermission.allowed) {
-      return res.status(403).json({ error: hasPermission.message });
-    }
+    // Canal carregado e permissão "channel.manage" verificada por requirePermission
+    const channel = req.channel;
 
     if (name && name !== channel.name) {
       const existingChannel = await Channel.findOne({ 
@@ -741,22 +718,12 @@ exports.updateChannel = async (req, res) => {
 
 exports.deleteChannel = async (req, res) => {
   try {
-    const channel = await Channel.findById(req.params.id);
+    // Canal carregado e permissão "channel.manage" verificada por requirePermission
+    const channel = req.channel;
 
-    if (!channel) {
-      return res.status(404).json({ msg: "Canal não encontrado" });
-    }
-
-    const user = await User.findById(req.user.id).populate('clan');
-    const hasPermission = await validateChannelManagementPermission(user, channel);
-    
-    if (!hasPermission.allowed) {
-      return res.status(403).json({ error: hasPermission.message });
-    }
+    await Message.deleteMany({ channel: channel._id });
 
-    await Message.deleteMany({ channel: req.params.id });
-
-    await Channel.findByIdAndDelete(req.params.id);
+    await Channel.findByIdAndDelete(channel._id);
 
     res.json({ 
       success: true,
@@ -771,65 +738,6 @@ exports.deleteChannel = async (req, res) => {
   }
 };
 
-async function validateChannelManagementPermission(user, channel) {
-  if (user.role === "ADM") {
-    return { allowed: true };
-  }
-
-  if (channel.owner.toString() === user._id.toString()) {
-    return { allowed: true };
-  }
-
-  switch (channel.channelType) {
-    case 'global':
-      return { 
-        allowed: false,
-        message: "Apenas o proprietário do canal ou ADM podem gerenciar este canal." 
-      };
-
-    case 'federation':
-      if (!user.clan || user.clanRole !== 'leader') {
-        return { 
-          allowed: false,
-          message: "Apenas líderes de clã podem gerenciar canais da federação." 
-        };
-      }
-
-      const clan = await Clan.findById(user.clan._id);
-      if (!clan || clan.federation.toString() !== channel.entityId.toString()) {
-        return { 
-          allowed: false,
-          message: "Você só pode gerenciar canais da sua federação." 
-        };
-      }
-
-      return { allowed: true };
-
-    case 'clan':
-      if (!user.clan || !['leader', 'sub_leader'].includes(user.clanRole)) {
-        return { 
-          allowed: false,
-          message: "Apenas líderes e sub-líderes podem gerenciar canais do clã." 
-        };
-      }
-
-      if (user.clan._id.toString() !== channel.entityId.toString()) {
-        return { 
-          allowed: false,
-          message: "Você só pode gerenciar canais do seu próprio clã." 
-        };
-      }
-
-      return { allowed: true };
-
-    default:
-      return { 
-        allowed: false,
-        message: "Tipo de canal inválido." 
-      };
-  }
-}
-
 /**
  * @swagger
  * components:
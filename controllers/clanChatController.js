@@ -1,6 +1,7 @@
 const ClanChatMessage = require("../models/ClanChatMessage");
 const Clan = require("../models/Clan");
 const User = require("../models/User");
+const banService = require("../services/banService");
 
 // Helper para checar se o usuário é membro do clã (líder, sub ou membro)
 async function isClanMember(userId, clanId) {
@@ -21,6 +22,7 @@ async function isClanMember(userId, clanId) {
  *     tags: [Chat do Clã]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: clanId
@@ -76,7 +78,14 @@ exports.sendMessage = async (req, res) => {
     const { message, type, fileUrl } = req.body;
     const userId = req.user.id;
 
-    if (!(await isClanMember(userId, clanId))) {
+    const ban = await banService.findActiveBan(userId, [{ targetType: "clan", targetId: clanId }]);
+    if (ban) {
+      const body = banService.toResponse(ban);
+      return res.status(403).json({ error: body.msg, ...body });
+    }
+
+    // Bots com API key já tiveram escopo e clã validados por allowApiKey
+    if (!req.apiKey && !(await isClanMember(userId, clanId))) {
       return res.status(403).json({ error: "Permissão negada: só membros do clã podem enviar mensagens." });
     }
 
@@ -145,6 +154,7 @@ exports.sendMessage = async (req, res) => {
  *     tags: [Chat do Clã]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: clanId
@@ -193,7 +203,7 @@ exports.getMessages = async (req, res) => {
     const userId = req.user.id;
     const { page = 1, limit = 30 } = req.query;
 
-    if (!(await isClanMember(userId, clanId))) {
+    if (!req.apiKey && !(await isClanMember(userId, clanId))) {
       return res.status(403).json({ error: "Permissão negada: só membros do clã podem ver o chat." });
     }
 
@@ -4,6 +4,13 @@ const User = require("../models/User");
 const Federation = require("../models/Federation");
 const cacheService = require("../services/cacheService");
 const CacheKeys = require("../utils/cacheKeys");
+const banService = require("../services/banService");
+const applicationFormService = require("../services/applicationFormService");
+const joinRuleService = require("../services/joinRuleService");
+const capacityService = require("../services/capacityService");
+const membershipService = require("../services/membershipService");
+const clanActivityService = require("../services/clanActivityService");
+const { CLAN_ROLES } = require("../utils/clanRoles");
 
 /**
  * @swagger
@@ -171,6 +178,11 @@ exports.getClanById = async (req, res) => {
     
     const cachedData = await cacheService.get(cacheKey);
     if (cachedData) {
+      // O limite pode ter mudado nas configurações depois que o clã entrou no cache
+      if (cachedData.data && cachedData.data.capacity) {
+        cachedData.data.capacity = await capacityService.describe(
+          "clan", cachedData.data.capacity.current, cachedData.data.maxMembersOverride);
+      }
       return res.json({
         ...cachedData,
         cached: true,
@@ -189,6 +201,9 @@ exports.getClanById = async (req, res) => {
       return res.status(404).json({ msg: "Clã não encontrado" });
     }
 
+    // Ocupação calculada antes de separar líder e sub-líderes da lista de membros
+    clan.capacity = await capacityService.getClanCapacity(clan);
+
     // Filtrar membros para não incluir líderes e sub-líderes
     const leaderId = clan.leader ? clan.leader._id.toString() : null;
     const subLeaderIds = clan.subLeaders.map(sl => sl._id.toString());
@@ -317,14 +332,14 @@ exports.createClan = async (req, res) => {
     // Atualizar o usuário escolhido como líder (se houver)
     if (chosenLeader) {
       chosenLeader.clan = clan._id;
-      chosenLeader.clanRole = "Leader";
+      chosenLeader.clanRole = CLAN_ROLES.LEADER;
       await chosenLeader.save();
     }
 
     // Se o usuário criador não é o líder escolhido (caso de ADM criando para outro), atualiza o criador
     if (user._id.toString() !== (chosenLeader ? chosenLeader._id.toString() : '')) {
       user.clan = clan._id;
-      user.clanRole = "Member"; // O criador ADM entra como membro se não for o líder
+      user.clanRole = CLAN_ROLES.MEMBER; // O criador ADM entra como membro se não for o líder
       await user.save();
     }
 
@@ -544,8 +559,9 @@ exports.joinClan = async (req, res) => {
       return res.status(400).json({ msg: "Você já pertence a um clã." });
     }
 
-    if (clan.members.length >= 50) {
-      return res.status(400).json({ msg: "Este clã já atingiu o limite máximo de membros." });
+    const ban = await banService.findActiveBan(user._id, [{ targetType: "clan", targetId: clan._id }]);
+    if (ban) {
+      return res.status(403).json(banService.toResponse(ban));
     }
 
     // Se o usuário já é membro do clã (mesmo que ADM), não faz nada
@@ -553,16 +569,13 @@ exports.joinClan = async (req, res) => {
       return res.status(200).json({ success: true, msg: "Você já é membro deste clã." });
     }
 
-    clan.members.push(user._id);
-    await clan.save();
-
-    user.clan = clan._id;
-    user.clanRole = "Member"; // ADM que entra como membro, pode ser promovido depois
-    await user.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.clan(clan._id));
-    await cacheService.del(CacheKeys.user(user._id));
+    // ADM que já tem clã troca de clã; entra como membro e pode ser promovido depois
+    const { error } = user.clan
+      ? await membershipService.transferMember(user._id, clan)
+      : await membershipService.joinClan(clan, user._id);
+    if (error) {
+      return res.status(error.status).json(capacityService.toResponse(error));
+    }
 
     res.json({ success: true, msg: "Você entrou no clã com sucesso!" });
   } catch (error) {
@@ -618,19 +631,7 @@ exports.leaveClan = async (req, res) => {
       });
     }
 
-    // Remover usuário do clã
-    clan.members = clan.members.filter(member => member.toString() !== user._id.toString());
-    clan.subLeaders = clan.subLeaders.filter(subLeader => subLeader.toString() !== user._id.toString());
-    await clan.save();
-
-    // Limpar dados do usuário
-    user.clan = null;
-    user.clanRole = null;
-    await user.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.clan(clan._id));
-    await cacheService.del(CacheKeys.user(user._id));
+    await membershipService.leaveClan(clan._id, user._id);
 
     res.json({ success: true, msg: "Você saiu do clã com sucesso!" });
   } catch (error) {
@@ -699,12 +700,12 @@ exports.transferLeadership = async (req, res) => {
     // Atualizar líder anterior
     const oldLeader = await User.findById(clan.leader);
     if (oldLeader) {
-      oldLeader.clanRole = "Member";
+      oldLeader.clanRole = CLAN_ROLES.MEMBER;
       await oldLeader.save();
     }
 
     // Atualizar novo líder
-    newLeader.clanRole = "Leader";
+    newLeader.clanRole = CLAN_ROLES.LEADER;
     await newLeader.save();
 
     // Atualizar clã
@@ -789,7 +790,7 @@ exports.promoteMember = async (req, res) => {
     clan.subLeaders.push(req.params.userId);
     await clan.save();
 
-    user.clanRole = "SubLeader";
+    user.clanRole = CLAN_ROLES.SUBLEADER;
     await user.save();
 
     // Invalidar caches
@@ -863,7 +864,7 @@ exports.demoteMember = async (req, res) => {
     clan.subLeaders = clan.subLeaders.filter(sl => sl.toString() !== req.params.userId);
     await clan.save();
 
-    user.clanRole = "Member";
+    user.clanRole = CLAN_ROLES.MEMBER;
     await user.save();
 
     // Invalidar caches
@@ -1059,7 +1060,7 @@ exports.promoteMember = async (req, res) => {
     clan.subLeaders.push(userId);
     await clan.save();
 
-    member.clanRole = "SubLeader";
+    member.clanRole = CLAN_ROLES.SUBLEADER;
     await member.save();
 
     // Invalidar caches
@@ -1097,7 +1098,7 @@ exports.demoteMember = async (req, res) => {
     clan.subLeaders = clan.subLeaders.filter(id => id.toString() !== userId);
     await clan.save();
 
-    member.clanRole = "Member";
+    member.clanRole = CLAN_ROLES.MEMBER;
     await member.save();
 
     // Invalidar caches
@@ -1136,28 +1137,9 @@ exports.transferLeadership = async (req, res) => {
       return res.status(400).json({ msg: "Este usuário já é o líder do clã." });
     }
 
-    // Atualizar o líder anterior
-    const oldLeader = await User.findById(clan.leader);
-    if (oldLeader) {
-      oldLeader.clanRole = "Member";
-      await oldLeader.save();
-    }
-
-    // Remover novo líder dos sub-líderes se estiver lá
-    clan.subLeaders = clan.subLeaders.filter(id => id.toString() !== userId);
-    
-    // Definir novo líder
-    clan.leader = userId;
-    await clan.save();
-
-    newLeader.clanRole = "Leader";
-    await newLeader.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.clan(clan._id));
-    await cacheService.del(CacheKeys.user(userId));
-    if (oldLeader) {
-      await cacheService.del(CacheKeys.user(oldLeader._id));
+    const { error } = await membershipService.transferClanLeadership(clan, newLeader._id);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
     }
 
     res.json({ success: true, msg: "Liderança transferida com sucesso!" });
@@ -1192,19 +1174,12 @@ exports.kickMember = async (req, res) => {
       return res.status(400).json({ msg: "Não é possível expulsar o líder do clã." });
     }
 
-    // Remover de membros e sub-líderes
-    clan.members = clan.members.filter(id => id.toString() !== userId);
-    clan.subLeaders = clan.subLeaders.filter(id => id.toString() !== userId);
-    await clan.save();
-
-    // Atualizar usuário
-    member.clan = undefined;
-    member.clanRole = undefined;
-    await member.save();
+    // Cargos customizados com kickMembers não podem expulsar sub-líderes
+    if (clan.subLeaders.some(id => id.toString() === userId) && !req.permissions.has("clan.members.promote")) {
+      return res.status(403).json({ msg: "Apenas líderes e sub-líderes podem expulsar sub-líderes." });
+    }
 
-    // Invalidar caches
-    await cacheService.del(CacheKeys.clan(clan._id));
-    await cacheService.del(CacheKeys.user(userId));
+    await membershipService.kickMember(clan._id, member._id, req.user._id);
 
     res.json({ success: true, msg: "Membro expulso do clã com sucesso!" });
   } catch (error) {
@@ -1459,14 +1434,10 @@ exports.deleteCustomRole = async (req, res) => {
     }
 
     clan.customRoles.splice(roleIndex, 1);
+    // Remover o cargo de todos os membros que o possuem
+    clan.memberRoles = clan.memberRoles.filter(entry => entry.roleName !== roleName);
     await clan.save();
 
-    // Remover o cargo de todos os usuários que o possuem
-    await User.updateMany(
-      { customClanRoles: roleName },
-      { $pull: { customClanRoles: roleName } }
-    );
-
     // Invalidar cache
     await cacheService.del(CacheKeys.clan(clan._id));
 
@@ -1506,16 +1477,14 @@ exports.assignMemberRole = async (req, res) => {
     }
 
     // Verificar se o membro já tem o cargo
-    if (member.customClanRoles && member.customClanRoles.includes(roleName)) {
+    const hasRole = clan.memberRoles.some(entry => entry.user.toString() === userId && entry.roleName === roleName);
+    if (hasRole) {
       return res.status(400).json({ msg: "Membro já possui este cargo." });
     }
 
-    // Adicionar o cargo
-    if (!member.customClanRoles) {
-      member.customClanRoles = [];
-    }
-    member.customClanRoles.push(roleName);
-    await member.save();
+    // Adicionar o cargo (as permissões são lidas de Clan.memberRoles pelo permissionService)
+    clan.memberRoles.push({ user: member._id, roleName });
+    await clan.save();
 
     // Invalidar caches
     await cacheService.del(CacheKeys.clan(clan._id));
@@ -1528,6 +1497,208 @@ exports.assignMemberRole = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/clans/{id}/members/{userId}/remove-role:
+ *   put:
+ *     summary: Remover cargo personalizado de um membro
+ *     tags: [Clãs]
+ */
+exports.removeMemberRole = async (req, res) => {
+  try {
+    const clan = req.clan;
+    const { userId } = req.params;
+    const { roleName } = req.body;
+
+    const roleIndex = clan.memberRoles.findIndex(entry => entry.user.toString() === userId && entry.roleName === roleName);
+    if (roleIndex === -1) {
+      return res.status(404).json({ msg: "Este membro não possui o cargo informado." });
+    }
+
+    clan.memberRoles.splice(roleIndex, 1);
+    await clan.save();
+
+    // Invalidar caches
+    await cacheService.del(CacheKeys.clan(clan._id));
+    await cacheService.del(CacheKeys.user(userId));
+
+    res.json({ success: true, msg: `Cargo '${roleName}' removido do membro com sucesso.`, clan });
+  } catch (error) {
+    console.error("Erro ao remover cargo do membro:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/clans/{id}/application-form:
+ *   get:
+ *     summary: Obter formulário de candidatura do clã
+ *     tags: [Clãs]
+ */
+exports.getApplicationForm = async (req, res) => {
+  try {
+    const clan = await Clan.findById(req.params.id).select("name applicationForm");
+    if (!clan) {
+      return res.status(404).json({ msg: "Clã não encontrado" });
+    }
+
+    res.json({ success: true, applicationForm: clan.applicationForm });
+  } catch (error) {
+    console.error("Erro ao obter formulário de candidatura:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/clans/{id}/application-form:
+ *   put:
+ *     summary: Definir formulário de candidatura do clã
+ *     tags: [Clãs]
+ */
+exports.updateApplicationForm = async (req, res) => {
+  try {
+    const clan = req.clan;
+
+    const { form, error } = applicationFormService.normalizeForm(req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    clan.applicationForm = form;
+    await clan.save();
+
+    // Invalidar cache
+    await cacheService.del(CacheKeys.clan(clan._id));
+
+    res.json({ success: true, msg: "Formulário de candidatura atualizado com sucesso!", applicationForm: clan.applicationForm });
+  } catch (error) {
+    console.error("Erro ao atualizar formulário de candidatura:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/clans/{id}/join-rules:
+ *   get:
+ *     summary: Obter regras de aprovação automática do clã
+ *     tags: [Clãs]
+ */
+exports.getJoinRules = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      joinRules: req.clan.joinRules,
+      conditionTypes: joinRuleService.CONDITION_TYPES
+    });
+  } catch (error) {
+    console.error("Erro ao obter regras de entrada:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/clans/{id}/join-rules:
+ *   put:
+ *     summary: Definir regras de aprovação automática do clã
+ *     tags: [Clãs]
+ */
+exports.updateJoinRules = async (req, res) => {
+  try {
+    const clan = req.clan;
+
+    const { joinRules, error } = joinRuleService.normalizeRules(req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    clan.joinRules = { ...joinRules, updatedBy: req.user._id, updatedAt: new Date() };
+    await clan.save();
+
+    // Invalidar cache
+    await cacheService.del(CacheKeys.clan(clan._id));
+
+    res.json({ success: true, msg: "Regras de entrada atualizadas com sucesso!", joinRules: clan.joinRules });
+  } catch (error) {
+    console.error("Erro ao atualizar regras de entrada:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/clans/{id}/activity:
+ *   get:
+ *     summary: Relatório de atividade dos membros do clã
+ *     tags: [Clãs]
+ */
+exports.getActivityReport = async (req, res) => {
+  try {
+    const report = await clanActivityService.getReport(req.clan, { days: req.query.days });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error("Erro ao gerar relatório de atividade:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/clans/{id}/inactivity-policy:
+ *   get:
+ *     summary: Obter a política de inatividade do clã
+ *     tags: [Clãs]
+ */
+exports.getInactivityPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      inactivityPolicy: req.clan.inactivityPolicy,
+      actions: clanActivityService.ACTIONS
+    });
+  } catch (error) {
+    console.error("Erro ao obter política de inatividade:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/clans/{id}/inactivity-policy:
+ *   put:
+ *     summary: Definir a política de inatividade do clã
+ *     tags: [Clãs]
+ */
+exports.updateInactivityPolicy = async (req, res) => {
+  try {
+    const clan = req.clan;
+
+    const { inactivityPolicy, error } = clanActivityService.normalizePolicy(req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    clan.inactivityPolicy = {
+      ...inactivityPolicy,
+      updatedBy: req.user._id,
+      updatedAt: new Date(),
+      lastEnforcedAt: clan.inactivityPolicy ? clan.inactivityPolicy.lastEnforcedAt : null
+    };
+    await clan.save();
+
+    // Invalidar cache
+    await cacheService.del(CacheKeys.clan(clan._id));
+
+    res.json({ success: true, msg: "Política de inatividade atualizada com sucesso!", inactivityPolicy: clan.inactivityPolicy });
+  } catch (error) {
+    console.error("Erro ao atualizar política de inatividade:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
 // Exportar todas as funções
 module.exports = {
   getClans: exports.getClans,
@@ -1550,6 +1721,14 @@ module.exports = {
   updateCustomRole: exports.updateCustomRole,
   deleteCustomRole: exports.deleteCustomRole,
   assignMemberRole: exports.assignMemberRole,
+  removeMemberRole: exports.removeMemberRole,
+  getApplicationForm: exports.getApplicationForm,
+  updateApplicationForm: exports.updateApplicationForm,
+  getJoinRules: exports.getJoinRules,
+  updateJoinRules: exports.updateJoinRules,
+  getActivityReport: exports.getActivityReport,
+  getInactivityPolicy: exports.getInactivityPolicy,
+  updateInactivityPolicy: exports.updateInactivityPolicy,
   deleteClan: exports.deleteClan
 };
 
@@ -0,0 +1,166 @@
+const mongoose = require("mongoose");
+const ClanElection = require("../models/ClanElection");
+const clanElectionService = require("../services/clanElectionService");
+const permissionService = require("../services/permissionService");
+
+/**
+ * Carrega a eleição da rota garantindo que ela pertence ao clã de `req.clan`
+ */
+const loadElection = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.electionId)) {
+    res.status(400).json({ msg: "ID de eleição inválido." });
+    return null;
+  }
+  const election = await ClanElection.findOne({ _id: req.params.electionId, clan: req.clan._id });
+  if (!election) {
+    res.status(404).json({ msg: "Eleição não encontrada." });
+    return null;
+  }
+  return election;
+};
+
+// @desc    Listar as eleições do clã (mais recentes primeiro)
+// @route   GET /api/clans/:id/elections
+// @access  Private (membros do clã ou ADM)
+exports.getElections = async (req, res) => {
+  try {
+    const elections = await ClanElection.find({ clan: req.clan._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate("candidates.user", "username avatar")
+      .populate("winner", "username avatar");
+
+    res.json({ success: true, elections: elections.map(e => clanElectionService.toResponse(e, req.user._id)) });
+  } catch (error) {
+    console.error("Erro ao listar eleições do clã:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Abrir uma eleição para líder do clã
+// @route   POST /api/clans/:id/elections
+// @access  Private (Líder do Clã ou ADM)
+exports.createElection = async (req, res) => {
+  try {
+    const { election, error } = await clanElectionService.create(req.clan, req.user, req.body);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.status(201).json({ success: true, msg: "Eleição aberta com sucesso!", election: clanElectionService.toResponse(election, req.user._id) });
+  } catch (error) {
+    console.error("Erro ao abrir eleição:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Detalhes de uma eleição
+// @route   GET /api/clans/:id/elections/:electionId
+// @access  Private (membros do clã ou ADM)
+exports.getElection = async (req, res) => {
+  try {
+    const election = await loadElection(req, res);
+    if (!election) return;
+
+    await election.populate([
+      { path: "candidates.user", select: "username avatar" },
+      { path: "candidates.nominatedBy", select: "username" },
+      { path: "winner", select: "username avatar" },
+      { path: "ballots.voter", select: "username" }
+    ]);
+    res.json({ success: true, election: clanElectionService.toResponse(election, req.user._id) });
+  } catch (error) {
+    console.error("Erro ao obter eleição:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Indicar um membro (ou a si mesmo) como candidato
+// @route   POST /api/clans/:id/elections/:electionId/nominations
+// @access  Private (membros do clã)
+exports.nominateCandidate = async (req, res) => {
+  try {
+    const election = await loadElection(req, res);
+    if (!election) return;
+
+    const candidateId = req.body.userId || req.user._id.toString();
+    if (!mongoose.isValidObjectId(candidateId)) {
+      return res.status(400).json({ msg: "ID de usuário inválido." });
+    }
+
+    const { election: updated, error } = await clanElectionService.nominate(election, req.clan, req.user, candidateId);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.json({ success: true, msg: "Candidato indicado com sucesso!", election: clanElectionService.toResponse(updated, req.user._id) });
+  } catch (error) {
+    console.error("Erro ao indicar candidato:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Retirar uma candidatura
+// @route   DELETE /api/clans/:id/elections/:electionId/nominations/:userId
+// @access  Private (o próprio candidato, Líder do Clã ou ADM)
+exports.withdrawCandidate = async (req, res) => {
+  try {
+    const election = await loadElection(req, res);
+    if (!election) return;
+
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !(await permissionService.can(req.user, "clan.transfer", req.clan))) {
+      return res.status(403).json({ msg: "Apenas o próprio candidato ou o líder podem retirar a candidatura." });
+    }
+
+    const { election: updated, error } = await clanElectionService.withdraw(election, req.params.userId);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.json({ success: true, msg: "Candidatura retirada.", election: clanElectionService.toResponse(updated, req.user._id) });
+  } catch (error) {
+    console.error("Erro ao retirar candidatura:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Votar em um candidato (um voto por membro)
+// @route   POST /api/clans/:id/elections/:electionId/vote
+// @access  Private (membros do clã)
+exports.castVote = async (req, res) => {
+  try {
+    const election = await loadElection(req, res);
+    if (!election) return;
+
+    const { candidateId } = req.body;
+    if (!candidateId || !mongoose.isValidObjectId(candidateId)) {
+      return res.status(400).json({ msg: "candidateId é obrigatório." });
+    }
+
+    const { election: updated, weight, error } = await clanElectionService.vote(election, req.clan, req.user, candidateId);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.json({ success: true, msg: "Voto registrado.", weight, election: clanElectionService.toResponse(updated, req.user._id) });
+  } catch (error) {
+    console.error("Erro ao registrar voto:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Cancelar uma eleição em andamento
+// @route   POST /api/clans/:id/elections/:electionId/cancel
+// @access  Private (Líder do Clã ou ADM)
+exports.cancelElection = async (req, res) => {
+  try {
+    const election = await loadElection(req, res);
+    if (!election) return;
+
+    const { election: updated, error } = await clanElectionService.cancel(election, req.clan, req.user, req.body.reason);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.json({ success: true, msg: "Eleição cancelada.", election: clanElectionService.toResponse(updated, req.user._id) });
+  } catch (error) {
+    console.error("Erro ao cancelar eleição:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
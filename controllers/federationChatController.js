@@ -1,6 +1,7 @@
 const FederationChatMessage = require("../models/FederationChatMessage");
 const Federation = require("../models/Federation");
 const User = require("../models/User");
+const banService = require("../services/banService");
 
 // Helper para checar permissão de líder/sublíder
 async function isLeaderOrSubleader(userId, federationId) {
@@ -75,6 +76,12 @@ exports.sendMessage = async (req, res) => {
     const { message, type, fileUrl } = req.body;
     const userId = req.user.id;
 
+    const ban = await banService.findActiveBan(userId, [{ targetType: "federation", targetId: federationId }]);
+    if (ban) {
+      const body = banService.toResponse(ban);
+      return res.status(403).json({ error: body.msg, ...body });
+    }
+
     if (!(await isLeaderOrSubleader(userId, federationId))) {
       return res.status(403).json({ error: "Permissão negada: só líderes e sublíderes podem enviar mensagens." });
     }
@@ -3,6 +3,9 @@ const Clan = require("../models/Clan");
 const User = require("../models/User");
 const cacheService = require("../services/cacheService");
 const CacheKeys = require("../utils/cacheKeys");
+const capacityService = require("../services/capacityService");
+const membershipService = require("../services/membershipService");
+const federationProposalService = require("../services/federationProposalService");
 
 /**
  * @swagger
@@ -151,6 +154,11 @@ exports.getFederationById = async (req, res) => {
     
     const cachedData = await cacheService.get(cacheKey);
     if (cachedData) {
+      // O limite pode ter mudado nas configurações depois que a federação entrou no cache
+      if (cachedData.data && cachedData.data.capacity) {
+        cachedData.data.capacity = await capacityService.describe(
+          "federation", cachedData.data.capacity.current, cachedData.data.maxClansOverride);
+      }
       return res.json({
         ...cachedData,
         cached: true,
@@ -170,6 +178,8 @@ exports.getFederationById = async (req, res) => {
       return res.status(404).json({ msg: "Federação não encontrada" });
     }
 
+    federation.capacity = await capacityService.getFederationCapacity(federation);
+
     const responseData = {
       success: true,
       data: federation,
@@ -334,6 +344,8 @@ exports.createFederation = async (req, res) => {
  *         description: Proibido, usuário não tem permissão para atualizar esta federação
  *       404:
  *         description: Federação não encontrada
+ *       409:
+ *         description: Conselho ativo; mudar as regras precisa passar por uma proposta (code COUNCIL_REQUIRED)
  *       500:
  *         description: Erro no servidor
  */
@@ -342,6 +354,11 @@ exports.updateFederation = async (req, res) => {
   const federation = req.federation;
 
   try {
+    if (rules && federationProposalService.requiresCouncil(federation, req.user)) {
+      const { status, msg, code } = federationProposalService.councilRequiredError();
+      return res.status(status).json({ msg, code });
+    }
+
     if (name) {
       // Verificar se o novo nome já está em uso
       const existingFederation = await Federation.findOne({ 
@@ -417,21 +434,21 @@ exports.updateFederation = async (req, res) => {
 exports.addClanToFederation = async (req, res) => {
   try {
     const federation = req.federation;
+    if (federationProposalService.requiresCouncil(federation, req.user)) {
+      const { status, msg, code } = federationProposalService.councilRequiredError();
+      return res.status(status).json({ msg, code });
+    }
+
     const clan = await Clan.findById(req.params.clanId);
 
     if (!clan) return res.status(404).json({ msg: "Clã não encontrado" });
     if (clan.federation) return res.status(400).json({ msg: "Este clã já pertence a uma federação." });
     if (federation.clans.includes(req.params.clanId)) return res.status(400).json({ msg: "Clã já está nesta federação." });
 
-    federation.clans.push(req.params.clanId);
-    await federation.save();
-
-    clan.federation = federation._id;
-    await clan.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.federation(federation._id));
-    await cacheService.del(CacheKeys.clan(clan._id));
+    const { error } = await membershipService.admitClanToFederation(federation, clan);
+    if (error) {
+      return res.status(error.status).json(capacityService.toResponse(error));
+    }
 
     res.json({ success: true, msg: "Clã adicionado à federação com sucesso!" });
   } catch (err) {
@@ -492,15 +509,7 @@ exports.removeClanFromFederation = async (req, res) => {
     if (!clan) return res.status(404).json({ msg: "Clã não encontrado" });
     if (!federation.clans.includes(req.params.clanId)) return res.status(400).json({ msg: "Clã não pertence a esta federação." });
 
-    federation.clans = federation.clans.filter(c => c.toString() !== req.params.clanId);
-    await federation.save();
-
-    clan.federation = null;
-    await clan.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.federation(federation._id));
-    await cacheService.del(CacheKeys.clan(clan._id));
+    await membershipService.removeClanFromFederation(federation._id, clan._id);
 
     res.json({ success: true, msg: "Clã removido da federação com sucesso!" });
   } catch (err) {
@@ -682,26 +691,15 @@ exports.transferLeadership = async (req, res) => {
       });
     }
 
-    // Atualizar o líder anterior (remover role de líder se não for ADM)
-    const oldLeader = await User.findById(federation.leader);
-    if (oldLeader && oldLeader.role !== "ADM") {
-      oldLeader.federationRole = "member";
-      await oldLeader.save();
-    }
-
-    // Atualizar o novo líder (dar role de líder se não for ADM)
-    if (newLeader.role !== "ADM") {
-      newLeader.federationRole = "leader";
-      newLeader.federation = federation._id;
-      await newLeader.save();
+    // Líder anterior vira membro e o novo assume, na mesma transação
+    const { error } = await membershipService.transferFederationLeadership(federation, newLeader._id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.msg
+      });
     }
 
-    // Atualizar a federação
-    federation.leader = newLeaderId;
-    await federation.save();
-
-    // Invalidar cache
-    await cacheService.del(CacheKeys.federation(federation._id));
     await cacheService.del(CacheKeys.federationList());
 
     const populatedFederation = await Federation.findById(federation._id)
@@ -1041,18 +1039,7 @@ exports.leaveFederation = async (req, res) => {
       });
     }
 
-    // Remover usuário da federação (se ele for um sub-líder)
-    federation.subLeaders = federation.subLeaders.filter(sl => sl.toString() !== user._id.toString());
-    await federation.save();
-
-    // Limpar dados do usuário
-    user.federation = null;
-    user.federationRole = null;
-    await user.save();
-
-    // Invalidar caches
-    await cacheService.del(CacheKeys.federation(federation._id));
-    await cacheService.del(CacheKeys.user(user._id));
+    await membershipService.leaveFederation(federation._id, user._id);
 
     res.json({ success: true, msg: "Você saiu da federação com sucesso!" });
   } catch (err) {
@@ -1101,6 +1088,11 @@ exports.addAlly = async (req, res) => {
     const federation = req.federation;
     const { allyId } = req.params;
 
+    if (federationProposalService.requiresCouncil(federation, req.user)) {
+      const { status, msg, code } = federationProposalService.councilRequiredError();
+      return res.status(status).json({ msg, code });
+    }
+
     // Verifica se a federação aliada existe
     const allyFederation = await Federation.findById(allyId);
     if (!allyFederation) {
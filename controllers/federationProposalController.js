@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+const FederationProposal = require("../models/FederationProposal");
+const federationProposalService = require("../services/federationProposalService");
+const cacheService = require("../services/cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+
+/**
+ * Carrega a proposta da rota garantindo que ela pertence à federação de `req.federation`
+ */
+const loadProposal = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.proposalId)) {
+    res.status(400).json({ msg: "ID de proposta inválido." });
+    return null;
+  }
+  const proposal = await FederationProposal.findOne({ _id: req.params.proposalId, federation: req.federation._id });
+  if (!proposal) {
+    res.status(404).json({ msg: "Proposta não encontrada." });
+    return null;
+  }
+  return proposal;
+};
+
+// @desc    Configuração do conselho da federação
+// @route   GET /api/federations/:id/council
+// @access  Private (membros da federação ou ADM)
+exports.getCouncil = async (req, res) => {
+  try {
+    const council = await federationProposalService.getCouncil(req.federation);
+    res.json({
+      success: true,
+      council: req.federation.council,
+      members: [...council.values()].map(clan => ({ clan: { _id: clan._id, name: clan.name }, leader: clan.leader })),
+      actions: federationProposalService.ACTIONS
+    });
+  } catch (error) {
+    console.error("Erro ao obter conselho da federação:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Ativar/configurar o conselho da federação
+// @route   PUT /api/federations/:id/council
+// @access  Private (Líder da Federação ou ADM)
+exports.updateCouncil = async (req, res) => {
+  try {
+    const federation = req.federation;
+
+    const { council, error } = federationProposalService.normalizeCouncil(req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    federation.council = { ...council, updatedBy: req.user._id, updatedAt: new Date() };
+    await federation.save();
+
+    // Invalidar cache
+    await cacheService.del(CacheKeys.federation(federation._id));
+
+    res.json({ success: true, msg: "Conselho da federação atualizado com sucesso!", council: federation.council });
+  } catch (error) {
+    console.error("Erro ao atualizar conselho da federação:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Listar propostas da federação
+// @route   GET /api/federations/:id/proposals
+// @access  Private (membros da federação ou ADM)
+exports.getProposals = async (req, res) => {
+  try {
+    const filter = { federation: req.federation._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const proposals = await FederationProposal.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate("proposedBy", "username avatar");
+
+    res.json({ success: true, proposals });
+  } catch (error) {
+    console.error("Erro ao listar propostas da federação:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Abrir uma proposta no conselho
+// @route   POST /api/federations/:id/proposals
+// @access  Private (liderança da federação, líderes de clã ou ADM)
+exports.createProposal = async (req, res) => {
+  try {
+    const { proposal, error } = await federationProposalService.create(req.federation, req.user, req.body);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.status(201).json({ success: true, msg: "Proposta aberta para votação!", proposal });
+  } catch (error) {
+    console.error("Erro ao abrir proposta:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Detalhes de uma proposta
+// @route   GET /api/federations/:id/proposals/:proposalId
+// @access  Private (membros da federação ou ADM)
+exports.getProposal = async (req, res) => {
+  try {
+    const proposal = await loadProposal(req, res);
+    if (!proposal) return;
+
+    await proposal.populate([
+      { path: "proposedBy", select: "username avatar" },
+      { path: "votes.voter", select: "username avatar" },
+      { path: "votes.clan", select: "name tag" }
+    ]);
+    res.json({ success: true, proposal });
+  } catch (error) {
+    console.error("Erro ao obter proposta:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Votar em uma proposta (um voto por clã)
+// @route   POST /api/federations/:id/proposals/:proposalId/vote
+// @access  Private (líderes de clã do conselho)
+exports.voteProposal = async (req, res) => {
+  try {
+    const proposal = await loadProposal(req, res);
+    if (!proposal) return;
+
+    const { proposal: updated, error } = await federationProposalService.vote(proposal, req.federation, req.user, req.body.choice);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.json({ success: true, msg: "Voto registrado.", proposal: updated });
+  } catch (error) {
+    console.error("Erro ao votar em proposta:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Cancelar uma proposta aberta
+// @route   POST /api/federations/:id/proposals/:proposalId/cancel
+// @access  Private (autor, Líder da Federação ou ADM)
+exports.cancelProposal = async (req, res) => {
+  try {
+    const proposal = await loadProposal(req, res);
+    if (!proposal) return;
+
+    const { proposal: updated, error } = await federationProposalService.cancel(proposal, req.federation, req.user);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.json({ success: true, msg: "Proposta cancelada.", proposal: updated });
+  } catch (error) {
+    console.error("Erro ao cancelar proposta:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
@@ -5,6 +5,10 @@ const Federation = require("../models/Federation");
 const Notification = require("../models/Notification");
 const cacheService = require("../services/cacheService");
 const CacheKeys = require("../utils/cacheKeys");
+const banService = require("../services/banService");
+const capacityService = require("../services/capacityService");
+const membershipService = require("../services/membershipService");
+const { isClanManagerRole } = require("../utils/clanRoles");
 
 // @desc    Create a new invite
 // @route   POST /api/invites
@@ -33,7 +37,7 @@ exports.createInvite = async (req, res) => {
         targetEntity = await Clan.findById(targetId);
         if (!targetEntity) return res.status(404).json({ msg: "Clã não encontrado." });
         // Lógica de permissão para convidar para clã
-        if (sender.clan.toString() !== targetId || (sender.clanRole !== "Leader" && sender.clanRole !== "SubLeader" && sender.role !== "ADM")) {
+        if (sender.clan.toString() !== targetId || (!isClanManagerRole(sender.clanRole) && sender.role !== "ADM")) {
           return res.status(403).json({ msg: "Você não tem permissão para convidar para este clã." });
         }
         if (recipient.clan) {
@@ -61,6 +65,11 @@ exports.createInvite = async (req, res) => {
         return res.status(400).json({ msg: "Tipo de convite inválido." });
     }
 
+    // Usuários banidos do alvo não podem ser convidados
+    if (await banService.isBanned(recipientId, type, targetId)) {
+      return res.status(403).json({ msg: "O destinatário está banido deste alvo e não pode ser convidado.", code: "SCOPE_BANNED" });
+    }
+
     // 4. Verificar se já existe um convite pendente
     const existingInvite = await Invite.findOne({
       recipient: recipientId,
@@ -132,30 +141,31 @@ exports.acceptInvite = async (req, res) => {
       return res.status(404).json({ msg: "Usuário não encontrado." });
     }
 
+    const ban = await banService.findActiveBan(user._id, [{ targetType: invite.type, targetId: invite.target }]);
+    if (ban) {
+      return res.status(403).json(banService.toResponse(ban));
+    }
+
     let targetEntity;
     if (invite.type === "clan") {
       targetEntity = await Clan.findById(invite.target);
       if (!targetEntity) return res.status(404).json({ msg: "Clã não encontrado." });
       if (user.clan) return res.status(400).json({ msg: "Você já pertence a um clã." });
 
-      targetEntity.members.push(user._id);
-      await targetEntity.save();
-
-      user.clan = targetEntity._id;
-      user.clanRole = "member";
-      await user.save();
+      const { error } = await membershipService.joinClan(targetEntity, user._id);
+      if (error) {
+        return res.status(error.status).json(capacityService.toResponse(error));
+      }
 
     } else if (invite.type === "federation") {
       targetEntity = await Federation.findById(invite.target);
       if (!targetEntity) return res.status(404).json({ msg: "Federação não encontrada." });
       if (user.federation) return res.status(400).json({ msg: "Você já pertence a uma federação." });
 
-      targetEntity.members.push(user._id);
-      await targetEntity.save();
-
-      user.federation = targetEntity._id;
-      user.federationRole = "member";
-      await user.save();
+      const { error } = await membershipService.joinFederation(targetEntity._id, user._id);
+      if (error) {
+        return res.status(error.status).json({ msg: error.msg });
+      }
     }
 
     invite.status = "accepted";
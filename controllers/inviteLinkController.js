@@ -0,0 +1,106 @@
+const inviteLinkService = require("../services/inviteLinkService");
+const capacityService = require("../services/capacityService");
+const { validationResult } = require("express-validator");
+
+// @desc    Criar link de convite para clã, federação ou canal
+// @route   POST /api/invites/links
+// @access  Private (quem gerencia membros do alvo ou ADM)
+exports.createInviteLink = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { type, targetId, maxUses, expiresInHours, requiresApproval } = req.body;
+
+    const { link, error } = await inviteLinkService.create({
+      user: req.user,
+      type,
+      targetId,
+      maxUses: maxUses ? Number(maxUses) : null,
+      expiresAt: expiresInHours ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000) : null,
+      requiresApproval: requiresApproval === true || requiresApproval === "true"
+    });
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg, code: error.code });
+    }
+
+    res.status(201).json({ success: true, msg: "Link de convite criado com sucesso!", link });
+  } catch (error) {
+    console.error("Erro ao criar link de convite:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @desc    Pré-visualizar link de convite (alvo, capacidade e validade)
+// @route   GET /api/invites/links/:code
+// @access  Private
+exports.previewInviteLink = async (req, res) => {
+  try {
+    const preview = await inviteLinkService.preview(req.params.code, req.user);
+    if (!preview) {
+      return res.status(404).json({ msg: "Link de convite não encontrado." });
+    }
+
+    res.json({ success: true, invite: preview });
+  } catch (error) {
+    console.error("Erro ao pré-visualizar link de convite:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @desc    Usar link de convite (entra direto ou gera solicitação de entrada)
+// @route   POST /api/invites/links/:code/redeem
+// @access  Private
+exports.redeemInviteLink = async (req, res) => {
+  try {
+    const result = await inviteLinkService.redeem(req.params.code, req.user, { answers: req.body.answers });
+    if (result.error) {
+      if (result.error.ban) {
+        return res.status(result.error.status).json(result.error.ban);
+      }
+      if (result.error.capacity) {
+        return res.status(result.error.status).json(capacityService.toResponse(result.error));
+      }
+      return res.status(result.error.status).json({ msg: result.error.msg });
+    }
+
+    if (result.status === "pending") {
+      return res.status(202).json({
+        success: true,
+        status: "pending",
+        msg: "Solicitação de entrada enviada. Aguarde a aprovação.",
+        joinRequest: result.joinRequest
+      });
+    }
+
+    res.json({
+      success: true,
+      status: "joined",
+      msg: "Convite aceito com sucesso!",
+      type: result.type,
+      target: { _id: result.target._id, name: result.target.name }
+    });
+  } catch (error) {
+    console.error("Erro ao usar link de convite:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @desc    Revogar link de convite
+// @route   DELETE /api/invites/links/:code
+// @access  Private (criador do link, quem gerencia membros do alvo ou ADM)
+exports.revokeInviteLink = async (req, res) => {
+  try {
+    const { error } = await inviteLinkService.revoke(req.params.code, req.user);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+
+    res.json({ success: true, msg: "Link de convite revogado com sucesso!" });
+  } catch (error) {
+    console.error("Erro ao revogar link de convite:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
@@ -3,12 +3,92 @@ const User = require("../models/User");
 const Clan = require("../models/Clan");
 const Federation = require("../models/Federation");
 const Notification = require("../models/Notification");
+const banService = require("../services/banService");
+const requestExpiryService = require("../services/requestExpiryService");
+const applicationFormService = require("../services/applicationFormService");
+const joinRuleService = require("../services/joinRuleService");
+const capacityService = require("../services/capacityService");
+const membershipService = require("../services/membershipService");
+const federationProposalService = require("../services/federationProposalService");
+const permissionService = require("../services/permissionService");
+const AutoNotificationService = require("../services/autoNotificationService");
+const uploadService = require("../services/uploadService");
+const { isClanManagerRole } = require("../utils/clanRoles");
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Adiciona o solicitante aceito ao clã como membro, respeitando o limite de membros
+ * @returns {Promise<object|null>} Erro (capacidade ou já tem clã) ou null
+ */
+const addRequesterToClan = async (clan, requester) => {
+  const { error } = await membershipService.joinClan(clan, requester._id);
+  return error || null;
+};
+
+/**
+ * Aceita a candidatura de um clã: o clã e todos os seus membros entram na federação
+ */
+const acceptClanApplication = async (req, res, joinRequest) => {
+  const federation = await Federation.findById(joinRequest.target);
+  if (!federation) return res.status(404).json({ msg: "Federação não encontrada." });
+  if (!applicationFormService.canReviewClanApplication(req.user, federation)) {
+    return res.status(403).json({ msg: "Apenas o líder e os sub-líderes da federação podem aceitar candidaturas de clãs." });
+  }
+  // Com o conselho ativo, a entrada do clã passa por uma proposta add_clan (que aceita a candidatura ao ser executada)
+  if (federationProposalService.requiresCouncil(federation, req.user)) {
+    const { status, msg, code } = federationProposalService.councilRequiredError();
+    return res.status(status).json({ msg, code });
+  }
+
+  const clan = await Clan.findById(joinRequest.applicantClan);
+  if (!clan) return res.status(404).json({ msg: "Clã não encontrado." });
+
+  const { error } = await membershipService.admitClanToFederation(federation, clan);
+  if (error) {
+    return res.status(error.status).json(capacityService.toResponse(error));
+  }
+
+  await AutoNotificationService.notifyUsers(clan.members, "Clã aceito na federação",
+    `O clã ${clan.name} agora faz parte da federação ${federation.name}!`,
+    { type: "clan_application_accepted", clanId: clan._id.toString(), federationId: federation._id.toString() });
+
+  res.json({
+    success: true,
+    msg: `Clã ${clan.name} aceito na federação ${federation.name}!`,
+    voteSummary: applicationFormService.tallyVotes(joinRequest)
+  });
+};
+
+/**
+ * Rejeita a candidatura de um clã à federação
+ */
+const rejectClanApplication = async (req, res, joinRequest) => {
+  const federation = await Federation.findById(joinRequest.target);
+  if (!applicationFormService.canReviewClanApplication(req.user, federation)) {
+    return res.status(403).json({ msg: "Apenas o líder e os sub-líderes da federação podem rejeitar candidaturas de clãs." });
+  }
+
+  joinRequest.status = "rejected";
+  joinRequest.respondedAt = Date.now();
+  await joinRequest.save();
+
+  await AutoNotificationService.notifyUsers([joinRequest.requester], "Candidatura rejeitada",
+    `A candidatura do seu clã à federação ${federation ? federation.name : ""} foi rejeitada.`,
+    { type: "clan_application_rejected", clanId: joinRequest.applicantClan.toString(), federationId: joinRequest.target.toString() });
+
+  res.json({
+    success: true,
+    msg: "Candidatura rejeitada com sucesso!",
+    voteSummary: applicationFormService.tallyVotes(joinRequest)
+  });
+};
 
 // @desc    Create a new join request
 // @route   POST /api/join-requests
 // @access  Private (User)
 exports.createJoinRequest = async (req, res) => {
-  const { type, targetId } = req.body;
+  const { type, targetId, answers } = req.body;
   const requesterId = req.user.id;
 
   try {
@@ -41,11 +121,18 @@ exports.createJoinRequest = async (req, res) => {
       return res.status(400).json({ msg: "Tipo de solicitação inválido." });
     }
 
+    // Usuários banidos do clã/federação não podem solicitar entrada
+    const ban = await banService.findActiveBan(requesterId, [{ targetType: type, targetId }]);
+    if (ban) {
+      return res.status(403).json(banService.toResponse(ban));
+    }
+
     // 2. Verificar se já existe uma solicitação pendente
     const existingRequest = await JoinRequest.findOne({
       requester: requesterId,
       type,
       target: targetId,
+      applicantClan: null,
       status: "pending",
     });
 
@@ -53,16 +140,53 @@ exports.createJoinRequest = async (req, res) => {
       return res.status(400).json({ msg: "Você já tem uma solicitação pendente para este clã/federação." });
     }
 
-    // 3. Criar a solicitação
+    // 3. Conferir as respostas do formulário de candidatura do clã
+    let applicationAnswers = [];
+    if (type === "clan") {
+      const { answers: validAnswers, error } = applicationFormService.validateAnswers(targetEntity, answers);
+      if (error) {
+        return res.status(400).json({ msg: error, applicationForm: targetEntity.applicationForm });
+      }
+      applicationAnswers = validAnswers;
+    }
+
+    // 4. Criar a solicitação
     const joinRequest = new JoinRequest({
       type,
       target: targetId,
       requester: requesterId,
+      answers: applicationAnswers,
     });
 
-    await joinRequest.save();
+    // 5. Regras automáticas do clã: a primeira que casar aprova ou rejeita na hora
+    let rule = type === "clan" ? await joinRuleService.evaluate(targetEntity, requester) : null;
+    if (rule && rule.action === "approve" && (await addRequesterToClan(targetEntity, requester))) {
+      // Clã cheio: a solicitação fica pendente para revisão manual
+      rule = null;
+    }
+    if (rule) {
+      await joinRuleService.recordDecision(joinRequest, targetEntity, rule, requester);
+
+      return res.status(201).json({
+        success: true,
+        msg: rule.action === "approve"
+          ? `Solicitação aprovada automaticamente. Bem-vindo ao clã ${targetEntity.name}!`
+          : "Solicitação rejeitada automaticamente pelas regras do clã.",
+        data: applicationFormService.toRequesterView(joinRequest)
+      });
+    }
 
-    // 4. Notificar o líder/administrador (TODO: Integrar com o sistema de notificações)
+    try {
+      await joinRequest.save();
+    } catch (error) {
+      // Índice único de pendências: outra requisição simultânea já criou a solicitação
+      if (error.code === 11000) {
+        return res.status(400).json({ msg: "Você já tem uma solicitação pendente para este clã/federação." });
+      }
+      throw error;
+    }
+
+    // 6. Notificar o líder/administrador (TODO: Integrar com o sistema de notificações)
     // if (type === "clan") {
     //   const leader = await User.findById(targetEntity.leader);
     //   if (leader) {
@@ -91,15 +215,144 @@ exports.getMyJoinRequests = async (req, res) => {
   try {
     const requests = await JoinRequest.find({ requester: req.user.id })
       .populate("target", "name tag")
+      .populate("applicantClan", "name tag")
       .lean();
 
-    res.json({ success: true, count: requests.length, data: requests });
+    // Notas internas e votos dos líderes não são exibidos ao solicitante
+    const data = requests.map(request => applicationFormService.toRequesterView(request));
+    res.json({ success: true, count: data.length, data });
   } catch (error) {
     console.error("Erro ao obter minhas solicitações de entrada:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
   }
 };
 
+// @desc    Apply on behalf of a clan to join a federation
+// @route   POST /api/join-requests/clan-applications
+// @access  Private (Clan leader or ADM)
+exports.createClanApplication = async (req, res) => {
+  const { federationId } = req.body;
+  const clanId = req.body.clanId || (req.user.clan ? req.user.clan.toString() : null);
+  const message = String(req.body.message || "").trim();
+
+  try {
+    if (!clanId || !federationId) {
+      return res.status(400).json({ msg: "clanId e federationId são obrigatórios." });
+    }
+    if (message.length > 1000) {
+      return res.status(400).json({ msg: "A apresentação não pode ter mais de 1000 caracteres." });
+    }
+
+    const clan = await Clan.findById(clanId);
+    if (!clan) return res.status(404).json({ msg: "Clã não encontrado." });
+    if (!sameId(clan.leader, req.user._id) && !permissionService.isAdmin(req.user)) {
+      return res.status(403).json({ msg: "Apenas o líder do clã pode candidatar o clã a uma federação." });
+    }
+    if (clan.federation) {
+      return res.status(400).json({
+        msg: sameId(clan.federation, federationId)
+          ? "Este clã já pertence a esta federação."
+          : "Este clã já pertence a outra federação. Saia da federação atual para se candidatar."
+      });
+    }
+
+    const federation = await Federation.findById(federationId);
+    if (!federation) return res.status(404).json({ msg: "Federação não encontrada." });
+
+    // Líder banido da federação não candidata o clã
+    if (clan.leader && await banService.isBanned(clan.leader, "federation", federation._id)) {
+      return res.status(403).json({ msg: "O líder do clã está banido desta federação.", code: "SCOPE_BANNED" });
+    }
+
+    const capacityError = await capacityService.checkFederation(federation);
+    if (capacityError) {
+      return res.status(capacityError.status).json(capacityService.toResponse(capacityError));
+    }
+
+    const existing = await JoinRequest.exists({ applicantClan: clan._id, type: "federation", target: federation._id, status: "pending" });
+    if (existing) {
+      return res.status(400).json({ msg: "Este clã já tem uma candidatura pendente para esta federação." });
+    }
+
+    let application;
+    try {
+      application = await JoinRequest.create({
+        type: "federation",
+        target: federation._id,
+        requester: req.user._id,
+        applicantClan: clan._id,
+        message
+      });
+    } catch (error) {
+      // Índices únicos de pendências: candidatura simultânea ou solicitação pessoal pendente para a mesma federação
+      if (error.code === 11000) {
+        return res.status(400).json({ msg: "Já existe uma solicitação pendente para esta federação." });
+      }
+      throw error;
+    }
+
+    const reviewers = [federation.leader, ...(federation.subLeaders || [])];
+    await AutoNotificationService.notifyUsers(reviewers, "Candidatura de clã",
+      `O clã ${clan.name} [${clan.tag}] quer entrar na federação ${federation.name}.`,
+      { type: "clan_application", requestId: application._id.toString(), clanId: clan._id.toString(), federationId: federation._id.toString() });
+
+    res.status(201).json({ success: true, msg: "Candidatura do clã enviada com sucesso!", data: applicationFormService.toRequesterView(application) });
+  } catch (error) {
+    console.error("Erro ao criar candidatura de clã:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @desc    List clan applications: for a federation (reviewers) or sent by the clans the user leads
+// @route   GET /api/join-requests/clan-applications
+// @access  Private
+exports.getClanApplications = async (req, res) => {
+  const { federationId, status } = req.query;
+
+  try {
+    const filter = { type: "federation", applicantClan: { $ne: null } };
+    let reviewer = false;
+
+    if (federationId) {
+      const federation = await Federation.findById(federationId);
+      if (!federation) return res.status(404).json({ msg: "Federação não encontrada." });
+      if (!applicationFormService.canReviewClanApplication(req.user, federation)) {
+        return res.status(403).json({ msg: "Você não tem permissão para ver as candidaturas desta federação." });
+      }
+      filter.target = federation._id;
+      filter.status = status || "pending";
+      reviewer = true;
+    } else {
+      const clans = await Clan.find({ leader: req.user._id }).select("_id").lean();
+      filter.applicantClan = { $in: clans.map(c => c._id) };
+      if (status) filter.status = status;
+    }
+
+    let query = JoinRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("applicantClan", "name tag flag members")
+      .populate("requester", "username avatar")
+      .populate("target", "name tag");
+    if (reviewer) query = query.populate("notes.author", "username");
+    const requests = await query.lean();
+
+    const data = requests.map(request => {
+      const view = reviewer
+        ? { ...request, voteSummary: applicationFormService.tallyVotes(request) }
+        : applicationFormService.toRequesterView(request);
+      if (view.applicantClan) {
+        view.applicantClan = { ...view.applicantClan, memberCount: (view.applicantClan.members || []).length };
+        delete view.applicantClan.members;
+      }
+      return view;
+    });
+    res.json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error("Erro ao listar candidaturas de clãs:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
 // @desc    Get join requests for a specific clan/federation (for leaders/admins)
 // @route   GET /api/join-requests/target/:targetId
 // @access  Private (Leader, Sub-leader, or ADM)
@@ -118,7 +371,7 @@ exports.getJoinRequestsForTarget = async (req, res) => {
     if (user.clan && user.clan.toString() === targetId) {
       targetEntity = await Clan.findById(targetId);
       if (!targetEntity) return res.status(404).json({ msg: "Clã não encontrado." });
-      if (user.clanRole !== "Leader" && user.clanRole !== "SubLeader" && user.role !== "ADM") {
+      if (!isClanManagerRole(user.clanRole) && user.role !== "ADM") {
         return res.status(403).json({ msg: "Você não tem permissão para ver as solicitações deste clã." });
       }
       query.type = "clan";
@@ -138,15 +391,161 @@ exports.getJoinRequestsForTarget = async (req, res) => {
 
     const requests = await JoinRequest.find(query)
       .populate("requester", "username avatar")
+      .populate("notes.author", "username")
       .lean();
 
-    res.json({ success: true, count: requests.length, data: requests });
+    const data = requests.map(request => ({ ...request, voteSummary: applicationFormService.tallyVotes(request) }));
+    res.json({ success: true, count: data.length, data });
   } catch (error) {
     console.error("Erro ao obter solicitações de entrada para o alvo:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
   }
 };
 
+// @desc    Get a join request with its application answers (notes and votes only for reviewers)
+// @route   GET /api/join-requests/:id
+// @access  Private (Requester, Leader, Sub-leader, or ADM)
+exports.getJoinRequest = async (req, res) => {
+  try {
+    const joinRequest = await JoinRequest.findById(req.params.id)
+      .populate("requester", "username avatar")
+      .populate("notes.author", "username")
+      .populate("votes.user", "username");
+    if (!joinRequest) {
+      return res.status(404).json({ msg: "Solicitação não encontrada." });
+    }
+
+    if (await applicationFormService.canReview(req.user, joinRequest)) {
+      return res.json({
+        success: true,
+        data: { ...joinRequest.toObject(), voteSummary: applicationFormService.tallyVotes(joinRequest) }
+      });
+    }
+
+    if (joinRequest.requester._id.toString() === req.user._id.toString()) {
+      return res.json({ success: true, data: applicationFormService.toRequesterView(joinRequest) });
+    }
+
+    res.status(403).json({ msg: "Você não tem permissão para ver esta solicitação." });
+  } catch (error) {
+    console.error("Erro ao obter solicitação de entrada:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @desc    Add an internal note to a pending join request
+// @route   POST /api/join-requests/:id/notes
+// @access  Private (Leader, Sub-leader, or ADM)
+exports.addJoinRequestNote = async (req, res) => {
+  const text = String(req.body.text || "").trim();
+  if (!text) {
+    return res.status(400).json({ msg: "O texto da nota é obrigatório." });
+  }
+
+  try {
+    const joinRequest = await JoinRequest.findOne({ _id: req.params.id, status: "pending" });
+    if (!joinRequest) {
+      return res.status(404).json({ msg: "Solicitação não encontrada ou já respondida." });
+    }
+    if (!(await applicationFormService.canReview(req.user, joinRequest))) {
+      return res.status(403).json({ msg: "Você não tem permissão para avaliar esta solicitação." });
+    }
+
+    joinRequest.notes.push({ author: req.user._id, text });
+    await joinRequest.save();
+
+    res.status(201).json({ success: true, msg: "Nota adicionada.", notes: joinRequest.notes });
+  } catch (error) {
+    console.error("Erro ao adicionar nota à solicitação de entrada:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @desc    Vote to approve or reject a pending join request (one vote per reviewer, can be changed)
+// @route   PUT /api/join-requests/:id/vote
+// @access  Private (Leader, Sub-leader, or ADM)
+exports.voteJoinRequest = async (req, res) => {
+  const { vote } = req.body;
+  if (!["approve", "reject"].includes(vote)) {
+    return res.status(400).json({ msg: "O voto deve ser approve ou reject." });
+  }
+
+  try {
+    const joinRequest = await JoinRequest.findOne({ _id: req.params.id, status: "pending" });
+    if (!joinRequest) {
+      return res.status(404).json({ msg: "Solicitação não encontrada ou já respondida." });
+    }
+    if (!(await applicationFormService.canReview(req.user, joinRequest))) {
+      return res.status(403).json({ msg: "Você não tem permissão para avaliar esta solicitação." });
+    }
+
+    const voteSummary = await applicationFormService.castVote(joinRequest, req.user, vote);
+    res.json({ success: true, msg: "Voto registrado.", voteSummary });
+  } catch (error) {
+    console.error("Erro ao votar na solicitação de entrada:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @desc    Upload a screenshot to answer an application form question
+// @route   POST /api/join-requests/screenshots
+// @access  Private
+exports.uploadApplicationScreenshot = [
+  // Resolvido a cada requisição: o storage (Cloudinary ou local) só é definido na inicialização do servidor
+  (req, res, next) => uploadService.single("screenshot")(req, res, next),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ msg: "Envie a imagem no campo \"screenshot\"." });
+      }
+      if (!req.file.mimetype.startsWith("image/")) {
+        return res.status(400).json({ msg: "O screenshot deve ser uma imagem." });
+      }
+
+      const result = uploadService.processUploadResult(req.file, req);
+      const url = result && (result.cloudinary ? result.cloudinary.secureUrl : result.local.url);
+      if (!url) {
+        return res.status(500).json({ msg: "Erro ao processar o upload." });
+      }
+
+      res.status(201).json({ success: true, url });
+    } catch (error) {
+      console.error("Erro ao enviar screenshot da candidatura:", error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  }
+];
+
+// @desc    Summary of stale pending join requests for the clans/federations the user manages
+// @route   GET /api/join-requests/stale
+// @access  Private (Leader, Sub-leader, or ADM)
+exports.getStaleJoinRequests = async (req, res) => {
+  try {
+    const user = req.user;
+    let filter = {};
+
+    if (user.role !== "ADM") {
+      const managed = { $or: [{ leader: user._id }, { subLeaders: user._id }] };
+      const [clans, federations] = await Promise.all([
+        Clan.find(managed).select("_id").lean(),
+        Federation.find(managed).select("_id").lean()
+      ]);
+      filter = {
+        $or: [
+          { type: "clan", target: { $in: clans.map(c => c._id) } },
+          { type: "federation", target: { $in: federations.map(f => f._id) } }
+        ]
+      };
+    }
+
+    const summary = await requestExpiryService.getStaleSummary(filter);
+    res.json({ success: true, count: summary.length, data: summary });
+  } catch (error) {
+    console.error("Erro ao obter resumo de solicitações paradas:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
 // @desc    Accept a join request
 // @route   PUT /api/join-requests/:id/accept
 // @access  Private (Leader, Sub-leader, or ADM)
@@ -159,28 +558,30 @@ exports.acceptJoinRequest = async (req, res) => {
     if (!joinRequest) {
       return res.status(404).json({ msg: "Solicitação não encontrada ou já respondida." });
     }
+    if (joinRequest.applicantClan) {
+      return acceptClanApplication(req, res, joinRequest);
+    }
 
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ msg: "Usuário não encontrado." });
 
-    // Verificar permissões para aceitar
-    if (joinRequest.type === "clan") {
-      if (user.clan.toString() !== joinRequest.target.toString() || (user.clanRole !== "Leader" && user.clanRole !== "SubLeader" && user.role !== "ADM")) {
-        return res.status(403).json({ msg: "Você não tem permissão para aceitar esta solicitação de clã." });
-      }
-    } else if (joinRequest.type === "federation") {
-      if (user.federation.toString() !== joinRequest.target.toString() || (user.federationRole !== "leader" && user.role !== "ADM")) {
-        return res.status(403).json({ msg: "Você não tem permissão para aceitar esta solicitação de federação." });
-      }
-    } else {
+    // Verificar permissões para aceitar (as mesmas de quem revisa e vota na solicitação)
+    if (!["clan", "federation"].includes(joinRequest.type)) {
       return res.status(400).json({ msg: "Tipo de solicitação inválido." });
     }
+    if (!(await applicationFormService.canReview(user, joinRequest))) {
+      return res.status(403).json({ msg: `Você não tem permissão para aceitar esta solicitação de ${joinRequest.type === "clan" ? "clã" : "federação"}.` });
+    }
 
     const requester = await User.findById(joinRequest.requester);
     if (!requester) {
       return res.status(404).json({ msg: "Solicitante não encontrado." });
     }
 
+    if (await banService.isBanned(requester._id, joinRequest.type, joinRequest.target)) {
+      return res.status(403).json({ msg: `O solicitante está banido deste ${joinRequest.type === "clan" ? "clã" : "federação"}.`, code: "SCOPE_BANNED" });
+    }
+
     if (joinRequest.type === "clan") {
       if (requester.clan) {
         return res.status(400).json({ msg: "O solicitante já pertence a um clã." });
@@ -188,12 +589,10 @@ exports.acceptJoinRequest = async (req, res) => {
       const clan = await Clan.findById(joinRequest.target);
       if (!clan) return res.status(404).json({ msg: "Clã não encontrado." });
 
-      clan.members.push(requester._id);
-      await clan.save();
-
-      requester.clan = clan._id;
-      requester.clanRole = "member";
-      await requester.save();
+      const capacityError = await addRequesterToClan(clan, requester);
+      if (capacityError) {
+        return res.status(capacityError.status).json(capacityService.toResponse(capacityError));
+      }
 
     } else if (joinRequest.type === "federation") {
       if (requester.federation) {
@@ -202,12 +601,10 @@ exports.acceptJoinRequest = async (req, res) => {
       const federation = await Federation.findById(joinRequest.target);
       if (!federation) return res.status(404).json({ msg: "Federação não encontrada." });
 
-      federation.members.push(requester._id);
-      await federation.save();
-
-      requester.federation = federation._id;
-      requester.federationRole = "member";
-      await requester.save();
+      const { error } = await membershipService.joinFederation(federation._id, requester._id);
+      if (error) {
+        return res.status(error.status).json({ msg: error.msg });
+      }
     }
 
     joinRequest.status = "accepted";
@@ -222,7 +619,11 @@ exports.acceptJoinRequest = async (req, res) => {
     //   payload: { requestId: joinRequest._id }
     // });
 
-    res.json({ success: true, msg: `Solicitação para ${joinRequest.type} aceita com sucesso!` });
+    res.json({
+      success: true,
+      msg: `Solicitação para ${joinRequest.type} aceita com sucesso!`,
+      voteSummary: applicationFormService.tallyVotes(joinRequest)
+    });
   } catch (error) {
     console.error("Erro ao aceitar solicitação de entrada:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
@@ -241,22 +642,20 @@ exports.rejectJoinRequest = async (req, res) => {
     if (!joinRequest) {
       return res.status(404).json({ msg: "Solicitação não encontrada ou já respondida." });
     }
+    if (joinRequest.applicantClan) {
+      return rejectClanApplication(req, res, joinRequest);
+    }
 
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ msg: "Usuário não encontrado." });
 
-    // Verificar permissões para rejeitar
-    if (joinRequest.type === "clan") {
-      if (user.clan.toString() !== joinRequest.target.toString() || (user.clanRole !== "Leader" && user.clanRole !== "SubLeader" && user.role !== "ADM")) {
-        return res.status(403).json({ msg: "Você não tem permissão para rejeitar esta solicitação de clã." });
-      }
-    } else if (joinRequest.type === "federation") {
-      if (user.federation.toString() !== joinRequest.target.toString() || (user.federationRole !== "leader" && user.role !== "ADM")) {
-        return res.status(403).json({ msg: "Você não tem permissão para rejeitar esta solicitação de federação." });
-      }
-    } else {
+    // Verificar permissões para rejeitar (as mesmas de quem revisa e vota na solicitação)
+    if (!["clan", "federation"].includes(joinRequest.type)) {
       return res.status(400).json({ msg: "Tipo de solicitação inválido." });
     }
+    if (!(await applicationFormService.canReview(user, joinRequest))) {
+      return res.status(403).json({ msg: `Você não tem permissão para rejeitar esta solicitação de ${joinRequest.type === "clan" ? "clã" : "federação"}.` });
+    }
 
     joinRequest.status = "rejected";
     joinRequest.respondedAt = Date.now();
@@ -270,7 +669,11 @@ exports.rejectJoinRequest = async (req, res) => {
     //   payload: { requestId: joinRequest._id }
     // });
 
-    res.json({ success: true, msg: "Solicitação rejeitada com sucesso!" });
+    res.json({
+      success: true,
+      msg: "Solicitação rejeitada com sucesso!",
+      voteSummary: applicationFormService.tallyVotes(joinRequest)
+    });
   } catch (error) {
     console.error("Erro ao rejeitar solicitação de entrada:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
@@ -2,6 +2,7 @@ const QRR = require("../models/QRR");
 const User = require("../models/User");
 const Clan = require("../models/Clan");
 const AutoNotificationService = require("../services/autoNotificationService");
+const banService = require("../services/banService");
 const { authorizeQRRManager, authorizeQRRCreatorOrAdmin, authorizeClanLeaderOrAdmin } = require("../middleware/qrrAuthMiddleware");
 
 /**
@@ -529,6 +530,11 @@ exports.joinQRR = async (req, res) => {
       return res.status(400).json({ msg: "Você já está participando deste QRR." });
     }
 
+    const ban = await banService.findActiveBan(req.user.id, [{ targetType: "clan", targetId: qrr.clan }]);
+    if (ban) {
+      return res.status(403).json(banService.toResponse(ban));
+    }
+
     if (qrr.maxParticipants && qrr.participants.length >= qrr.maxParticipants) {
       return res.status(400).json({ msg: "Este QRR já atingiu o número máximo de participantes." });
     }
@@ -0,0 +1,117 @@
+const successionService = require("../services/successionService");
+const cacheService = require("../services/cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+
+/**
+ * Handlers comuns a clãs e federações; `req.clan`/`req.federation` vêm do requirePermission
+ */
+const getTarget = (req, type) => (type === "clan" ? req.clan : req.federation);
+
+const getSuccession = (type) => async (req, res) => {
+  try {
+    const target = getTarget(req, type);
+    const succession = await successionService.getCurrent(type, target._id);
+    res.json({
+      success: true,
+      successionRule: target.successionRule,
+      rules: successionService.RULES,
+      succession
+    });
+  } catch (error) {
+    console.error("Erro ao obter sucessão de liderança:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+const updateSuccessionRule = (type) => async (req, res) => {
+  try {
+    const target = getTarget(req, type);
+    const { rule } = req.body;
+
+    if (!Object.keys(successionService.RULES).includes(rule)) {
+      return res.status(400).json({ msg: `Regra inválida. Use: ${Object.keys(successionService.RULES).join(", ")}.` });
+    }
+
+    target.successionRule = rule;
+    await target.save();
+
+    // Invalidar cache
+    await cacheService.del(type === "clan" ? CacheKeys.clan(target._id) : CacheKeys.federation(target._id));
+
+    res.json({ success: true, msg: "Regra de sucessão atualizada com sucesso!", successionRule: target.successionRule });
+  } catch (error) {
+    console.error("Erro ao atualizar regra de sucessão:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+const objectSuccession = (type) => async (req, res) => {
+  try {
+    const { succession, error } = await successionService.object(type, getTarget(req, type), req.user, req.body.reason);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.json({ success: true, msg: "Objeção registrada. A sucessão foi interrompida.", succession });
+  } catch (error) {
+    console.error("Erro ao registrar objeção à sucessão:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+const voteSuccession = (type) => async (req, res) => {
+  try {
+    const { candidateId } = req.body;
+    if (!candidateId) {
+      return res.status(400).json({ msg: "candidateId é obrigatório." });
+    }
+
+    const { succession, error } = await successionService.vote(type, getTarget(req, type), req.user, candidateId);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+    res.json({ success: true, msg: "Voto registrado.", votes: succession.votes.length });
+  } catch (error) {
+    console.error("Erro ao registrar voto na sucessão:", error);
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+};
+
+// @desc    Sucessão de liderança em andamento (ou a última) do clã
+// @route   GET /api/clans/:id/succession
+// @access  Private (membros do clã ou ADM)
+exports.getClanSuccession = getSuccession("clan");
+
+// @desc    Definir a regra de sucessão do clã
+// @route   PUT /api/clans/:id/succession-rule
+// @access  Private (Líder do Clã ou ADM)
+exports.updateClanSuccessionRule = updateSuccessionRule("clan");
+
+// @desc    Se opor à sucessão de liderança do clã
+// @route   POST /api/clans/:id/succession/object
+// @access  Private (líder, sub-líderes ou ADM)
+exports.objectClanSuccession = objectSuccession("clan");
+
+// @desc    Votar no sucessor do clã
+// @route   POST /api/clans/:id/succession/vote
+// @access  Private (membros do clã)
+exports.voteClanSuccession = voteSuccession("clan");
+
+// @desc    Sucessão de liderança em andamento (ou a última) da federação
+// @route   GET /api/federations/:id/succession
+// @access  Private (membros da federação ou ADM)
+exports.getFederationSuccession = getSuccession("federation");
+
+// @desc    Definir a regra de sucessão da federação
+// @route   PUT /api/federations/:id/succession-rule
+// @access  Private (Líder da Federação ou ADM)
+exports.updateFederationSuccessionRule = updateSuccessionRule("federation");
+
+// @desc    Se opor à sucessão de liderança da federação
+// @route   POST /api/federations/:id/succession/object
+// @access  Private (líder, sub-líderes, líderes de clãs ou ADM)
+exports.objectFederationSuccession = objectSuccession("federation");
+
+// @desc    Votar no sucessor da federação
+// @route   POST /api/federations/:id/succession/vote
+// @access  Private (sub-líderes e líderes de clãs da federação)
+exports.voteFederationSuccession = voteSuccession("federation");
@@ -5,6 +5,7 @@ const User = require('../models/User');
 const Clan = require('../models/Clan');
 const Federation = require('../models/Federation');
 const cloudinaryConfig = require('../config/cloudinary');
+const { isClanLeaderRole } = require('../utils/clanRoles');
 
 // Configuração do multer para upload local temporário
 const storage = multer.diskStorage({
@@ -264,7 +265,7 @@ exports.uploadClanFlag = [
                 return res.status(404).json({ error: 'Clã não encontrado.' });
             }
 
-            if (user.role !== 'ADM' && (user.clanRole !== 'leader' || user.clan._id.toString() !== clanId)) {
+            if (user.role !== 'ADM' && (!isClanLeaderRole(user.clanRole) || user.clan._id.toString() !== clanId)) {
                 if (req.file) fs.unlinkSync(req.file.path);
                 return res.status(403).json({
                     error: 'Apenas líderes do clã podem alterar a bandeira.'
@@ -393,7 +394,7 @@ exports.updateFederationTag = async (req, res) => {
 
         if (user.role === 'ADM') {
             hasPermission = true;
-        } else if (user.clan && user.clanRole === 'leader') {
+        } else if (user.clan && isClanLeaderRole(user.clanRole)) {
             const clan = await Clan.findById(user.clan._id);
             if (clan && clan.federation.toString() === federationId) {
                 hasPermission = true;
@@ -2,6 +2,8 @@ const User = require("../models/User");
 const Clan = require("../models/Clan");
 const Federation = require("../models/Federation");
 const cacheService = require("../services/cacheService");
+const accountDataService = require("../services/accountDataService");
+const usernameService = require("../services/usernameService");
 const logger = require("../utils/logger");
 
 /**
@@ -139,20 +141,15 @@ const updateProfile = async (req, res) => {
     const { username, avatar, status } = req.body;
     const userId = req.user.id;
 
-    // Verificar se username já existe (se fornecido)
-    if (username) {
-      const existingUser = await User.findOne({ 
-        username, 
-        _id: { $ne: userId } 
-      });
-      
-      if (existingUser) {
-        return res.status(400).json({ message: "Nome de usuário já está em uso" });
+    // Troca de nome segue as regras de cooldown, histórico e reserva
+    if (username && username !== req.user.username) {
+      const { error } = await usernameService.rename(req.user, username, { changedBy: req.user._id });
+      if (error) {
+        return res.status(error.status).json({ message: error.msg, code: error.code, nextChangeAt: error.nextChangeAt });
       }
     }
 
     const updateData = {};
-    if (username) updateData.username = username;
     if (avatar) updateData.avatar = avatar;
     if (status) updateData.status = status;
     
@@ -252,13 +249,150 @@ const getUserStats = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Trocar o próprio nome de usuário
+ * @route   PUT /api/users/me/username
+ * @access  Private
+ */
+const changeMyUsername = async (req, res) => {
+  try {
+    const { user, error } = await usernameService.rename(req.user, req.body.username, { changedBy: req.user._id });
+    if (error) {
+      return res.status(error.status).json({ message: error.msg, code: error.code, nextChangeAt: error.nextChangeAt });
+    }
+
+    res.json({
+      success: true,
+      message: "Nome de usuário alterado com sucesso.",
+      username: user.username,
+      nextChangeAt: new Date(user.usernameChangedAt.getTime() + usernameService.cooldownDays * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    logger.error("Erro ao trocar nome de usuário:", error);
+    res.status(500).json({ message: "Erro interno do servidor" });
+  }
+};
+
+/**
+ * @desc    Buscar usuário pelo nome atual ou por um nome anterior
+ * @route   GET /api/users/by-username/:username
+ * @access  Private
+ */
+const getUserByUsername = async (req, res) => {
+  try {
+    const user = await usernameService.findByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ message: "Usuário não encontrado" });
+    }
+
+    res.json({
+      _id: user._id,
+      username: user.username,
+      avatar: user.avatar,
+      clan: user.clan,
+      federation: user.federation,
+      previousUsername: user.username !== req.params.username ? req.params.username : null
+    });
+  } catch (error) {
+    logger.error("Erro ao buscar usuário por nome:", error);
+    res.status(500).json({ message: "Erro interno do servidor" });
+  }
+};
+
+/**
+ * @desc    Exportar os dados da própria conta (JSON ou ZIP)
+ * @route   GET /api/users/me/export?format=json|zip
+ * @access  Private
+ */
+const exportMyData = async (req, res) => {
+  try {
+    const format = req.query.format === "zip" ? "zip" : "json";
+    const data = await accountDataService.collectExport(req.user._id);
+    if (!data) {
+      return res.status(404).json({ message: "Usuário não encontrado" });
+    }
+
+    const filename = `export-${req.user.username}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === "zip") {
+      return accountDataService.streamZip(res, data, filename);
+    }
+
+    res.attachment(`${filename}.json`);
+    res.json(data);
+  } catch (error) {
+    logger.error("Erro ao exportar dados do usuário:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Erro interno do servidor" });
+    }
+  }
+};
+
+/**
+ * @desc    Solicitar a exclusão da própria conta (efetivada após o período de carência)
+ * @route   DELETE /api/users/me
+ * @access  Private
+ */
+const deleteMyAccount = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (!password) {
+      return res.status(400).json({ message: "Confirme a exclusão informando sua senha." });
+    }
+    if (req.user.role === "ADM") {
+      return res.status(400).json({ message: "Administradores não podem excluir a própria conta." });
+    }
+    if (req.user.deletionScheduledFor) {
+      return res.status(400).json({
+        message: "A exclusão da conta já está agendada.",
+        deletionScheduledFor: req.user.deletionScheduledFor
+      });
+    }
+    if (!(await req.user.comparePassword(password))) {
+      return res.status(400).json({ message: "Senha incorreta" });
+    }
+
+    const deletionScheduledFor = await accountDataService.requestDeletion(req.user);
+    res.json({
+      success: true,
+      message: `Sua conta será excluída em ${accountDataService.deletionGraceDays} dia(s). Até lá você pode cancelar a exclusão.`,
+      deletionScheduledFor
+    });
+  } catch (error) {
+    logger.error("Erro ao solicitar exclusão de conta:", error);
+    res.status(500).json({ message: "Erro interno do servidor" });
+  }
+};
+
+/**
+ * @desc    Cancelar a exclusão agendada da própria conta
+ * @route   POST /api/users/me/cancel-deletion
+ * @access  Private
+ */
+const cancelMyAccountDeletion = async (req, res) => {
+  try {
+    const { error } = await accountDataService.cancelDeletion(req.user);
+    if (error) {
+      return res.status(error.status).json({ message: error.msg });
+    }
+    res.json({ success: true, message: "Exclusão da conta cancelada." });
+  } catch (error) {
+    logger.error("Erro ao cancelar exclusão de conta:", error);
+    res.status(500).json({ message: "Erro interno do servidor" });
+  }
+};
+
 module.exports = {
   getAllUsers, // Adicionado
   getUserById,
   searchUsers,
   updateProfile,
   getOnlineUsers,
-  getUserStats
+  getUserStats,
+  changeMyUsername,
+  getUserByUsername,
+  exportMyData,
+  deleteMyAccount,
+  cancelMyAccountDeletion
 };
 
 
@@ -0,0 +1,77 @@
+const apiKeyService = require("../services/apiKeyService");
+
+/**
+ * Libera a rota para bots autenticados por API key com o escopo informado.
+ * Deve vir antes de `protect`: sem API key na requisição, segue para a autenticação JWT normal.
+ *
+ * Exemplo:
+ *   router.get("/:clanId/messages", allowApiKey("chat:read", { param: "clanId" }), protect, controller);
+ *
+ * - Chaves de clã só acessam o próprio clã (lido de `param` em `from`)
+ * - Aplica o limite de requisições por minuto da chave (429 + Retry-After)
+ * - Anexa `req.user` (o bot), `req.apiKey` e `req.isBot`
+ * - Registra a requisição no AuditLog com actorType "bot"
+ *
+ * @param {string} scope - Escopo exigido, ex.: "chat:send"
+ * @param {object} [options]
+ * @param {string} [options.param] - Campo com o ID do clã acessado
+ * @param {"params"|"body"} [options.from="params"] - Onde ler o campo
+ */
+const allowApiKey = (scope, { param = null, from = "params" } = {}) => {
+  if (!apiKeyService.SCOPES.includes(scope)) {
+    throw new Error(`allowApiKey: escopo desconhecido "${scope}"`);
+  }
+
+  return async (req, res, next) => {
+    const rawKey = apiKeyService.extractKey(req);
+    if (!rawKey) return next();
+
+    try {
+      const auth = await apiKeyService.authenticate(rawKey);
+      if (!auth) {
+        return res.status(401).json({ msg: "API key inválida, revogada ou expirada.", code: "INVALID_API_KEY" });
+      }
+
+      const { apiKey, bot } = auth;
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+          msg: "Esta API key não tem o escopo necessário para esta rota.",
+          code: "API_KEY_SCOPE_MISSING",
+          requiredScope: scope
+        });
+      }
+
+      if (apiKey.clan) {
+        const clanId = param && req[from] ? req[from][param] : null;
+        if (!clanId || clanId.toString() !== apiKey.clan.toString()) {
+          return res.status(403).json({ msg: "Esta API key só pode acessar o próprio clã.", code: "API_KEY_CLAN_MISMATCH" });
+        }
+      }
+
+      const rate = await apiKeyService.consumeRateLimit(apiKey);
+      res.set("X-RateLimit-Limit", String(rate.limit));
+      res.set("X-RateLimit-Remaining", String(rate.remaining));
+      if (!rate.allowed) {
+        res.set("Retry-After", String(rate.retryAfter));
+        return res.status(429).json({
+          msg: "Limite de requisições da API key excedido.",
+          code: "API_KEY_RATE_LIMITED",
+          retryAfter: rate.retryAfter
+        });
+      }
+
+      req.user = bot;
+      req.apiKey = apiKey;
+      req.isBot = true;
+
+      await apiKeyService.touch(apiKey, req.ip);
+      res.on("finish", () => apiKeyService.logRequest(req, res));
+      next();
+    } catch (error) {
+      console.error("Erro no middleware allowApiKey:", error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  };
+};
+
+module.exports = { allowApiKey };
@@ -1,6 +1,9 @@
 // backend/middleware/auth.js
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const sessionService = require("../services/sessionService");
+const accountStatusService = require("../services/accountStatusService");
+const impersonationService = require("../services/impersonationService");
 const { sentryUserContext } = require("./sentryMiddleware");
 
 const auth = async (req, res, next) => {
@@ -12,13 +15,47 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let impersonation = null;
+    if (decoded.impersonatedBy) {
+      impersonation = await impersonationService.authenticate(decoded, { lastIp: req.ip });
+      if (!impersonation) {
+        return res.status(401).json({ error: "Personificação encerrada ou expirada.", code: "IMPERSONATION_ENDED" });
+      }
+    } else if (!(await sessionService.isSessionActive(decoded.id, decoded.sid, { lastIp: req.ip }))) {
+      return res.status(401).json({ error: "Sessão encerrada. Faça login novamente." });
+    }
+
     const user = await User.findById(decoded.id).select("-password");
     
     if (!user) {
       return res.status(401).json({ error: "Token inválido." });
     }
 
+    const restriction = await accountStatusService.getRestriction(user);
+    if (restriction) {
+      return res.status(403).json(accountStatusService.toResponse(restriction));
+    }
+
+    const requiredAction = await accountStatusService.getRequiredAction(user, req);
+    if (requiredAction) {
+      return res.status(403).json({ error: requiredAction.msg, ...requiredAction });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
+
+    if (impersonation) {
+      req.impersonator = impersonation.admin;
+      req.isImpersonated = true;
+      res.on("finish", () => impersonationService.logRequest(req, res));
+
+      if (!impersonationService.isAllowed(req)) {
+        return res.status(403).json({
+          error: "Ação bloqueada durante a personificação (somente leitura).",
+          code: "IMPERSONATION_READ_ONLY"
+        });
+      }
+    }
     
     // Aplicar contexto do Sentry após autenticação
     sentryUserContext(req, res, () => {});
@@ -1,14 +1,27 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const sessionService = require("../services/sessionService");
+const accountStatusService = require("../services/accountStatusService");
+const impersonationService = require("../services/impersonationService");
 require("dotenv").config();
 
 /**
  * Middleware de proteção de rotas privadas
  * - Lê token do cabeçalho Authorization
- * - Decodifica token
- * - Anexa `req.user` (sem senha)
+ * - Decodifica token e confirma que a sessão (sid) não foi revogada
+ * - Bloqueia contas banidas ou suspensas com 403 estruturado
+ * - Exige a troca de senha temporária e o cadastro do 2FA obrigatório
+ * - Anexa `req.user` (sem senha) e `req.sessionId`
+ * - Tokens de personificação: anexa `req.impersonator` (ADM), libera só leitura
+ *   e registra cada requisição no AuditLog
+ * - Requisições já autenticadas por API key (allowApiKey) passam direto
  */
 const protect = async (req, res, next) => {
+  // ✅ Bot já autenticado por API key (allowApiKey) na rota
+  if (req.apiKey) {
+    return next();
+  }
+
   let token;
 
   if (
@@ -21,6 +34,19 @@ const protect = async (req, res, next) => {
       // ✅ Decodifica e extrai ID e role
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // ✅ Sessão revogada (logout, banimento, troca de senha) invalida o token na hora.
+      //    Na personificação a sessão pertence ao ADM, que também precisa continuar ativo
+      let impersonation = null;
+      if (decoded.impersonatedBy) {
+        impersonation = await impersonationService.authenticate(decoded, { lastIp: req.ip });
+        if (!impersonation) {
+          return res.status(401).json({ msg: "Personificação encerrada ou expirada.", code: "IMPERSONATION_ENDED" });
+        }
+      } else if (!(await sessionService.isSessionActive(decoded.id, decoded.sid, { lastIp: req.ip }))) {
+        console.warn(`[AUTH] Sessão revogada ou inexistente para o usuário ${decoded.id}`);
+        return res.status(401).json({ msg: "Sessão encerrada. Faça login novamente." });
+      }
+
       // ✅ Busca o usuário no banco (caso ele tenha sido atualizado depois da geração do token)
       const user = await User.findById(decoded.id).select("-password");
 
@@ -29,7 +55,33 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ msg: "Não autorizado. Usuário não encontrado." });
       }
 
+      // ✅ Banimento/suspensão (suspensões vencidas são liberadas automaticamente)
+      const restriction = await accountStatusService.getRestriction(user);
+      if (restriction) {
+        return res.status(403).json(accountStatusService.toResponse(restriction));
+      }
+
+      // ✅ Senha temporária ou 2FA obrigatório pendentes liberam apenas as rotas de regularização
+      const requiredAction = await accountStatusService.getRequiredAction(user, req);
+      if (requiredAction) {
+        return res.status(403).json(requiredAction);
+      }
+
       req.user = user; // ✅ Anexa o usuário à requisição
+      req.sessionId = decoded.sid;
+
+      if (impersonation) {
+        req.impersonator = impersonation.admin;
+        req.isImpersonated = true;
+        res.on("finish", () => impersonationService.logRequest(req, res));
+
+        if (!impersonationService.isAllowed(req)) {
+          return res.status(403).json({
+            msg: "Ação bloqueada durante a personificação (somente leitura).",
+            code: "IMPERSONATION_READ_ONLY"
+          });
+        }
+      }
       return next();
     } catch (error) {
       console.error(`[AUTH] Erro ao verificar token: ${error.message}`);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const Channel = require("../models/Channel");
+const permissionService = require("../services/permissionService");
+
+// Como carregar o recurso de cada escopo e onde anexá-lo na requisição
+const SCOPES = {
+  clan: { model: Clan, label: "neste clã", notFound: "Clã não encontrado.", required: "ID do clã é obrigatório.", invalid: "ID do clã inválido." },
+  federation: { model: Federation, label: "nesta federação", notFound: "Federação não encontrada.", required: "ID da federação é obrigatório.", invalid: "ID da federação inválido." },
+  channel: { model: Channel, label: "neste canal", notFound: "Canal não encontrado.", required: "ID do canal é obrigatório.", invalid: "ID do canal inválido." },
+  // Permissões globais (só ADM): não há recurso a carregar
+  system: { model: null, label: "no sistema" }
+};
+
+/**
+ * Middleware único de autorização para rotas de clã, federação e canal.
+ *
+ * Exemplo:
+ *   router.put("/:id/kick/:userId", protect, requirePermission("clan.kick"), clanController.kickMember);
+ *
+ * - Carrega o recurso pelo parâmetro `param` (padrão: `id`) e o anexa em `req.clan`,
+ *   `req.federation` ou `req.channel`; ID ausente ou malformado responde 400
+ * - Permissões "system.*" não têm recurso, ex.: requirePermission("system.notifications.broadcast")
+ * - Resolve as permissões efetivas (papel no sistema, papel no clã/federação e cargos customizados)
+ *   e as anexa em `req.permissions`
+ * - Responde 403 com `code: "PERMISSION_DENIED"` quando a permissão não está presente
+ *
+ * @param {string} permission - Permissão exigida, ex.: "clan.kick"
+ * @param {object} [options]
+ * @param {string} [options.param="id"] - Campo com o ID do recurso
+ * @param {"params"|"body"} [options.from="params"] - Onde ler o campo (rota ou corpo da requisição)
+ */
+const requirePermission = (permission, { param = "id", from = "params" } = {}) => {
+  const scope = permissionService.scopeOf(permission);
+  const config = SCOPES[scope];
+  if (!config) {
+    throw new Error(`requirePermission: escopo desconhecido em "${permission}"`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      let resource = null;
+      if (config.model) {
+        const resourceId = req[from] && req[from][param];
+        if (!resourceId) {
+          return res.status(400).json({ msg: config.required });
+        }
+        if (!mongoose.isValidObjectId(resourceId)) {
+          return res.status(400).json({ msg: config.invalid });
+        }
+
+        resource = await config.model.findById(resourceId);
+        if (!resource) {
+          return res.status(404).json({ msg: config.notFound });
+        }
+      }
+
+      const permissions = await permissionService.getPermissions(req.user, scope, resource);
+      if (!permissions.has(permission)) {
+        return res.status(403).json({
+          msg: `Acesso negado. Você não tem permissão para esta ação ${config.label}.`,
+          code: "PERMISSION_DENIED",
+          permission
+        });
+      }
+
+      if (resource) req[scope] = resource;
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      console.error(`Erro no middleware requirePermission (${permission}):`, error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  };
+};
+
+module.exports = { requirePermission };
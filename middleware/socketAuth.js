@@ -0,0 +1,93 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const sessionService = require("../services/sessionService");
+const accountStatusService = require("../services/accountStatusService");
+require("dotenv").config();
+
+/**
+ * Cria o erro de handshake entregue ao cliente no evento `connect_error`
+ * @param {string} message - Mensagem legível
+ * @param {string} code - Código estável para o app tratar
+ * @returns {Error}
+ */
+const handshakeError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/**
+ * Lê o JWT do handshake: `auth.token` (socket.io-client v3+),
+ * cabeçalho Authorization ou `?token=` na query, nessa ordem
+ */
+const extractToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return String(handshake.auth.token).replace("Bearer ", "");
+  }
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header && header.startsWith("Bearer")) {
+    return header.split(" ")[1];
+  }
+  return handshake.query && handshake.query.token ? String(handshake.query.token) : null;
+};
+
+/**
+ * Middleware de handshake do Socket.IO (`io.use`)
+ * - Valida o mesmo access token usado nas rotas REST
+ * - Rejeita sessões revogadas e usuários banidos ou suspensos
+ * - Rejeita usuários com troca de senha ou cadastro de 2FA obrigatório pendente
+ * - Rejeita tokens de personificação (o socket permite enviar mensagens e ações em tempo real)
+ * - Define `socket.userId` a partir do token (nunca do cliente)
+ */
+const socketAuth = async (socket, next) => {
+  try {
+    const token = extractToken(socket.handshake);
+    if (!token) {
+      return next(handshakeError("Não autorizado. Token ausente.", "TOKEN_MISSING"));
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return next(handshakeError("Token inválido ou expirado.", "TOKEN_INVALID"));
+    }
+
+    if (decoded.impersonatedBy) {
+      return next(handshakeError("Personificação não permite conexão em tempo real.", "IMPERSONATION_NOT_ALLOWED"));
+    }
+
+    if (!(await sessionService.isSessionActive(decoded.id, decoded.sid))) {
+      return next(handshakeError("Sessão encerrada. Faça login novamente.", "SESSION_REVOKED"));
+    }
+
+    const user = await User.findById(decoded.id).select("-password").lean();
+    if (!user) {
+      return next(handshakeError("Não autorizado. Usuário não encontrado.", "USER_NOT_FOUND"));
+    }
+
+    const restriction = await accountStatusService.getRestriction(user);
+    if (restriction) {
+      const body = accountStatusService.toResponse(restriction);
+      const error = new Error(body.msg);
+      error.data = body; // { msg, code, reason, until }
+      return next(error);
+    }
+
+    // Senha temporária ou 2FA obrigatório pendentes: o tempo real só volta depois da regularização
+    const requiredAction = await accountStatusService.getRequiredAction(user);
+    if (requiredAction) {
+      return next(handshakeError(requiredAction.msg, requiredAction.code));
+    }
+
+    socket.user = user;
+    socket.userId = String(user._id);
+    socket.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    console.error(`[SOCKET-AUTH] Erro no handshake do socket ${socket.id}:`, error.message);
+    next(handshakeError("Erro interno na autenticação.", "AUTH_ERROR"));
+  }
+};
+
+module.exports = socketAuth;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const connectDB = require("./config/db");
+const migrationService = require("./services/migrationService");
+
+/**
+ * Executa as migrações de dados pela linha de comando.
+ *
+ *   node migrate.js              aplica as migrações pendentes
+ *   node migrate.js --dry-run    mostra o que seria alterado, sem gravar
+ *   node migrate.js --status     lista migrações aplicadas e pendentes
+ *   node migrate.js --to 2       aplica somente até a versão 2
+ */
+const parseArgs = (argv) => {
+  const args = { dryRun: argv.includes("--dry-run"), status: argv.includes("--status"), to: null };
+  const toIndex = argv.indexOf("--to");
+  if (toIndex !== -1) {
+    args.to = parseInt(argv[toIndex + 1], 10);
+    if (!Number.isInteger(args.to)) {
+      throw new Error("--to exige um número de versão");
+    }
+  }
+  return args;
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await connectDB();
+
+  if (args.status) {
+    const status = await migrationService.getStatus();
+    status.forEach(({ version, name, applied, appliedAt }) => {
+      console.log(`${String(version).padStart(3, "0")} ${name} - ${applied ? `aplicada em ${new Date(appliedAt).toISOString()}` : "pendente"}`);
+    });
+    return;
+  }
+
+  const results = await migrationService.runPending({ dryRun: args.dryRun, to: args.to });
+  if (results.length === 0) {
+    console.log("Nenhuma migração pendente.");
+  }
+  results.forEach(({ version, name, summary }) => {
+    console.log(`${args.dryRun ? "[dry-run] " : ""}${String(version).padStart(3, "0")} ${name}:`);
+    console.log(JSON.stringify(summary, null, 2));
+  });
+}
+
+main()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error("Erro ao executar migrações:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
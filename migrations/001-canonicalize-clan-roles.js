@@ -0,0 +1,40 @@
+const User = require("../models/User");
+const { CLAN_ROLES, normalizeClanRole } = require("../utils/clanRoles");
+
+/**
+ * Converte as grafias antigas de User.clanRole ("Leader", "SubLeader", "Member", "sub_leader"...)
+ * para os valores canônicos (leader, subleader, member).
+ */
+module.exports = {
+  version: 1,
+  name: "canonicalize-clan-roles",
+  description: "Normaliza User.clanRole para leader/subleader/member",
+
+  async up({ dryRun, logger }) {
+    const canonical = Object.values(CLAN_ROLES);
+    // Acesso direto à coleção: valores antigos não passam pela validação do enum atual
+    const values = (await User.collection.distinct("clanRole"))
+      .filter(value => value !== null && !canonical.includes(value));
+
+    const summary = { updated: {}, unknown: [] };
+
+    for (const value of values) {
+      const target = normalizeClanRole(value);
+      if (!canonical.includes(target)) {
+        // Valores desconhecidos são recalculados a partir do clã pela migração 002
+        summary.unknown.push(value);
+        continue;
+      }
+
+      const filter = { clanRole: value };
+      const count = dryRun
+        ? await User.collection.countDocuments(filter)
+        : (await User.collection.updateMany(filter, { $set: { clanRole: target } })).modifiedCount;
+
+      summary.updated[`${value} -> ${target}`] = count;
+      logger.info(`clanRole "${value}" -> "${target}": ${count} user(s)`);
+    }
+
+    return summary;
+  }
+};
@@ -0,0 +1,156 @@
+const User = require("../models/User");
+const Clan = require("../models/Clan");
+const cacheService = require("../services/cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+const { CLAN_ROLES } = require("../utils/clanRoles");
+
+const idOf = (value) => (value ? value.toString() : null);
+
+/**
+ * Reconcilia Clan.members/Clan.subLeaders com User.clan/User.clanRole.
+ *
+ * Cada usuário fica com um único clã ("casa"), escolhido nesta ordem:
+ * 1. o clã do qual é líder
+ * 2. o clã apontado por User.clan, se ele existir
+ * 3. o clã que o lista como membro (havendo vários, o primeiro é mantido e o caso é relatado)
+ *
+ * Em seguida as listas de cada clã e o User.clan/User.clanRole de cada usuário são reescritos
+ * a partir dessa escolha. Líderes que apontam para usuários inexistentes são apenas relatados.
+ */
+module.exports = {
+  version: 2,
+  name: "repair-clan-membership",
+  description: "Corrige divergências entre Clan.members e User.clan e recalcula User.clanRole",
+
+  async up({ dryRun, logger }) {
+    const clans = await Clan.collection
+      .find({}, { projection: { leader: 1, subLeaders: 1, members: 1 } })
+      .toArray();
+    const users = await User.collection
+      .find({}, { projection: { clan: 1, clanRole: 1 } })
+      .toArray();
+
+    const clanById = new Map(clans.map(clan => [idOf(clan._id), clan]));
+    const userById = new Map(users.map(user => [idOf(user._id), user]));
+
+    const summary = {
+      clansUpdated: 0,
+      usersUpdated: 0,
+      missingUsersRemoved: 0,
+      conflicts: [],
+      orphanedLeaders: []
+    };
+
+    // Clãs que listam cada usuário e clã liderado por cada usuário
+    const listedIn = new Map();
+    const leaderOf = new Map();
+    for (const clan of clans) {
+      const clanId = idOf(clan._id);
+      const leaderId = idOf(clan.leader);
+
+      if (leaderId && !userById.has(leaderId)) {
+        summary.orphanedLeaders.push(clanId);
+      } else if (leaderId) {
+        if (leaderOf.has(leaderId)) {
+          summary.conflicts.push({ user: leaderId, leaderOf: [leaderOf.get(leaderId), clanId], kept: leaderOf.get(leaderId) });
+        } else {
+          leaderOf.set(leaderId, clanId);
+        }
+      }
+
+      for (const memberId of (clan.members || []).map(idOf)) {
+        if (!listedIn.has(memberId)) listedIn.set(memberId, []);
+        if (!listedIn.get(memberId).includes(clanId)) listedIn.get(memberId).push(clanId);
+      }
+    }
+
+    // Clã "casa" de cada usuário
+    const homeOf = new Map();
+    for (const user of users) {
+      const userId = idOf(user._id);
+      const pointer = idOf(user.clan);
+      const listed = listedIn.get(userId) || [];
+
+      let home = null;
+      if (leaderOf.has(userId)) {
+        home = leaderOf.get(userId);
+      } else if (pointer && clanById.has(pointer)) {
+        home = pointer;
+      } else if (listed.length > 0) {
+        home = listed[0];
+      }
+
+      if (listed.length > 1) {
+        summary.conflicts.push({ user: userId, clans: listed, kept: home });
+      }
+      homeOf.set(userId, home);
+    }
+
+    // Reescreve as listas de cada clã
+    const membersByClan = new Map(clans.map(clan => [idOf(clan._id), []]));
+    for (const [userId, home] of homeOf) {
+      if (home) membersByClan.get(home).push(userId);
+    }
+
+    for (const clan of clans) {
+      const clanId = idOf(clan._id);
+      const members = membersByClan.get(clanId);
+      const subLeaders = (clan.subLeaders || []).map(idOf)
+        .filter(id => members.includes(id) && id !== idOf(clan.leader));
+
+      const currentMembers = (clan.members || []).map(idOf);
+      summary.missingUsersRemoved += currentMembers.filter(id => !userById.has(id)).length;
+
+      const sameMembers = members.length === currentMembers.length &&
+        members.every(id => currentMembers.includes(id));
+      const sameSubLeaders = subLeaders.length === (clan.subLeaders || []).length;
+      if (sameMembers && sameSubLeaders) continue;
+
+      summary.clansUpdated++;
+      logger.info(`Clan ${clanId}: members ${currentMembers.length} -> ${members.length}, subLeaders ${(clan.subLeaders || []).length} -> ${subLeaders.length}`);
+
+      if (!dryRun) {
+        const toObjectIds = ids => ids.map(id => userById.get(id)._id);
+        await Clan.collection.updateOne(
+          { _id: clan._id },
+          { $set: { members: toObjectIds(members), subLeaders: toObjectIds(subLeaders) } }
+        );
+        await cacheService.del(CacheKeys.clan(clanId));
+      }
+      clan.subLeaders = subLeaders;
+    }
+
+    // Recalcula User.clan e User.clanRole a partir do clã "casa"
+    for (const user of users) {
+      const userId = idOf(user._id);
+      const home = homeOf.get(userId);
+      const clan = home ? clanById.get(home) : null;
+
+      let clanRole = null;
+      if (clan) {
+        if (idOf(clan.leader) === userId) clanRole = CLAN_ROLES.LEADER;
+        else if ((clan.subLeaders || []).map(idOf).includes(userId)) clanRole = CLAN_ROLES.SUBLEADER;
+        else clanRole = CLAN_ROLES.MEMBER;
+      }
+
+      if (idOf(user.clan) === home && (user.clanRole || null) === clanRole) continue;
+
+      summary.usersUpdated++;
+      if (!dryRun) {
+        await User.collection.updateOne(
+          { _id: user._id },
+          { $set: { clan: clan ? clan._id : null, clanRole } }
+        );
+        await cacheService.del(CacheKeys.user(userId));
+      }
+    }
+
+    if (summary.conflicts.length > 0) {
+      logger.warn(`${summary.conflicts.length} user(s) were listed in more than one clan`);
+    }
+    if (summary.orphanedLeaders.length > 0) {
+      logger.warn(`${summary.orphanedLeaders.length} clan(s) have a leader that no longer exists`);
+    }
+    return summary;
+  }
+};
@@ -0,0 +1,50 @@
+const Invite = require("../models/Invite");
+const JoinRequest = require("../models/JoinRequest");
+
+// Pendências que os índices únicos parciais de Invite e JoinRequest passam a proibir
+const GROUPS = [
+  { Model: Invite, key: { user: "$recipient", type: "$type", target: "$target" }, match: {} },
+  { Model: JoinRequest, key: { user: "$requester", type: "$type", target: "$target" }, match: { applicantClan: null } },
+  { Model: JoinRequest, key: { clan: "$applicantClan", target: "$target" }, match: { applicantClan: { $type: "objectId" } } }
+];
+
+/**
+ * Remove convites e solicitações pendentes duplicados (mesmo usuário/clã e alvo), mantendo o
+ * mais antigo, e só então cria os índices únicos parciais que impedem novas duplicatas.
+ * Em bancos com duplicatas a criação automática (autoIndex) desses índices falha.
+ */
+module.exports = {
+  version: 3,
+  name: "dedupe-pending-requests",
+  description: "Remove pendências duplicadas de Invite/JoinRequest e cria os índices únicos de pendência",
+
+  async up({ dryRun, logger }) {
+    const summary = { removed: { Invite: 0, JoinRequest: 0 }, indexesCreated: !dryRun };
+
+    for (const { Model, key, match } of GROUPS) {
+      const groups = await Model.collection.aggregate([
+        { $match: { ...match, status: "pending" } },
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: key, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+      ]).toArray();
+
+      const duplicates = groups.flatMap(group => group.ids.slice(1));
+      if (duplicates.length === 0) continue;
+
+      if (dryRun) {
+        summary.removed[Model.modelName] += duplicates.length;
+      } else {
+        const { deletedCount } = await Model.collection.deleteMany({ _id: { $in: duplicates }, status: "pending" });
+        summary.removed[Model.modelName] += deletedCount;
+      }
+      logger.info(`${Model.modelName}: ${duplicates.length} duplicate pending document(s) across ${groups.length} group(s)`);
+    }
+
+    if (!dryRun) {
+      await Invite.createIndexes();
+      await JoinRequest.createIndexes();
+    }
+    return summary;
+  }
+};
@@ -0,0 +1,7 @@
+// Registro das migrações de dados, em ordem de versão.
+// Requires explícitos para que o bundle do webpack (dist/server.js) inclua todas elas.
+module.exports = [
+  require("./001-canonicalize-clan-roles"),
+  require("./002-repair-clan-membership"),
+  require("./003-dedupe-pending-requests")
+];
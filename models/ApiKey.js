@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Escopos disponíveis para API keys de bots
+const API_KEY_SCOPES = ["clan:read", "qrr:read", "qrr:write", "chat:read", "chat:send"];
+
+const ApiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  bot: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  clan: { type: mongoose.Schema.Types.ObjectId, ref: "Clan", default: null }, // null = acesso global (emitida por ADM)
+  scopes: [{ type: String, enum: API_KEY_SCOPES }],
+  keyPrefix: { type: String, required: true }, // início da chave, para identificação na listagem
+  keyHash: { type: String, required: true, unique: true, select: false }, // SHA-256 da chave completa
+  rateLimitPerMinute: { type: Number, default: 60, min: 1, max: 600 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ApiKeySchema.index({ bot: 1 });
+ApiKeySchema.index({ clan: 1 });
+
+ApiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
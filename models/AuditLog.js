@@ -23,6 +23,16 @@ const AuditLogSchema = new mongoose.Schema({
     type: String,
     default: ""
   },
+  actorType: { // Quem originou a requisição: usuário humano, bot via API key ou ADM personificando um usuário
+    type: String,
+    enum: ["user", "bot", "impersonation"],
+    default: "user"
+  },
+  apiKey: { // API key usada, quando actorType = bot
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ApiKey",
+    default: null
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -30,6 +40,7 @@ const AuditLogSchema = new mongoose.Schema({
 AuditLogSchema.index({ performedBy: 1 });
 AuditLogSchema.index({ targetType: 1 });
 AuditLogSchema.index({ targetId: 1 });
+AuditLogSchema.index({ actorType: 1 });
 AuditLogSchema.index({ createdAt: -1 }); // Índice para ordenação por data decrescente
 
 module.exports = mongoose.model("AuditLog", AuditLogSchema);
@@ -106,6 +106,72 @@ const ClanSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, "Regras não podem ter mais de 1000 caracteres"],
   },
+  // Limite de membros definido pelo ADM para este clã (null = SystemSetting.maxUsersPerClan)
+  maxMembersOverride: {
+    type: Number,
+    default: null,
+    min: 1,
+  },
+  // Formulário preenchido por quem solicita entrada no clã
+  applicationForm: {
+    enabled: { type: Boolean, default: false },
+    questions: [{
+      label: { type: String, required: true, trim: true, maxlength: 200 },
+      type: {
+        type: String,
+        enum: ["text", "number", "choice", "screenshot"],
+        required: true,
+      },
+      required: { type: Boolean, default: true },
+      options: [{ type: String, trim: true }], // apenas para "choice"
+      min: { type: Number, default: null }, // apenas para "number"
+      max: { type: Number, default: null },
+    }],
+    updatedAt: { type: Date, default: null },
+  },
+  // Regras de aprovação/rejeição automática de solicitações de entrada (avaliadas em ordem; a primeira que casar decide)
+  joinRules: {
+    enabled: { type: Boolean, default: false },
+    rules: [{
+      name: { type: String, required: true, trim: true, maxlength: 100 },
+      action: { type: String, enum: ["approve", "reject"], required: true },
+      // Todas as condições precisam ser verdadeiras para a regra casar
+      conditions: [{
+        type: {
+          type: String,
+          enum: ["account_age_days", "banned_in_scope", "enemy_clan_member", "same_federation"],
+          required: true,
+        },
+        value: { type: Number, default: null }, // account_age_days: idade mínima da conta; enemy_clan_member/same_federation: janela em dias
+        negate: { type: Boolean, default: false },
+      }],
+    }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedAt: { type: Date, default: null },
+  },
+  // Política de inatividade: avisar, rebaixar ou remover membros após N dias sem atividade
+  inactivityPolicy: {
+    enabled: { type: Boolean, default: false },
+    rules: [{
+      action: { type: String, enum: ["warn", "demote", "remove"], required: true },
+      afterDays: { type: Number, required: true, min: 1, max: 365 },
+    }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedAt: { type: Date, default: null },
+    lastEnforcedAt: { type: Date, default: null }, // última aplicação diária (reivindicada por uma instância)
+  },
+  // Última ação de inatividade aplicada a cada membro (não repete a mesma ação enquanto ele seguir inativo)
+  inactivityActions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    action: { type: String, enum: ["warn", "demote", "remove"], required: true },
+    appliedAt: { type: Date, default: Date.now },
+  }],
+  // Como escolher o sucessor quando o líder abandona o clã (ver successionService)
+  successionRule: {
+    type: String,
+    enum: ["longest_serving_subleader", "most_active_member", "vote"],
+    default: "longest_serving_subleader",
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// Eleição de líder do clã: fase de indicações, fase de votação e resultado
+const ClanElectionSchema = new mongoose.Schema({
+  clan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Clan",
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["nomination", "voting", "closed", "cancelled"],
+    default: "nomination",
+  },
+  nominationEndsAt: {
+    type: Date,
+    required: true,
+  },
+  votingEndsAt: {
+    type: Date,
+    required: true,
+  },
+  // Voto secreto: guarda apenas quem já votou e a contagem por candidato, nunca quem votou em quem
+  secretBallot: {
+    type: Boolean,
+    default: true,
+  },
+  // Peso do voto por cargo customizado (quem não tem cargo listado vale 1; com vários, vale o maior)
+  roleWeights: [{
+    roleName: { type: String, required: true, trim: true },
+    weight: { type: Number, required: true, min: 1, max: 10 },
+  }],
+  candidates: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    nominatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    nominatedAt: { type: Date, default: Date.now },
+    votes: { type: Number, default: 0 }, // soma dos pesos
+    ballots: { type: Number, default: 0 }, // número de votos
+  }],
+  // Quem já votou (um voto por membro)
+  voters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  }],
+  // Cédulas individuais, apenas quando o voto não é secreto
+  ballots: [{
+    voter: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    candidate: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    weight: { type: Number, default: 1 },
+    castAt: { type: Date, default: Date.now },
+  }],
+  result: {
+    type: String,
+    enum: ["elected", "tie", "no_candidates", "no_votes", null],
+    default: null,
+  },
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  leadershipTransferred: {
+    type: Boolean,
+    default: false,
+  },
+  note: { // Motivo do cancelamento ou falha na transferência
+    type: String,
+    default: "",
+  },
+  closedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+ClanElectionSchema.index({ clan: 1, createdAt: -1 });
+ClanElectionSchema.index({ status: 1, nominationEndsAt: 1 });
+ClanElectionSchema.index({ status: 1, votingEndsAt: 1 });
+// Apenas uma eleição em andamento por clã
+ClanElectionSchema.index(
+  { clan: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ["nomination", "voting"] } } }
+);
+
+module.exports = mongoose.model("ClanElection", ClanElectionSchema);
@@ -295,7 +295,8 @@ fcmTokenSchema.statics.findTokensForNotificationType = function(userIds, notific
 };
 
 // Registrar ou atualizar token
-fcmTokenSchema.statics.registerToken = async function(userId, token, deviceInfo = {}) {
+// deviceData: { deviceId, deviceType, appVersion } (opcional, vindo do login)
+fcmTokenSchema.statics.registerToken = async function(userId, token, deviceInfo = {}, deviceData = {}) {
   try {
     // Verificar se o token já existe
     let existingToken = await this.findOne({ token });
@@ -329,6 +330,10 @@ fcmTokenSchema.statics.registerToken = async function(userId, token, deviceInfo
       });
     }
 
+    if (deviceData.deviceId) existingToken.deviceId = deviceData.deviceId;
+    if (deviceData.deviceType) existingToken.deviceType = deviceData.deviceType;
+    if (deviceData.appVersion) existingToken.appVersion = deviceData.appVersion;
+
     await existingToken.save();
     return existingToken;
   } catch (error) {
@@ -336,6 +341,19 @@ fcmTokenSchema.statics.registerToken = async function(userId, token, deviceInfo
   }
 };
 
+// Desativar tokens vinculados a uma sessão de dispositivo encerrada
+fcmTokenSchema.statics.deactivateForSession = function(userId, session = {}) {
+  const deviceFilters = [];
+  if (session.fcmTokenId) deviceFilters.push({ _id: session.fcmTokenId });
+  if (session.deviceId) deviceFilters.push({ deviceId: session.deviceId });
+  if (deviceFilters.length === 0) return Promise.resolve({ modifiedCount: 0 });
+
+  return this.updateMany(
+    { userId, isActive: true, $or: deviceFilters },
+    { $set: { isActive: false } }
+  );
+};
+
 const FCMToken = mongoose.model('FCMToken', fcmTokenSchema);
 
 module.exports = FCMToken;
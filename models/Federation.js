@@ -36,6 +36,28 @@ const FederationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "Clan",
   }],
+  // Limite de clãs definido pelo ADM para esta federação (null = SystemSetting.maxClansPerFederation)
+  maxClansOverride: {
+    type: Number,
+    default: null,
+    min: 1,
+  },
+  // Como escolher o sucessor quando o líder abandona a federação (ver successionService)
+  successionRule: {
+    type: String,
+    enum: ["longest_serving_subleader", "most_active_member", "vote"],
+    default: "longest_serving_subleader",
+  },
+  // Conselho: líderes dos clãs votam propostas (ver federationProposalService).
+  // Com o conselho ativo, o líder não adiciona clãs, aliados nem muda as regras sozinho
+  council: {
+    enabled: { type: Boolean, default: false },
+    quorumPercent: { type: Number, default: 50, min: 1, max: 100 }, // % dos líderes de clã que precisam votar
+    majorityPercent: { type: Number, default: 51, min: 50, max: 100 }, // % de "sim" entre sim/não para aprovar
+    votingHours: { type: Number, default: 72, min: 1, max: 720 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedAt: { type: Date, default: null },
+  },
   rules: {
     type: String,
     trim: true,
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// Proposta votada pelo conselho da federação (líderes dos clãs membros)
+const FederationProposalSchema = new mongoose.Schema({
+  federation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Federation",
+    required: true,
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ["add_clan", "add_ally", "update_rules", "allocate_territory"],
+    required: true,
+  },
+  // Parâmetros da ação executada se a proposta for aprovada
+  params: {
+    clan: { type: mongoose.Schema.Types.ObjectId, ref: "Clan", default: null }, // add_clan, allocate_territory
+    ally: { type: mongoose.Schema.Types.ObjectId, ref: "Federation", default: null }, // add_ally
+    rules: { type: String, trim: true, maxlength: 1000, default: null }, // update_rules
+    territory: { // allocate_territory
+      mapX: { type: Number, default: null },
+      mapY: { type: Number, default: null },
+      radius: { type: Number, default: null },
+    },
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: "",
+  },
+  status: {
+    type: String,
+    enum: ["open", "closing", "passed", "rejected", "expired", "cancelled", "failed"],
+    default: "open",
+  },
+  // Regras de votação vigentes quando a proposta foi aberta
+  quorumPercent: { type: Number, required: true },
+  majorityPercent: { type: Number, required: true },
+  deadline: {
+    type: Date,
+    required: true,
+  },
+  // Líderes de clã aptos a votar quando a proposta foi aberta (base do quórum)
+  electorate: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  }],
+  votes: [{
+    voter: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    clan: { type: mongoose.Schema.Types.ObjectId, ref: "Clan", required: true },
+    choice: { type: String, enum: ["yes", "no", "abstain"], required: true },
+    votedAt: { type: Date, default: Date.now },
+  }],
+  tally: {
+    yes: { type: Number, default: 0 },
+    no: { type: Number, default: 0 },
+    abstain: { type: Number, default: 0 },
+  },
+  note: { // Motivo do cancelamento ou falha na execução
+    type: String,
+    default: "",
+  },
+  closedAt: {
+    type: Date,
+    default: null,
+  },
+  executedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+FederationProposalSchema.index({ federation: 1, createdAt: -1 });
+FederationProposalSchema.index({ status: 1, deadline: 1 });
+
+module.exports = mongoose.model("FederationProposal", FederationProposalSchema);
@@ -37,6 +37,11 @@ InviteSchema.index({ sender: 1 });
 InviteSchema.index({ recipient: 1 });
 InviteSchema.index({ status: 1 });
 InviteSchema.index({ createdAt: -1 });
+// Apenas um convite pendente por destinatário e alvo
+InviteSchema.index(
+  { recipient: 1, type: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
 
 module.exports = mongoose.model("Invite", InviteSchema);
 
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+const InviteLinkSchema = new mongoose.Schema({
+  code: { // Código compartilhável (parte final do link)
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ["clan", "federation", "channel"],
+    required: true,
+  },
+  target: { // Clã, federação ou canal
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  maxUses: { type: Number, default: null, min: 1 }, // null = ilimitado
+  uses: { type: Number, default: 0 },
+  expiresAt: { type: Date, default: null }, // null = não expira
+  requiresApproval: { type: Boolean, default: false }, // gera uma JoinRequest em vez de entrar direto
+  redemptions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    redeemedAt: { type: Date, default: Date.now },
+    status: { type: String, enum: ["joined", "pending"] }
+  }],
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+InviteLinkSchema.index({ type: 1, target: 1 });
+InviteLinkSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model("InviteLink", InviteLinkSchema);
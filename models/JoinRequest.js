@@ -16,11 +16,48 @@ const JoinRequestSchema = new mongoose.Schema({
     ref: "User",
     required: true,
   },
+  // Candidatura de um clã inteiro a uma federação (type "federation"; requester é o líder do clã)
+  applicantClan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Clan",
+    default: null,
+  },
+  message: { // Apresentação do clã na candidatura
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: "",
+  },
   status: {
     type: String,
-    enum: ["pending", "accepted", "rejected", "withdrawn"],
+    enum: ["pending", "accepted", "rejected", "withdrawn", "expired"],
     default: "pending"
   },
+  // Respostas ao formulário do clã (pergunta e tipo copiados, caso o formulário mude depois)
+  answers: [{
+    question: { type: mongoose.Schema.Types.ObjectId, required: true },
+    label: { type: String, required: true },
+    type: { type: String, enum: ["text", "number", "choice", "screenshot"], required: true },
+    value: { type: mongoose.Schema.Types.Mixed, default: null }, // screenshot: URL do upload
+  }],
+  // Avaliação interna dos líderes (não visível ao solicitante)
+  notes: [{
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    text: { type: String, required: true, trim: true, maxlength: 1000 },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  votes: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    vote: { type: String, enum: ["approve", "reject"], required: true },
+    votedAt: { type: Date, default: Date.now },
+  }],
+  // Preenchido quando uma regra automática do clã decidiu a solicitação
+  autoDecision: {
+    rule: { type: mongoose.Schema.Types.ObjectId, default: null },
+    ruleName: { type: String, default: null },
+    action: { type: String, enum: ["approve", "reject"], default: null },
+    decidedAt: { type: Date, default: null },
+  },
   createdAt: { type: Date, default: Date.now },
   respondedAt: { type: Date }
 });
@@ -31,6 +68,16 @@ JoinRequestSchema.index({ target: 1 });
 JoinRequestSchema.index({ requester: 1 });
 JoinRequestSchema.index({ status: 1 });
 JoinRequestSchema.index({ createdAt: -1 });
+// Apenas uma solicitação pendente por solicitante e alvo (candidaturas de clã ficam no índice abaixo)
+JoinRequestSchema.index(
+  { requester: 1, type: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: "pending", applicantClan: null } }
+);
+// Apenas uma candidatura pendente por clã e federação
+JoinRequestSchema.index(
+  { applicantClan: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: "pending", applicantClan: { $type: "objectId" } } }
+);
 
 module.exports = mongoose.model("JoinRequest", JoinRequestSchema);
 
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// Processo de sucessão aberto quando o líder de um clã ou federação fica inativo
+const LeadershipSuccessionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["clan", "federation"],
+    required: true,
+  },
+  target: { // Clã ou federação
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  previousLeader: { // Líder inativo
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  rule: {
+    type: String,
+    enum: ["longest_serving_subleader", "most_active_member", "vote"],
+    required: true,
+  },
+  // Sucessor previsto (regras sem votação); recalculado no fim do prazo
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  // Quem pode receber votos (regra "vote")
+  candidates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  }],
+  votes: [{
+    voter: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    candidate: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    votedAt: { type: Date, default: Date.now },
+  }],
+  objections: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, trim: true, maxlength: 500, default: "" },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  status: {
+    type: String,
+    enum: ["pending", "resolving", "completed", "objected", "cancelled", "failed"],
+    default: "pending",
+  },
+  leaderInactiveDays: {
+    type: Number,
+    default: 0,
+  },
+  deadline: { // Sem objeção até aqui, o sucessor assume
+    type: Date,
+    required: true,
+  },
+  newLeader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  note: { // Motivo do cancelamento/falha
+    type: String,
+    default: "",
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+  resolvingSince: { // Quando uma instância reivindicou a resolução (status "resolving")
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+// Uma única sucessão em andamento por clã/federação
+LeadershipSuccessionSchema.index(
+  { type: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+LeadershipSuccessionSchema.index({ status: 1, deadline: 1 });
+
+module.exports = mongoose.model("LeadershipSuccession", LeadershipSuccessionSchema);
@@ -33,6 +33,40 @@ const SystemSettingSchema = new mongoose.Schema({
     type: Number,
     default: 10,
   },
+  // Expiração automática de convites e solicitações de entrada pendentes (em dias)
+  inviteTtlDays: {
+    type: Number,
+    default: 7,
+    min: 1,
+  },
+  joinRequestTtlDays: {
+    type: Number,
+    default: 14,
+    min: 1,
+  },
+  // Solicitações pendentes há mais tempo que isso entram no resumo diário dos líderes
+  staleJoinRequestDays: {
+    type: Number,
+    default: 3,
+    min: 1,
+  },
+  // Sucessão automática: líder de clã/federação sem atividade há mais que isso (em dias) inicia a sucessão
+  leaderInactivityDays: {
+    type: Number,
+    default: 30,
+    min: 1,
+  },
+  // Prazo (em horas) para sub-líderes se oporem ou votarem antes de o sucessor assumir
+  successionObjectionHours: {
+    type: Number,
+    default: 72,
+    min: 1,
+  },
+  // Exige autenticação em dois fatores para contas ADM
+  requireTwoFactorForAdmins: {
+    type: Boolean,
+    default: false,
+  },
   // Adicione outros campos de configuração conforme necessário
 });
 
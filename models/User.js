@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const { CLAN_ROLES, normalizeClanRole } = require("../utils/clanRoles");
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -8,6 +9,13 @@ const UserSchema = new mongoose.Schema({
     unique: true,
     trim: true,
   },
+  // Nomes anteriores: ficam reservados ao dono por um período e continuam resolvendo para a conta
+  usernameHistory: [{
+    username: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  }],
+  usernameChangedAt: { type: Date, default: null },
 
   password: {
     type: String,
@@ -38,9 +46,16 @@ const UserSchema = new mongoose.Schema({
   },
   clanRole: {
     type: String,
-    enum: ["Leader", "SubLeader", "member", "leader", "subleader", null],
+    enum: [...Object.values(CLAN_ROLES), null],
+    // Grafias antigas ("Leader", "SubLeader", "Member"...) são convertidas na gravação
+    set: normalizeClanRole,
     default: null
   },
+  // Último clã do qual o usuário saiu (ou foi expulso), para as regras de entrada dos clãs
+  lastClan: {
+    clan: { type: mongoose.Schema.Types.ObjectId, ref: "Clan", default: null },
+    leftAt: { type: Date, default: null }
+  },
   federation: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Federation",
@@ -77,7 +92,34 @@ const UserSchema = new mongoose.Schema({
     type: String,
     trim: true,
     default: null
-  }
+  },
+  // Campos de banimento/suspensão (aplicados por middleware/authMiddleware e middleware/auth)
+  banned: { type: Boolean, default: false },
+  banReason: { type: String, default: null },
+  bannedAt: { type: Date, default: null },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  suspended: { type: Boolean, default: false },
+  suspensionReason: { type: String, default: null },
+  suspensionExpires: { type: Date, default: null },
+  // Autenticação em dois fatores (TOTP); segredos nunca saem nas consultas padrão
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorEnabledAt: { type: Date, default: null },
+  twoFactorSecret: { type: String, default: null, select: false },
+  twoFactorPendingSecret: { type: String, default: null, select: false },
+  twoFactorRecoveryCodes: { type: [String], default: [], select: false }, // hashes SHA-256
+  twoFactorLastUsedStep: { type: Number, default: null, select: false },
+  // Contas de serviço (bots): sem login por senha, autenticam apenas com API key
+  isBot: { type: Boolean, default: false },
+  botClan: { type: mongoose.Schema.Types.ObjectId, ref: "Clan", default: null }, // null = bot global (ADM)
+  botCreatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  // Exclusão de conta solicitada pelo próprio usuário (efetivada após o período de carência)
+  deletionRequestedAt: { type: Date, default: null },
+  deletionScheduledFor: { type: Date, default: null, index: true },
+  deletionClaimedAt: { type: Date, default: null } // instância que está executando a exclusão (reivindicação)
 }, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
 
 UserSchema.pre("save", async function (next) {
@@ -112,6 +154,9 @@ UserSchema.index({ status: 1 });
 UserSchema.index({ online: 1 });
 UserSchema.index({ ultimaAtividade: 1 });
 UserSchema.index({ lastSeen: 1 });
+UserSchema.index({ banned: 1 });
+UserSchema.index({ suspended: 1, suspensionExpires: 1 });
+UserSchema.index({ "usernameHistory.username": 1 });
 
 module.exports = mongoose.model("User", UserSchema);
 
@@ -76,12 +76,57 @@ router.get("/dashboard-stats", protect, adminController.checkAdmin, adminControl
  *         description: Não autorizado
  *       403:
  *         description: Acesso negado
- *       404:
- *         description: Configurações não encontradas
  *       500:
  *         description: Erro no servidor
+ *   put:
+ *     summary: Atualizar configurações do sistema (apenas ADM)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Somente os campos enviados são alterados
+ *             properties:
+ *               maintenanceMode:
+ *                 type: boolean
+ *               registrationEnabled:
+ *                 type: boolean
+ *               maxUsersPerClan:
+ *                 type: number
+ *               maxClansPerFederation:
+ *                 type: number
+ *               inviteTtlDays:
+ *                 type: number
+ *                 description: Dias até um convite pendente expirar
+ *               joinRequestTtlDays:
+ *                 type: number
+ *                 description: Dias até uma solicitação de entrada pendente expirar
+ *               staleJoinRequestDays:
+ *                 type: number
+ *                 description: Dias sem resposta para uma solicitação entrar no resumo enviado aos líderes
+ *               leaderInactivityDays:
+ *                 type: number
+ *                 description: Dias sem atividade do líder de um clã/federação para iniciar a sucessão automática
+ *               successionObjectionHours:
+ *                 type: number
+ *                 description: Horas para sub-líderes se oporem (ou votarem) antes de o sucessor assumir
+ *               requireTwoFactorForAdmins:
+ *                 type: boolean
+ *                 description: Torna o 2FA obrigatório para contas ADM
+ *     responses:
+ *       200:
+ *         description: Configurações atualizadas
+ *       400:
+ *         description: Valor inválido
+ *       403:
+ *         description: Acesso negado
  */
 router.get("/settings", protect, adminController.checkAdmin, adminController.getSystemSettings);
+router.put("/settings", protect, adminController.checkAdmin, adminController.updateSystemSettings);
 
 /**
  * @swagger
@@ -428,6 +473,365 @@ router.put("/users/:userId/suspend", protect, adminController.checkAdmin, [
  */
 router.put("/users/:userId/unsuspend", protect, adminController.checkAdmin, adminController.unsuspendUser);
 
+/**
+ * @swagger
+ * /api/admin/users/{userId}/reset-password:
+ *   post:
+ *     summary: Redefinir a senha de um usuário com uma senha temporária
+ *     description: Registra quem fez o reset (passwordResetBy/passwordResetAt), encerra as sessões do usuário e o obriga a trocar a senha no próximo login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do usuário
+ *     responses:
+ *       200:
+ *         description: Senha temporária gerada (exibida somente nesta resposta)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 temporaryPassword:
+ *                   type: string
+ *                 passwordResetAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Acesso negado
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.post("/users/:userId/reset-password", protect, adminController.checkAdmin, adminController.resetUserPassword);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/username:
+ *   put:
+ *     summary: Trocar o nome de um usuário
+ *     description: Override do ADM, ignora o cooldown e a reserva de nomes antigos. O nome antigo entra no histórico do usuário.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do usuário
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Nome alterado
+ *       400:
+ *         description: Nome vazio, igual ao atual ou em uso por outra conta
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Acesso negado
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.put("/users/:userId/username", protect, adminController.checkAdmin, adminController.changeUsername);
+
+/**
+ * @swagger
+ * /api/admin/clans/{clanId}/capacity:
+ *   put:
+ *     summary: Definir o limite de membros de um clã
+ *     description: Substitui o padrão maxUsersPerClan apenas para este clã. Envie limit null para voltar ao padrão do sistema. Um limite abaixo da ocupação atual não remove membros, apenas bloqueia novas entradas.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clanId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Limite atualizado; retorna a capacidade atual (current, limit, available, isFull, overridden)
+ *       400:
+ *         description: Limite inválido
+ *       403:
+ *         description: Acesso negado
+ *       404:
+ *         description: Clã não encontrado
+ */
+router.put("/clans/:clanId/capacity", protect, adminController.checkAdmin, adminController.setClanCapacity);
+
+/**
+ * @swagger
+ * /api/admin/federations/{federationId}/capacity:
+ *   put:
+ *     summary: Definir o limite de clãs de uma federação
+ *     description: Substitui o padrão maxClansPerFederation apenas para esta federação. Envie limit null para voltar ao padrão do sistema.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: federationId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da federação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Limite atualizado; retorna a capacidade atual
+ *       400:
+ *         description: Limite inválido
+ *       403:
+ *         description: Acesso negado
+ *       404:
+ *         description: Federação não encontrada
+ */
+router.put("/federations/:federationId/capacity", protect, adminController.checkAdmin, adminController.setFederationCapacity);
+
+/**
+ * @swagger
+ * /api/admin/membership/consistency:
+ *   get:
+ *     summary: Verificar referências de afiliação órfãs ou divergentes
+ *     description: |
+ *       Compara User.clan/User.federation com Clan.members/Federation.clans e lista as divergências
+ *       (referências para clãs/federações/usuários que não existem, membros listados em um clã mas
+ *       apontando para outro, etc.). Não altera nada.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Relatório com total, contagem por tipo e a lista de problemas (com a correção que seria aplicada)
+ *       403:
+ *         description: Acesso negado
+ */
+router.get("/membership/consistency", protect, adminController.checkAdmin, adminController.checkMembershipConsistency);
+
+/**
+ * @swagger
+ * /api/admin/membership/consistency/repair:
+ *   post:
+ *     summary: Corrigir referências de afiliação órfãs ou divergentes
+ *     description: Executa a mesma verificação e aplica as correções. Clan.members e Federation.clans são tratados como a fonte da verdade.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Relatório dos problemas encontrados e corrigidos
+ *       403:
+ *         description: Acesso negado
+ */
+router.post("/membership/consistency/repair", protect, adminController.checkAdmin, adminController.repairMembershipConsistency);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/impersonate:
+ *   post:
+ *     summary: Iniciar personificação de um usuário (suporte)
+ *     description: |
+ *       Retorna um access token que age como o usuário informado por tempo limitado
+ *       (padrão IMPERSONATION_DEFAULT_MINUTES, máximo IMPERSONATION_MAX_MINUTES).
+ *       O token é somente leitura (POST/PUT/PATCH/DELETE retornam 403 IMPERSONATION_READ_ONLY),
+ *       não conecta ao Socket.IO, não tem refresh token e cada requisição é registrada no AuditLog
+ *       com o ADM (performedBy) e o usuário personificado (targetId).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do usuário a ser personificado
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo (ex. chamado de suporte)
+ *               durationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 15
+ *     responses:
+ *       200:
+ *         description: Token de personificação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 impersonation:
+ *                   type: object
+ *       400:
+ *         description: Motivo ausente ou usuário não pode ser personificado (ADM, bot ou o próprio)
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Acesso negado
+ *       404:
+ *         description: Usuário não encontrado
+ *   delete:
+ *     summary: Encerrar as personificações ativas do ADM para o usuário
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do usuário personificado
+ *     responses:
+ *       200:
+ *         description: Personificação encerrada
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Acesso negado
+ *       404:
+ *         description: Nenhuma personificação ativa para este usuário
+ */
+router.post("/users/:userId/impersonate", protect, adminController.checkAdmin, adminController.startImpersonation);
+router.delete("/users/:userId/impersonate", protect, adminController.checkAdmin, adminController.endImpersonation);
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: Listar contas bloqueadas por excesso de tentativas de login
+ *     description: Bloqueios são por username e expiram sozinhos após o período configurado (LOGIN_LOCKOUT_MINUTES).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de bloqueios ativos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 lockouts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       username:
+ *                         type: string
+ *                       userId:
+ *                         type: string
+ *                         nullable: true
+ *                       attempts:
+ *                         type: integer
+ *                       lastIp:
+ *                         type: string
+ *                       lockedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       until:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Acesso negado
+ */
+router.get("/lockouts", protect, adminController.checkAdmin, adminController.getLoginLockouts);
+
+/**
+ * @swagger
+ * /api/admin/lockouts/{username}:
+ *   delete:
+ *     summary: Remover o bloqueio de login de uma conta
+ *     description: Zera também o contador de falhas. A liberação é registrada no AuditLog.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Username bloqueado
+ *     responses:
+ *       200:
+ *         description: Bloqueio removido
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Acesso negado
+ *       404:
+ *         description: Nenhum bloqueio ativo para este username
+ */
+router.delete("/lockouts/:username", protect, adminController.checkAdmin, adminController.clearLoginLockout);
+
 /**
  * @swagger
  * /api/admin/logs:
@@ -619,7 +1023,7 @@ router.put("/clans/:clanName/assign-leader", protect, adminController.checkAdmin
  *                 description: Nome de usuário do novo membro
  *               role:
  *                 type: string
- *                 enum: [Member, SubLeader]
+ *                 enum: [member, subleader, Member, SubLeader]
  *                 default: Member
  *                 description: Papel do membro no clã
  *     responses:
@@ -634,7 +1038,7 @@ router.put("/clans/:clanName/assign-leader", protect, adminController.checkAdmin
  */
 router.put("/clans/:clanName/assign-member", protect, adminController.checkAdmin, [
   check("username", "Nome de usuário é obrigatório").notEmpty(),
-  check("role", "Papel deve ser Member ou SubLeader").optional().isIn(["Member", "SubLeader"])
+  check("role", "Papel deve ser member ou subleader").optional().isIn(["member", "subleader", "Member", "SubLeader"])
 ], adminController.assignClanMemberByName);
 
 
@@ -1,6 +1,20 @@
 const express = require("express");
 const router = express.Router();
-const { registerUser, loginUser, getUserProfile } = require("../controllers/authController");
+const {
+  registerUser,
+  loginUser,
+  getUserProfile,
+  refreshToken,
+  logoutUser,
+  logoutAllSessions,
+  getMySessions,
+  revokeMySession,
+  loginTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  changePassword
+} = require("../controllers/authController");
 const { protect } = require("../middleware/authMiddleware");
 const { check } = require("express-validator");
 
@@ -85,9 +99,25 @@ const { check } = require("express-validator");
  *               password:
  *                 type: string
  *                 description: Senha do usuário
+ *               deviceId:
+ *                 type: string
+ *                 description: Identificador do dispositivo (opcional)
+ *               deviceType:
+ *                 type: string
+ *                 enum: [android, ios, web]
+ *                 description: Tipo do dispositivo (opcional)
+ *               appVersion:
+ *                 type: string
+ *                 description: Versão do app (opcional)
+ *               deviceInfo:
+ *                 type: object
+ *                 description: "Metadados do dispositivo (opcional): model, osVersion, appBuild"
+ *               fcmToken:
+ *                 type: string
+ *                 description: Token FCM do dispositivo, vinculado à sessão (opcional)
  *     responses:
  *       200:
- *         description: Autenticação bem-sucedida e token retornado
+ *         description: Autenticação bem-sucedida e token retornado, ou desafio 2FA quando a conta tem 2FA ativo
  *         content:
  *           application/json:
  *             schema:
@@ -96,6 +126,15 @@ const { check } = require("express-validator");
  *                 token:
  *                   type: string
  *                   description: Token de autenticação JWT
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Presente quando o login deve ser concluído em /api/auth/2fa/login
+ *                 twoFactorToken:
+ *                   type: string
+ *                   description: Desafio de curta duração (5 min) para a segunda etapa
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: ADM sem 2FA com a política obrigatória ativa; só as rotas de cadastro do 2FA ficam liberadas
  *       400:
  *         description: Credenciais inválidas
  *         content:
@@ -111,6 +150,25 @@ const { check } = require("express-validator");
  *                       msg:
  *                         type: string
  *                         description: "Mensagem de erro"
+ *       429:
+ *         description: Muitas tentativas falhas para este username (LOGIN_DELAYED) ou conta bloqueada temporariamente (ACCOUNT_LOCKED); veja o header Retry-After
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   enum: [LOGIN_DELAYED, ACCOUNT_LOCKED]
+ *                 retryAfter:
+ *                   type: integer
+ *                   description: Segundos até a próxima tentativa
+ *                 until:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
  *       500:
  *         description: Erro no servidor
  */
@@ -155,6 +213,321 @@ const { check } = require("express-validator");
  *         description: Erro no servidor
  */
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Trocar o refresh token por um novo access token (rotação)
+ *     description: O refresh token apresentado é invalidado e um novo é retornado. Reapresentar um token já rotacionado encerra a sessão.
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token recebido no login ou na última renovação
+ *     responses:
+ *       200:
+ *         description: Novo par de tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   description: Novo access token JWT
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Novo refresh token (o anterior deixa de valer)
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Validade do access token
+ *       401:
+ *         description: Refresh token inválido, expirado ou reutilizado
+ *       503:
+ *         description: Serviço de sessões indisponível
+ */
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Encerrar a sessão atual
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada
+ *       401:
+ *         description: Não autorizado
+ */
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Encerrar todas as sessões do usuário em todos os dispositivos
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessões encerradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revoked:
+ *                   type: integer
+ *                   description: Quantidade de sessões revogadas
+ *       401:
+ *         description: Não autorizado
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Listar as sessões ativas do usuário em cada dispositivo
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessões ativas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       current:
+ *                         type: boolean
+ *                         description: Se é a sessão que fez a requisição
+ *                       deviceModel:
+ *                         type: string
+ *                       appVersion:
+ *                         type: string
+ *                       lastIp:
+ *                         type: string
+ *                       lastActivity:
+ *                         type: string
+ *                         format: date-time
+ *                       pushEnabled:
+ *                         type: boolean
+ *       401:
+ *         description: Não autorizado
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Desconectar um dispositivo (encerra a sessão e desativa o token FCM)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da sessão
+ *     responses:
+ *       200:
+ *         description: Dispositivo desconectado
+ *       401:
+ *         description: Não autorizado
+ *       404:
+ *         description: Sessão não encontrada
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/login:
+ *   post:
+ *     summary: Segunda etapa do login com 2FA
+ *     description: Informe `code` (TOTP) ou `recoveryCode`. Cada código de recuperação só pode ser usado uma vez.
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorToken
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Código de 6 dígitos do aplicativo autenticador
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Código de recuperação (xxxxx-xxxxx)
+ *     responses:
+ *       200:
+ *         description: Login concluído; mesma resposta do /api/auth/login
+ *       401:
+ *         description: Desafio expirado ou código inválido
+ *       403:
+ *         description: Conta banida ou suspensa
+ *       429:
+ *         description: Conta bloqueada ou com atraso progressivo; códigos inválidos contam para o mesmo limite do login
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Iniciar cadastro do 2FA (TOTP)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segredo gerado; ainda precisa ser confirmado em /api/auth/2fa/verify
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   description: Segredo em base32 (entrada manual no app)
+ *                 otpauthUrl:
+ *                   type: string
+ *                   description: URL otpauth:// para gerar o QR code
+ *       400:
+ *         description: 2FA já está ativo
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Confirmar o cadastro do 2FA e ativar
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA ativado; os códigos de recuperação são exibidos somente nesta resposta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Código inválido ou cadastro não iniciado
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Desativar o 2FA
+ *     description: Não permitido para ADM quando o 2FA é obrigatório nas configurações do sistema.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA desativado
+ *       400:
+ *         description: Senha incorreta ou 2FA inativo
+ *       401:
+ *         description: Código inválido
+ *       403:
+ *         description: 2FA obrigatório para a conta
+ */
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Alterar a própria senha
+ *     description: Encerra todas as sessões do usuário e retorna um novo par de tokens para o dispositivo atual. Também conclui a troca obrigatória após um reset feito pelo ADM.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Senha alterada; novo token e refreshToken retornados
+ *       400:
+ *         description: Senha atual incorreta ou nova senha inválida
+ *       401:
+ *         description: Não autorizado
+ */
+
 console.log("--- Loading authRoutes.js ---"); // Debug log
 
 // @route   POST api/auth/register
@@ -189,4 +562,99 @@ router.post(
 // @access  Private
 router.get("/profile", protect, getUserProfile);
 
+// @route   POST api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public
+router.post(
+  "/refresh",
+  [check("refreshToken", "Refresh token is required").not().isEmpty()],
+  refreshToken
+);
+
+// @route   POST api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post("/logout", protect, logoutUser);
+
+// @route   POST api/auth/logout-all
+// @desc    Revoke every session of the user
+// @access  Private
+router.post("/logout-all", protect, logoutAllSessions);
+
+// @route   GET api/auth/sessions
+// @desc    List active device sessions
+// @access  Private
+router.get("/sessions", protect, getMySessions);
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete("/sessions/:id", protect, revokeMySession);
+
+// @route   POST api/auth/2fa/login
+// @desc    Complete a two-step login with a TOTP or recovery code
+// @access  Public
+router.post(
+  "/2fa/login",
+  [
+    check("twoFactorToken", "Two-factor token is required").not().isEmpty(),
+    check("code").custom((code, { req }) => {
+      if (!code && !req.body.recoveryCode) {
+        throw new Error("Code or recovery code is required");
+      }
+      return true;
+    }),
+  ],
+  loginTwoFactor
+);
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start TOTP enrollment
+// @access  Private
+router.post("/2fa/setup", protect, setupTwoFactor);
+
+// @route   POST api/auth/2fa/verify
+// @desc    Confirm TOTP enrollment and get recovery codes
+// @access  Private
+router.post(
+  "/2fa/verify",
+  protect,
+  [check("code", "Code is required").not().isEmpty()],
+  verifyTwoFactor
+);
+
+// @route   POST api/auth/2fa/disable
+// @desc    Disable TOTP (password + code required)
+// @access  Private
+router.post(
+  "/2fa/disable",
+  protect,
+  [
+    check("password", "Password is required").exists(),
+    check("code").custom((code, { req }) => {
+      if (!code && !req.body.recoveryCode) {
+        throw new Error("Code or recovery code is required");
+      }
+      return true;
+    }),
+  ],
+  disableTwoFactor
+);
+
+// @route   PUT api/auth/password
+// @desc    Change own password (revokes every session)
+// @access  Private
+router.put(
+  "/password",
+  protect,
+  [
+    check("currentPassword", "Current password is required").exists(),
+    check(
+      "newPassword",
+      "Please enter a password with 6 or more characters"
+    ).isLength({ min: 6 }),
+  ],
+  changePassword
+);
+
 module.exports = router;
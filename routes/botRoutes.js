@@ -0,0 +1,194 @@
+const express = require("express");
+const router = express.Router();
+const botController = require("../controllers/botController");
+const { protect } = require("../middleware/authMiddleware");
+const { check } = require("express-validator");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bots
+ *   description: Contas de serviço (bots) e API keys para integrações de clã
+ */
+
+/**
+ * @swagger
+ * /api/bots:
+ *   post:
+ *     summary: Criar uma conta de bot
+ *     description: Bots de clã podem ser criados pelo líder do clã; bots globais (sem clanId) apenas por ADM. Bots não fazem login por senha, só acessam a API por API key.
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: Nome de usuário do bot
+ *               clanId:
+ *                 type: string
+ *                 description: Clã do bot (omitir para bot global)
+ *     responses:
+ *       201:
+ *         description: Bot criado
+ *       400:
+ *         description: Dados inválidos ou nome de usuário já existe
+ *       403:
+ *         description: Sem permissão para gerenciar bots neste escopo
+ *       404:
+ *         description: Clã não encontrado
+ *   get:
+ *     summary: Listar bots
+ *     description: Com clanId lista os bots do clã (líder ou ADM); sem clanId lista todos os bots (apenas ADM).
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: clanId
+ *         schema:
+ *           type: string
+ *         description: ID do clã
+ *     responses:
+ *       200:
+ *         description: Lista de bots
+ *       403:
+ *         description: Sem permissão para gerenciar bots neste escopo
+ */
+router.post(
+  "/",
+  protect,
+  [
+    check("username", "Nome de usuário é obrigatório").trim().not().isEmpty(),
+    check("clanId", "ID do clã inválido").optional({ values: "null" }).isMongoId()
+  ],
+  botController.createBot
+);
+
+router.get("/", protect, botController.listBots);
+
+/**
+ * @swagger
+ * /api/bots/{botId}/keys:
+ *   post:
+ *     summary: Emitir uma API key para o bot
+ *     description: A chave em texto puro só é devolvida nesta resposta; o servidor guarda apenas o hash. Chaves de bots de clã só acessam o próprio clã.
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do bot
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Nome descritivo da chave
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [clan:read, qrr:read, qrr:write, chat:read, chat:send]
+ *               rateLimitPerMinute:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 600
+ *                 default: 60
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Validade da chave em dias (omitir para não expirar)
+ *     responses:
+ *       201:
+ *         description: API key emitida (campo `key`)
+ *       400:
+ *         description: Dados ou escopos inválidos
+ *       403:
+ *         description: Sem permissão para gerenciar este bot
+ *       404:
+ *         description: Bot não encontrado
+ *   get:
+ *     summary: Listar as API keys do bot
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do bot
+ *     responses:
+ *       200:
+ *         description: Lista de chaves com escopos, limite, último uso e revogação
+ *       403:
+ *         description: Sem permissão para gerenciar este bot
+ *       404:
+ *         description: Bot não encontrado
+ */
+router.post(
+  "/:botId/keys",
+  protect,
+  [
+    check("name", "Nome da chave é obrigatório").trim().not().isEmpty(),
+    check("scopes", "Informe ao menos um escopo").isArray({ min: 1 }),
+    check("rateLimitPerMinute", "Limite por minuto deve estar entre 1 e 600").optional().isInt({ min: 1, max: 600 }),
+    check("expiresInDays", "Validade em dias deve ser um número positivo").optional().isInt({ min: 1 })
+  ],
+  botController.issueKey
+);
+
+router.get("/:botId/keys", protect, botController.listKeys);
+
+/**
+ * @swagger
+ * /api/bots/{botId}/keys/{keyId}:
+ *   delete:
+ *     summary: Revogar uma API key do bot
+ *     tags: [Bots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do bot
+ *       - in: path
+ *         name: keyId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da API key
+ *     responses:
+ *       200:
+ *         description: API key revogada
+ *       403:
+ *         description: Sem permissão para gerenciar este bot
+ *       404:
+ *         description: API key não encontrada ou já revogada
+ */
+router.delete("/:botId/keys/:keyId", protect, botController.revokeKey);
+
+module.exports = router;
@@ -218,8 +218,12 @@ const {
   joinChannel,
   leaveChannel,
   getChannelMessages,
+  updateChannel,
+  deleteChannel,
 } = require("../controllers/channelController");
+const banController = require("../controllers/banController");
 const { protect } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/requirePermission");
 const { check } = require("express-validator");
 
 // All channel routes are protected
@@ -259,5 +263,119 @@ router.post("/:id/leave", leaveChannel);
 // @access  Private (Member only)
 router.get("/:id/messages", getChannelMessages);
 
+// @route   PUT api/channels/:id
+// @desc    Update a channel
+// @access  Private (channel.manage)
+router.put("/:id", requirePermission("channel.manage"), updateChannel);
+
+// @route   DELETE api/channels/:id
+// @desc    Delete a channel and its messages
+// @access  Private (channel.manage)
+router.delete("/:id", requirePermission("channel.manage"), deleteChannel);
+
+/**
+ * @swagger
+ * /api/channels/{id}/bans:
+ *   get:
+ *     summary: Listar bans ativos do canal (Dono do canal ou ADM)
+ *     tags: [Canais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Lista de bans ativos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 bans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScopedBan'
+ *       403:
+ *         description: Permissão insuficiente
+ *   post:
+ *     summary: Banir um usuário do canal (Dono do canal ou ADM)
+ *     description: Sem `duration` o ban é permanente. Bans vencidos são desativados automaticamente.
+ *     tags: [Canais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: ID do usuário a ser banido
+ *               reason:
+ *                 type: string
+ *                 description: Motivo do ban
+ *               duration:
+ *                 type: number
+ *                 description: Duração do ban em dias (opcional)
+ *     responses:
+ *       201:
+ *         description: Usuário banido com sucesso
+ *       400:
+ *         description: Dados inválidos ou usuário protegido
+ *       403:
+ *         description: Permissão insuficiente
+ *       404:
+ *         description: Canal ou usuário não encontrado
+ */
+router.get("/:id/bans", requirePermission("channel.ban"), banController.getChannelBans);
+router.post("/:id/bans", requirePermission("channel.ban"), banController.banFromChannel);
+
+/**
+ * @swagger
+ * /api/channels/{id}/bans/{userId}:
+ *   delete:
+ *     summary: Revogar o ban de um usuário no canal (Dono do canal ou ADM)
+ *     tags: [Canais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Ban revogado com sucesso
+ *       403:
+ *         description: Permissão insuficiente
+ *       404:
+ *         description: Nenhum ban ativo para o usuário
+ */
+router.delete("/:id/bans/:userId", requirePermission("channel.ban"), banController.unbanFromChannel);
+
 module.exports = router;
 
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/authMiddleware");
+const { allowApiKey } = require("../middleware/apiKeyAuth");
 const clanChatController = require("../controllers/clanChatController");
 
 /**
@@ -71,7 +72,7 @@ const clanChatController = require("../controllers/clanChatController");
  *       500:
  *         description: Erro no servidor
  */
-router.post("/:clanId/message", protect, clanChatController.sendMessage);
+router.post("/:clanId/message", allowApiKey("chat:send", { param: "clanId" }), protect, clanChatController.sendMessage);
 
 /**
  * @swagger
@@ -131,7 +132,7 @@ router.post("/:clanId/message", protect, clanChatController.sendMessage);
  *       500:
  *         description: Erro no servidor
  */
-router.get("/:clanId/messages", protect, clanChatController.getMessages);
+router.get("/:clanId/messages", allowApiKey("chat:read", { param: "clanId" }), protect, clanChatController.getMessages);
 
 module.exports = router;
 
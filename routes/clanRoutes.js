@@ -1,12 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const clanController = require("../controllers/clanController");
+const banController = require("../controllers/banController");
+const successionController = require("../controllers/successionController");
+const clanElectionController = require("../controllers/clanElectionController");
 const { protect } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/requirePermission");
+const { allowApiKey } = require("../middleware/apiKeyAuth");
 const { check, validationResult } = require("express-validator");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
-const Clan = require("../models/Clan");
 
 /**
  * @swagger
@@ -15,35 +19,6 @@ const Clan = require("../models/Clan");
  *   description: Gerenciamento de clãs e suas operações
  */
 
-// Middleware para verificar se é ADM, líder do clã ou sub-líder do clã
-const checkClanLeaderOrSubLeader = async (req, res, next) => {
-  const clanId = req.params.id || req.body.clanId;
-  if (!clanId) {
-    return res.status(400).json({ msg: "ID do clã é obrigatório." });
-  }
-
-  try {
-    const clan = await Clan.findById(clanId);
-    if (!clan) {
-      return res.status(404).json({ msg: "Clã não encontrado." });
-    }
-
-    const isLeader = clan.leader && clan.leader.toString() === req.user.id;
-    const isSubLeader = clan.subLeaders && clan.subLeaders.includes(req.user.id);
-    const isAdmin = req.user.role === "ADM";
-
-    if (isAdmin || isLeader || isSubLeader) {
-      req.clan = clan;
-      next();
-    } else {
-      res.status(403).json({ msg: "Acesso negado. Permissão insuficiente." });
-    }
-  } catch (error) {
-    console.error("Erro no middleware checkClanLeaderOrSubLeader:", error);
-    res.status(500).json({ msg: "Erro interno do servidor." });
-  }
-};
-
 // Middleware para verificar se é ADM
 const checkAdmin = (req, res, next) => {
   if (req.user.role !== "ADM") {
@@ -206,6 +181,7 @@ router.post("/leave", protect, clanController.leaveClan);
  *     tags: [Clãs]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -312,11 +288,11 @@ router.post("/leave", protect, clanController.leaveClan);
  *       500:
  *         description: Erro no servidor
  */
-router.get("/:id", protect, clanController.getClanById);
+router.get("/:id", allowApiKey("clan:read", { param: "id" }), protect, clanController.getClanById);
 
-router.put("/:id", protect, checkClanLeaderOrSubLeader, clanController.updateClan);
+router.put("/:id", protect, requirePermission("clan.update"), clanController.updateClan);
 
-router.delete("/:id", protect, checkClanLeaderOrSubLeader, clanController.deleteClan);
+router.delete("/:id", protect, requirePermission("clan.delete"), clanController.deleteClan);
 
 /**
  * @swagger
@@ -373,7 +349,7 @@ router.delete("/:id", protect, checkClanLeaderOrSubLeader, clanController.delete
 router.put(
   "/:id/banner",
   protect,
-  checkClanLeaderOrSubLeader,
+  requirePermission("clan.update"),
   upload.single("banner"),
   clanController.updateClanBanner
 );
@@ -425,7 +401,7 @@ router.put(
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/promote/:userId", protect, checkClanLeaderOrSubLeader, clanController.promoteMember);
+router.put("/:id/promote/:userId", protect, requirePermission("clan.members.promote"), clanController.promoteMember);
 
 /**
  * @swagger
@@ -471,7 +447,7 @@ router.put("/:id/promote/:userId", protect, checkClanLeaderOrSubLeader, clanCont
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/demote/:userId", protect, checkClanLeaderOrSubLeader, clanController.demoteMember);
+router.put("/:id/demote/:userId", protect, requirePermission("clan.members.promote"), clanController.demoteMember);
 
 /**
  * @swagger
@@ -517,7 +493,7 @@ router.put("/:id/demote/:userId", protect, checkClanLeaderOrSubLeader, clanContr
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/transfer/:userId", protect, checkClanLeaderOrSubLeader, clanController.transferLeadership);
+router.put("/:id/transfer/:userId", protect, requirePermission("clan.transfer"), clanController.transferLeadership);
 
 /**
  * @swagger
@@ -563,7 +539,7 @@ router.put("/:id/transfer/:userId", protect, checkClanLeaderOrSubLeader, clanCon
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/kick/:userId", protect, checkClanLeaderOrSubLeader, clanController.kickMember);
+router.put("/:id/kick/:userId", protect, requirePermission("clan.kick"), clanController.kickMember);
 
 /**
  * @swagger
@@ -609,7 +585,7 @@ router.put("/:id/kick/:userId", protect, checkClanLeaderOrSubLeader, clanControl
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/ally/:allyId", protect, checkClanLeaderOrSubLeader, clanController.addAlly);
+router.put("/:id/ally/:allyId", protect, requirePermission("clan.diplomacy"), clanController.addAlly);
 /**
  * @swagger
  * /api/clans/{id}/remove-ally/{allyId}:
@@ -654,7 +630,7 @@ router.put("/:id/ally/:allyId", protect, checkClanLeaderOrSubLeader, clanControl
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/remove-ally/:allyId", protect, checkClanLeaderOrSubLeader, clanController.removeAlly);
+router.put("/:id/remove-ally/:allyId", protect, requirePermission("clan.diplomacy"), clanController.removeAlly);
 
 /**
  * @swagger
@@ -700,7 +676,7 @@ router.put("/:id/remove-ally/:allyId", protect, checkClanLeaderOrSubLeader, clan
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/enemy/:enemyId", protect, checkClanLeaderOrSubLeader, clanController.addEnemy);
+router.put("/:id/enemy/:enemyId", protect, requirePermission("clan.diplomacy"), clanController.addEnemy);
 
 /**
  * @swagger
@@ -746,7 +722,7 @@ router.put("/:id/enemy/:enemyId", protect, checkClanLeaderOrSubLeader, clanContr
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/remove-enemy/:enemyId", protect, checkClanLeaderOrSubLeader, clanController.removeEnemy);
+router.put("/:id/remove-enemy/:enemyId", protect, requirePermission("clan.diplomacy"), clanController.removeEnemy);
 
 /**
  * @swagger
@@ -842,7 +818,7 @@ router.get("/federation/:federationId", protect, clanController.getClansByFedera
  *       500:
  *         description: Erro no servidor
  */
-router.post("/:id/roles", protect, checkClanLeaderOrSubLeader, clanController.addCustomRole);
+router.post("/:id/roles", protect, requirePermission("clan.roles.manage"), clanController.addCustomRole);
 
 /**
  * @swagger
@@ -900,7 +876,7 @@ router.post("/:id/roles", protect, checkClanLeaderOrSubLeader, clanController.ad
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/roles/:roleName", protect, checkClanLeaderOrSubLeader, clanController.updateCustomRole);
+router.put("/:id/roles/:roleName", protect, requirePermission("clan.roles.manage"), clanController.updateCustomRole);
 
 /**
  * @swagger
@@ -946,7 +922,7 @@ router.put("/:id/roles/:roleName", protect, checkClanLeaderOrSubLeader, clanCont
  *       500:
  *         description: Erro no servidor
  */
-router.delete("/:id/roles/:roleName", protect, checkClanLeaderOrSubLeader, clanController.deleteCustomRole);
+router.delete("/:id/roles/:roleName", protect, requirePermission("clan.roles.manage"), clanController.deleteCustomRole);
 
 /**
  * @swagger
@@ -1004,7 +980,7 @@ router.delete("/:id/roles/:roleName", protect, checkClanLeaderOrSubLeader, clanC
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/members/:userId/assign-role", protect, checkClanLeaderOrSubLeader, clanController.assignMemberRole);
+router.put("/:id/members/:userId/assign-role", protect, requirePermission("clan.roles.manage"), clanController.assignMemberRole);
 
 /**
  * @swagger
@@ -1062,7 +1038,870 @@ router.put("/:id/members/:userId/assign-role", protect, checkClanLeaderOrSubLead
  *       500:
  *         description: Erro no servidor
  */
-//router.put("/:id/members/:userId/remove-role", protect, checkClanLeaderOrSubLeader, clanController.removeMemberRole);
+router.put("/:id/members/:userId/remove-role", protect, requirePermission("clan.roles.manage"), clanController.removeMemberRole);
+
+/**
+ * @swagger
+ * /api/clans/{id}/application-form:
+ *   get:
+ *     summary: Obter o formulário de candidatura do clã
+ *     description: Perguntas que devem ser respondidas em POST /api/join-requests para este clã.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *     responses:
+ *       200:
+ *         description: Formulário do clã (enabled e questions)
+ *       404:
+ *         description: Clã não encontrado
+ *   put:
+ *     summary: Definir o formulário de candidatura do clã (quem gerencia membros ou ADM)
+ *     description: Substitui o formulário inteiro. Envie o `_id` de perguntas existentes para mantê-las ligadas às respostas já dadas.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               questions:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - label
+ *                     - type
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [text, number, choice, screenshot]
+ *                     required:
+ *                       type: boolean
+ *                       default: true
+ *                     options:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Opções (apenas para choice, mínimo 2)
+ *                     min:
+ *                       type: number
+ *                     max:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Formulário atualizado
+ *       400:
+ *         description: Formulário inválido
+ *       403:
+ *         description: Sem permissão para gerenciar membros deste clã
+ *       404:
+ *         description: Clã não encontrado
+ */
+router.get("/:id/application-form", protect, clanController.getApplicationForm);
+router.put("/:id/application-form", protect, requirePermission("clan.members.manage"), clanController.updateApplicationForm);
+
+/**
+ * @swagger
+ * /api/clans/{id}/join-rules:
+ *   get:
+ *     summary: Obter as regras de aprovação/rejeição automática de solicitações de entrada
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *     responses:
+ *       200:
+ *         description: Regras do clã e os tipos de condição disponíveis
+ *       403:
+ *         description: Sem permissão para gerenciar membros deste clã
+ *   put:
+ *     summary: Definir as regras de aprovação/rejeição automática (quem gerencia membros ou ADM)
+ *     description: |
+ *       As regras são avaliadas em ordem quando uma solicitação é criada; a primeira cujas condições
+ *       forem todas verdadeiras aprova ou rejeita a solicitação na hora. Sem regra correspondente, a
+ *       solicitação fica pendente. Condições: account_age_days (value = dias), banned_in_scope,
+ *       enemy_clan_member (saiu de um clã inimigo nos últimos value dias, padrão 30), same_federation
+ *       (saiu de um clã da mesma federação nos últimos value dias, padrão 30); `negate` inverte a condição.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               rules:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                     - action
+ *                     - conditions
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     action:
+ *                       type: string
+ *                       enum: [approve, reject]
+ *                     conditions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         required:
+ *                           - type
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             enum: [account_age_days, banned_in_scope, enemy_clan_member, same_federation]
+ *                           value:
+ *                             type: number
+ *                           negate:
+ *                             type: boolean
+ *                             default: false
+ *           example:
+ *             enabled: true
+ *             rules:
+ *               - name: Rejeitar membros de clãs inimigos
+ *                 action: reject
+ *                 conditions:
+ *                   - type: enemy_clan_member
+ *               - name: Aprovar veteranos da federação
+ *                 action: approve
+ *                 conditions:
+ *                   - type: account_age_days
+ *                     value: 30
+ *                   - type: banned_in_scope
+ *                     negate: true
+ *                   - type: same_federation
+ *     responses:
+ *       200:
+ *         description: Regras atualizadas
+ *       400:
+ *         description: Regras inválidas
+ *       403:
+ *         description: Sem permissão para gerenciar membros deste clã
+ */
+router.get("/:id/join-rules", protect, requirePermission("clan.members.manage"), clanController.getJoinRules);
+router.put("/:id/join-rules", protect, requirePermission("clan.members.manage"), clanController.updateJoinRules);
+
+/**
+ * @swagger
+ * /api/clans/{id}/activity:
+ *   get:
+ *     summary: Relatório de atividade dos membros (quem gerencia membros ou ADM)
+ *     description: |
+ *       Para cada membro: último acesso, mensagens no chat do clã, tempo em chamadas de voz,
+ *       participação/presença em QRRs e confirmações em missões dentro da janela, além dos dias
+ *       sem atividade e da ação da política de inatividade que vale para ele hoje (pendingAction).
+ *       Ordenado dos mais inativos para os mais ativos.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           minimum: 1
+ *           maximum: 365
+ *         description: Janela do relatório em dias
+ *     responses:
+ *       200:
+ *         description: Relatório de atividade
+ *       403:
+ *         description: Sem permissão para gerenciar membros deste clã
+ *       404:
+ *         description: Clã não encontrado
+ */
+router.get("/:id/activity", protect, requirePermission("clan.members.manage"), clanController.getActivityReport);
+
+/**
+ * @swagger
+ * /api/clans/{id}/inactivity-policy:
+ *   get:
+ *     summary: Obter a política de inatividade do clã
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *     responses:
+ *       200:
+ *         description: Política atual e as ações disponíveis
+ *       403:
+ *         description: Sem permissão para gerenciar membros deste clã
+ *   put:
+ *     summary: Definir a política de inatividade (quem gerencia membros ou ADM)
+ *     description: |
+ *       Cada regra aplica uma ação após N dias sem atividade: warn (avisa o membro), demote (tira
+ *       sub-liderança e cargos customizados) ou remove (expulsa do clã). Os prazos devem crescer com
+ *       a severidade. A política é verificada uma vez por dia; o líder nunca é afetado, e cada ação é
+ *       aplicada uma única vez enquanto o membro seguir inativo. Toda ação vai para o AuditLog e é
+ *       notificada ao membro e aos líderes.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               rules:
+ *                 type: array
+ *                 maxItems: 3
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - action
+ *                     - afterDays
+ *                   properties:
+ *                     action:
+ *                       type: string
+ *                       enum: [warn, demote, remove]
+ *                     afterDays:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 365
+ *           example:
+ *             enabled: true
+ *             rules:
+ *               - action: warn
+ *                 afterDays: 7
+ *               - action: demote
+ *                 afterDays: 14
+ *               - action: remove
+ *                 afterDays: 30
+ *     responses:
+ *       200:
+ *         description: Política atualizada
+ *       400:
+ *         description: Política inválida
+ *       403:
+ *         description: Sem permissão para gerenciar membros deste clã
+ */
+router.get("/:id/inactivity-policy", protect, requirePermission("clan.members.manage"), clanController.getInactivityPolicy);
+router.put("/:id/inactivity-policy", protect, requirePermission("clan.members.manage"), clanController.updateInactivityPolicy);
+
+/**
+ * @swagger
+ * /api/clans/{id}/succession:
+ *   get:
+ *     summary: Sucessão de liderança em andamento (ou a mais recente) do clã
+ *     description: |
+ *       Quando o líder fica inativo por mais de leaderInactivityDays (configuração do sistema), uma
+ *       sucessão é aberta automaticamente e os sub-líderes são avisados. Sem objeção em até
+ *       successionObjectionHours, o sucessor definido pela regra do clã assume. Se o líder voltar
+ *       antes do prazo, a sucessão é cancelada.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Regra atual, regras disponíveis e a sucessão (ou null)
+ *       403:
+ *         description: Permissão insuficiente
+ */
+router.get("/:id/succession", protect, requirePermission("clan.view"), successionController.getClanSuccession);
+
+/**
+ * @swagger
+ * /api/clans/{id}/succession-rule:
+ *   put:
+ *     summary: Definir como o sucessor é escolhido (Líder do Clã ou ADM)
+ *     description: |
+ *       longest_serving_subleader: o sub-líder promovido há mais tempo; most_active_member: o
+ *       candidato mais ativo; vote: membros do clã votam até o fim do prazo (sem votos, vale o sub-líder
+ *       mais antigo). Apenas candidatos ativos dentro do limite de inatividade podem assumir.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rule
+ *             properties:
+ *               rule:
+ *                 type: string
+ *                 enum: [longest_serving_subleader, most_active_member, vote]
+ *     responses:
+ *       200:
+ *         description: Regra atualizada
+ *       400:
+ *         description: Regra inválida
+ *       403:
+ *         description: Permissão insuficiente
+ */
+router.put("/:id/succession-rule", protect, requirePermission("clan.transfer"), successionController.updateClanSuccessionRule);
+
+/**
+ * @swagger
+ * /api/clans/{id}/succession/object:
+ *   post:
+ *     summary: Se opor à sucessão em andamento (líder, sub-líderes ou ADM)
+ *     description: |
+ *       Se o próprio líder se manifesta, a sucessão é cancelada. A objeção de um sub-líder ou ADM
+ *       mantém o líder atual; uma nova sucessão só é aberta após mais um período inteiro de
+ *       inatividade.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Objeção registrada
+ *       403:
+ *         description: Usuário não pode se opor
+ *       404:
+ *         description: Não há sucessão em andamento
+ *       409:
+ *         description: A sucessão já foi encerrada
+ */
+router.post("/:id/succession/object", protect, requirePermission("clan.view"), successionController.objectClanSuccession);
+
+/**
+ * @swagger
+ * /api/clans/{id}/succession/vote:
+ *   post:
+ *     summary: Votar no sucessor (membros do clã; regra "vote")
+ *     description: Cada votante tem um voto e pode trocá-lo até o fim do prazo.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidateId
+ *             properties:
+ *               candidateId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Voto registrado
+ *       400:
+ *         description: Sucessão sem votação ou candidato inválido
+ *       403:
+ *         description: Usuário não pode votar
+ *       404:
+ *         description: Não há sucessão em andamento
+ */
+router.post("/:id/succession/vote", protect, requirePermission("clan.view"), successionController.voteClanSuccession);
+
+/**
+ * @swagger
+ * /api/clans/{id}/elections:
+ *   get:
+ *     summary: Listar as eleições do clã (as 20 mais recentes)
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *     responses:
+ *       200:
+ *         description: Lista de eleições
+ *       403:
+ *         description: Permissão insuficiente
+ *   post:
+ *     summary: Abrir uma eleição para líder (Líder do Clã ou ADM)
+ *     description: |
+ *       A eleição começa na fase de indicações e passa sozinha para a votação ao fim de
+ *       nominationHours; a votação dura votingHours. Cada membro tem um voto, cujo peso pode variar
+ *       pelo cargo customizado (roleWeights; sem cargo listado o peso é 1, com vários vale o maior).
+ *       Com voto secreto (padrão) não se guarda em quem cada membro votou e as parciais ficam ocultas
+ *       até a apuração. O vencedor assume a liderança automaticamente; empate ou ausência de votos
+ *       mantém o líder atual. O resultado é publicado no chat do clã e registrado no AuditLog.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do clã
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nominationHours:
+ *                 type: integer
+ *                 default: 48
+ *                 minimum: 1
+ *                 maximum: 720
+ *               votingHours:
+ *                 type: integer
+ *                 default: 72
+ *                 minimum: 1
+ *                 maximum: 720
+ *               secretBallot:
+ *                 type: boolean
+ *                 default: true
+ *               roleWeights:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - roleName
+ *                     - weight
+ *                   properties:
+ *                     roleName:
+ *                       type: string
+ *                     weight:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 10
+ *           example:
+ *             nominationHours: 24
+ *             votingHours: 48
+ *             secretBallot: true
+ *             roleWeights:
+ *               - roleName: Veterano
+ *                 weight: 2
+ *     responses:
+ *       201:
+ *         description: Eleição aberta
+ *       400:
+ *         description: Opções inválidas
+ *       403:
+ *         description: Permissão insuficiente
+ *       409:
+ *         description: Já existe uma eleição em andamento
+ */
+router.get("/:id/elections", protect, requirePermission("clan.view"), clanElectionController.getElections);
+router.post("/:id/elections", protect, requirePermission("clan.transfer"), clanElectionController.createElection);
+
+/**
+ * @swagger
+ * /api/clans/{id}/elections/{electionId}:
+ *   get:
+ *     summary: Detalhes de uma eleição
+ *     description: Com voto secreto, votos e cédulas só aparecem após a apuração; hasVoted indica se o usuário já votou.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Eleição
+ *       404:
+ *         description: Eleição não encontrada
+ */
+router.get("/:id/elections/:electionId", protect, requirePermission("clan.view"), clanElectionController.getElection);
+
+/**
+ * @swagger
+ * /api/clans/{id}/elections/{electionId}/nominations:
+ *   post:
+ *     summary: Indicar um membro como candidato (fase de indicações)
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Membro indicado (por padrão, o próprio usuário)
+ *     responses:
+ *       200:
+ *         description: Candidato indicado
+ *       400:
+ *         description: Fora da fase de indicações ou candidato inválido
+ *       409:
+ *         description: Membro já indicado
+ */
+router.post("/:id/elections/:electionId/nominations", protect, requirePermission("clan.view"), clanElectionController.nominateCandidate);
+
+/**
+ * @swagger
+ * /api/clans/{id}/elections/{electionId}/nominations/{userId}:
+ *   delete:
+ *     summary: Retirar uma candidatura (o próprio candidato, Líder do Clã ou ADM)
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Candidatura retirada
+ *       403:
+ *         description: Permissão insuficiente
+ *       404:
+ *         description: Candidatura não encontrada
+ */
+router.delete("/:id/elections/:electionId/nominations/:userId", protect, requirePermission("clan.view"), clanElectionController.withdrawCandidate);
+
+/**
+ * @swagger
+ * /api/clans/{id}/elections/{electionId}/vote:
+ *   post:
+ *     summary: Votar em um candidato (um voto por membro, fase de votação)
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidateId
+ *             properties:
+ *               candidateId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Voto registrado (com o peso aplicado)
+ *       400:
+ *         description: Fora da votação ou candidato inválido
+ *       403:
+ *         description: Apenas membros do clã podem votar
+ *       409:
+ *         description: O usuário já votou
+ */
+router.post("/:id/elections/:electionId/vote", protect, requirePermission("clan.view"), clanElectionController.castVote);
+
+/**
+ * @swagger
+ * /api/clans/{id}/elections/{electionId}/cancel:
+ *   post:
+ *     summary: Cancelar uma eleição em andamento (Líder do Clã ou ADM)
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Eleição cancelada
+ *       400:
+ *         description: A eleição já foi encerrada
+ */
+router.post("/:id/elections/:electionId/cancel", protect, requirePermission("clan.transfer"), clanElectionController.cancelElection);
+
+/**
+ * @swagger
+ * /api/clans/{id}/bans:
+ *   get:
+ *     summary: Listar bans ativos do clã (Líder, Sub-líder do Clã ou ADM)
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Lista de bans ativos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 bans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScopedBan'
+ *       403:
+ *         description: Permissão insuficiente
+ *   post:
+ *     summary: Banir um usuário do clã (Líder, Sub-líder do Clã ou ADM)
+ *     description: Sem `duration` o ban é permanente. Bans vencidos são desativados automaticamente.
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: ID do usuário a ser banido
+ *               reason:
+ *                 type: string
+ *                 description: Motivo do ban
+ *               duration:
+ *                 type: number
+ *                 description: Duração do ban em dias (opcional)
+ *     responses:
+ *       201:
+ *         description: Usuário banido com sucesso
+ *       400:
+ *         description: Dados inválidos ou usuário protegido
+ *       403:
+ *         description: Permissão insuficiente
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get("/:id/bans", protect, requirePermission("clan.ban"), banController.getClanBans);
+router.post("/:id/bans", protect, requirePermission("clan.ban"), banController.banFromClan);
+
+/**
+ * @swagger
+ * /api/clans/{id}/bans/{userId}:
+ *   delete:
+ *     summary: Revogar o ban de um usuário do clã (Líder, Sub-líder do Clã ou ADM)
+ *     tags: [Clãs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Ban revogado com sucesso
+ *       403:
+ *         description: Permissão insuficiente
+ *       404:
+ *         description: Nenhum ban ativo para o usuário
+ */
+router.delete("/:id/bans/:userId", protect, requirePermission("clan.ban"), banController.unbanFromClan);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScopedBan:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: object
+ *           description: Usuário banido (username, avatar)
+ *         targetType:
+ *           type: string
+ *           enum: [clan, federation, channel]
+ *         targetId:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         bannedBy:
+ *           type: object
+ *           description: Quem aplicou o ban
+ *         startAt:
+ *           type: string
+ *           format: date-time
+ *         endAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fim do ban (null para permanente)
+ *         active:
+ *           type: boolean
+ */
 
 module.exports = router;
 
@@ -1,8 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const federationController = require("../controllers/federationController");
+const banController = require("../controllers/banController");
+const successionController = require("../controllers/successionController");
+const federationProposalController = require("../controllers/federationProposalController");
 const { protect } = require("../middleware/authMiddleware");
-const authorizeFederationLeaderOrADM = require("../middleware/authorizeFederationLeaderOrADM");
+const { requirePermission } = require("../middleware/requirePermission");
 const { check } = require("express-validator");
 const multer = require("multer");
 const path = require("path");
@@ -212,9 +215,9 @@ router.post(
  */
 router.get("/:id", protect, federationController.getFederationById);
 
-router.put("/:id", protect, authorizeFederationLeaderOrADM, federationController.updateFederation);
+router.put("/:id", protect, requirePermission("federation.update"), federationController.updateFederation);
 
-router.delete("/:id", protect, authorizeFederationLeaderOrADM, federationController.deleteFederation);
+router.delete("/:id", protect, requirePermission("federation.delete"), federationController.deleteFederation);
 
 /**
  * @swagger
@@ -265,10 +268,12 @@ router.delete("/:id", protect, authorizeFederationLeaderOrADM, federationControl
  *         description: Proibido, usuário não tem permissão para transferir liderança
  *       404:
  *         description: Federação ou novo líder não encontrado
+ *       409:
+ *         description: A liderança da federação mudou durante a operação
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/leader", protect, authorizeFederationLeaderOrADM, federationController.transferLeadership);
+router.put("/:id/leader", protect, requirePermission("federation.transfer"), federationController.transferLeadership);
 
 /**
  * @swagger
@@ -324,7 +329,7 @@ router.put("/:id/leader", protect, authorizeFederationLeaderOrADM, federationCon
  */
 router.put(
   "/:id/banner",
-  [protect, authorizeFederationLeaderOrADM, upload.single("banner")],
+  [protect, requirePermission("federation.update"), upload.single("banner")],
   federationController.updateFederationBanner
 );
 
@@ -369,10 +374,12 @@ router.put(
  *         description: Proibido, usuário não tem permissão para adicionar clãs a esta federação
  *       404:
  *         description: Federação ou clã não encontrado
+ *       409:
+ *         description: Conselho ativo; a decisão precisa passar por uma proposta (code COUNCIL_REQUIRED)
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/add-clan/:clanId", protect, authorizeFederationLeaderOrADM, federationController.addClanToFederation);
+router.put("/:id/add-clan/:clanId", protect, requirePermission("federation.clans.manage"), federationController.addClanToFederation);
 
 /**
  * @swagger
@@ -418,7 +425,7 @@ router.put("/:id/add-clan/:clanId", protect, authorizeFederationLeaderOrADM, fed
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/remove-clan/:clanId", protect, authorizeFederationLeaderOrADM, federationController.removeClanFromFederation);
+router.put("/:id/remove-clan/:clanId", protect, requirePermission("federation.clans.manage"), federationController.removeClanFromFederation);
 
 /**
  * @swagger
@@ -464,7 +471,7 @@ router.put("/:id/remove-clan/:clanId", protect, authorizeFederationLeaderOrADM,
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/promote-subleader/:userId", protect, authorizeFederationLeaderOrADM, federationController.promoteSubLeader);
+router.put("/:id/promote-subleader/:userId", protect, requirePermission("federation.subleaders.manage"), federationController.promoteSubLeader);
 
 /**
  * @swagger
@@ -510,7 +517,7 @@ router.put("/:id/promote-subleader/:userId", protect, authorizeFederationLeaderO
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/demote-subleader/:userId", protect, authorizeFederationLeaderOrADM, federationController.demoteSubLeader);
+router.put("/:id/demote-subleader/:userId", protect, requirePermission("federation.subleaders.manage"), federationController.demoteSubLeader);
 
 /**
  * @swagger
@@ -553,10 +560,12 @@ router.put("/:id/demote-subleader/:userId", protect, authorizeFederationLeaderOr
  *         description: Proibido, usuário não tem permissão para adicionar aliados a esta federação
  *       404:
  *         description: Federação ou federação aliada não encontrada
+ *       409:
+ *         description: Conselho ativo; a decisão precisa passar por uma proposta (code COUNCIL_REQUIRED)
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/add-ally/:allyId", protect, authorizeFederationLeaderOrADM, federationController.addAlly);
+router.put("/:id/add-ally/:allyId", protect, requirePermission("federation.diplomacy"), federationController.addAlly);
 
 /**
  * @swagger
@@ -602,7 +611,525 @@ router.put("/:id/add-ally/:allyId", protect, authorizeFederationLeaderOrADM, fed
  *       500:
  *         description: Erro no servidor
  */
-router.put("/:id/remove-ally/:allyId", protect, authorizeFederationLeaderOrADM, federationController.removeAlly);
+router.put("/:id/remove-ally/:allyId", protect, requirePermission("federation.diplomacy"), federationController.removeAlly);
+
+/**
+ * @swagger
+ * /api/federations/{id}/succession:
+ *   get:
+ *     summary: Sucessão de liderança em andamento (ou a mais recente) da federação
+ *     description: |
+ *       Quando o líder fica inativo por mais de leaderInactivityDays (configuração do sistema), uma
+ *       sucessão é aberta automaticamente e os sub-líderes são avisados. Sem objeção em até
+ *       successionObjectionHours, o sucessor definido pela regra da federação assume. Se o líder voltar
+ *       antes do prazo, a sucessão é cancelada.
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Regra atual, regras disponíveis e a sucessão (ou null)
+ *       403:
+ *         description: Permissão insuficiente
+ */
+router.get("/:id/succession", protect, requirePermission("federation.view"), successionController.getFederationSuccession);
+
+/**
+ * @swagger
+ * /api/federations/{id}/succession-rule:
+ *   put:
+ *     summary: Definir como o sucessor é escolhido (Líder da Federação ou ADM)
+ *     description: |
+ *       longest_serving_subleader: o sub-líder promovido há mais tempo; most_active_member: o
+ *       candidato mais ativo; vote: sub-líderes e líderes de clãs votam até o fim do prazo (sem votos, vale o sub-líder
+ *       mais antigo). Apenas candidatos ativos dentro do limite de inatividade podem assumir.
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rule
+ *             properties:
+ *               rule:
+ *                 type: string
+ *                 enum: [longest_serving_subleader, most_active_member, vote]
+ *     responses:
+ *       200:
+ *         description: Regra atualizada
+ *       400:
+ *         description: Regra inválida
+ *       403:
+ *         description: Permissão insuficiente
+ */
+router.put("/:id/succession-rule", protect, requirePermission("federation.transfer"), successionController.updateFederationSuccessionRule);
+
+/**
+ * @swagger
+ * /api/federations/{id}/succession/object:
+ *   post:
+ *     summary: Se opor à sucessão em andamento (líder, sub-líderes, líderes de clãs ou ADM)
+ *     description: |
+ *       Se o próprio líder se manifesta, a sucessão é cancelada. A objeção de um sub-líder ou ADM
+ *       mantém o líder atual; uma nova sucessão só é aberta após mais um período inteiro de
+ *       inatividade.
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Objeção registrada
+ *       403:
+ *         description: Usuário não pode se opor
+ *       404:
+ *         description: Não há sucessão em andamento
+ *       409:
+ *         description: A sucessão já foi encerrada
+ */
+router.post("/:id/succession/object", protect, requirePermission("federation.view"), successionController.objectFederationSuccession);
+
+/**
+ * @swagger
+ * /api/federations/{id}/succession/vote:
+ *   post:
+ *     summary: Votar no sucessor (sub-líderes e líderes de clãs; regra "vote")
+ *     description: Cada votante tem um voto e pode trocá-lo até o fim do prazo.
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidateId
+ *             properties:
+ *               candidateId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Voto registrado
+ *       400:
+ *         description: Sucessão sem votação ou candidato inválido
+ *       403:
+ *         description: Usuário não pode votar
+ *       404:
+ *         description: Não há sucessão em andamento
+ */
+router.post("/:id/succession/vote", protect, requirePermission("federation.view"), successionController.voteFederationSuccession);
+
+/**
+ * @swagger
+ * /api/federations/{id}/council:
+ *   get:
+ *     summary: Configuração e membros do conselho da federação
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da federação
+ *     responses:
+ *       200:
+ *         description: Configuração do conselho, líderes de clã que votam e ações disponíveis
+ *       403:
+ *         description: Permissão insuficiente
+ *   put:
+ *     summary: Ativar e configurar o conselho (Líder da Federação ou ADM)
+ *     description: |
+ *       Com o conselho ativo, adicionar clãs, declarar aliados e mudar as regras deixam de ser
+ *       decisões do líder (as rotas diretas respondem 409 COUNCIL_REQUIRED; ADM continua podendo) e
+ *       passam por propostas votadas pelos líderes dos clãs membros, um voto por clã.
+ *       quorumPercent é a parcela do conselho que precisa votar (abstenções contam) e
+ *       majorityPercent a parcela de "sim" entre sim e não necessária para aprovar.
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da federação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               quorumPercent:
+ *                 type: integer
+ *                 default: 50
+ *                 minimum: 1
+ *                 maximum: 100
+ *               majorityPercent:
+ *                 type: integer
+ *                 default: 51
+ *                 minimum: 50
+ *                 maximum: 100
+ *               votingHours:
+ *                 type: integer
+ *                 default: 72
+ *                 minimum: 1
+ *                 maximum: 720
+ *     responses:
+ *       200:
+ *         description: Conselho atualizado
+ *       400:
+ *         description: Configuração inválida
+ *       403:
+ *         description: Permissão insuficiente
+ */
+router.get("/:id/council", protect, requirePermission("federation.view"), federationProposalController.getCouncil);
+router.put("/:id/council", protect, requirePermission("federation.update"), federationProposalController.updateCouncil);
+
+/**
+ * @swagger
+ * /api/federations/{id}/proposals:
+ *   get:
+ *     summary: Listar as propostas da federação (as 50 mais recentes)
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da federação
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closing, passed, rejected, expired, cancelled, failed]
+ *     responses:
+ *       200:
+ *         description: Lista de propostas
+ *   post:
+ *     summary: Abrir uma proposta (liderança da federação, líderes de clã ou ADM)
+ *     description: |
+ *       A votação fica aberta por council.votingHours, ou até todos os líderes de clã votarem.
+ *       Aprovada, a ação é executada automaticamente; se não puder mais ser executada (ex.: o clã
+ *       entrou em outra federação), a proposta fica como failed.
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da federação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - params
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [add_clan, add_ally, update_rules, allocate_territory]
+ *               params:
+ *                 type: object
+ *                 properties:
+ *                   clan:
+ *                     type: string
+ *                     description: add_clan e allocate_territory
+ *                   ally:
+ *                     type: string
+ *                     description: add_ally
+ *                   rules:
+ *                     type: string
+ *                     maxLength: 1000
+ *                     description: update_rules
+ *                   territory:
+ *                     type: object
+ *                     description: allocate_territory
+ *                     properties:
+ *                       mapX:
+ *                         type: number
+ *                       mapY:
+ *                         type: number
+ *                       radius:
+ *                         type: number
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *           example:
+ *             action: add_ally
+ *             params:
+ *               ally: "60d5ec49f8c7b7001c8e4d1e"
+ *             description: "Aliança para a próxima temporada"
+ *     responses:
+ *       201:
+ *         description: Proposta aberta
+ *       400:
+ *         description: Ação ou parâmetros inválidos
+ *       403:
+ *         description: Usuário não pode abrir propostas
+ */
+router.get("/:id/proposals", protect, requirePermission("federation.view"), federationProposalController.getProposals);
+router.post("/:id/proposals", protect, requirePermission("federation.view"), federationProposalController.createProposal);
+
+/**
+ * @swagger
+ * /api/federations/{id}/proposals/{proposalId}:
+ *   get:
+ *     summary: Detalhes de uma proposta, com os votos de cada clã
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da federação
+ *       - in: path
+ *         name: proposalId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Proposta
+ *       404:
+ *         description: Proposta não encontrada
+ */
+router.get("/:id/proposals/:proposalId", protect, requirePermission("federation.view"), federationProposalController.getProposal);
+
+/**
+ * @swagger
+ * /api/federations/{id}/proposals/{proposalId}/vote:
+ *   post:
+ *     summary: Votar em uma proposta (líderes de clã do conselho, um voto por clã)
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da federação
+ *       - in: path
+ *         name: proposalId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - choice
+ *             properties:
+ *               choice:
+ *                 type: string
+ *                 enum: [yes, no, abstain]
+ *     responses:
+ *       200:
+ *         description: Voto registrado (a proposta é apurada na hora se todos já votaram)
+ *       400:
+ *         description: Votação encerrada ou voto inválido
+ *       403:
+ *         description: Usuário não faz parte do conselho
+ *       409:
+ *         description: O usuário já votou
+ */
+router.post("/:id/proposals/:proposalId/vote", protect, requirePermission("federation.view"), federationProposalController.voteProposal);
+
+/**
+ * @swagger
+ * /api/federations/{id}/proposals/{proposalId}/cancel:
+ *   post:
+ *     summary: Cancelar uma proposta aberta (autor, Líder da Federação ou ADM)
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da federação
+ *       - in: path
+ *         name: proposalId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Proposta cancelada
+ *       400:
+ *         description: A votação já foi encerrada
+ *       403:
+ *         description: Permissão insuficiente
+ */
+router.post("/:id/proposals/:proposalId/cancel", protect, requirePermission("federation.view"), federationProposalController.cancelProposal);
+
+/**
+ * @swagger
+ * /api/federations/{id}/bans:
+ *   get:
+ *     summary: Listar bans ativos da federação (Líder da Federação ou ADM)
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Lista de bans ativos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 bans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScopedBan'
+ *       403:
+ *         description: Permissão insuficiente
+ *   post:
+ *     summary: Banir um usuário da federação (Líder da Federação ou ADM)
+ *     description: Sem `duration` o ban é permanente. Bans vencidos são desativados automaticamente.
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: ID do usuário a ser banido
+ *               reason:
+ *                 type: string
+ *                 description: Motivo do ban
+ *               duration:
+ *                 type: number
+ *                 description: Duração do ban em dias (opcional)
+ *     responses:
+ *       201:
+ *         description: Usuário banido com sucesso
+ *       400:
+ *         description: Dados inválidos ou usuário protegido
+ *       403:
+ *         description: Permissão insuficiente
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get("/:id/bans", protect, requirePermission("federation.ban"), banController.getFederationBans);
+router.post("/:id/bans", protect, requirePermission("federation.ban"), banController.banFromFederation);
+
+/**
+ * @swagger
+ * /api/federations/{id}/bans/{userId}:
+ *   delete:
+ *     summary: Revogar o ban de um usuário da federação (Líder da Federação ou ADM)
+ *     tags: [Federações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Ban revogado com sucesso
+ *       403:
+ *         description: Permissão insuficiente
+ *       404:
+ *         description: Nenhum ban ativo para o usuário
+ */
+router.delete("/:id/bans/:userId", protect, requirePermission("federation.ban"), banController.unbanFromFederation);
 
 module.exports = router;
 
@@ -4,6 +4,9 @@ const auth = require("../middleware/auth");
 const User = require("../models/User");
 const Clan = require("../models/Clan");
 const Federation = require("../models/Federation");
+const banService = require("../services/banService");
+const inviteLinkController = require("../controllers/inviteLinkController");
+const { check } = require("express-validator");
 
 /**
  * @swagger
@@ -12,6 +15,156 @@ const Federation = require("../models/Federation");
  *   description: Gerenciamento de convites para clãs e federações
  */
 
+/**
+ * @swagger
+ * /api/invites/links:
+ *   post:
+ *     summary: Criar link de convite compartilhável
+ *     description: Exige permissão de gerenciar membros do alvo (clã), clãs da federação ou o canal. Links de federação são usados por líderes de clã e adicionam o clã à federação.
+ *     tags: [Convites]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - targetId
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [clan, federation, channel]
+ *               targetId:
+ *                 type: string
+ *                 description: ID do clã, federação ou canal
+ *               maxUses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Limite de usos (omitir para ilimitado)
+ *               expiresInHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Validade em horas (omitir para não expirar)
+ *               requiresApproval:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Gera uma solicitação de entrada em vez de entrar direto (não disponível para canais)
+ *     responses:
+ *       201:
+ *         description: Link criado (campo `link.code`)
+ *       400:
+ *         description: Dados inválidos
+ *       403:
+ *         description: Sem permissão para convidar para este alvo
+ *       404:
+ *         description: Alvo não encontrado
+ *       409:
+ *         description: Federação com conselho ativo só aceita links com aprovação (code COUNCIL_REQUIRED)
+ */
+router.post(
+  "/links",
+  auth,
+  [
+    check("type", "Tipo deve ser clan, federation ou channel").isIn(["clan", "federation", "channel"]),
+    check("targetId", "ID do alvo inválido").isMongoId(),
+    check("maxUses", "Limite de usos deve ser um número positivo").optional({ values: "null" }).isInt({ min: 1 }),
+    check("expiresInHours", "Validade em horas deve ser um número positivo").optional({ values: "null" }).isInt({ min: 1 }),
+    check("requiresApproval", "requiresApproval deve ser booleano").optional().isBoolean()
+  ],
+  inviteLinkController.createInviteLink
+);
+
+/**
+ * @swagger
+ * /api/invites/links/{code}:
+ *   get:
+ *     summary: Pré-visualizar link de convite
+ *     description: Mostra o alvo, quantidade de membros/clãs e capacidade, e se o link ainda é válido. Quem gerencia o alvo também vê os usos.
+ *     tags: [Convites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Código do link
+ *     responses:
+ *       200:
+ *         description: Dados do convite
+ *       404:
+ *         description: Link não encontrado
+ *   delete:
+ *     summary: Revogar link de convite
+ *     tags: [Convites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Código do link
+ *     responses:
+ *       200:
+ *         description: Link revogado
+ *       403:
+ *         description: Sem permissão para revogar este link
+ *       404:
+ *         description: Link não encontrado ou já revogado
+ */
+router.get("/links/:code", auth, inviteLinkController.previewInviteLink);
+router.delete("/links/:code", auth, inviteLinkController.revokeInviteLink);
+
+/**
+ * @swagger
+ * /api/invites/links/{code}/redeem:
+ *   post:
+ *     summary: Usar link de convite
+ *     description: Entra no clã/canal (ou adiciona o clã do líder e seus membros à federação). Se o link exigir aprovação, ou se a federação tiver o conselho ativo, cria uma solicitação de entrada (na federação, a candidatura do clã). Respeita bans de escopo e os limites de tamanho das configurações do sistema.
+ *     tags: [Convites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Código do link
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 description: Respostas ao formulário de candidatura do clã, quando o link exige aprovação (mesmo formato de POST /api/join-requests)
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Entrada realizada
+ *       202:
+ *         description: Solicitação de entrada criada, aguardando aprovação
+ *       400:
+ *         description: Já pertence ao alvo, já usou o link ou o alvo está cheio
+ *       403:
+ *         description: Banido do alvo ou sem permissão (links de federação exigem líder de clã)
+ *       404:
+ *         description: Link ou alvo não encontrado
+ *       410:
+ *         description: Link expirado, revogado ou sem usos restantes
+ */
+router.post("/links/:code/redeem", auth, inviteLinkController.redeemInviteLink);
+
 /**
  * @swagger
  * /api/invites:
@@ -76,6 +229,10 @@ router.post("/", auth, async (req, res) => {
       return res.status(404).json({ message: `${type} não encontrado` });
     }
 
+    if (await banService.isBanned(userId, type, targetId)) {
+      return res.status(403).json({ message: "O usuário está banido deste alvo e não pode ser convidado.", code: "SCOPE_BANNED" });
+    }
+
     res.json({ 
       message: "Convite enviado com sucesso",
       invite: {
@@ -308,7 +465,7 @@ module.exports = router;
  *           description: ID do clã ou federação
  *         status:
  *           type: string
- *           enum: [pending, accepted, rejected]
+ *           enum: [pending, accepted, rejected, expired]
  *           description: Status do convite
  *         createdAt:
  *           type: string
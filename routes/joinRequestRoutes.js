@@ -1,9 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
-const User = require("../models/User");
-const Clan = require("../models/Clan");
-const Federation = require("../models/Federation");
+const joinRequestController = require("../controllers/joinRequestController");
 
 /**
  * @swagger
@@ -37,24 +35,33 @@ const Federation = require("../models/Federation");
  *               targetId:
  *                 type: string
  *                 description: ID do clã ou federação para o qual a solicitação é enviada
- *               message:
- *                 type: string
- *                 description: Mensagem opcional para a solicitação
- *                 nullable: true
+ *               answers:
+ *                 type: array
+ *                 description: Respostas ao formulário de candidatura do clã (obrigatórias quando o clã tem formulário ativo)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     question:
+ *                       type: string
+ *                       description: ID da pergunta do formulário
+ *                     value:
+ *                       description: Texto, número, opção escolhida ou URL do screenshot enviado em /api/join-requests/screenshots
  *     responses:
- *       200:
+ *       201:
  *         description: Solicitação criada com sucesso
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
+ *                 msg:
  *                   type: string
- *                 joinRequest:
+ *                 data:
  *                   $ref: "#/components/schemas/JoinRequest"
  *       400:
- *         description: "Erro na requisição (ex: dados inválidos)"
+ *         description: "Erro na requisição (ex: já pertence a um clã, resposta inválida ou pergunta obrigatória sem resposta)"
+ *       403:
+ *         description: Usuário banido do clã/federação
  *       401:
  *         description: Não autorizado
  *       404:
@@ -62,47 +69,7 @@ const Federation = require("../models/Federation");
  *       500:
  *         description: Erro interno do servidor
  */
-router.post("/", auth, async (req, res) => {
-  try {
-    const { type, targetId, message } = req.body;
-    const userId = req.user.id;
-    
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ message: "Usuário não encontrado" });
-    }
-
-    let target;
-    if (type === "clan") {
-      target = await Clan.findById(targetId);
-    } else if (type === "federation") {
-      target = await Federation.findById(targetId);
-    }
-
-    if (!target) {
-      return res.status(404).json({ message: `${type} não encontrado` });
-    }
-
-    const joinRequest = {
-      id: Date.now().toString(),
-      userId,
-      type,
-      targetId,
-      message: message || "",
-      status: "pending",
-      createdAt: new Date()
-    };
-
-    res.json({ 
-      message: "Solicitação enviada com sucesso",
-      joinRequest
-    });
-
-  } catch (error) {
-    console.error("Erro ao criar solicitação:", error);
-    res.status(500).json({ message: "Erro interno do servidor" });
-  }
-});
+router.post("/", auth, joinRequestController.createJoinRequest);
 
 /**
  * @swagger
@@ -186,6 +153,247 @@ router.get("/pending", auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/join-requests/stale:
+ *   get:
+ *     summary: Resumo das solicitações pendentes sem resposta há mais de staleJoinRequestDays
+ *     description: Agrupado por clã/federação. Líderes e sublíderes veem apenas os próprios alvos; ADM vê todos.
+ *     tags: [Solicitações de Entrada]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de alvos com a quantidade de solicitações paradas e a data da mais antiga
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get("/stale", auth, joinRequestController.getStaleJoinRequests);
+
+/**
+ * @swagger
+ * /api/join-requests/screenshots:
+ *   post:
+ *     summary: Enviar screenshot para responder a uma pergunta do formulário de candidatura
+ *     description: Retorna a URL a ser usada como `value` da resposta em POST /api/join-requests.
+ *     tags: [Solicitações de Entrada]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               screenshot:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Upload concluído (campo `url`)
+ *       400:
+ *         description: Nenhuma imagem enviada
+ */
+router.post("/screenshots", auth, joinRequestController.uploadApplicationScreenshot);
+
+/**
+ * @swagger
+ * /api/join-requests/clan-applications:
+ *   post:
+ *     summary: Candidatar um clã a uma federação (líder do clã)
+ *     description: |
+ *       O líder se candidata em nome do clã, com uma apresentação. O líder e os sub-líderes da
+ *       federação avaliam (notas e votos em /api/join-requests/{id}/notes e /vote) e aceitam ou
+ *       rejeitam em /api/join-requests/{id}/approve e /reject. Aceita a candidatura,
+ *       Federation.clans, Clan.federation e a federação de todos os membros do clã são atualizados
+ *       juntos, e as demais candidaturas pendentes do clã são retiradas. Com o conselho da
+ *       federação ativo, a entrada passa por uma proposta add_clan.
+ *     tags: [Solicitações de Entrada]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - federationId
+ *             properties:
+ *               federationId:
+ *                 type: string
+ *               clanId:
+ *                 type: string
+ *                 description: Clã candidato (por padrão, o clã do usuário)
+ *               message:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Apresentação do clã
+ *     responses:
+ *       201:
+ *         description: Candidatura enviada
+ *       400:
+ *         description: Dados inválidos, clã já em uma federação, candidatura pendente ou federação sem vagas (FEDERATION_CAPACITY_REACHED)
+ *       403:
+ *         description: Usuário não é o líder do clã, ou o líder está banido da federação
+ *       404:
+ *         description: Clã ou federação não encontrado
+ *   get:
+ *     summary: Listar candidaturas de clãs
+ *     description: |
+ *       Com federationId, lista as candidaturas recebidas pela federação (líder, sub-líderes ou ADM),
+ *       com notas e contagem de votos. Sem federationId, lista as candidaturas enviadas pelos clãs que
+ *       o usuário lidera.
+ *     tags: [Solicitações de Entrada]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: federationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, withdrawn, expired]
+ *         description: Padrão pending quando federationId é informado
+ *     responses:
+ *       200:
+ *         description: Lista de candidaturas
+ *       403:
+ *         description: Sem permissão para ver as candidaturas da federação
+ */
+router.post("/clan-applications", auth, joinRequestController.createClanApplication);
+router.get("/clan-applications", auth, joinRequestController.getClanApplications);
+
+/**
+ * @swagger
+ * /api/join-requests/target/{targetId}:
+ *   get:
+ *     summary: Listar solicitações pendentes de um clã/federação com respostas, notas e votos (líderes/ADM)
+ *     tags: [Solicitações de Entrada]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID do clã ou federação
+ *     responses:
+ *       200:
+ *         description: Solicitações pendentes, cada uma com `voteSummary`
+ *       403:
+ *         description: Sem permissão para ver as solicitações deste alvo
+ */
+router.get("/target/:targetId", auth, joinRequestController.getJoinRequestsForTarget);
+
+/**
+ * @swagger
+ * /api/join-requests/{id}:
+ *   get:
+ *     summary: Ver uma solicitação de entrada com as respostas do formulário
+ *     description: Líderes/sublíderes e ADM veem também as notas internas e os votos; o solicitante vê apenas as próprias respostas.
+ *     tags: [Solicitações de Entrada]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da solicitação
+ *     responses:
+ *       200:
+ *         description: Solicitação de entrada
+ *       403:
+ *         description: Sem permissão para ver esta solicitação
+ *       404:
+ *         description: Solicitação não encontrada
+ */
+router.get("/:id", auth, joinRequestController.getJoinRequest);
+
+/**
+ * @swagger
+ * /api/join-requests/{id}/notes:
+ *   post:
+ *     summary: Adicionar nota interna a uma solicitação pendente (líderes/ADM)
+ *     tags: [Solicitações de Entrada]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da solicitação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Nota adicionada
+ *       403:
+ *         description: Sem permissão para avaliar esta solicitação
+ *       404:
+ *         description: Solicitação não encontrada ou já respondida
+ */
+router.post("/:id/notes", auth, joinRequestController.addJoinRequestNote);
+
+/**
+ * @swagger
+ * /api/join-requests/{id}/vote:
+ *   put:
+ *     summary: Votar para aprovar ou rejeitar uma solicitação pendente (líderes/ADM)
+ *     description: Cada avaliador tem um voto, que pode ser trocado enquanto a solicitação estiver pendente. Os votos são consultivos; a decisão é feita em approve/reject.
+ *     tags: [Solicitações de Entrada]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da solicitação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vote
+ *             properties:
+ *               vote:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *     responses:
+ *       200:
+ *         description: Voto registrado (campo `voteSummary`)
+ *       403:
+ *         description: Sem permissão para avaliar esta solicitação
+ *       404:
+ *         description: Solicitação não encontrada ou já respondida
+ */
+router.put("/:id/vote", auth, joinRequestController.voteJoinRequest);
+
 /**
  * @swagger
  * /api/join-requests/{id}/approve:
@@ -222,19 +430,7 @@ router.get("/pending", auth, async (req, res) => {
  *       500:
  *         description: Erro interno do servidor
  */
-router.post("/:id/approve", auth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    res.json({ 
-      message: "Solicitação aprovada com sucesso",
-      requestId: id
-    });
-  } catch (error) {
-    console.error("Erro ao aprovar solicitação:", error);
-    res.status(500).json({ message: "Erro interno do servidor" });
-  }
-});
+router.post("/:id/approve", auth, joinRequestController.acceptJoinRequest);
 
 /**
  * @swagger
@@ -272,19 +468,7 @@ router.post("/:id/approve", auth, async (req, res) => {
  *       500:
  *         description: Erro interno do servidor
  */
-router.post("/:id/reject", auth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    res.json({ 
-      message: "Solicitação rejeitada",
-      requestId: id
-    });
-  } catch (error) {
-    console.error("Erro ao rejeitar solicitação:", error);
-    res.status(500).json({ message: "Erro interno do servidor" });
-  }
-});
+router.post("/:id/reject", auth, joinRequestController.rejectJoinRequest);
 
 /**
  * @swagger
@@ -362,9 +546,12 @@ module.exports = router;
  *         message:
  *           type: string
  *           description: Mensagem da solicitação
+ *         applicantClan:
+ *           type: string
+ *           description: Clã candidato, quando a solicitação é a candidatura de um clã a uma federação
  *         status:
  *           type: string
- *           enum: [pending, approved, rejected, cancelled]
+ *           enum: [pending, approved, rejected, cancelled, expired]
  *           description: Status da solicitação
  *         createdAt:
  *           type: string
@@ -4,7 +4,7 @@ const notificationService = require("../services/notificationService");
 const notificationController = require("../controllers/notificationController");
 const firebaseConfig = require("../config/firebase");
 const auth = require("../middleware/auth");
-const permissionMiddleware = require("../middleware/permissionMiddleware");
+const { requirePermission } = require("../middleware/requirePermission");
 const { body, validationResult } = require("express-validator");
 const winston = require("winston");
 
@@ -776,7 +776,7 @@ module.exports = router;
  *       500:
  *         description: Erro interno do servidor
  */
-router.post("/global", auth, permissionMiddleware.hasRole(["admMaster"]), notificationController.sendGlobalNotification);
+router.post("/global", auth, requirePermission("system.notifications.broadcast"), notificationController.sendGlobalNotification);
 
 /**
  * @swagger
@@ -819,7 +819,7 @@ router.post("/global", auth, permissionMiddleware.hasRole(["admMaster"]), notifi
  *       500:
  *         description: Erro interno do servidor
  */
-router.post("/clan/:clanId", auth, permissionMiddleware.isClanLeaderOrAdmin, notificationController.sendClanNotification);
+router.post("/clan/:clanId", auth, requirePermission("clan.update", { param: "clanId" }), notificationController.sendClanNotification);
 
 /**
  * @swagger
@@ -862,7 +862,7 @@ router.post("/clan/:clanId", auth, permissionMiddleware.isClanLeaderOrAdmin, not
  *       500:
  *         description: Erro interno do servidor
  */
-router.post("/federation/:federationId", auth, permissionMiddleware.isFederationLeaderOrAdmin, notificationController.sendFederationNotification);
+router.post("/federation/:federationId", auth, requirePermission("federation.update", { param: "federationId" }), notificationController.sendFederationNotification);
 
 /**
  * @swagger
@@ -898,6 +898,6 @@ router.post("/federation/:federationId", auth, permissionMiddleware.isFederation
  *       500:
  *         description: Erro interno do servidor
  */
-router.post("/invite", auth, permissionMiddleware.canInviteToClan, notificationController.sendInviteNotification);
+router.post("/invite", auth, requirePermission("clan.members.manage", { param: "clanId", from: "body" }), notificationController.sendInviteNotification);
 
 
@@ -3,6 +3,7 @@ const router = express.Router();
 const qrrController = require("../controllers/qrrController");
 const federationQRRController = require("../controllers/federationQRRController");
 const { protect } = require("../middleware/authMiddleware");
+const { allowApiKey } = require("../middleware/apiKeyAuth");
 const { check, validationResult } = require("express-validator");
 const QRR = require("../models/QRR");
 const Clan = require("../models/Clan");
@@ -52,6 +53,7 @@ const checkQRRPermission = async (req, res, next) => {
  *     tags: [QRR]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -105,6 +107,7 @@ const checkQRRPermission = async (req, res, next) => {
  */
 router.post(
   "/",
+  allowApiKey("qrr:write", { param: "clanId", from: "body" }),
   protect,
   [
     check("title", "Título é obrigatório").not().isEmpty(),
@@ -124,6 +127,7 @@ router.post(
  *     tags: [QRR]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: clanId
@@ -152,7 +156,7 @@ router.post(
  *       500:
  *         description: Erro no servidor
  */
-router.get("/clan/:clanId", protect, qrrController.getQRRsByClan);
+router.get("/clan/:clanId", allowApiKey("qrr:read", { param: "clanId" }), protect, qrrController.getQRRsByClan);
 
 /**
  * @swagger
@@ -226,6 +226,189 @@ router.get("/cla/:id/membros", protect, async (req, res) => {
  */
 // Novas rotas usando userController
 router.get("/search", protect, userController.searchUsers);
+
+/**
+ * @swagger
+ * /api/users/me/username:
+ *   put:
+ *     summary: Trocar o próprio nome de usuário
+ *     description: |
+ *       Permitido uma vez a cada USERNAME_CHANGE_COOLDOWN_DAYS (padrão 30). O nome antigo vai para o
+ *       histórico, fica reservado ao usuário por USERNAME_RESERVATION_DAYS (padrão 30) e continua
+ *       encontrando a conta nas buscas por nome.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: Novo nome de usuário
+ *     responses:
+ *       200:
+ *         description: Nome alterado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 username:
+ *                   type: string
+ *                 nextChangeAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Nome vazio, igual ao atual, em uso ou reservado
+ *       401:
+ *         description: Não autorizado, token ausente ou inválido
+ *       429:
+ *         description: Troca feita há menos tempo que o cooldown (USERNAME_CHANGE_COOLDOWN, com nextChangeAt)
+ */
+router.put("/me/username", protect, userController.changeMyUsername);
+
+/**
+ * @swagger
+ * /api/users/by-username/{username}:
+ *   get:
+ *     summary: Buscar usuário pelo nome atual ou anterior
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Nome atual ou antigo
+ *     responses:
+ *       200:
+ *         description: Usuário encontrado (previousUsername preenchido quando o nome buscado é antigo)
+ *       401:
+ *         description: Não autorizado, token ausente ou inválido
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get("/by-username/:username", protect, userController.getUserByUsername);
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: Exportar os dados da própria conta
+ *     description: |
+ *       Inclui perfil, participações (clã, federação, canais, convites, solicitações), mensagens dos
+ *       quatro chats (canais, clã, federação, global), participação em QRRs, chamadas e histórico,
+ *       arquivos enviados (URLs), notificações e posts. Em ZIP, cada seção vira um arquivo JSON.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *         description: Formato do arquivo exportado
+ *     responses:
+ *       200:
+ *         description: Arquivo com os dados do usuário (download)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Não autorizado, token ausente ou inválido
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get("/me/export", protect, userController.exportMyData);
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Solicitar a exclusão da própria conta
+ *     description: |
+ *       A conta é excluída após o período de carência (ACCOUNT_DELETION_GRACE_DAYS, padrão 7 dias),
+ *       durante o qual a exclusão pode ser cancelada. Na exclusão, a liderança de clãs e federações
+ *       é passada adiante como na purga de afiliações, e mensagens, notificações, convites e sessões
+ *       do usuário são removidos.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Senha atual, para confirmar a exclusão
+ *     responses:
+ *       200:
+ *         description: Exclusão agendada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 deletionScheduledFor:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Senha ausente ou incorreta, exclusão já agendada ou conta de administrador
+ *       401:
+ *         description: Não autorizado, token ausente ou inválido
+ *       500:
+ *         description: Erro no servidor
+ */
+router.delete("/me", protect, userController.deleteMyAccount);
+
+/**
+ * @swagger
+ * /api/users/me/cancel-deletion:
+ *   post:
+ *     summary: Cancelar a exclusão agendada da própria conta
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exclusão cancelada
+ *       400:
+ *         description: Não há exclusão agendada
+ *       401:
+ *         description: Não autorizado, token ausente ou inválido
+ *       409:
+ *         description: A exclusão já está em andamento
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post("/me/cancel-deletion", protect, userController.cancelMyAccountDeletion);
+
 router.get("/online", protect, userController.getOnlineUsers);
 router.put("/profile", protect, userController.updateProfile);
 router.get("/:id/stats", protect, userController.getUserStats);
@@ -368,4 +551,8 @@ module.exports = router;
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *     apiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
  */
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const VoiceChannel = require("../models/VoiceChannel");
 const { protect } = require("../middleware/authMiddleware");
+const banService = require("../services/banService");
 const { check, validationResult } = require("express-validator");
 
 /**
@@ -334,6 +335,17 @@ router.put("/:id/join", protect, async (req, res) => {
     if (voiceChannel.activeUsers.includes(req.user.id)) {
       return res.status(400).json({ error: "Usuário já está neste canal de voz." });
     }
+
+    // Bans do clã/federação dona do canal também bloqueiam a voz
+    const ban = await banService.findActiveBan(req.user.id, [
+      { targetType: "clan", targetId: voiceChannel.clan },
+      { targetType: "federation", targetId: voiceChannel.federation }
+    ]);
+    if (ban) {
+      const body = banService.toResponse(ban);
+      return res.status(403).json({ error: body.msg, ...body });
+    }
+
     if (voiceChannel.activeUsers.length >= voiceChannel.userLimit) {
       return res.status(400).json({ error: "Canal de voz está lotado." });
     }
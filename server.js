@@ -5,11 +5,13 @@ const { Server } = require("socket.io");
 const cors = require("cors");
 const rateLimit = require("express-rate-limit");
 const connectDB = require("./config/db");
+const migrationService = require("./services/migrationService");
 const winston = require("winston");
 const fs = require("fs");
 const jwt = require("jsonwebtoken");
 const errorHandler = require("./middleware/errorMiddleware");
 const spiritualMiddleware = require("./middleware/spiritualMiddleware");
+const socketAuth = require("./middleware/socketAuth");
 const spiritualLogger = require("./utils/spiritualLogger");
 const { swaggerUi, swaggerSpec } = require("./swagger");
 
@@ -69,6 +71,7 @@ const QRR = require("./models/QRR");
 const GlobalChatMessage = require("./models/GlobalChatMessage");
 const JoinRequest = require("./models/JoinRequest");
 const presenceService = require("./services/presenceService");
+const clanElectionService = require("./services/clanElectionService");
 
 // ROTAS
 const uploadRoutes = require("./routes/uploadRoutes");
@@ -87,6 +90,7 @@ const globalChatRoutes = require("./routes/globalChatRoutes");
 const inviteRoutes = require("./routes/inviteRoutes");
 const joinRequestRoutes = require("./routes/joinRequestRoutes");
 const adminRoutes = require("./routes/adminRoutes");
+const botRoutes = require("./routes/botRoutes");
 const hierarchyRoutes = require("./routes/hierarchyRoutes");
 const monitoringRoutes = require('./routes/monitoringRoutes');
 const clanMissionRoutes = require("./routes/clanMission.routes");
@@ -240,6 +244,8 @@ const authLimiter = rateLimit({
 });
 app.use("/api/auth/login", authLimiter);
 app.use("/api/auth/register", authLimiter);
+app.use("/api/auth/refresh", authLimiter);
+app.use("/api/auth/2fa", authLimiter);
 
 const generalLimiter = rateLimit({
   windowMs: 1 * 60 * 1000,
@@ -284,6 +290,7 @@ const io = new Server(server, {
 });
 
 app.set("socketio", io);
+clanElectionService.setSocketIO(io);
 
 // Redis Adapter for Socket.IO
 const pubClient = redis.createClient({ url: process.env.REDIS_URL || "redis://localhost:6379" });
@@ -301,6 +308,9 @@ Promise.all([pubClient.connect(), subClient.connect()])
 let activeConnections = 0;
 const MAX_CONNECTIONS = 200;
 
+// Autenticação no handshake: sockets sem JWT válido são recusados antes de conectar
+io.use(socketAuth);
+
 io.on("connection", (socket) => {
   if (activeConnections >= MAX_CONNECTIONS) {
     socket.emit("error", { message: "Servidor lotado. Tente novamente em alguns minutos." });
@@ -317,17 +327,23 @@ io.on("connection", (socket) => {
     console.error(`🚨 Erro no socket ${socket.id}:`, error.message);
   });
 
-  socket.on("user_connected", async (userId) => {
-    try {
-      const userIdStr = String(userId);
-      socket.userId = userIdStr;
-      await presenceService.setOnline(userIdStr, socket.id);
+  // socket.userId vem do token validado no handshake (middleware socketAuth)
+  socket.join(`user:${socket.userId}`);
+  presenceService.setOnline(socket.userId, socket.id)
+    .then(() => {
       if (process.env.NODE_ENV !== "production") {
-        logger.info(`Usuário ${userIdStr} conectado com socket ID: ${socket.id}`);
+        logger.info(`Usuário ${socket.userId} conectado com socket ID: ${socket.id}`);
       }
-      socket.broadcast.emit("user_online", userIdStr);
-    } catch (error) {
-      console.error("Erro na autenticação do usuário via socket:", error.message);
+      socket.broadcast.emit("user_online", socket.userId);
+    })
+    .catch((error) => {
+      console.error("Erro ao registrar presença do usuário via socket:", error.message);
+    });
+
+  // Mantido por compatibilidade com clientes antigos: o userId enviado é ignorado
+  socket.on("user_connected", (userId) => {
+    if (userId && String(userId) !== socket.userId) {
+      logger.warn(`Socket ${socket.id} tentou se identificar como ${userId}, mas está autenticado como ${socket.userId}`);
     }
   });
 
@@ -373,6 +389,17 @@ const startServer = async () => {
     await connectDB();
     logger.info("MongoDB Connected.");
 
+    // Migrações de dados pendentes (desative com RUN_MIGRATIONS_ON_STARTUP=false). Se outra instância
+    // estiver migrando, aguarda ela terminar; se o lock não for liberado a tempo, sobe mesmo assim
+    if (process.env.RUN_MIGRATIONS_ON_STARTUP !== "false") {
+      try {
+        await migrationService.runPending({ waitForLock: migrationService.lockTtlMs });
+      } catch (error) {
+        if (error.code !== "MIGRATION_LOCKED") throw error;
+        logger.warn("Migrations still locked by another instance; starting without running them.");
+      }
+    }
+
     // --- ROTAS - Configuração das rotas da API ---
     app.use("/api/monitoring", monitoringRoutes(app));
     app.use("/api/auth", authRoutes);
@@ -391,6 +418,7 @@ const startServer = async () => {
     app.use("/api/invites", inviteRoutes);
     app.use("/api/join-requests", joinRequestRoutes);
     app.use("/api/admin", adminRoutes);
+    app.use("/api/bots", botRoutes);
     app.use("/api/hierarchy", hierarchyRoutes);
     app.use("/api/clan-missions", clanMissionRoutes);
     app.use("/api/clan-wars", clanWarRoutes);
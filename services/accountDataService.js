@@ -0,0 +1,269 @@
+const archiver = require("archiver");
+const User = require("../models/User");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const Channel = require("../models/Channel");
+const Message = require("../models/Message");
+const ClanChatMessage = require("../models/ClanChatMessage");
+const FederationChatMessage = require("../models/FederationChatMessage");
+const GlobalChatMessage = require("../models/GlobalChatMessage");
+const QRR = require("../models/QRR");
+const Call = require("../models/Call");
+const CallHistory = require("../models/CallHistory");
+const Notification = require("../models/Notification");
+const InstaClanPost = require("../models/InstaClanPost");
+const Post = require("../models/Post");
+const Invite = require("../models/Invite");
+const JoinRequest = require("../models/JoinRequest");
+const FCMToken = require("../models/FCMToken");
+const AuditLog = require("../models/AuditLog");
+const affiliationService = require("./affiliationService");
+const applicationFormService = require("./applicationFormService");
+const sessionService = require("./sessionService");
+const cacheService = require("./cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+const winston = require("winston");
+
+// Logger específico para exportação e exclusão de contas
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [ACCOUNT-DATA-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+// Os quatro modelos de chat: canais, clã, federação e global
+const CHAT_MODELS = {
+  channel: Message,
+  clan: ClanChatMessage,
+  federation: FederationChatMessage,
+  global: GlobalChatMessage
+};
+
+class AccountDataService {
+  constructor() {
+    this.deletionGraceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 7;
+    this.deletionInterval = 60 * 60 * 1000; // verificação de exclusões vencidas a cada hora
+    this.deletionClaimTimeout = 15 * 60 * 1000; // reivindicação abandonada (instância caiu durante a exclusão)
+  }
+
+  /**
+   * Reúne todos os dados mantidos sobre o usuário, separados por seção
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<object>} Seções da exportação
+   */
+  async collectExport(userId) {
+    const user = await User.findById(userId).select("-password").lean();
+    if (!user) return null;
+
+    const [clan, federation, channels, invites, joinRequests] = await Promise.all([
+      user.clan ? Clan.findById(user.clan).select("name tag leader subLeaders memberRoles").lean() : null,
+      user.federation ? Federation.findById(user.federation).select("name tag leader subLeaders").lean() : null,
+      Channel.find({ members: userId }).select("name type channelType clan federation owner createdAt").lean(),
+      Invite.find({ $or: [{ sender: userId }, { recipient: userId }] }).lean(),
+      JoinRequest.find({ requester: userId }).lean()
+    ]);
+
+    const messages = {};
+    for (const [scope, Model] of Object.entries(CHAT_MODELS)) {
+      messages[scope] = await Model.find({ sender: userId }).sort({ createdAt: 1 }).lean();
+    }
+
+    const [qrrsCreated, qrrsJoined, calls, callHistory, notificationsReceived, notificationsSent, clanPosts, posts] =
+      await Promise.all([
+        QRR.find({ createdBy: userId }).select("title clan status startTime endTime createdAt").lean(),
+        QRR.find({ "participants.user": userId }).select("title clan status startTime endTime participants").lean(),
+        Call.find({ $or: [{ createdBy: userId }, { "participants.user": userId }] }).lean(),
+        CallHistory.find({ $or: [{ callerId: userId }, { receiverId: userId }] }).sort({ timestamp: -1 }).lean(),
+        Notification.find({ targetType: "user", targetId: userId }).lean(),
+        Notification.find({ sender: userId }).lean(),
+        InstaClanPost.find({ author: userId }).lean(),
+        Post.find({ author: userId }).lean()
+      ]);
+
+    const qrrParticipation = qrrsJoined.map(({ participants, ...qrr }) => ({
+      ...qrr,
+      participation: (participants || []).find(p => p.user && p.user.toString() === String(userId)) || null
+    }));
+
+    // Não há modelo de upload: os arquivos enviados são as URLs gravadas no perfil, nas mensagens e nos posts
+    const uploads = [
+      user.avatar && { source: "avatar", url: user.avatar },
+      ...Object.entries(messages).flatMap(([scope, list]) =>
+        list.filter(m => m.fileUrl).map(m => ({ source: `${scope}_message`, id: m._id, url: m.fileUrl, createdAt: m.createdAt }))),
+      ...clanPosts.filter(p => p.imageUrl).map(p => ({ source: "clan_post", id: p._id, url: p.imageUrl, createdAt: p.createdAt }))
+    ].filter(Boolean);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile: user,
+      // Notas e votos dos avaliadores são internos ao clã/federação
+      memberships: { clan, federation, channels, invites, joinRequests: joinRequests.map(request => applicationFormService.toRequesterView(request)) },
+      messages,
+      qrrs: { created: qrrsCreated, participation: qrrParticipation },
+      calls: { calls, history: callHistory },
+      uploads,
+      notifications: { received: notificationsReceived, sent: notificationsSent },
+      posts: { clan: clanPosts, general: posts }
+    };
+  }
+
+  /**
+   * Envia a exportação como ZIP (um JSON por seção) na resposta
+   * @param {object} res - Resposta Express
+   * @param {object} data - Resultado de collectExport
+   * @param {string} filename - Nome do arquivo, sem extensão
+   */
+  async streamZip(res, data, filename) {
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (error) => {
+      logger.error("Error building account export archive:", error);
+      res.destroy(error);
+    });
+
+    res.attachment(`${filename}.zip`);
+    archive.pipe(res);
+    for (const [section, content] of Object.entries(data)) {
+      archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+    }
+    await archive.finalize();
+  }
+
+  /**
+   * Agenda a exclusão da conta para o fim do período de carência
+   * @param {object} user - Documento do usuário
+   * @returns {Promise<Date>} Data em que a conta será excluída
+   */
+  async requestDeletion(user) {
+    const now = new Date();
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(now.getTime() + this.deletionGraceDays * 24 * 60 * 60 * 1000);
+    await user.save();
+    await cacheService.del(CacheKeys.user(user._id));
+
+    await this.audit("account_deletion_requested", user._id, `Exclusão agendada para ${user.deletionScheduledFor.toISOString()}`);
+    return user.deletionScheduledFor;
+  }
+
+  /**
+   * Filtro das exclusões que ninguém está executando (sem reivindicação ou com reivindicação abandonada)
+   * @returns {object} Filtro do MongoDB
+   */
+  unclaimedFilter() {
+    return {
+      $or: [
+        { deletionClaimedAt: null },
+        { deletionClaimedAt: { $lt: new Date(Date.now() - this.deletionClaimTimeout) } }
+      ]
+    };
+  }
+
+  /**
+   * Cancela uma exclusão agendada, inclusive uma que ficou pela metade, desde que não esteja em execução
+   * @param {object} user - Documento do usuário
+   * @returns {Promise<{error?: object}>}
+   */
+  async cancelDeletion(user) {
+    if (!user.deletionScheduledFor) return { error: { status: 400, msg: "Não há exclusão de conta agendada." } };
+
+    const cancelled = await User.updateOne(
+      { _id: user._id, deletionScheduledFor: { $ne: null }, ...this.unclaimedFilter() },
+      { $set: { deletionRequestedAt: null, deletionScheduledFor: null, deletionClaimedAt: null } }
+    );
+    if (cancelled.modifiedCount === 0) {
+      return { error: { status: 409, msg: "A exclusão da conta já está em andamento." } };
+    }
+    await cacheService.del(CacheKeys.user(user._id));
+
+    await this.audit("account_deletion_cancelled", user._id, "Exclusão de conta cancelada pelo usuário");
+    return {};
+  }
+
+  /**
+   * Exclui a conta: passa a liderança de clãs/federações como na purga de afiliações,
+   * remove mensagens, notificações, convites e tokens do usuário e encerra as sessões
+   * @param {string} userId - ID do usuário
+   */
+  async deleteAccount(userId) {
+    const affiliations = await affiliationService.leaveAll(userId);
+
+    await Channel.updateMany({ members: userId }, { $pull: { members: userId } });
+    for (const Model of Object.values(CHAT_MODELS)) {
+      await Model.deleteMany({ sender: userId });
+    }
+    await Notification.deleteMany({ targetType: "user", targetId: userId });
+    await Invite.deleteMany({ $or: [{ sender: userId }, { recipient: userId }] });
+    await JoinRequest.deleteMany({ requester: userId });
+    await FCMToken.deleteMany({ userId });
+
+    await sessionService.revokeAllUserSessions(userId);
+    await User.deleteOne({ _id: userId });
+    await cacheService.del(CacheKeys.user(userId));
+
+    await this.audit("account_deleted", userId, `Conta excluída após o período de carência. Afiliações: ${JSON.stringify(affiliations)}`);
+    logger.info(`Account ${userId} deleted`, affiliations);
+  }
+
+  /**
+   * Exclui as contas cujo período de carência terminou
+   * @returns {Promise<number>} Quantidade de contas excluídas
+   */
+  async processDueDeletions() {
+    const due = await User.find({ deletionScheduledFor: { $lte: new Date() }, ...this.unclaimedFilter() }).select("_id").lean();
+    let deleted = 0;
+
+    for (const { _id } of due) {
+      // Reivindica a exclusão para que outra instância não processe a mesma conta. O agendamento só
+      // some junto com a conta: se a instância cair no meio, a reivindicação expira e a exclusão é retomada.
+      const claimed = await User.updateOne(
+        { _id, deletionScheduledFor: { $lte: new Date() }, ...this.unclaimedFilter() },
+        { $set: { deletionClaimedAt: new Date() } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      try {
+        await this.deleteAccount(_id);
+        deleted++;
+      } catch (error) {
+        logger.error(`Error deleting account ${_id}:`, error);
+        // Libera a reivindicação para nova tentativa na próxima execução
+        await User.updateOne({ _id }, { $set: { deletionClaimedAt: null } });
+      }
+    }
+
+    return deleted;
+  }
+
+  async audit(action, userId, details) {
+    try {
+      await AuditLog.create({ action, performedBy: userId, targetType: "user", targetId: userId, details });
+    } catch (error) {
+      logger.error(`Error writing audit log for ${action}:`, error);
+    }
+  }
+}
+
+// Instância singleton
+const accountDataService = new AccountDataService();
+
+// Exclusão automática das contas com período de carência vencido
+setInterval(async () => {
+  try {
+    await accountDataService.processDueDeletions();
+  } catch (error) {
+    logger.error("Error processing scheduled account deletions:", error);
+  }
+}, accountDataService.deletionInterval);
+
+module.exports = accountDataService;
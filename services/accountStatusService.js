@@ -0,0 +1,179 @@
+const User = require("../models/User");
+const VoiceChannel = require("../models/VoiceChannel");
+const Call = require("../models/Call");
+const sessionService = require("./sessionService");
+const twoFactorService = require("./twoFactorService");
+const presenceService = require("./presenceService");
+const cacheService = require("./cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+const winston = require("winston");
+
+// Logger específico para restrições de conta
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [ACCOUNT-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+// Rotas liberadas enquanto o usuário precisa trocar a senha temporária
+const PASSWORD_CHANGE_ALLOWED_PATHS = [
+  "/api/auth/password",
+  "/api/auth/profile",
+  "/api/auth/logout",
+  "/api/auth/logout-all"
+];
+
+class AccountStatusService {
+  /**
+   * Resolve a restrição ativa de uma conta (banimento ou suspensão).
+   * Suspensões vencidas são removidas automaticamente do documento.
+   * @param {object} user - Documento (ou objeto lean) do usuário
+   * @returns {Promise<{type: string, code: string, reason: string|null, until: Date|null}|null>}
+   */
+  async getRestriction(user) {
+    if (!user) return null;
+
+    if (user.banned) {
+      return {
+        type: "banned",
+        code: "ACCOUNT_BANNED",
+        reason: user.banReason || null,
+        until: null
+      };
+    }
+
+    if (user.suspended) {
+      const until = user.suspensionExpires ? new Date(user.suspensionExpires) : null;
+
+      if (until && until <= new Date()) {
+        await this.liftExpiredSuspension(user._id);
+        user.suspended = false;
+        user.suspensionReason = null;
+        user.suspensionExpires = null;
+        return null;
+      }
+
+      return {
+        type: "suspended",
+        code: "ACCOUNT_SUSPENDED",
+        reason: user.suspensionReason || null,
+        until
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove a suspensão vencida de um usuário
+   * @param {string} userId - ID do usuário
+   */
+  async liftExpiredSuspension(userId) {
+    try {
+      await User.updateOne(
+        { _id: userId, suspended: true, suspensionExpires: { $lte: new Date() } },
+        { $set: { suspended: false, suspensionReason: null, suspensionExpires: null } }
+      );
+      await cacheService.del(CacheKeys.user(userId));
+      logger.info(`Suspension expired for user ${userId}`);
+    } catch (error) {
+      logger.error(`Error lifting expired suspension for user ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Monta o corpo padronizado da resposta 403 para contas restritas
+   * @param {object} restriction - Resultado de getRestriction
+   * @returns {object} Corpo da resposta
+   */
+  toResponse(restriction) {
+    const isBan = restriction.type === "banned";
+    return {
+      msg: isBan ? "Sua conta foi banida." : "Sua conta está suspensa.",
+      code: restriction.code,
+      reason: restriction.reason,
+      until: restriction.until ? restriction.until.toISOString() : null
+    };
+  }
+
+  /**
+   * Pendência que bloqueia o uso da API até ser resolvida pelo próprio usuário:
+   * troca de senha temporária e, depois, cadastro do 2FA obrigatório
+   * @param {object} user - Documento do usuário autenticado
+   * @param {object|null} [req] - Requisição Express; sem ela (handshake do Socket.IO) nenhuma rota de regularização é liberada
+   * @returns {Promise<{msg: string, code: string}|null>} Corpo da resposta 403 ou null
+   */
+  async getRequiredAction(user, req = null) {
+    const path = req ? (req.originalUrl || "").split("?")[0] : null;
+
+    if (user.mustChangePasswordOnNextLogin) {
+      if (path && PASSWORD_CHANGE_ALLOWED_PATHS.includes(path)) return null;
+      return { msg: "Altere sua senha para continuar.", code: "PASSWORD_CHANGE_REQUIRED" };
+    }
+
+    if (!(req && twoFactorService.isSetupAllowedRoute(req)) && (await twoFactorService.isSetupPending(user))) {
+      return { msg: "Cadastre a autenticação em dois fatores para continuar.", code: "TWO_FACTOR_SETUP_REQUIRED" };
+    }
+
+    return null;
+  }
+
+  /**
+   * Corta o acesso em tempo real de um usuário recém-restrito:
+   * encerra sessões, desconecta sockets e remove de canais de voz e chamadas
+   * @param {object|null} io - Instância do Socket.IO (req.app.get("socketio"))
+   * @param {string} userId - ID do usuário
+   * @param {object} restriction - Resultado de getRestriction
+   */
+  async enforce(io, userId, restriction) {
+    const userIdStr = String(userId);
+
+    await sessionService.revokeAllUserSessions(userIdStr);
+
+    // Desconectar os sockets já dispara "user_left_voice" para a sala atual (server.js)
+    if (io) {
+      const room = `user:${userIdStr}`;
+      io.to(room).emit("account_restricted", this.toResponse(restriction));
+      io.in(room).disconnectSockets(true);
+    }
+    await presenceService.setOffline(userIdStr);
+
+    try {
+      const voiceChannels = await VoiceChannel.find({ activeUsers: userId });
+      for (const voiceChannel of voiceChannels) {
+        voiceChannel.removeParticipant(userId);
+        await voiceChannel.save();
+      }
+
+      await Call.updateMany(
+        { status: { $in: ["pending", "active"] }, "participants.user": userId },
+        {
+          $pull: { participants: { user: userId } },
+          $push: { events: { type: "left", user: userId, timestamp: new Date() } }
+        }
+      );
+
+      await User.updateOne({ _id: userId }, { $set: { online: false, lastSeen: new Date() } });
+      logger.info(`Access cut off for ${restriction.type} user ${userIdStr}`, {
+        voiceChannels: voiceChannels.length
+      });
+    } catch (error) {
+      logger.error(`Error removing restricted user ${userIdStr} from voice:`, error);
+    }
+  }
+}
+
+const accountStatusService = new AccountStatusService();
+module.exports = accountStatusService;
@@ -0,0 +1,148 @@
+const User = require("../models/User");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const membershipService = require("./membershipService");
+const cacheService = require("./cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+
+/**
+ * Saída de um usuário de todos os clãs e federações, com passagem de liderança.
+ *
+ * Usado pela purga de afiliações do ADM e pela exclusão de conta:
+ * - clã liderado: liderança vai para o primeiro outro membro; sem membros, o clã é destruído
+ * - federação liderada: liderança vai para o primeiro sub-líder; sem sub-líderes, a federação é destruída
+ * - demais clãs/federações: o usuário apenas sai
+ * Passagens de liderança e saídas vão pelo membershipService, que grava todos os lados juntos.
+ */
+class AffiliationService {
+  /**
+   * Remove o usuário de todos os clãs e federações
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<{clansLeft: number, clansDestroyed: number, federationsLeft: number, federationsDestroyed: number}>}
+   */
+  async leaveAll(id) {
+    const userId = String(id);
+    const summary = {
+      clansLeft: 0,
+      clansDestroyed: 0,
+      federationsLeft: 0,
+      federationsDestroyed: 0
+    };
+
+    // Buscar clãs onde o usuário é líder ou membro
+    const clansAsLeader = await Clan.find({ leader: userId });
+    const clansAsMember = await Clan.find({ 
+      members: userId,
+      leader: { $ne: userId } // Não incluir clãs onde já é líder
+    });
+
+    // Processar clãs onde é líder
+    for (const clan of clansAsLeader) {
+      // Verificar se há outros membros que podem ser líderes
+      const otherMembers = clan.members.filter(memberId => memberId.toString() !== userId);
+      
+      if (otherMembers.length > 0) {
+        // Transferir liderança para o primeiro membro disponível
+        const newLeaderId = otherMembers[0];
+        const newLeader = await User.findById(newLeaderId);
+
+        if (newLeader) {
+          const { error } = await membershipService.transferClanLeadership(clan, newLeaderId);
+          if (error) throw new Error(error.msg);
+          await membershipService.leaveClan(clan._id, userId);
+          summary.clansLeft++;
+        } else {
+          // Se o novo líder não existe, destruir o clã
+          await Clan.deleteOne({ _id: clan._id });
+          await User.updateMany(
+            { clan: clan._id },
+            { $unset: { clan: "", clanRole: "" } }
+          );
+          summary.clansDestroyed++;
+        }
+      } else {
+        // Não há outros membros, destruir o clã
+        await Clan.deleteOne({ _id: clan._id });
+        summary.clansDestroyed++;
+      }
+    }
+
+    // Processar clãs onde é apenas membro
+    for (const clan of clansAsMember) {
+      await membershipService.leaveClan(clan._id, userId);
+      summary.clansLeft++;
+    }
+
+    // Buscar federações onde o usuário é líder ou sub-líder
+    const federationsAsLeader = await Federation.find({ leader: userId });
+    const federationsAsSubLeader = await Federation.find({ 
+      subLeaders: userId,
+      leader: { $ne: userId } // Não incluir federações onde já é líder
+    });
+
+    // Processar federações onde é líder
+    for (const federation of federationsAsLeader) {
+      // Verificar se há sub-líderes que podem assumir a liderança
+      const availableSubLeaders = federation.subLeaders.filter(subLeaderId => subLeaderId.toString() !== userId);
+      
+      if (availableSubLeaders.length > 0) {
+        // Transferir liderança para o primeiro sub-líder disponível
+        const newLeaderId = availableSubLeaders[0];
+        const newLeader = await User.findById(newLeaderId);
+
+        if (newLeader) {
+          const { error } = await membershipService.transferFederationLeadership(federation, newLeaderId);
+          if (error) throw new Error(error.msg);
+          await membershipService.leaveFederation(federation._id, userId);
+          summary.federationsLeft++;
+        } else {
+          // Se o novo líder não existe, destruir a federação
+          await Federation.deleteOne({ _id: federation._id });
+          await User.updateMany(
+            { federation: federation._id },
+            { $unset: { federation: "", federationRole: "" } }
+          );
+          await Clan.updateMany(
+            { federation: federation._id },
+            { $unset: { federation: "" } }
+          );
+          summary.federationsDestroyed++;
+        }
+      } else {
+        // Não há sub-líderes, destruir a federação
+        await Federation.deleteOne({ _id: federation._id });
+        await User.updateMany(
+          { federation: federation._id },
+          { $unset: { federation: "", federationRole: "" } }
+        );
+        await Clan.updateMany(
+          { federation: federation._id },
+          { $unset: { federation: "" } }
+        );
+        summary.federationsDestroyed++;
+      }
+    }
+
+    // Processar federações onde é apenas sub-líder
+    for (const federation of federationsAsSubLeader) {
+      await membershipService.leaveFederation(federation._id, userId);
+      summary.federationsLeft++;
+    }
+
+    // Limpar as afiliações do próprio usuário
+    await User.updateOne(
+      { _id: userId },
+      { $set: { clan: null, clanRole: null, federation: null, federationRole: null } }
+    );
+
+    // Invalidar caches relevantes
+    await cacheService.del(CacheKeys.user(userId));
+    await cacheService.del(CacheKeys.clanList('all'));
+    await cacheService.del(CacheKeys.federationList());
+
+    return summary;
+  }
+}
+
+const affiliationService = new AffiliationService();
+module.exports = affiliationService;
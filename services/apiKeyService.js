@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const cacheService = require("./cacheService");
+const accountStatusService = require("./accountStatusService");
+const CacheKeys = require("../utils/cacheKeys");
+const winston = require("winston");
+
+// Logger específico para bots e API keys
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [API-KEY-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const KEY_PREFIX = "fmk_";
+const LAST_USED_THROTTLE_MS = 60 * 1000; // lastUsedAt gravado no máximo uma vez por minuto
+
+const hashKey = (rawKey) => crypto.createHash("sha256").update(String(rawKey)).digest("hex");
+
+class ApiKeyService {
+  constructor() {
+    this.SCOPES = ApiKey.SCOPES;
+  }
+
+  /**
+   * Lê a API key do header `X-API-Key` ou `Authorization: ApiKey <chave>`
+   * @param {object} req - Requisição Express
+   * @returns {string|null}
+   */
+  extractKey(req) {
+    const header = req.headers["x-api-key"];
+    if (header) return String(header).trim();
+
+    const authorization = req.headers.authorization || "";
+    if (authorization.startsWith("ApiKey ")) return authorization.slice(7).trim();
+    return null;
+  }
+
+  /**
+   * Cria a conta de serviço (bot). Bots não fazem login por senha.
+   * @param {object} params
+   * @param {string} params.username - Nome de usuário do bot
+   * @param {string|null} params.clanId - Clã do bot (null = global)
+   * @param {string} params.createdBy - Quem criou
+   * @returns {Promise<object>} Usuário bot
+   */
+  async createBot({ username, clanId = null, createdBy }) {
+    const bot = new User({
+      username,
+      // Senha aleatória descartada: o login por senha é bloqueado para bots
+      password: crypto.randomBytes(32).toString("hex"),
+      isBot: true,
+      botClan: clanId,
+      botCreatedBy: createdBy
+    });
+    await bot.save();
+
+    await this.audit("bot_created", createdBy, "user", bot._id, `Bot ${username} criado${clanId ? ` para o clã ${clanId}` : " (global)"}`);
+    return bot;
+  }
+
+  /**
+   * Emite uma nova API key. A chave em texto puro só é devolvida aqui.
+   * @param {object} params
+   * @param {object} params.bot - Usuário bot
+   * @param {string} params.name - Nome descritivo da chave
+   * @param {string[]} params.scopes - Escopos concedidos
+   * @param {number} [params.rateLimitPerMinute] - Limite de requisições por minuto
+   * @param {Date|null} [params.expiresAt] - Expiração
+   * @param {string} params.createdBy - Quem emitiu
+   * @returns {Promise<{apiKey: object, key: string}>}
+   */
+  async issueKey({ bot, name, scopes, rateLimitPerMinute, expiresAt = null, createdBy }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      bot: bot._id,
+      clan: bot.botClan || null,
+      scopes: [...new Set(scopes)],
+      keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+      rateLimitPerMinute,
+      expiresAt,
+      createdBy
+    });
+
+    await this.audit("api_key_issued", createdBy, "user", bot._id,
+      `API key "${name}" (${apiKey.keyPrefix}…) emitida com escopos ${apiKey.scopes.join(", ")}`);
+    logger.info(`API key ${apiKey.keyPrefix} issued for bot ${bot.username}`, { scopes: apiKey.scopes });
+
+    const result = apiKey.toObject();
+    delete result.keyHash;
+    return { apiKey: result, key };
+  }
+
+  /**
+   * Revoga uma API key
+   * @returns {Promise<object|null>} Chave revogada ou null se não existir/já revogada
+   */
+  async revokeKey({ botId, keyId, revokedBy }) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, bot: botId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy } },
+      { new: true }
+    );
+
+    if (apiKey) {
+      await this.audit("api_key_revoked", revokedBy, "user", botId, `API key "${apiKey.name}" (${apiKey.keyPrefix}…) revogada`);
+    }
+    return apiKey;
+  }
+
+  /**
+   * Valida a chave e devolve a chave e o bot correspondentes
+   * @param {string} rawKey - Chave enviada pelo cliente
+   * @returns {Promise<{apiKey: object, bot: object}|null>}
+   */
+  async authenticate(rawKey) {
+    if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(rawKey) });
+    if (!apiKey || apiKey.revokedAt) return null;
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+
+    const bot = await User.findById(apiKey.bot).select("-password");
+    if (!bot || !bot.isBot) return null;
+    if (await accountStatusService.getRestriction(bot)) return null;
+
+    return { apiKey, bot };
+  }
+
+  /**
+   * Consome uma requisição da janela de um minuto da chave
+   * @param {object} apiKey - Chave autenticada
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfter: number}>}
+   */
+  async consumeRateLimit(apiKey) {
+    const now = Date.now();
+    const window = Math.floor(now / 60000);
+    const retryAfter = Math.ceil(((window + 1) * 60000 - now) / 1000);
+    const limit = apiKey.rateLimitPerMinute;
+
+    const key = CacheKeys.apiKeyRate(apiKey._id, window);
+    const count = await cacheService.incr(key);
+    if (count === null) {
+      // Sem Redis o limite não é aplicado (mesmo comportamento do restante do cache)
+      return { allowed: true, limit, remaining: limit, retryAfter };
+    }
+    if (count === 1) {
+      await cacheService.expire(key, 60);
+    }
+
+    return { allowed: count <= limit, limit, remaining: Math.max(0, limit - count), retryAfter };
+  }
+
+  /**
+   * Atualiza lastUsedAt/lastUsedIp (no máximo uma escrita por minuto por chave)
+   */
+  async touch(apiKey, ip) {
+    const now = new Date();
+    await ApiKey.updateOne(
+      {
+        _id: apiKey._id,
+        $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_THROTTLE_MS) } }]
+      },
+      { $set: { lastUsedAt: now, lastUsedIp: ip } }
+    );
+  }
+
+  /**
+   * Registra uma requisição feita por bot no AuditLog
+   * @param {object} req - Requisição autenticada por API key
+   * @param {object} res - Resposta já finalizada
+   */
+  async logRequest(req, res) {
+    try {
+      await AuditLog.create({
+        action: "bot_request",
+        performedBy: req.user._id,
+        targetType: "apiKey",
+        targetId: req.apiKey._id,
+        details: `${req.method} ${req.originalUrl} -> ${res.statusCode}`,
+        actorType: "bot",
+        apiKey: req.apiKey._id
+      });
+    } catch (error) {
+      logger.error("Error writing bot request audit log:", error);
+    }
+  }
+
+  async audit(action, performedBy, targetType, targetId, details) {
+    try {
+      await AuditLog.create({ action, performedBy, targetType, targetId, details });
+    } catch (error) {
+      logger.error(`Error writing audit log for ${action}:`, error);
+    }
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+module.exports = apiKeyService;
@@ -0,0 +1,209 @@
+const mongoose = require("mongoose");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const permissionService = require("./permissionService");
+
+const QUESTION_TYPES = ["text", "number", "choice", "screenshot"];
+const MAX_QUESTIONS = 20;
+const MAX_TEXT_LENGTH = 2000;
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Screenshots vêm do upload de /api/join-requests/screenshots (Cloudinary ou armazenamento local)
+const isUploadUrl = (value) => typeof value === "string" && /^(https?:\/\/\S+|\/uploads\/\S+)$/.test(value);
+
+/**
+ * Formulários de candidatura dos clãs e avaliação das solicitações de entrada.
+ *
+ * O clã define perguntas tipadas (texto, número, escolha e screenshot); o solicitante responde
+ * ao criar a JoinRequest, e líderes/sublíderes revisam as respostas, deixam notas internas e votam
+ * antes de aceitar ou rejeitar.
+ */
+class ApplicationFormService {
+  constructor() {
+    this.QUESTION_TYPES = QUESTION_TYPES;
+  }
+
+  /**
+   * Valida e normaliza o formulário enviado pelo líder
+   * @param {object} input - { enabled, questions: [{ _id?, label, type, required, options, min, max }] }
+   * @returns {{form?: object, error?: string}}
+   */
+  normalizeForm({ enabled = true, questions = [] } = {}) {
+    if (!Array.isArray(questions)) return { error: "questions deve ser uma lista." };
+    if (questions.length > MAX_QUESTIONS) return { error: `O formulário pode ter no máximo ${MAX_QUESTIONS} perguntas.` };
+    if (enabled && questions.length === 0) return { error: "Um formulário ativo precisa de ao menos uma pergunta." };
+
+    const normalized = [];
+    for (const [index, question] of questions.entries()) {
+      const position = `Pergunta ${index + 1}`;
+      const label = String((question && question.label) || "").trim();
+      if (!label) return { error: `${position}: o enunciado é obrigatório.` };
+      if (!QUESTION_TYPES.includes(question.type)) {
+        return { error: `${position}: tipo inválido. Use ${QUESTION_TYPES.join(", ")}.` };
+      }
+
+      const entry = { label, type: question.type, required: question.required !== false, options: [], min: null, max: null };
+      // Mantém o _id ao editar uma pergunta existente, para as respostas antigas continuarem ligadas a ela
+      if (question._id && mongoose.isValidObjectId(question._id)) entry._id = question._id;
+
+      if (question.type === "choice") {
+        const options = [...new Set((question.options || []).map(o => String(o).trim()).filter(Boolean))];
+        if (options.length < 2) return { error: `${position}: perguntas de escolha precisam de ao menos duas opções.` };
+        entry.options = options;
+      }
+
+      if (question.type === "number") {
+        entry.min = question.min !== undefined && question.min !== null ? Number(question.min) : null;
+        entry.max = question.max !== undefined && question.max !== null ? Number(question.max) : null;
+        if (Number.isNaN(entry.min) || Number.isNaN(entry.max)) return { error: `${position}: min/max devem ser números.` };
+        if (entry.min !== null && entry.max !== null && entry.min > entry.max) {
+          return { error: `${position}: min não pode ser maior que max.` };
+        }
+      }
+
+      normalized.push(entry);
+    }
+
+    return { form: { enabled: !!enabled, questions: normalized, updatedAt: new Date() } };
+  }
+
+  /**
+   * Formulário ativo do clã, ou null se o clã não usa formulário
+   * @param {object} clan - Documento do clã
+   */
+  getActiveForm(clan) {
+    const form = clan && clan.applicationForm;
+    return form && form.enabled && form.questions.length > 0 ? form : null;
+  }
+
+  /**
+   * Confere as respostas contra o formulário do clã
+   * @param {object} clan - Documento do clã
+   * @param {Array<{question: string, value: *}>} answers - Respostas enviadas
+   * @returns {{answers?: Array<object>, error?: string}} Respostas prontas para gravar na JoinRequest
+   */
+  validateAnswers(clan, answers = []) {
+    const form = this.getActiveForm(clan);
+    if (!form) return { answers: [] };
+    if (!Array.isArray(answers)) return { error: "answers deve ser uma lista." };
+
+    const result = [];
+    for (const question of form.questions) {
+      const answer = answers.find(a => a && sameId(a.question, question._id));
+      const raw = answer ? answer.value : undefined;
+      const empty = raw === undefined || raw === null || String(raw).trim() === "";
+
+      if (empty) {
+        if (question.required) return { error: `Responda à pergunta obrigatória: "${question.label}".` };
+        continue;
+      }
+
+      let value;
+      switch (question.type) {
+        case "text":
+          value = String(raw).trim();
+          if (value.length > MAX_TEXT_LENGTH) {
+            return { error: `A resposta para "${question.label}" pode ter no máximo ${MAX_TEXT_LENGTH} caracteres.` };
+          }
+          break;
+        case "number":
+          value = Number(raw);
+          if (!Number.isFinite(value)) return { error: `A resposta para "${question.label}" deve ser um número.` };
+          if (question.min !== null && value < question.min) {
+            return { error: `A resposta para "${question.label}" deve ser no mínimo ${question.min}.` };
+          }
+          if (question.max !== null && value > question.max) {
+            return { error: `A resposta para "${question.label}" deve ser no máximo ${question.max}.` };
+          }
+          break;
+        case "choice":
+          value = String(raw).trim();
+          if (!question.options.includes(value)) {
+            return { error: `Opção inválida para "${question.label}". Opções: ${question.options.join(", ")}.` };
+          }
+          break;
+        case "screenshot":
+          value = String(raw).trim();
+          if (!isUploadUrl(value)) {
+            return { error: `Envie o screenshot de "${question.label}" em /api/join-requests/screenshots e use a URL retornada.` };
+          }
+          break;
+      }
+
+      result.push({ question: question._id, label: question.label, type: question.type, value });
+    }
+
+    return { answers: result };
+  }
+
+  /**
+   * Indica se o usuário pode avaliar (ver notas, votar, aceitar/rejeitar) a solicitação
+   * @param {object} user - Usuário
+   * @param {object} joinRequest - Solicitação de entrada
+   * @returns {Promise<boolean>}
+   */
+  async canReview(user, joinRequest) {
+    if (joinRequest.applicantClan) {
+      return this.canReviewClanApplication(user, await Federation.findById(joinRequest.target));
+    }
+    if (joinRequest.type === "clan") {
+      const clan = await Clan.findById(joinRequest.target);
+      return permissionService.can(user, "clan.members.manage", clan);
+    }
+    const federation = await Federation.findById(joinRequest.target);
+    return permissionService.can(user, "federation.clans.manage", federation);
+  }
+
+  /**
+   * Candidaturas de clãs à federação são avaliadas pelo líder e pelos sub-líderes da federação
+   * @param {object} user - Usuário
+   * @param {object|null} federation - Federação alvo
+   * @returns {boolean}
+   */
+  canReviewClanApplication(user, federation) {
+    if (permissionService.isAdmin(user)) return true;
+    if (!federation) return false;
+    return sameId(federation.leader, user._id) || (federation.subLeaders || []).some(id => sameId(id, user._id));
+  }
+
+  /**
+   * Contagem dos votos dos líderes
+   * @returns {{approve: number, reject: number}}
+   */
+  tallyVotes(joinRequest) {
+    const votes = joinRequest.votes || [];
+    return {
+      approve: votes.filter(v => v.vote === "approve").length,
+      reject: votes.filter(v => v.vote === "reject").length
+    };
+  }
+
+  /**
+   * Registra (ou troca) o voto do usuário
+   */
+  async castVote(joinRequest, user, vote) {
+    const existing = joinRequest.votes.find(v => sameId(v.user, user._id));
+    if (existing) {
+      existing.vote = vote;
+      existing.votedAt = new Date();
+    } else {
+      joinRequest.votes.push({ user: user._id, vote });
+    }
+    await joinRequest.save();
+    return this.tallyVotes(joinRequest);
+  }
+
+  /**
+   * Visão da solicitação para quem a enviou: sem notas internas nem votos
+   */
+  toRequesterView(joinRequest) {
+    const view = typeof joinRequest.toObject === "function" ? joinRequest.toObject() : { ...joinRequest };
+    delete view.notes;
+    delete view.votes;
+    return view;
+  }
+}
+
+const applicationFormService = new ApplicationFormService();
+module.exports = applicationFormService;
@@ -783,6 +783,41 @@ class AutoNotificationService {
     }
   }
 
+  /**
+   * Notificação simples para uma lista de usuários (avisos do sistema, ex.: convites expirados)
+   */
+  static async notifyUsers(userIds, title, body, data = {}) {
+    try {
+      const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+      if (ids.length === 0) {
+        return { success: false, error: 'Nenhum usuário informado' };
+      }
+
+      const tokenResult = await segmentedTokenService.getTokensByUserIds(ids);
+      if (!tokenResult.success || tokenResult.count === 0) {
+        logger.warn('No user tokens found for notification', { type: data.type, users: ids.length });
+        return { success: false, error: 'Nenhum token encontrado' };
+      }
+
+      const sendResult = await notificationService.sendToTokens(
+        tokenResult.tokens.map(t => t.token),
+        { title, body },
+        { ...data, timestamp: new Date().toISOString() }
+      );
+
+      logger.info('User notification sent', {
+        type: data.type,
+        sent: sendResult.successCount,
+        failed: sendResult.failureCount
+      });
+
+      return { success: true, sent: sendResult.successCount, failed: sendResult.failureCount };
+    } catch (error) {
+      logger.error('Error sending user notification', { error: error.message, type: data.type, stack: error.stack });
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Determina se uma mudança de role é uma promoção
    */
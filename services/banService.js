@@ -0,0 +1,190 @@
+const Ban = require("../models/Ban");
+const AuditLog = require("../models/AuditLog");
+const winston = require("winston");
+
+// Logger específico para banimentos por escopo
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [BAN-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const SCOPE_LABELS = {
+  clan: "deste clã",
+  federation: "desta federação",
+  channel: "deste canal"
+};
+
+class BanService {
+  constructor() {
+    this.expirationInterval = 5 * 60 * 1000; // 5 minutos
+  }
+
+  /**
+   * Filtro de bans vigentes (ativos e ainda não vencidos)
+   * @param {Date} now - Momento de referência
+   */
+  activeFilter(now = new Date()) {
+    return {
+      active: true,
+      $or: [{ endAt: null }, { endAt: { $gt: now } }]
+    };
+  }
+
+  /**
+   * Procura um ban vigente do usuário em qualquer um dos escopos informados
+   * @param {string} userId - ID do usuário
+   * @param {Array<{targetType: string, targetId: string}>} scopes - Escopos a verificar (ids nulos são ignorados)
+   * @returns {Promise<object|null>} Ban encontrado (lean) ou null
+   */
+  async findActiveBan(userId, scopes) {
+    const targets = scopes
+      .filter(scope => scope && scope.targetId)
+      .map(scope => ({ targetType: scope.targetType, targetId: scope.targetId }));
+
+    if (!userId || targets.length === 0) return null;
+
+    return Ban.findOne({
+      user: userId,
+      ...this.activeFilter(),
+      $and: [{ $or: targets }]
+    }).lean();
+  }
+
+  /**
+   * Atalho para verificar um único escopo
+   * @param {string} userId - ID do usuário
+   * @param {string} targetType - clan, federation ou channel
+   * @param {string} targetId - ID do alvo
+   */
+  async isBanned(userId, targetType, targetId) {
+    return !!(await this.findActiveBan(userId, [{ targetType, targetId }]));
+  }
+
+  /**
+   * Lista os bans vigentes de um escopo
+   * @param {string} targetType - clan, federation ou channel
+   * @param {string} targetId - ID do alvo
+   */
+  async listActiveBans(targetType, targetId) {
+    return Ban.find({ targetType, targetId, ...this.activeFilter() })
+      .populate("user", "username avatar")
+      .populate("bannedBy", "username")
+      .sort({ startAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Cria (ou atualiza) o ban de um usuário em um escopo e registra no AuditLog
+   * @param {object} params
+   * @param {string} params.userId - Usuário banido
+   * @param {string} params.targetType - clan, federation ou channel
+   * @param {string} params.targetId - ID do alvo
+   * @param {string} params.bannedBy - Quem aplicou o ban
+   * @param {string} [params.reason] - Motivo
+   * @param {Date|null} [params.endAt] - Fim do ban (null = permanente)
+   * @returns {Promise<object>} Documento do ban
+   */
+  async createBan({ userId, targetType, targetId, bannedBy, reason = "", endAt = null }) {
+    // Um único ban vigente por usuário/escopo: reaplicar apenas atualiza motivo e prazo
+    let ban = await Ban.findOne({ user: userId, targetType, targetId, ...this.activeFilter() });
+
+    if (ban) {
+      ban.reason = reason;
+      ban.endAt = endAt;
+      ban.bannedBy = bannedBy;
+    } else {
+      ban = new Ban({ user: userId, targetType, targetId, bannedBy, reason, endAt });
+    }
+    await ban.save();
+
+    await this.audit("scoped_ban", bannedBy, targetType, targetId,
+      `Usuário ${userId} banido${endAt ? ` até ${endAt.toISOString()}` : " permanentemente"}${reason ? `: ${reason}` : ""}`);
+
+    logger.info(`User ${userId} banned from ${targetType} ${targetId}`, { until: endAt });
+    return ban;
+  }
+
+  /**
+   * Revoga o ban vigente de um usuário em um escopo
+   * @returns {Promise<object|null>} Ban revogado ou null se não havia ban
+   */
+  async liftBan({ userId, targetType, targetId, liftedBy }) {
+    const ban = await Ban.findOneAndUpdate(
+      { user: userId, targetType, targetId, ...this.activeFilter() },
+      { $set: { active: false, endAt: new Date() } },
+      { new: true }
+    );
+
+    if (ban) {
+      await this.audit("scoped_unban", liftedBy, targetType, targetId, `Ban do usuário ${userId} revogado`);
+      logger.info(`User ${userId} unbanned from ${targetType} ${targetId}`);
+    }
+    return ban;
+  }
+
+  /**
+   * Desativa os bans cujo prazo já venceu
+   * @returns {Promise<number>} Quantidade de bans desativados
+   */
+  async deactivateExpiredBans() {
+    const result = await Ban.updateMany(
+      { active: true, endAt: { $ne: null, $lte: new Date() } },
+      { $set: { active: false } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(`Deactivated ${result.modifiedCount} expired scoped bans`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Monta o corpo padronizado da resposta 403 para usuários banidos de um escopo
+   * @param {object} ban - Ban vigente
+   */
+  toResponse(ban) {
+    return {
+      msg: `Você está banido ${SCOPE_LABELS[ban.targetType] || "deste recurso"}.`,
+      code: "SCOPE_BANNED",
+      scope: ban.targetType,
+      targetId: ban.targetId,
+      reason: ban.reason || null,
+      until: ban.endAt ? new Date(ban.endAt).toISOString() : null
+    };
+  }
+
+  async audit(action, performedBy, targetType, targetId, details) {
+    try {
+      await AuditLog.create({ action, performedBy, targetType, targetId, details });
+    } catch (error) {
+      logger.error(`Error writing audit log for ${action}:`, error);
+    }
+  }
+}
+
+// Instância singleton
+const banService = new BanService();
+
+// Desativação automática de bans vencidos
+setInterval(async () => {
+  try {
+    await banService.deactivateExpiredBans();
+  } catch (error) {
+    logger.error("Error in automatic ban expiration:", error);
+  }
+}, banService.expirationInterval);
+
+module.exports = banService;
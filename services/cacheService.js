@@ -255,6 +255,27 @@ class CacheService {
     }
   }
 
+  /**
+   * Executa um script Lua atomicamente no Redis
+   * @param {string} script - Código Lua
+   * @param {string[]} keys - Chaves acessadas pelo script (KEYS)
+   * @param {Array<string|number>} args - Argumentos do script (ARGV)
+   * @returns {Promise<any|null>} Retorno do script ou null se erro
+   */
+  async eval(script, keys = [], args = []) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      return await this.redis.eval(script, { keys, arguments: args.map(String) });
+    } catch (error) {
+      this.metrics.errors++;
+      logger.error(`Cache eval error for keys ${keys.join(', ')}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Adiciona item a uma lista
    * @param {string} key - Chave da lista
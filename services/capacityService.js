@@ -0,0 +1,162 @@
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const AuditLog = require("../models/AuditLog");
+const systemSettingService = require("./systemSettingService");
+const cacheService = require("./cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+
+/**
+ * Limites de tamanho de clãs e federações.
+ *
+ * O limite padrão vem de SystemSetting (maxUsersPerClan / maxClansPerFederation); o ADM pode
+ * definir um limite próprio por clã (`Clan.maxMembersOverride`) ou federação
+ * (`Federation.maxClansOverride`). Todos os fluxos que adicionam membros a um clã ou clãs a uma
+ * federação passam por aqui.
+ */
+class CapacityService {
+  /**
+   * Capacidade a partir da ocupação atual e do limite próprio (se houver)
+   * @param {"clan"|"federation"} type - Escopo
+   * @param {number} current - Membros do clã ou clãs da federação
+   * @param {number|null} override - Limite definido pelo ADM para este clã/federação
+   * @returns {Promise<{current: number, limit: number, available: number, isFull: boolean, overridden: boolean}>}
+   */
+  async describe(type, current, override = null) {
+    const settings = await systemSettingService.get();
+    const overridden = override !== null && override !== undefined;
+    const limit = overridden ? override : (type === "clan" ? settings.maxUsersPerClan : settings.maxClansPerFederation);
+
+    return {
+      current,
+      limit,
+      available: Math.max(limit - current, 0),
+      isFull: current >= limit,
+      overridden
+    };
+  }
+
+  async getClanCapacity(clan) {
+    return this.describe("clan", (clan.members || []).length, clan.maxMembersOverride);
+  }
+
+  async getFederationCapacity(federation) {
+    return this.describe("federation", (federation.clans || []).length, federation.maxClansOverride);
+  }
+
+  /**
+   * Verifica se cabem mais `count` membros no clã
+   * @returns {Promise<{status: number, msg: string, code: string, capacity: object}|null>} Erro ou null
+   */
+  async checkClan(clan, count = 1) {
+    const capacity = await this.getClanCapacity(clan);
+    return capacity.current + count <= capacity.limit ? null : this.capacityError("clan", capacity);
+  }
+
+  /**
+   * Verifica se cabem mais `count` clãs na federação
+   * @returns {Promise<{status: number, msg: string, code: string, capacity: object}|null>} Erro ou null
+   */
+  async checkFederation(federation, count = 1) {
+    const capacity = await this.getFederationCapacity(federation);
+    return capacity.current + count <= capacity.limit ? null : this.capacityError("federation", capacity);
+  }
+
+  capacityError(type, capacity) {
+    return type === "clan"
+      ? {
+        status: 400,
+        msg: `Este clã já atingiu o limite máximo de membros (${capacity.current}/${capacity.limit}).`,
+        code: "CLAN_CAPACITY_REACHED",
+        capacity
+      }
+      : {
+        status: 400,
+        msg: `Esta federação já atingiu o limite máximo de clãs (${capacity.current}/${capacity.limit}).`,
+        code: "FEDERATION_CAPACITY_REACHED",
+        capacity
+      };
+  }
+
+  /**
+   * Corpo de resposta padrão para erros de capacidade
+   */
+  toResponse(error) {
+    return { msg: error.msg, code: error.code, capacity: error.capacity };
+  }
+
+  /**
+   * Adiciona o usuário ao clã só se ainda houver vaga, em um único update
+   * (entradas simultâneas não ultrapassam o limite)
+   * @param {object} [options] - { session } quando chamado dentro de uma transação
+   * @returns {Promise<{status: number, msg: string, code: string, capacity: object}|null>} Erro ou null
+   */
+  async addClanMember(clan, userId, { session = null } = {}) {
+    const capacity = await this.getClanCapacity(clan);
+    if (capacity.limit < 1) return this.capacityError("clan", capacity);
+
+    const updated = await Clan.updateOne(
+      { _id: clan._id, [`members.${capacity.limit - 1}`]: { $exists: false } },
+      { $addToSet: { members: userId } },
+      { session }
+    );
+    if (updated.matchedCount > 0) return null;
+
+    const fresh = await Clan.findById(clan._id).select("members maxMembersOverride").session(session);
+    return this.capacityError("clan", await this.getClanCapacity(fresh || clan));
+  }
+
+  /**
+   * Adiciona o clã à federação só se ainda houver vaga, em um único update
+   * @param {object} [options] - { session } quando chamado dentro de uma transação
+   * @returns {Promise<{status: number, msg: string, code: string, capacity: object}|null>} Erro ou null
+   */
+  async addFederationClan(federation, clanId, { session = null } = {}) {
+    const capacity = await this.getFederationCapacity(federation);
+    if (capacity.limit < 1) return this.capacityError("federation", capacity);
+
+    const updated = await Federation.updateOne(
+      { _id: federation._id, [`clans.${capacity.limit - 1}`]: { $exists: false } },
+      { $addToSet: { clans: clanId } },
+      { session }
+    );
+    if (updated.matchedCount > 0) return null;
+
+    const fresh = await Federation.findById(federation._id).select("clans maxClansOverride").session(session);
+    return this.capacityError("federation", await this.getFederationCapacity(fresh || federation));
+  }
+
+  /**
+   * Define (ou remove, com null) o limite próprio de um clã/federação. Um limite abaixo da
+   * ocupação atual não remove ninguém, apenas bloqueia novas entradas.
+   * @param {"clan"|"federation"} type - Escopo
+   * @param {object} target - Documento do clã ou da federação
+   * @param {number|null} limit - Novo limite
+   * @param {string} adminId - ADM que fez a alteração
+   * @returns {Promise<{capacity?: object, error?: string}>}
+   */
+  async setOverride(type, target, limit, adminId) {
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      return { error: "O limite deve ser um número inteiro maior que zero, ou null para usar o padrão do sistema." };
+    }
+
+    const field = type === "clan" ? "maxMembersOverride" : "maxClansOverride";
+    const previous = target[field];
+    target[field] = limit;
+    await target.save();
+    await cacheService.del(type === "clan" ? CacheKeys.clan(target._id) : CacheKeys.federation(target._id));
+
+    await AuditLog.create({
+      action: "capacity_override",
+      performedBy: adminId,
+      targetType: type,
+      targetId: target._id,
+      details: `Limite de ${type === "clan" ? "membros" : "clãs"} alterado de ${previous ?? "padrão"} para ${limit ?? "padrão"}`
+    });
+
+    const capacity = type === "clan" ? await this.getClanCapacity(target) : await this.getFederationCapacity(target);
+    return { capacity };
+  }
+}
+
+const capacityService = new CapacityService();
+module.exports = capacityService;
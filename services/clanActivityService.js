@@ -0,0 +1,383 @@
+const Clan = require("../models/Clan");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const ClanChatMessage = require("../models/ClanChatMessage");
+const CallHistory = require("../models/CallHistory");
+const QRR = require("../models/QRR");
+const ClanMission = require("../models/ClanMission");
+const membershipService = require("./membershipService");
+const AutoNotificationService = require("./autoNotificationService");
+const { CLAN_ROLES } = require("../utils/clanRoles");
+const winston = require("winston");
+
+// Logger específico para atividade/inatividade de membros
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [CLAN-ACTIVITY-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_DAYS = 365;
+
+// Ordem de severidade: a advertência vem antes do rebaixamento, que vem antes da remoção
+const ACTIONS = ["warn", "demote", "remove"];
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+const latest = (...dates) => dates.filter(Boolean).reduce((max, date) => (!max || date > max ? date : max), null);
+const byUser = (rows) => new Map(rows.map(row => [row._id.toString(), row]));
+
+/**
+ * Atividade dos membros de clãs e políticas de inatividade.
+ *
+ * O relatório junta último acesso (`User.lastSeen`/`ultimaAtividade`), mensagens no chat do clã,
+ * chamadas de voz, participação em QRRs e confirmações em missões. A política do clã define, para
+ * cada ação (avisar, rebaixar, remover), após quantos dias sem atividade ela é aplicada; uma vez
+ * por dia os clãs com política ativa são verificados e cada ação é registrada no AuditLog e
+ * notificada ao membro e aos líderes.
+ */
+class ClanActivityService {
+  constructor() {
+    this.ACTIONS = ACTIONS;
+    this.enforceInterval = DAY_MS; // cada clã tem a política aplicada uma vez por dia
+    this.checkInterval = HOUR_MS; // procura de hora em hora os clãs cuja aplicação venceu
+  }
+
+  /**
+   * Valida e normaliza a política enviada pelo líder
+   * @param {object} input - { enabled, rules: [{ action, afterDays }] }
+   * @returns {{inactivityPolicy?: object, error?: string}}
+   */
+  normalizePolicy({ enabled = true, rules = [] } = {}) {
+    if (!Array.isArray(rules)) return { error: "rules deve ser uma lista." };
+    if (enabled && rules.length === 0) return { error: "Uma política ativa precisa de ao menos uma regra." };
+
+    const normalized = [];
+    for (const rule of rules) {
+      if (!rule || !ACTIONS.includes(rule.action)) {
+        return { error: `Ação inválida. Use ${ACTIONS.join(", ")}.` };
+      }
+      if (normalized.some(r => r.action === rule.action)) {
+        return { error: `A ação ${rule.action} aparece mais de uma vez.` };
+      }
+      const afterDays = Number(rule.afterDays);
+      if (!Number.isInteger(afterDays) || afterDays < 1 || afterDays > MAX_DAYS) {
+        return { error: `afterDays deve ser um inteiro entre 1 e ${MAX_DAYS}.` };
+      }
+      normalized.push({ action: rule.action, afterDays });
+    }
+
+    normalized.sort((a, b) => ACTIONS.indexOf(a.action) - ACTIONS.indexOf(b.action));
+    for (let i = 1; i < normalized.length; i++) {
+      if (normalized[i].afterDays <= normalized[i - 1].afterDays) {
+        return { error: "Os prazos devem crescer com a severidade (warn < demote < remove)." };
+      }
+    }
+
+    return { inactivityPolicy: { enabled: !!enabled, rules: normalized } };
+  }
+
+  /**
+   * Ação mais severa da política que já vale para o membro. O líder nunca é afetado, e rebaixar
+   * só vale para quem é sub-líder ou tem cargo customizado (senão cai para a regra anterior).
+   * @param {object} clan - Documento do clã
+   * @param {object} member - Linha do relatório de atividade
+   * @returns {object|null} Regra ou null
+   */
+  pickRule(clan, member) {
+    const policy = clan.inactivityPolicy;
+    if (!policy || !policy.enabled) return null;
+    if (member.role === CLAN_ROLES.LEADER || member.inactiveDays === null) return null;
+
+    const hasRoles = member.role === CLAN_ROLES.SUBLEADER ||
+      (clan.memberRoles || []).some(entry => sameId(entry.user, member.user._id));
+
+    return [...policy.rules]
+      .sort((a, b) => b.afterDays - a.afterDays)
+      .find(rule => member.inactiveDays >= rule.afterDays && (rule.action !== "demote" || hasRoles)) || null;
+  }
+
+  /**
+   * Atividade de cada membro do clã desde `since`
+   * @param {object} clan - Documento do clã
+   * @param {Date} since - Início da janela
+   * @returns {Promise<Array<object>>} Uma linha por membro, dos mais inativos para os mais ativos
+   */
+  async collectActivity(clan, since) {
+    const ids = clan.members || [];
+    const now = new Date();
+
+    const [users, chat, voice, qrr, qrrTotal, missions, missionTotal] = await Promise.all([
+      User.find({ _id: { $in: ids } }).select("username avatar online lastSeen ultimaAtividade").lean(),
+      ClanChatMessage.aggregate([
+        { $match: { clan: clan._id, sender: { $in: ids }, deleted: { $ne: true }, timestamp: { $gte: since } } },
+        { $group: { _id: "$sender", messages: { $sum: 1 }, last: { $max: "$timestamp" } } }
+      ]),
+      CallHistory.aggregate([
+        { $match: { status: "completed", timestamp: { $gte: since }, $or: [{ callerId: { $in: ids } }, { receiverId: { $in: ids } }] } },
+        { $project: { duration: 1, timestamp: 1, participants: ["$callerId", "$receiverId"] } },
+        { $unwind: "$participants" },
+        { $match: { participants: { $in: ids } } },
+        { $group: { _id: "$participants", seconds: { $sum: "$duration" }, calls: { $sum: 1 }, last: { $max: "$timestamp" } } }
+      ]),
+      QRR.aggregate([
+        { $match: { clan: clan._id, startTime: { $gte: since } } },
+        { $unwind: "$participants" },
+        { $match: { "participants.user": { $in: ids } } },
+        {
+          $group: {
+            _id: "$participants.user",
+            joined: { $sum: 1 },
+            attended: { $sum: { $cond: ["$participants.isPresent", 1, 0] } },
+            last: { $max: "$participants.joinedAt" }
+          }
+        }
+      ]),
+      QRR.countDocuments({ clan: clan._id, startTime: { $gte: since } }),
+      ClanMission.aggregate([
+        { $match: { clanId: clan._id, createdAt: { $gte: since } } },
+        { $unwind: "$confirmedMembers" },
+        { $match: { confirmedMembers: { $in: ids } } },
+        { $group: { _id: "$confirmedMembers", confirmed: { $sum: 1 }, last: { $max: "$createdAt" } } }
+      ]),
+      ClanMission.countDocuments({ clanId: clan._id, createdAt: { $gte: since } })
+    ]);
+
+    const chatByUser = byUser(chat);
+    const voiceByUser = byUser(voice);
+    const qrrByUser = byUser(qrr);
+    const missionsByUser = byUser(missions);
+
+    const rows = users.map(user => {
+      const key = user._id.toString();
+      const userChat = chatByUser.get(key);
+      const userVoice = voiceByUser.get(key);
+      const userQrr = qrrByUser.get(key);
+      const userMissions = missionsByUser.get(key);
+
+      const lastActivityAt = user.online
+        ? now
+        : latest(user.lastSeen, user.ultimaAtividade, userChat && userChat.last, userVoice && userVoice.last,
+          userQrr && userQrr.last, userMissions && userMissions.last);
+
+      let role = CLAN_ROLES.MEMBER;
+      if (sameId(clan.leader, user._id)) role = CLAN_ROLES.LEADER;
+      else if ((clan.subLeaders || []).some(id => sameId(id, user._id))) role = CLAN_ROLES.SUBLEADER;
+
+      return {
+        user: { _id: user._id, username: user.username, avatar: user.avatar },
+        role,
+        online: !!user.online,
+        lastLogin: user.lastSeen || null,
+        lastActivityAt,
+        inactiveDays: lastActivityAt ? Math.floor((now - new Date(lastActivityAt)) / DAY_MS) : null,
+        chat: { messages: userChat ? userChat.messages : 0, lastMessageAt: userChat ? userChat.last : null },
+        voice: {
+          minutes: userVoice ? Math.round(userVoice.seconds / 60) : 0,
+          calls: userVoice ? userVoice.calls : 0,
+          lastCallAt: userVoice ? userVoice.last : null
+        },
+        qrr: {
+          joined: userQrr ? userQrr.joined : 0,
+          attended: userQrr ? userQrr.attended : 0,
+          total: qrrTotal,
+          lastAt: userQrr ? userQrr.last : null
+        },
+        missions: {
+          confirmed: userMissions ? userMissions.confirmed : 0,
+          total: missionTotal,
+          lastAt: userMissions ? userMissions.last : null
+        }
+      };
+    });
+
+    // Sem nenhum registro de atividade conta como o mais inativo
+    return rows.sort((a, b) => (b.inactiveDays ?? Infinity) - (a.inactiveDays ?? Infinity));
+  }
+
+  /**
+   * Relatório de atividade do clã para os líderes
+   * @param {object} clan - Documento do clã
+   * @param {object} [options] - { days } janela do relatório (padrão 30)
+   */
+  async getReport(clan, { days = DEFAULT_WINDOW_DAYS } = {}) {
+    const windowDays = Math.min(Math.max(parseInt(days, 10) || DEFAULT_WINDOW_DAYS, 1), MAX_DAYS);
+    const since = new Date(Date.now() - windowDays * DAY_MS);
+    const members = await this.collectActivity(clan, since);
+    const policy = clan.inactivityPolicy;
+
+    for (const member of members) {
+      // Ação que vale para o membro hoje (a verificação diária não repete uma já aplicada)
+      const rule = this.pickRule(clan, member);
+      member.pendingAction = rule ? rule.action : null;
+    }
+
+    return {
+      generatedAt: new Date(),
+      windowDays,
+      since,
+      policy: policy && policy.enabled ? policy.rules : [],
+      members
+    };
+  }
+
+  /**
+   * Indica se a ação já foi aplicada desde a última atividade do membro
+   */
+  alreadyApplied(clan, userId, action, lastActivityAt) {
+    return (clan.inactivityActions || []).some(entry =>
+      sameId(entry.user, userId) && entry.action === action &&
+      (!lastActivityAt || new Date(entry.appliedAt) >= new Date(lastActivityAt))
+    );
+  }
+
+  async recordAction(clan, member, rule, performedBy) {
+    await Clan.updateOne({ _id: clan._id }, { $pull: { inactivityActions: { user: member.user._id, action: rule.action } } });
+    if (rule.action !== "remove") {
+      await Clan.updateOne(
+        { _id: clan._id },
+        { $push: { inactivityActions: { user: member.user._id, action: rule.action, appliedAt: new Date() } } }
+      );
+    }
+
+    try {
+      await AuditLog.create({
+        action: `clan_inactivity_${rule.action}`,
+        performedBy,
+        targetType: "user",
+        targetId: member.user._id,
+        details: `${member.user.username} inativo há ${member.inactiveDays} dia(s) no clã ${clan.name} (${clan._id}); regra: ${rule.action} após ${rule.afterDays} dia(s)`
+      });
+    } catch (error) {
+      logger.error(`Error writing audit log for clan_inactivity_${rule.action}:`, error);
+    }
+  }
+
+  async notifyMember(clan, member, rule) {
+    const data = { type: `clan_inactivity_${rule.action}`, clanId: clan._id.toString() };
+
+    if (rule.action === "warn") {
+      const next = clan.inactivityPolicy.rules
+        .filter(r => r.action !== "warn")
+        .sort((a, b) => a.afterDays - b.afterDays)[0];
+      const consequence = next
+        ? ` Com ${next.afterDays} dias sem atividade você será ${next.action === "remove" ? "removido do clã" : "rebaixado a membro"}.`
+        : "";
+      await AutoNotificationService.notifyUsers([member.user._id], "Aviso de inatividade",
+        `Você está inativo há ${member.inactiveDays} dia(s) no clã ${clan.name}.${consequence}`, data);
+    } else if (rule.action === "demote") {
+      await AutoNotificationService.notifyUsers([member.user._id], "Rebaixado por inatividade",
+        `Você foi rebaixado a membro no clã ${clan.name} após ${member.inactiveDays} dia(s) sem atividade.`, data);
+    } else {
+      await AutoNotificationService.notifyUsers([member.user._id], "Removido por inatividade",
+        `Você foi removido do clã ${clan.name} após ${member.inactiveDays} dia(s) sem atividade.`, data);
+    }
+  }
+
+  /**
+   * Aplica a política de inatividade de um clã
+   * @param {object} clan - Documento do clã
+   * @returns {Promise<{warn: number, demote: number, remove: number}>}
+   */
+  async enforceClan(clan) {
+    const summary = { warn: 0, demote: 0, remove: 0 };
+    const policy = clan.inactivityPolicy;
+    if (!policy || !policy.enabled || policy.rules.length === 0) return summary;
+
+    // Esquece ações de quem já saiu do clã
+    await Clan.updateOne({ _id: clan._id }, { $pull: { inactivityActions: { user: { $nin: clan.members } } } });
+
+    const windowDays = Math.max(...policy.rules.map(rule => rule.afterDays));
+    const members = await this.collectActivity(clan, new Date(Date.now() - windowDays * DAY_MS));
+    // A política age em nome de quem a configurou
+    const performedBy = policy.updatedBy || clan.leader;
+
+    for (const member of members) {
+      const rule = this.pickRule(clan, member);
+      if (!rule || this.alreadyApplied(clan, member.user._id, rule.action, member.lastActivityAt)) continue;
+
+      if (rule.action === "demote") {
+        await membershipService.demoteToMember(clan._id, member.user._id);
+      } else if (rule.action === "remove") {
+        await membershipService.kickMember(clan._id, member.user._id, performedBy);
+      }
+
+      await this.recordAction(clan, member, rule, performedBy);
+      await this.notifyMember(clan, member, rule);
+      summary[rule.action]++;
+    }
+
+    if (summary.warn || summary.demote || summary.remove) {
+      const managers = [clan.leader, ...(clan.subLeaders || [])].filter(Boolean);
+      await AutoNotificationService.notifyUsers(managers, "Política de inatividade",
+        `${clan.name}: ${summary.warn} aviso(s), ${summary.demote} rebaixamento(s) e ${summary.remove} remoção(ões) por inatividade.`,
+        { type: "clan_inactivity_summary", clanId: clan._id.toString() });
+      logger.info(`Inactivity policy applied to clan ${clan._id}`, summary);
+    }
+
+    return summary;
+  }
+
+  dueFilter() {
+    return {
+      "inactivityPolicy.enabled": true,
+      $or: [
+        { "inactivityPolicy.lastEnforcedAt": null },
+        { "inactivityPolicy.lastEnforcedAt": { $lte: new Date(Date.now() - this.enforceInterval) } }
+      ]
+    };
+  }
+
+  /**
+   * Aplica as políticas ativas cuja última aplicação tem mais de um dia. Cada clã é reivindicado
+   * atomicamente (lastEnforcedAt), então várias instâncias e reinícios não repetem a aplicação
+   * @returns {Promise<number>} Quantidade de clãs processados
+   */
+  async run() {
+    const due = await Clan.find(this.dueFilter()).select("_id").lean();
+    let enforced = 0;
+    for (const { _id } of due) {
+      try {
+        const clan = await Clan.findOneAndUpdate(
+          { _id, ...this.dueFilter() },
+          { $set: { "inactivityPolicy.lastEnforcedAt": new Date() } },
+          { new: true }
+        );
+        if (!clan) continue;
+        await this.enforceClan(clan);
+        enforced++;
+      } catch (error) {
+        logger.error(`Error applying inactivity policy to clan ${_id}:`, error);
+      }
+    }
+    return enforced;
+  }
+}
+
+// Instância singleton
+const clanActivityService = new ClanActivityService();
+
+// Aplicação diária das políticas de inatividade (verificada de hora em hora)
+setInterval(async () => {
+  try {
+    await clanActivityService.run();
+  } catch (error) {
+    logger.error("Error running clan inactivity policies:", error);
+  }
+}, clanActivityService.checkInterval);
+
+module.exports = clanActivityService;
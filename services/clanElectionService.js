@@ -0,0 +1,474 @@
+const ClanElection = require("../models/ClanElection");
+const Clan = require("../models/Clan");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const ClanChatMessage = require("../models/ClanChatMessage");
+const membershipService = require("./membershipService");
+const AutoNotificationService = require("./autoNotificationService");
+const winston = require("winston");
+
+// Logger específico para eleições de clã
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [CLAN-ELECTION-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_NOMINATION_HOURS = 48;
+const DEFAULT_VOTING_HOURS = 72;
+const MAX_PHASE_HOURS = 720;
+const MAX_WEIGHT = 10;
+const ACTIVE_STATUSES = ["nomination", "voting"];
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+const isMember = (clan, userId) => (clan.members || []).some(id => sameId(id, userId));
+
+/**
+ * Eleições de líder do clã.
+ *
+ * Uma eleição passa por indicações (membros indicam a si mesmos ou a outros membros) e votação
+ * (um voto por membro, com peso opcional por cargo customizado). Com voto secreto só se guarda
+ * quem já votou e a soma por candidato. No fim da votação o mais votado assume a liderança e o
+ * resultado vai para o chat do clã e para o AuditLog. As fases avançam sozinhas pelo prazo.
+ */
+class ClanElectionService {
+  constructor() {
+    this.io = null;
+    this.checkInterval = 60 * 1000;
+  }
+
+  /**
+   * Instância do Socket.IO para publicar o resultado no chat do clã em tempo real
+   */
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Valida as opções de uma nova eleição
+   * @param {object} clan - Documento do clã
+   * @param {object} input - { nominationHours, votingHours, secretBallot, roleWeights: [{ roleName, weight }] }
+   * @returns {{options?: object, error?: string}}
+   */
+  normalizeOptions(clan, input = {}) {
+    const hours = (value, fallback, label) => {
+      if (value === undefined || value === null || value === "") return { value: fallback };
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_PHASE_HOURS) {
+        return { error: `${label} deve ser um número inteiro de horas entre 1 e ${MAX_PHASE_HOURS}.` };
+      }
+      return { value: parsed };
+    };
+
+    const nomination = hours(input.nominationHours, DEFAULT_NOMINATION_HOURS, "nominationHours");
+    if (nomination.error) return { error: nomination.error };
+    const voting = hours(input.votingHours, DEFAULT_VOTING_HOURS, "votingHours");
+    if (voting.error) return { error: voting.error };
+
+    if (input.secretBallot !== undefined && typeof input.secretBallot !== "boolean") {
+      return { error: "secretBallot deve ser verdadeiro ou falso." };
+    }
+
+    const rawWeights = input.roleWeights || [];
+    if (!Array.isArray(rawWeights)) return { error: "roleWeights deve ser uma lista." };
+
+    const roleNames = new Set((clan.customRoles || []).map(role => role.name));
+    const roleWeights = [];
+    for (const entry of rawWeights) {
+      const roleName = entry && typeof entry.roleName === "string" ? entry.roleName.trim() : "";
+      if (!roleNames.has(roleName)) {
+        return { error: `Cargo "${roleName}" não existe neste clã.` };
+      }
+      if (roleWeights.some(w => w.roleName === roleName)) {
+        return { error: `Cargo "${roleName}" repetido em roleWeights.` };
+      }
+      const weight = Number(entry.weight);
+      if (!Number.isInteger(weight) || weight < 1 || weight > MAX_WEIGHT) {
+        return { error: `O peso do cargo "${roleName}" deve ser um inteiro entre 1 e ${MAX_WEIGHT}.` };
+      }
+      roleWeights.push({ roleName, weight });
+    }
+
+    const now = Date.now();
+    const nominationEndsAt = new Date(now + nomination.value * HOUR_MS);
+    return {
+      options: {
+        nominationEndsAt,
+        votingEndsAt: new Date(nominationEndsAt.getTime() + voting.value * HOUR_MS),
+        secretBallot: input.secretBallot !== false,
+        roleWeights
+      }
+    };
+  }
+
+  /**
+   * Peso do voto do membro: o maior peso entre os cargos customizados dele, ou 1
+   */
+  getVoteWeight(election, clan, userId) {
+    const roles = (clan.memberRoles || []).filter(entry => sameId(entry.user, userId)).map(entry => entry.roleName);
+    const weights = (election.roleWeights || []).filter(w => roles.includes(w.roleName)).map(w => w.weight);
+    return weights.length ? Math.max(...weights) : 1;
+  }
+
+  async getActive(clanId) {
+    return ClanElection.findOne({ clan: clanId, status: { $in: ACTIVE_STATUSES } });
+  }
+
+  /**
+   * Abre uma eleição no clã
+   * @returns {Promise<{election?: object, error?: {status: number, msg: string}}>}
+   */
+  async create(clan, user, input) {
+    if (await this.getActive(clan._id)) {
+      return { error: { status: 409, msg: "Já existe uma eleição em andamento neste clã." } };
+    }
+
+    const { options, error } = this.normalizeOptions(clan, input);
+    if (error) return { error: { status: 400, msg: error } };
+
+    let election;
+    try {
+      election = await ClanElection.create({ clan: clan._id, createdBy: user._id, ...options });
+    } catch (error) {
+      // Índice único parcial: outra eleição foi aberta ao mesmo tempo
+      if (error.code === 11000) {
+        return { error: { status: 409, msg: "Já existe uma eleição em andamento neste clã." } };
+      }
+      throw error;
+    }
+
+    await this.audit("clan_election_started", user._id, clan,
+      `Eleição ${election._id} aberta no clã ${clan.name}; indicações até ${election.nominationEndsAt.toISOString()}, votação até ${election.votingEndsAt.toISOString()}`);
+    await this.notifyMembers(clan, "Eleição no clã",
+      `${user.username} abriu uma eleição para líder do clã ${clan.name}. Indique candidatos até ${election.nominationEndsAt.toLocaleString("pt-BR")}.`,
+      election);
+
+    logger.info(`Election ${election._id} opened in clan ${clan._id}`, { by: String(user._id) });
+    return { election };
+  }
+
+  /**
+   * Indica um membro como candidato (fase de indicações)
+   * @returns {Promise<{election?: object, error?: {status: number, msg: string}}>}
+   */
+  async nominate(election, clan, user, candidateId) {
+    if (election.status !== "nomination" || election.nominationEndsAt <= new Date()) {
+      return { error: { status: 400, msg: "A fase de indicações já terminou." } };
+    }
+    if (!isMember(clan, user._id) || !isMember(clan, candidateId)) {
+      return { error: { status: 400, msg: "Indicador e candidato precisam ser membros do clã." } };
+    }
+
+    const candidate = await User.findById(candidateId).select("username banned");
+    if (!candidate || candidate.banned) {
+      return { error: { status: 400, msg: "Candidato inválido." } };
+    }
+
+    const updated = await ClanElection.findOneAndUpdate(
+      { _id: election._id, status: "nomination", nominationEndsAt: { $gt: new Date() }, "candidates.user": { $ne: candidate._id } },
+      { $push: { candidates: { user: candidate._id, nominatedBy: user._id } } },
+      { new: true }
+    );
+    if (!updated) {
+      return { error: { status: 409, msg: "Este membro já foi indicado ou as indicações foram encerradas." } };
+    }
+
+    if (!sameId(candidate._id, user._id)) {
+      await AutoNotificationService.notifyUsers([candidate._id], "Você foi indicado",
+        `${user.username} indicou você para líder do clã ${clan.name}.`,
+        { type: "clan_election_nominated", clanId: clan._id.toString(), electionId: election._id.toString() });
+    }
+    return { election: updated };
+  }
+
+  /**
+   * Retira uma candidatura (o próprio candidato ou quem gerencia a eleição)
+   */
+  async withdraw(election, candidateId) {
+    if (election.status !== "nomination" || election.nominationEndsAt <= new Date()) {
+      return { error: { status: 400, msg: "Candidaturas só podem ser retiradas na fase de indicações." } };
+    }
+
+    const updated = await ClanElection.findOneAndUpdate(
+      { _id: election._id, status: "nomination", nominationEndsAt: { $gt: new Date() }, "candidates.user": candidateId },
+      { $pull: { candidates: { user: candidateId } } },
+      { new: true }
+    );
+    if (!updated) return { error: { status: 404, msg: "Candidatura não encontrada." } };
+    return { election: updated };
+  }
+
+  /**
+   * Registra o voto do membro (um por membro, fase de votação)
+   * @returns {Promise<{election?: object, error?: {status: number, msg: string}}>}
+   */
+  async vote(election, clan, user, candidateId) {
+    if (election.status !== "voting" || election.votingEndsAt <= new Date()) {
+      return { error: { status: 400, msg: "A eleição não está em votação." } };
+    }
+    if (!isMember(clan, user._id)) {
+      return { error: { status: 403, msg: "Apenas membros do clã podem votar." } };
+    }
+    if (!election.candidates.some(c => sameId(c.user, candidateId))) {
+      return { error: { status: 400, msg: "Candidato inválido." } };
+    }
+
+    const weight = this.getVoteWeight(election, clan, user._id);
+    const update = {
+      $push: { voters: user._id },
+      $inc: { "candidates.$[candidate].votes": weight, "candidates.$[candidate].ballots": 1 }
+    };
+    if (!election.secretBallot) {
+      update.$push.ballots = { voter: user._id, candidate: candidateId, weight };
+    }
+
+    // O filtro garante um voto por membro mesmo com requisições simultâneas e recusa votos após o prazo,
+    // ainda que a apuração agendada não tenha rodado
+    const updated = await ClanElection.findOneAndUpdate(
+      { _id: election._id, status: "voting", votingEndsAt: { $gt: new Date() }, voters: { $ne: user._id }, "candidates.user": candidateId },
+      update,
+      { new: true, arrayFilters: [{ "candidate.user": candidateId }] }
+    );
+    if (!updated) {
+      return { error: { status: 409, msg: "Você já votou nesta eleição ou a votação foi encerrada." } };
+    }
+    return { election: updated, weight };
+  }
+
+  /**
+   * Cancela uma eleição em andamento
+   */
+  async cancel(election, clan, user, reason = "") {
+    const updated = await ClanElection.findOneAndUpdate(
+      { _id: election._id, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: "cancelled", closedAt: new Date(), note: String(reason || "").trim().slice(0, 500) } },
+      { new: true }
+    );
+    if (!updated) return { error: { status: 400, msg: "A eleição já foi encerrada." } };
+
+    await this.audit("clan_election_cancelled", user._id, clan,
+      `Eleição ${election._id} cancelada por ${user.username}${updated.note ? `: ${updated.note}` : ""}`);
+    await this.notifyMembers(clan, "Eleição cancelada", `A eleição para líder do clã ${clan.name} foi cancelada.`, updated);
+    return { election: updated };
+  }
+
+  /**
+   * Fim das indicações: abre a votação, ou encerra se ninguém foi indicado
+   */
+  async startVoting(election) {
+    const updated = await ClanElection.findOneAndUpdate(
+      { _id: election._id, status: "nomination" },
+      { $set: { status: "voting" } },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    const clan = await Clan.findById(updated.clan);
+    if (!clan) {
+      await ClanElection.updateOne({ _id: updated._id }, { $set: { status: "cancelled", closedAt: new Date(), note: "O clã não existe mais." } });
+      return null;
+    }
+    if (updated.candidates.length === 0) {
+      return this.close(updated, clan);
+    }
+
+    await this.notifyMembers(clan, "Votação aberta",
+      `A votação para líder do clã ${clan.name} está aberta até ${updated.votingEndsAt.toLocaleString("pt-BR")}. ${updated.candidates.length} candidato(s).`,
+      updated);
+    return updated;
+  }
+
+  /**
+   * Apura a eleição, transfere a liderança ao vencedor e publica o resultado
+   * @param {object} election - Eleição (em votação, ou em indicações sem candidatos)
+   * @param {object} [clan] - Documento do clã, se já carregado
+   */
+  async close(election, clan = null) {
+    // Reivindica a apuração; a partir daqui nenhum voto é aceito
+    const closed = await ClanElection.findOneAndUpdate(
+      { _id: election._id, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: "closed", closedAt: new Date() } },
+      { new: true }
+    );
+    if (!closed) return null;
+
+    clan = clan || await Clan.findById(closed.clan);
+    if (!clan) {
+      await ClanElection.updateOne({ _id: closed._id }, { $set: { status: "cancelled", note: "O clã não existe mais." } });
+      return null;
+    }
+
+    // Só concorre quem ainda é membro
+    const ranked = closed.candidates
+      .filter(c => isMember(clan, c.user))
+      .sort((a, b) => b.votes - a.votes);
+
+    let result;
+    if (ranked.length === 0) result = "no_candidates";
+    else if (ranked[0].votes === 0) result = "no_votes";
+    else if (ranked.length > 1 && ranked[0].votes === ranked[1].votes) result = "tie";
+    else result = "elected";
+
+    const update = { result };
+    let winner = null;
+    if (result === "elected") {
+      winner = await User.findById(ranked[0].user).select("username");
+      update.winner = ranked[0].user;
+
+      if (sameId(clan.leader, ranked[0].user)) {
+        update.leadershipTransferred = false;
+        update.note = "O líder atual foi reeleito.";
+      } else {
+        const { error } = await membershipService.transferClanLeadership(clan, ranked[0].user);
+        update.leadershipTransferred = !error;
+        if (error) update.note = error.msg;
+      }
+    }
+    await ClanElection.updateOne({ _id: closed._id }, { $set: update });
+    Object.assign(closed, update);
+
+    const summary = this.describeResult(closed, clan, ranked, winner);
+    await this.audit("clan_election_closed", winner ? winner._id : closed.createdBy, clan, summary);
+    await this.postToChat(clan, closed, winner ? winner._id : closed.createdBy, summary);
+    await this.notifyMembers(clan, "Resultado da eleição", summary, closed);
+
+    logger.info(`Election ${closed._id} closed in clan ${clan._id}`, { result, winner: winner ? String(winner._id) : null });
+    return closed;
+  }
+
+  describeResult(election, clan, ranked, winner) {
+    const totals = ranked.length ? ` Apuração: ${election.voters.length} voto(s).` : "";
+    switch (election.result) {
+      case "elected":
+        if (!election.leadershipTransferred && !sameId(clan.leader, winner._id) && election.note) {
+          return `${winner.username} venceu a eleição do clã ${clan.name} com ${ranked[0].votes} voto(s), mas a liderança não pôde ser transferida: ${election.note}${totals}`;
+        }
+        return `${winner.username} venceu a eleição do clã ${clan.name} com ${ranked[0].votes} voto(s) e é o novo líder.${totals}`;
+      case "tie":
+        return `A eleição do clã ${clan.name} terminou empatada (${ranked[0].votes} voto(s)). A liderança não mudou.${totals}`;
+      case "no_votes":
+        return `A eleição do clã ${clan.name} terminou sem votos. A liderança não mudou.`;
+      default:
+        return `A eleição do clã ${clan.name} terminou sem candidatos. A liderança não mudou.`;
+    }
+  }
+
+  /**
+   * Publica o resultado como mensagem de sistema no chat do clã
+   */
+  async postToChat(clan, election, senderId, text) {
+    try {
+      const chatMessage = await ClanChatMessage.create({
+        clan: clan._id,
+        sender: senderId,
+        message: text,
+        type: "system",
+        systemInfo: "clan_election_result"
+      });
+
+      if (this.io) {
+        this.io.to(`clan_${clan._id}`).emit("clan_chat_message", {
+          _id: chatMessage._id,
+          message: chatMessage.message,
+          type: chatMessage.type,
+          systemInfo: chatMessage.systemInfo,
+          electionId: election._id,
+          createdAt: chatMessage.timestamp,
+        });
+      }
+    } catch (error) {
+      logger.error(`Error posting election result to clan chat ${clan._id}:`, error);
+    }
+  }
+
+  async audit(action, performedBy, clan, details) {
+    try {
+      await AuditLog.create({ action, performedBy, targetType: "clan", targetId: clan._id, details });
+    } catch (error) {
+      logger.error(`Error writing audit log for ${action}:`, error);
+    }
+  }
+
+  async notifyMembers(clan, title, body, election) {
+    await AutoNotificationService.notifyUsers(clan.members || [], title, body, {
+      type: "clan_election",
+      clanId: clan._id.toString(),
+      electionId: election._id.toString(),
+      status: election.status
+    });
+  }
+
+  /**
+   * Visão da eleição para um usuário; com voto secreto, as parciais só aparecem após a apuração
+   */
+  toResponse(election, userId) {
+    const data = election.toObject ? election.toObject() : { ...election };
+    const hideTallies = data.secretBallot && data.status !== "closed";
+
+    data.hasVoted = (data.voters || []).some(id => sameId(id._id || id, userId));
+    data.totalVoters = (data.voters || []).length;
+    delete data.voters;
+    if (data.secretBallot) delete data.ballots;
+    if (hideTallies) {
+      data.candidates = (data.candidates || []).map(({ votes, ballots, ...candidate }) => candidate);
+    }
+    return data;
+  }
+
+  /**
+   * Avança as fases das eleições cujo prazo passou
+   */
+  async run() {
+    const now = new Date();
+    let advanced = 0;
+
+    const nominationsDue = await ClanElection.find({ status: "nomination", nominationEndsAt: { $lte: now } });
+    for (const election of nominationsDue) {
+      try {
+        await this.startVoting(election);
+        advanced++;
+      } catch (error) {
+        logger.error(`Error starting voting for election ${election._id}:`, error);
+      }
+    }
+
+    const votingDue = await ClanElection.find({ status: "voting", votingEndsAt: { $lte: now } });
+    for (const election of votingDue) {
+      try {
+        await this.close(election);
+        advanced++;
+      } catch (error) {
+        logger.error(`Error closing election ${election._id}:`, error);
+      }
+    }
+
+    return { advanced };
+  }
+}
+
+// Instância singleton
+const clanElectionService = new ClanElectionService();
+
+// Avanço automático das fases pelo prazo
+setInterval(async () => {
+  try {
+    await clanElectionService.run();
+  } catch (error) {
+    logger.error("Error advancing clan elections:", error);
+  }
+}, clanElectionService.checkInterval);
+
+module.exports = clanElectionService;
@@ -0,0 +1,435 @@
+const FederationProposal = require("../models/FederationProposal");
+const Federation = require("../models/Federation");
+const Clan = require("../models/Clan");
+const AuditLog = require("../models/AuditLog");
+const membershipService = require("./membershipService");
+const permissionService = require("./permissionService");
+const AutoNotificationService = require("./autoNotificationService");
+const cacheService = require("./cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+const mongoose = require("mongoose");
+const winston = require("winston");
+
+// Logger específico para o conselho das federações
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [FEDERATION-COUNCIL-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_VOTING_HOURS = 720;
+const CLOSE_TIMEOUT_MS = 15 * 60 * 1000; // encerramento abandonado (instância caiu durante a apuração ou a execução)
+const CHOICES = ["yes", "no", "abstain"];
+
+// Ações que o conselho pode aprovar
+const ACTIONS = {
+  add_clan: "Adicionar um clã à federação",
+  add_ally: "Declarar uma federação como aliada",
+  update_rules: "Alterar as regras da federação",
+  allocate_territory: "Alocar o território de um clã da federação"
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+const includesId = (ids, id) => (ids || []).some(item => sameId(item, id));
+
+/**
+ * Propostas e votação do conselho da federação.
+ *
+ * Decisões como adicionar clãs, declarar aliados, mudar regras ou alocar território viram
+ * propostas votadas pelos líderes dos clãs membros (um voto por clã). A proposta fecha no prazo,
+ * ou antes se todos votarem; passa se o quórum for atingido e a fatia de "sim" entre sim/não
+ * alcançar a maioria configurada, e então a ação é executada automaticamente.
+ */
+class FederationProposalService {
+  constructor() {
+    this.ACTIONS = ACTIONS;
+    this.checkInterval = 60 * 1000;
+  }
+
+  /**
+   * Com o conselho ativo, o líder não toma decisões sozinho (ADM continua podendo)
+   */
+  requiresCouncil(federation, user) {
+    return !!(federation.council && federation.council.enabled) && !permissionService.isAdmin(user);
+  }
+
+  councilRequiredError() {
+    return {
+      status: 409,
+      msg: "Esta decisão precisa ser aprovada pelo conselho da federação. Abra uma proposta.",
+      code: "COUNCIL_REQUIRED"
+    };
+  }
+
+  /**
+   * Valida a configuração do conselho enviada pelo líder
+   * @param {object} input - { enabled, quorumPercent, majorityPercent, votingHours }
+   * @returns {{council?: object, error?: string}}
+   */
+  normalizeCouncil(input = {}) {
+    const council = { enabled: input.enabled !== false };
+    const bounds = {
+      quorumPercent: [1, 100, 50],
+      majorityPercent: [50, 100, 51],
+      votingHours: [1, MAX_VOTING_HOURS, 72]
+    };
+
+    for (const [field, [min, max, fallback]] of Object.entries(bounds)) {
+      const value = input[field];
+      if (value === undefined || value === null || value === "") {
+        council[field] = fallback;
+        continue;
+      }
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+        return { error: `${field} deve ser um número inteiro entre ${min} e ${max}.` };
+      }
+      council[field] = parsed;
+    }
+    return { council };
+  }
+
+  /**
+   * Líderes dos clãs membros (o conselho) e o clã de cada um
+   * @returns {Promise<Map<string, object>>} userId → clã
+   */
+  async getCouncil(federation) {
+    const clans = await Clan.find({ _id: { $in: federation.clans || [] }, federation: federation._id })
+      .select("name leader")
+      .lean();
+    return new Map(clans.filter(clan => clan.leader).map(clan => [clan.leader.toString(), clan]));
+  }
+
+  /**
+   * Valida os parâmetros da ação; usada ao abrir a proposta e de novo antes de executá-la
+   * @returns {Promise<{params?: object, error?: string}>}
+   */
+  async validateAction(federation, action, input = {}) {
+    switch (action) {
+      case "add_clan": {
+        if (!mongoose.isValidObjectId(input.clan)) return { error: "Informe o clã (params.clan)." };
+        const clan = await Clan.findById(input.clan).select("federation");
+        if (!clan) return { error: "Clã não encontrado." };
+        if (clan.federation) return { error: "Este clã já pertence a uma federação." };
+        return { params: { clan: clan._id } };
+      }
+      case "add_ally": {
+        if (!mongoose.isValidObjectId(input.ally)) return { error: "Informe a federação aliada (params.ally)." };
+        if (sameId(input.ally, federation._id)) return { error: "A federação não pode ser aliada de si mesma." };
+        const ally = await Federation.findById(input.ally).select("_id");
+        if (!ally) return { error: "Federação aliada não encontrada." };
+        if (includesId(federation.allies, ally._id)) return { error: "Esta federação já é uma aliada." };
+        return { params: { ally: ally._id } };
+      }
+      case "update_rules": {
+        const rules = typeof input.rules === "string" ? input.rules.trim() : "";
+        if (!rules) return { error: "Informe as novas regras (params.rules)." };
+        if (rules.length > 1000) return { error: "Regras não podem ter mais de 1000 caracteres." };
+        return { params: { rules } };
+      }
+      case "allocate_territory": {
+        if (!mongoose.isValidObjectId(input.clan) || !includesId(federation.clans, input.clan)) {
+          return { error: "Informe um clã desta federação (params.clan)." };
+        }
+        const territory = input.territory || {};
+        const mapX = Number(territory.mapX);
+        const mapY = Number(territory.mapY);
+        const radius = Number(territory.radius);
+        if (![mapX, mapY, radius].every(Number.isFinite) || radius <= 0) {
+          return { error: "Território inválido: informe mapX, mapY e radius (maior que zero)." };
+        }
+        return { params: { clan: input.clan, territory: { mapX, mapY, radius } } };
+      }
+      default:
+        return { error: `Ação inválida. Use: ${Object.keys(ACTIONS).join(", ")}.` };
+    }
+  }
+
+  /**
+   * Abre uma proposta (líder, sub-líderes, líderes de clã da federação ou ADM)
+   * @returns {Promise<{proposal?: object, error?: {status: number, msg: string}}>}
+   */
+  async create(federation, user, { action, params, description } = {}) {
+    const council = await this.getCouncil(federation);
+    const canPropose = sameId(federation.leader, user._id) ||
+      includesId(federation.subLeaders, user._id) ||
+      council.has(user._id.toString()) ||
+      permissionService.isAdmin(user);
+    if (!canPropose) {
+      return { error: { status: 403, msg: "Apenas a liderança da federação e os líderes de clã podem abrir propostas." } };
+    }
+    if (council.size === 0) {
+      return { error: { status: 400, msg: "A federação não tem líderes de clã para votar." } };
+    }
+
+    const validated = await this.validateAction(federation, action, params);
+    if (validated.error) return { error: { status: 400, msg: validated.error } };
+
+    const settings = this.normalizeCouncil(federation.council || {}).council;
+    const proposal = await FederationProposal.create({
+      federation: federation._id,
+      proposedBy: user._id,
+      action,
+      params: validated.params,
+      description: typeof description === "string" ? description.trim().slice(0, 1000) : "",
+      quorumPercent: settings.quorumPercent,
+      majorityPercent: settings.majorityPercent,
+      deadline: new Date(Date.now() + settings.votingHours * HOUR_MS),
+      electorate: [...council.keys()]
+    });
+
+    await this.audit("federation_proposal_created", user._id, federation,
+      `Proposta ${proposal._id} (${action}) aberta por ${user.username}; votação até ${proposal.deadline.toISOString()}`);
+    await AutoNotificationService.notifyUsers(proposal.electorate, "Nova proposta no conselho",
+      `${user.username} propôs: ${ACTIONS[action]} na federação ${federation.name}. Vote até ${proposal.deadline.toLocaleString("pt-BR")}.`,
+      this.notificationData(proposal));
+
+    logger.info(`Proposal ${proposal._id} opened in federation ${federation._id}`, { action, by: String(user._id) });
+    return { proposal };
+  }
+
+  /**
+   * Voto de um líder de clã (um por clã, sem troca)
+   * @returns {Promise<{proposal?: object, error?: {status: number, msg: string}}>}
+   */
+  async vote(proposal, federation, user, choice) {
+    if (proposal.status !== "open" || proposal.deadline <= new Date()) {
+      return { error: { status: 400, msg: "A votação desta proposta já foi encerrada." } };
+    }
+    if (!CHOICES.includes(choice)) {
+      return { error: { status: 400, msg: `Voto inválido. Use: ${CHOICES.join(", ")}.` } };
+    }
+    if (!includesId(proposal.electorate, user._id)) {
+      return { error: { status: 403, msg: "Apenas os líderes de clã do conselho podem votar nesta proposta." } };
+    }
+
+    // Quem deixou de liderar um clã da federação perde o voto
+    const clan = (await this.getCouncil(federation)).get(user._id.toString());
+    if (!clan) {
+      return { error: { status: 403, msg: "Você não lidera mais um clã desta federação." } };
+    }
+
+    const updated = await FederationProposal.findOneAndUpdate(
+      { _id: proposal._id, status: "open", deadline: { $gt: new Date() }, "votes.voter": { $ne: user._id } },
+      {
+        $push: { votes: { voter: user._id, clan: clan._id, choice } },
+        $inc: { [`tally.${choice}`]: 1 }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return { error: { status: 409, msg: "Você já votou nesta proposta ou a votação foi encerrada." } };
+    }
+
+    // Todos votaram: não há por que esperar o prazo
+    if (updated.votes.length >= updated.electorate.length) {
+      return { proposal: (await this.close(updated, federation)) || updated };
+    }
+    return { proposal: updated };
+  }
+
+  /**
+   * Cancela uma proposta aberta (autor, líder da federação ou ADM)
+   */
+  async cancel(proposal, federation, user) {
+    const allowed = sameId(proposal.proposedBy, user._id) || sameId(federation.leader, user._id) || permissionService.isAdmin(user);
+    if (!allowed) {
+      return { error: { status: 403, msg: "Apenas o autor, o líder da federação ou um ADM podem cancelar a proposta." } };
+    }
+
+    const updated = await FederationProposal.findOneAndUpdate(
+      { _id: proposal._id, status: "open" },
+      { $set: { status: "cancelled", closedAt: new Date(), note: `Cancelada por ${user.username}.` } },
+      { new: true }
+    );
+    if (!updated) return { error: { status: 400, msg: "A votação desta proposta já foi encerrada." } };
+
+    await this.audit("federation_proposal_cancelled", user._id, federation, `Proposta ${proposal._id} (${proposal.action}) cancelada`);
+    return { proposal: updated };
+  }
+
+  /**
+   * Apura a proposta: quórum sobre o conselho, maioria sobre os votos sim/não
+   * @returns {"passed"|"rejected"|"expired"}
+   */
+  evaluate(proposal) {
+    const { yes, no } = proposal.tally;
+    const turnout = proposal.electorate.length ? (proposal.votes.length * 100) / proposal.electorate.length : 0;
+    if (turnout < proposal.quorumPercent) return "expired";
+    if (yes + no === 0) return "rejected";
+    return yes * 100 >= proposal.majorityPercent * (yes + no) ? "passed" : "rejected";
+  }
+
+  /**
+   * Encerra a votação e, se aprovada, executa a ação
+   * @param {object} proposal - Proposta aberta
+   * @param {object} [federation] - Documento da federação, se já carregado
+   */
+  async close(proposal, federation = null) {
+    // Reivindica o encerramento (open → closing); a partir daqui nenhum voto é aceito. Um
+    // encerramento parado há muito tempo é de uma instância que caiu no meio e pode ser retomado
+    const now = Date.now();
+    const closed = await FederationProposal.findOneAndUpdate(
+      {
+        _id: proposal._id,
+        $or: [
+          { status: "open" },
+          { status: "closing", closedAt: { $lt: new Date(now - CLOSE_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: "closing", closedAt: new Date(now) } },
+      { new: true }
+    );
+    if (!closed) return null;
+
+    federation = federation || await Federation.findById(closed.federation);
+    if (!federation) {
+      await FederationProposal.updateOne(
+        { _id: closed._id, status: "closing" },
+        { $set: { status: "cancelled", note: "A federação não existe mais." } }
+      );
+      return null;
+    }
+
+    // Apura sobre o documento reivindicado, com todos os votos aceitos até o encerramento. A proposta
+    // fica em "closing" até a execução terminar, para que uma instância que caia no meio seja retomada
+    const update = { status: this.evaluate(closed) };
+    if (update.status === "passed") {
+      const error = await this.execute(closed, federation);
+      if (error) {
+        update.status = "failed";
+        update.note = error;
+      } else {
+        update.executedAt = new Date();
+      }
+    } else if (update.status === "expired") {
+      update.note = "Quórum não atingido.";
+    }
+
+    const finalized = await FederationProposal.updateOne({ _id: closed._id, status: "closing" }, { $set: update });
+    if (finalized.matchedCount === 0) return null;
+    Object.assign(closed, update);
+
+    const { yes, no, abstain } = closed.tally;
+    const outcome = {
+      passed: "aprovada e executada",
+      failed: "aprovada, mas não pôde ser executada",
+      rejected: "rejeitada",
+      expired: "encerrada sem quórum"
+    }[closed.status];
+    const summary = `Proposta "${ACTIONS[closed.action]}" na federação ${federation.name} ${outcome} (sim ${yes}, não ${no}, abstenções ${abstain} de ${closed.electorate.length}).${closed.note ? ` ${closed.note}` : ""}`;
+
+    await this.audit(`federation_proposal_${closed.status}`, closed.proposedBy, federation, summary);
+    await AutoNotificationService.notifyUsers([...closed.electorate, federation.leader, closed.proposedBy],
+      "Resultado da proposta", summary, this.notificationData(closed));
+
+    logger.info(`Proposal ${closed._id} closed`, { status: closed.status, yes, no, abstain });
+    return closed;
+  }
+
+  /**
+   * Executa a ação de uma proposta aprovada
+   * @returns {Promise<string|null>} Mensagem de erro, ou null se executou
+   */
+  async execute(proposal, federation) {
+    const { params } = proposal;
+    const validated = await this.validateAction(federation, proposal.action, {
+      clan: params.clan,
+      ally: params.ally,
+      rules: params.rules,
+      territory: params.territory
+    });
+    if (validated.error) return validated.error;
+
+    switch (proposal.action) {
+      case "add_clan": {
+        // Os membros do clã entram junto, como numa candidatura aceita
+        const clan = await Clan.findById(params.clan).select("members");
+        const { error } = await membershipService.admitClanToFederation(federation, clan);
+        return error ? error.msg : null;
+      }
+      case "add_ally":
+        await Federation.updateOne({ _id: federation._id }, { $addToSet: { allies: params.ally } });
+        await cacheService.del(CacheKeys.federation(federation._id));
+        await cacheService.del(CacheKeys.federation(params.ally));
+        return null;
+      case "update_rules":
+        await Federation.updateOne({ _id: federation._id }, { $set: { rules: validated.params.rules } });
+        await cacheService.del(CacheKeys.federation(federation._id));
+        await cacheService.del(CacheKeys.federationList());
+        return null;
+      case "allocate_territory":
+        await Clan.updateOne({ _id: params.clan }, { $set: { territoryAllocation: validated.params.territory } });
+        await cacheService.del(CacheKeys.clan(params.clan));
+        await cacheService.del(CacheKeys.federation(federation._id));
+        return null;
+      default:
+        return "Ação desconhecida.";
+    }
+  }
+
+  notificationData(proposal) {
+    return {
+      type: "federation_proposal",
+      federationId: proposal.federation.toString(),
+      proposalId: proposal._id.toString(),
+      status: proposal.status
+    };
+  }
+
+  async audit(action, performedBy, federation, details) {
+    try {
+      await AuditLog.create({ action, performedBy, targetType: "federation", targetId: federation._id, details });
+    } catch (error) {
+      logger.error(`Error writing audit log for ${action}:`, error);
+    }
+  }
+
+  /**
+   * Encerra as propostas cujo prazo passou
+   */
+  async run() {
+    const due = await FederationProposal.find({
+      $or: [
+        { status: "open", deadline: { $lte: new Date() } },
+        { status: "closing", closedAt: { $lt: new Date(Date.now() - CLOSE_TIMEOUT_MS) } }
+      ]
+    });
+    let closed = 0;
+    for (const proposal of due) {
+      try {
+        if (await this.close(proposal)) closed++;
+      } catch (error) {
+        logger.error(`Error closing proposal ${proposal._id}:`, error);
+      }
+    }
+    return { closed };
+  }
+}
+
+// Instância singleton
+const federationProposalService = new FederationProposalService();
+
+// Encerramento automático das votações pelo prazo
+setInterval(async () => {
+  try {
+    await federationProposalService.run();
+  } catch (error) {
+    logger.error("Error closing federation proposals:", error);
+  }
+}, federationProposalService.checkInterval);
+
+module.exports = federationProposalService;
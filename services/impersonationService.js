@@ -0,0 +1,152 @@
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const sessionService = require("./sessionService");
+const accountStatusService = require("./accountStatusService");
+const { getSessionMetadata, generateImpersonationToken } = require("../utils/authTokens");
+const winston = require("winston");
+
+// Logger específico para personificação
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [IMPERSONATION-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+// Personificação é somente leitura: qualquer outro método é bloqueado
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Personificação de usuários pelo ADM (suporte).
+ *
+ * O token de personificação identifica o usuário personificado (`id`) e o ADM (`impersonatedBy`).
+ * A sessão (`sid`) pertence ao ADM e expira junto com o token, então revogar as sessões do ADM
+ * encerra a personificação; as sessões do usuário personificado não são tocadas.
+ */
+class ImpersonationService {
+  constructor() {
+    this.defaultMinutes = parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES) || 15;
+    this.maxMinutes = parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 60;
+  }
+
+  /**
+   * Inicia a personificação e devolve o token de acesso
+   * @param {object} params
+   * @param {object} params.admin - ADM que inicia
+   * @param {object} params.user - Usuário personificado
+   * @param {number} [params.durationMinutes] - Duração (limitada a maxMinutes)
+   * @param {string} params.reason - Motivo registrado no AuditLog
+   * @param {object} params.req - Requisição Express (metadados da sessão)
+   * @returns {Promise<{token: string, sessionId: string, expiresAt: Date, durationMinutes: number}>}
+   */
+  async start({ admin, user, durationMinutes, reason, req }) {
+    const minutes = Math.min(Math.max(parseInt(durationMinutes) || this.defaultMinutes, 1), this.maxMinutes);
+    const ttl = minutes * 60;
+
+    const { sessionId } = await sessionService.createSession(admin._id, {
+      ...getSessionMetadata(req),
+      impersonating: String(user._id),
+      impersonatingUsername: user.username,
+      reason
+    }, { ttl });
+
+    const token = generateImpersonationToken(user, admin, sessionId, ttl);
+    const expiresAt = new Date(Date.now() + ttl * 1000);
+
+    await this.audit("impersonation_started", admin._id, user._id,
+      `Personificação de ${user.username} por ${minutes} min (sessão ${sessionId}). Motivo: ${reason}`);
+    logger.info(`Admin ${admin.username} started impersonating ${user.username}`, { sessionId, minutes });
+
+    return { token, sessionId, expiresAt, durationMinutes: minutes };
+  }
+
+  /**
+   * Valida um token de personificação já decodificado
+   * @param {object} decoded - Payload do JWT (id, sid, impersonatedBy)
+   * @param {object|null} activity - Se informado ({ lastIp }), registra a atividade na sessão
+   * @returns {Promise<{admin: object}|null>} ADM responsável ou null se a personificação não vale mais
+   */
+  async authenticate(decoded, activity = null) {
+    if (!(await sessionService.isSessionActive(decoded.impersonatedBy, decoded.sid, activity))) return null;
+
+    const session = await sessionService.getSessionById(decoded.sid);
+    if (session && session.impersonating !== String(decoded.id)) return null;
+
+    const admin = await User.findById(decoded.impersonatedBy).select("-password");
+    if (!admin || admin.role !== "ADM") return null;
+    if (await accountStatusService.getRestriction(admin)) return null;
+
+    return { admin };
+  }
+
+  /**
+   * Indica se a requisição pode ser feita durante a personificação (somente leitura)
+   * @param {object} req - Requisição Express
+   */
+  isAllowed(req) {
+    return SAFE_METHODS.includes(req.method);
+  }
+
+  /**
+   * Encerra as personificações ativas do ADM para o usuário
+   * @returns {Promise<number>} Quantidade de sessões encerradas
+   */
+  async end({ admin, userId }) {
+    const sessions = await sessionService.getUserSessions(admin._id);
+    let ended = 0;
+
+    for (const session of sessions) {
+      if (session.impersonating === String(userId) && (await sessionService.revokeSession(session.sessionId))) {
+        ended++;
+      }
+    }
+
+    if (ended > 0) {
+      await this.audit("impersonation_ended", admin._id, userId, `${ended} sessão(ões) de personificação encerrada(s)`);
+    }
+    return ended;
+  }
+
+  /**
+   * Registra no AuditLog uma requisição feita durante a personificação, com as duas identidades:
+   * performedBy = ADM, targetId = usuário personificado
+   * @param {object} req - Requisição com `req.impersonator`
+   * @param {object} res - Resposta já finalizada
+   */
+  async logRequest(req, res) {
+    try {
+      await AuditLog.create({
+        action: "impersonated_request",
+        performedBy: req.impersonator._id,
+        targetType: "user",
+        targetId: req.user._id,
+        details: `${req.method} ${req.originalUrl} -> ${res.statusCode} (sessão ${req.sessionId})`,
+        actorType: "impersonation"
+      });
+    } catch (error) {
+      logger.error("Error writing impersonated request audit log:", error);
+    }
+  }
+
+  async audit(action, performedBy, targetId, details) {
+    try {
+      await AuditLog.create({ action, performedBy, targetType: "user", targetId, details, actorType: "impersonation" });
+    } catch (error) {
+      logger.error(`Error writing audit log for ${action}:`, error);
+    }
+  }
+}
+
+const impersonationService = new ImpersonationService();
+module.exports = impersonationService;
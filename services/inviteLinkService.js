@@ -0,0 +1,406 @@
+const crypto = require("crypto");
+const InviteLink = require("../models/InviteLink");
+const JoinRequest = require("../models/JoinRequest");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const Channel = require("../models/Channel");
+const banService = require("./banService");
+const permissionService = require("./permissionService");
+const applicationFormService = require("./applicationFormService");
+const capacityService = require("./capacityService");
+const membershipService = require("./membershipService");
+const federationProposalService = require("./federationProposalService");
+const winston = require("winston");
+
+// Logger específico para links de convite
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [INVITE-LINK-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const TARGET_MODELS = { clan: Clan, federation: Federation, channel: Channel };
+
+// Permissão exigida para criar/revogar links em cada escopo
+const MANAGE_PERMISSIONS = {
+  clan: "clan.members.manage",
+  federation: "federation.clans.manage",
+  channel: "channel.manage"
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Links de convite compartilháveis para clãs, federações e canais.
+ *
+ * - `maxUses` e `expiresAt` limitam o link; cada usuário só usa o mesmo link uma vez
+ * - O consumo de um uso é atômico (`uses < maxUses`), então links com poucos usos não estouram
+ * - Com `requiresApproval`, o link gera uma JoinRequest em vez de entrar direto (apenas clã/federação)
+ * - Links de federação são usados pelo líder de um clã e adicionam o clã à federação; com o conselho
+ *   ativo, o uso vira uma candidatura do clã, que entra pela proposta add_clan
+ * - Bans de escopo e os limites de tamanho de SystemSetting valem como nas entradas diretas
+ */
+class InviteLinkService {
+  constructor() {
+    this.codeBytes = 6; // 8 caracteres base64url
+  }
+
+  generateCode() {
+    return crypto.randomBytes(this.codeBytes).toString("base64url");
+  }
+
+  /**
+   * Indica se o link ainda pode ser usado
+   * @param {object} link - Documento do link
+   * @returns {{valid: boolean, reason: string|null}}
+   */
+  getValidity(link) {
+    if (link.revokedAt) return { valid: false, reason: "Este link de convite foi revogado." };
+    if (link.expiresAt && link.expiresAt <= new Date()) return { valid: false, reason: "Este link de convite expirou." };
+    if (link.maxUses !== null && link.maxUses !== undefined && link.uses >= link.maxUses) {
+      return { valid: false, reason: "Este link de convite atingiu o limite de usos." };
+    }
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Cria um link de convite
+   * @param {object} params
+   * @param {object} params.user - Quem cria (precisa gerenciar membros do alvo)
+   * @param {string} params.type - clan, federation ou channel
+   * @param {string} params.targetId - ID do alvo
+   * @param {number|null} [params.maxUses] - Limite de usos (null = ilimitado)
+   * @param {Date|null} [params.expiresAt] - Expiração (null = não expira)
+   * @param {boolean} [params.requiresApproval=false] - Gera JoinRequest em vez de entrar direto
+   * @returns {Promise<{link?: object, error?: {status: number, msg: string}}>}
+   */
+  async create({ user, type, targetId, maxUses = null, expiresAt = null, requiresApproval = false }) {
+    const Model = TARGET_MODELS[type];
+    if (!Model) {
+      return { error: { status: 400, msg: "Tipo de convite inválido." } };
+    }
+    if (requiresApproval && type === "channel") {
+      return { error: { status: 400, msg: "Links de canal não suportam aprovação." } };
+    }
+
+    const target = await Model.findById(targetId);
+    if (!target) {
+      return { error: { status: 404, msg: "Alvo do convite não encontrado." } };
+    }
+    if (!(await permissionService.can(user, MANAGE_PERMISSIONS[type], target))) {
+      return { error: { status: 403, msg: "Você não tem permissão para criar convites para este alvo." } };
+    }
+    // Link de entrada direta contornaria o conselho; com aprovação, a candidatura passa por ele
+    if (type === "federation" && !requiresApproval && federationProposalService.requiresCouncil(target, user)) {
+      return { error: federationProposalService.councilRequiredError() };
+    }
+
+    const link = await InviteLink.create({
+      code: this.generateCode(),
+      type,
+      target: target._id,
+      createdBy: user._id,
+      maxUses,
+      expiresAt,
+      requiresApproval
+    });
+
+    logger.info(`Invite link ${link.code} created for ${type} ${target._id}`, { createdBy: String(user._id) });
+    return { link };
+  }
+
+  /**
+   * Dados públicos do link para pré-visualização antes de usar
+   * @param {string} code - Código do link
+   * @param {object} viewer - Usuário que consulta (quem gerencia o alvo vê também os usos)
+   * @returns {Promise<object|null>} null se o link não existe
+   */
+  async preview(code, viewer) {
+    const link = await InviteLink.findOne({ code });
+    if (!link) return null;
+
+    const target = await TARGET_MODELS[link.type].findById(link.target).lean();
+    const { valid, reason } = target
+      ? this.getValidity(link)
+      : { valid: false, reason: "O alvo deste convite não existe mais." };
+
+    const preview = {
+      code: link.code,
+      type: link.type,
+      valid,
+      reason,
+      requiresApproval: link.requiresApproval,
+      expiresAt: link.expiresAt,
+      maxUses: link.maxUses,
+      uses: link.uses,
+      target: target ? await this.describeTarget(link.type, target) : null
+    };
+
+    if (target && (await permissionService.can(viewer, MANAGE_PERMISSIONS[link.type], target))) {
+      const populated = await link.populate("redemptions.user", "username avatar");
+      preview.redemptions = populated.redemptions;
+      preview.revokedAt = link.revokedAt;
+      preview.createdBy = link.createdBy;
+    }
+
+    return preview;
+  }
+
+  async describeTarget(type, target) {
+    if (type === "clan") {
+      return {
+        _id: target._id,
+        name: target.name,
+        tag: target.tag,
+        flag: target.flag,
+        memberCount: (target.members || []).length,
+        capacity: await capacityService.getClanCapacity(target)
+      };
+    }
+    if (type === "federation") {
+      return {
+        _id: target._id,
+        name: target.name,
+        tag: target.tag,
+        clanCount: (target.clans || []).length,
+        capacity: await capacityService.getFederationCapacity(target)
+      };
+    }
+    return {
+      _id: target._id,
+      name: target.name,
+      description: target.description,
+      channelType: target.channelType,
+      memberCount: (target.members || []).length
+    };
+  }
+
+  /**
+   * Usa um link de convite
+   * @param {string} code - Código do link
+   * @param {object} user - Documento do usuário que usa o link
+   * @param {object} [options]
+   * @param {Array} [options.answers] - Respostas ao formulário do clã (links com aprovação)
+   * @returns {Promise<{status?: "joined"|"pending", type?: string, target?: object, joinRequest?: object,
+   *   error?: {status: number, msg: string, ban?: object}}>}
+   */
+  async redeem(code, user, { answers } = {}) {
+    const link = await InviteLink.findOne({ code });
+    if (!link) {
+      return { error: { status: 404, msg: "Link de convite não encontrado." } };
+    }
+
+    const { valid, reason } = this.getValidity(link);
+    if (!valid) {
+      return { error: { status: 410, msg: reason } };
+    }
+    if (link.redemptions.some(r => sameId(r.user, user._id))) {
+      return { error: { status: 400, msg: "Você já usou este link de convite." } };
+    }
+
+    const target = await TARGET_MODELS[link.type].findById(link.target);
+    if (!target) {
+      return { error: { status: 404, msg: "O alvo deste convite não existe mais." } };
+    }
+
+    // Em links de federação quem entra é o clã liderado pelo usuário
+    const clan = link.type === "federation" && user.clan ? await Clan.findById(user.clan) : null;
+
+    const ban = await this.findBan(link, target, user);
+    if (ban) {
+      return { error: { status: 403, ban: banService.toResponse(ban) } };
+    }
+
+    // Conselho ativado depois da criação do link: a entrada do clã vira candidatura
+    const requiresApproval = link.requiresApproval ||
+      (link.type === "federation" && federationProposalService.requiresCouncil(target, user));
+
+    const check = await this.checkEligibility(link, target, user, clan, requiresApproval);
+    if (check.error) return check;
+
+    let applicationAnswers = [];
+    if (requiresApproval) {
+      const existing = await JoinRequest.exists(link.type === "federation"
+        ? { applicantClan: clan._id, type: link.type, target: target._id, status: "pending" }
+        : { requester: user._id, type: link.type, target: target._id, applicantClan: null, status: "pending" });
+      if (existing) {
+        return { error: { status: 400, msg: link.type === "federation"
+          ? "Seu clã já tem uma candidatura pendente para esta federação."
+          : "Você já tem uma solicitação pendente para este alvo." } };
+      }
+
+      if (link.type === "clan") {
+        const validated = applicationFormService.validateAnswers(target, answers);
+        if (validated.error) {
+          return { error: { status: 400, msg: validated.error } };
+        }
+        applicationAnswers = validated.answers;
+      }
+    }
+
+    const claimed = await this.claimUse(link, user, requiresApproval ? "pending" : "joined");
+    if (!claimed) {
+      return { error: { status: 410, msg: "Este link de convite não está mais disponível." } };
+    }
+
+    try {
+      if (requiresApproval) {
+        // Em federações a solicitação é a candidatura do clã (avaliada como as de /clan-applications)
+        const joinRequest = await JoinRequest.create({
+          type: link.type,
+          target: target._id,
+          requester: user._id,
+          applicantClan: clan ? clan._id : null,
+          answers: applicationAnswers
+        });
+        logger.info(`Invite link ${code} created join request ${joinRequest._id}`, { userId: String(user._id) });
+        return { status: "pending", type: link.type, target, joinRequest };
+      }
+
+      const joined = await this.join(link.type, target, user, clan);
+      if (joined.error) {
+        await this.releaseUse(link, user);
+        return joined;
+      }
+
+      logger.info(`Invite link ${code} redeemed`, { userId: String(user._id), type: link.type, target: String(target._id) });
+      return { status: "joined", type: link.type, target };
+    } catch (error) {
+      await this.releaseUse(link, user);
+      throw error;
+    }
+  }
+
+  async findBan(link, target, user) {
+    if (link.type === "channel") {
+      return banService.findActiveBan(user._id, [
+        { targetType: "channel", targetId: target._id },
+        { targetType: "clan", targetId: target.clan },
+        { targetType: "federation", targetId: target.federation }
+      ]);
+    }
+    return banService.findActiveBan(user._id, [{ targetType: link.type, targetId: target._id }]);
+  }
+
+  /**
+   * Validações que não dependem de escrita: afiliação atual e limites de tamanho
+   * @returns {Promise<{error: {status: number, msg: string}|null}>}
+   */
+  async checkEligibility(link, target, user, clan, requiresApproval = link.requiresApproval) {
+    if (link.type === "clan") {
+      if (user.clan) {
+        return { error: { status: 400, msg: sameId(user.clan, target._id) ? "Você já pertence a este clã." : "Você já pertence a um clã." } };
+      }
+      if (!requiresApproval) {
+        const capacityError = await capacityService.checkClan(target);
+        if (capacityError) return { error: capacityError };
+      }
+    } else if (link.type === "federation") {
+      if (!clan || !sameId(clan.leader, user._id)) {
+        return { error: { status: 403, msg: "Apenas o líder de um clã pode usar convites de federação." } };
+      }
+      if (clan.federation) {
+        return { error: { status: 400, msg: sameId(clan.federation, target._id) ? "Seu clã já pertence a esta federação." : "Seu clã já pertence a uma federação." } };
+      }
+      if (!requiresApproval) {
+        const capacityError = await capacityService.checkFederation(target);
+        if (capacityError) return { error: capacityError };
+      }
+    } else if ((target.members || []).some(m => sameId(m, user._id))) {
+      return { error: { status: 400, msg: "Usuário já está neste canal" } };
+    }
+
+    return { error: null };
+  }
+
+  /**
+   * Consome um uso do link de forma atômica (respeitando validade, limite e uso único por usuário)
+   * @returns {Promise<boolean>} False se o link deixou de estar disponível
+   */
+  async claimUse(link, user, status) {
+    const now = new Date();
+    const claimed = await InviteLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: null,
+        "redemptions.user": { $ne: user._id },
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }] }
+        ]
+      },
+      { $inc: { uses: 1 }, $push: { redemptions: { user: user._id, redeemedAt: now, status } } },
+      { new: true }
+    );
+    return !!claimed;
+  }
+
+  async releaseUse(link, user) {
+    try {
+      await InviteLink.updateOne(
+        { _id: link._id, "redemptions.user": user._id },
+        { $inc: { uses: -1 }, $pull: { redemptions: { user: user._id } } }
+      );
+    } catch (error) {
+      logger.error(`Error releasing use of invite link ${link.code}:`, error);
+    }
+  }
+
+  /**
+   * Entrada efetiva no alvo. Clãs e federações passam pelo membershipService, que grava os dois
+   * lados da afiliação na mesma transação e respeita o limite de tamanho. Na federação, os membros
+   * do clã também passam a pertencer a ela.
+   */
+  async join(type, target, user, clan) {
+    if (type === "clan") {
+      const { error } = await membershipService.joinClan(target, user._id);
+      return { error: error || null };
+    }
+
+    if (type === "federation") {
+      const { error } = await membershipService.admitClanToFederation(target, clan);
+      return { error: error || null };
+    }
+
+    await Channel.updateOne({ _id: target._id }, { $addToSet: { members: user._id } });
+    return { error: null };
+  }
+
+  /**
+   * Revoga um link (quem gerencia o alvo)
+   * @returns {Promise<{link?: object, error?: {status: number, msg: string}}>}
+   */
+  async revoke(code, user) {
+    const link = await InviteLink.findOne({ code });
+    if (!link || link.revokedAt) {
+      return { error: { status: 404, msg: "Link de convite não encontrado ou já revogado." } };
+    }
+
+    const target = await TARGET_MODELS[link.type].findById(link.target);
+    if (!sameId(link.createdBy, user._id) && !(await permissionService.can(user, MANAGE_PERMISSIONS[link.type], target))) {
+      return { error: { status: 403, msg: "Você não tem permissão para revogar este convite." } };
+    }
+
+    link.revokedAt = new Date();
+    link.revokedBy = user._id;
+    await link.save();
+
+    logger.info(`Invite link ${code} revoked`, { revokedBy: String(user._id) });
+    return { link };
+  }
+}
+
+const inviteLinkService = new InviteLinkService();
+module.exports = inviteLinkService;
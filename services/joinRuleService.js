@@ -0,0 +1,206 @@
+const AuditLog = require("../models/AuditLog");
+const Clan = require("../models/Clan");
+const banService = require("./banService");
+const winston = require("winston");
+
+// Logger específico para regras automáticas de entrada
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [JOIN-RULES-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LAST_CLAN_WINDOW_DAYS = 30;
+const MAX_RULES = 20;
+const MAX_CONDITIONS = 10;
+
+// Condições disponíveis; `negate` inverte o resultado
+const CONDITION_TYPES = {
+  account_age_days: "Conta criada há pelo menos N dias (value = N)",
+  banned_in_scope: "Possui ban ativo no clã ou na federação do clã",
+  enemy_clan_member: `Saiu de um clã inimigo nos últimos N dias (value = N, padrão ${DEFAULT_LAST_CLAN_WINDOW_DAYS})`,
+  same_federation: `Saiu de um clã da mesma federação nos últimos N dias (value = N, padrão ${DEFAULT_LAST_CLAN_WINDOW_DAYS})`
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Regras de aprovação/rejeição automática das solicitações de entrada em clãs.
+ *
+ * Cada regra tem uma ação (approve/reject) e uma lista de condições que precisam ser todas
+ * verdadeiras. As regras são avaliadas na ordem em que o líder as definiu e a primeira que casar
+ * decide; se nenhuma casar, a solicitação fica pendente para revisão manual.
+ */
+class JoinRuleService {
+  constructor() {
+    this.CONDITION_TYPES = CONDITION_TYPES;
+  }
+
+  /**
+   * Valida e normaliza as regras enviadas pelo líder
+   * @param {object} input - { enabled, rules: [{ name, action, conditions: [{ type, value, negate }] }] }
+   * @returns {{joinRules?: object, error?: string}}
+   */
+  normalizeRules({ enabled = true, rules = [] } = {}) {
+    if (!Array.isArray(rules)) return { error: "rules deve ser uma lista." };
+    if (rules.length > MAX_RULES) return { error: `São permitidas no máximo ${MAX_RULES} regras.` };
+
+    const normalized = [];
+    for (const [index, rule] of rules.entries()) {
+      const position = `Regra ${index + 1}`;
+      const name = String((rule && rule.name) || "").trim();
+      if (!name) return { error: `${position}: o nome é obrigatório.` };
+      if (!["approve", "reject"].includes(rule.action)) return { error: `${position}: a ação deve ser approve ou reject.` };
+      if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+        return { error: `${position}: informe ao menos uma condição.` };
+      }
+      if (rule.conditions.length > MAX_CONDITIONS) {
+        return { error: `${position}: são permitidas no máximo ${MAX_CONDITIONS} condições.` };
+      }
+
+      const conditions = [];
+      for (const condition of rule.conditions) {
+        if (!condition || !CONDITION_TYPES[condition.type]) {
+          return { error: `${position}: condição inválida. Use ${Object.keys(CONDITION_TYPES).join(", ")}.` };
+        }
+        const entry = { type: condition.type, value: null, negate: condition.negate === true };
+        if (condition.type === "account_age_days") {
+          entry.value = Number(condition.value);
+          if (!Number.isInteger(entry.value) || entry.value < 0) {
+            return { error: `${position}: account_age_days exige value inteiro maior ou igual a zero.` };
+          }
+        }
+        if (["enemy_clan_member", "same_federation"].includes(condition.type) &&
+            condition.value !== undefined && condition.value !== null) {
+          entry.value = Number(condition.value);
+          if (!Number.isInteger(entry.value) || entry.value < 1) {
+            return { error: `${position}: ${condition.type} exige value inteiro maior que zero.` };
+          }
+        }
+        conditions.push(entry);
+      }
+
+      normalized.push({ name, action: rule.action, conditions });
+    }
+
+    return { joinRules: { enabled: !!enabled, rules: normalized } };
+  }
+
+  /**
+   * Último clã de onde o solicitante saiu, se saiu dentro da janela
+   * @param {object} requester - Documento do usuário
+   * @param {number|null} windowDays - Janela em dias (padrão DEFAULT_LAST_CLAN_WINDOW_DAYS)
+   * @returns {string|null} ID do clã ou null
+   */
+  recentLastClan(requester, windowDays) {
+    const lastClan = requester.lastClan || {};
+    const windowMs = (windowDays || DEFAULT_LAST_CLAN_WINDOW_DAYS) * DAY_MS;
+    if (!lastClan.clan || !lastClan.leftAt || Date.now() - new Date(lastClan.leftAt).getTime() > windowMs) return null;
+    return lastClan.clan;
+  }
+
+  /**
+   * Avalia uma condição para o solicitante
+   * @returns {Promise<boolean>}
+   */
+  async checkCondition(condition, clan, requester) {
+    let result;
+    switch (condition.type) {
+      case "account_age_days":
+        result = !!requester.createdAt && Date.now() - new Date(requester.createdAt).getTime() >= condition.value * DAY_MS;
+        break;
+      case "banned_in_scope":
+        result = !!(await banService.findActiveBan(requester._id, [
+          { targetType: "clan", targetId: clan._id },
+          { targetType: "federation", targetId: clan.federation }
+        ]));
+        break;
+      // Quem solicita entrada não tem clã; vale o último clã de onde saiu, dentro da janela
+      case "enemy_clan_member": {
+        const lastClanId = this.recentLastClan(requester, condition.value);
+        result = !!lastClanId && (clan.enemies || []).some(id => sameId(id, lastClanId));
+        break;
+      }
+      case "same_federation": {
+        const lastClanId = this.recentLastClan(requester, condition.value);
+        const lastClan = lastClanId && clan.federation ? await Clan.findById(lastClanId).select("federation") : null;
+        result = !!lastClan && sameId(lastClan.federation, clan.federation);
+        break;
+      }
+      default:
+        result = false;
+    }
+    return condition.negate ? !result : result;
+  }
+
+  /**
+   * Primeira regra do clã que casa com o solicitante
+   * @param {object} clan - Documento do clã
+   * @param {object} requester - Documento do usuário
+   * @returns {Promise<object|null>} Regra que decide ou null (revisão manual)
+   */
+  async evaluate(clan, requester) {
+    const joinRules = clan.joinRules;
+    if (!joinRules || !joinRules.enabled) return null;
+
+    for (const rule of joinRules.rules) {
+      let matches = true;
+      for (const condition of rule.conditions) {
+        if (!(await this.checkCondition(condition, clan, requester))) {
+          matches = false;
+          break;
+        }
+      }
+      if (matches) return rule;
+    }
+    return null;
+  }
+
+  /**
+   * Grava na solicitação e no AuditLog qual regra decidiu
+   * @param {object} joinRequest - Solicitação (ainda não salva com a decisão)
+   * @param {object} clan - Clã dono da regra
+   * @param {object} rule - Regra que decidiu
+   * @param {object} requester - Solicitante
+   */
+  async recordDecision(joinRequest, clan, rule, requester) {
+    joinRequest.status = rule.action === "approve" ? "accepted" : "rejected";
+    joinRequest.respondedAt = new Date();
+    joinRequest.autoDecision = { rule: rule._id, ruleName: rule.name, action: rule.action, decidedAt: new Date() };
+    await joinRequest.save();
+
+    logger.info(`Join request ${joinRequest._id} ${joinRequest.status} by rule "${rule.name}"`, {
+      clanId: String(clan._id),
+      requester: String(requester._id)
+    });
+
+    try {
+      await AuditLog.create({
+        action: "join_request_auto_decided",
+        // A regra age em nome de quem a configurou
+        performedBy: (clan.joinRules && clan.joinRules.updatedBy) || clan.leader,
+        targetType: "clan",
+        targetId: clan._id,
+        details: `Solicitação ${joinRequest._id} de ${requester.username} ${rule.action === "approve" ? "aprovada" : "rejeitada"} pela regra "${rule.name}" (${rule._id})`
+      });
+    } catch (error) {
+      logger.error("Error writing audit log for join_request_auto_decided:", error);
+    }
+  }
+}
+
+const joinRuleService = new JoinRuleService();
+module.exports = joinRuleService;
@@ -0,0 +1,196 @@
+const AuditLog = require("../models/AuditLog");
+const cacheService = require("./cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+const winston = require("winston");
+
+// Logger específico para tentativas de login
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [LOGIN-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+/**
+ * Proteção contra força bruta por conta (independente do IP):
+ * - cada falha conta para o username dentro de uma janela
+ * - a partir de `delayAfter` falhas, a próxima tentativa só é aceita após um atraso exponencial
+ * - ao atingir `maxAttempts`, a conta fica bloqueada por `lockoutSeconds`
+ * Os contadores vivem no Redis (INCR atômico, então instâncias concorrentes não perdem falhas);
+ * sem cache disponível a proteção fica inativa (fail-open).
+ */
+class LoginAttemptService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+    this.windowSeconds = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60;
+    this.lockoutSeconds = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60;
+    this.delayAfter = 2;
+    this.maxDelaySeconds = 30;
+  }
+
+  normalize(username) {
+    return String(username || "").trim().toLowerCase();
+  }
+
+  /**
+   * Verifica se o username pode tentar login agora
+   * @param {string} username - Username informado no login
+   * @returns {Promise<{allowed: boolean, code?: string, retryAfter?: number, until?: string}>}
+   */
+  async checkAllowed(username) {
+    const key = this.normalize(username);
+
+    const lockout = await cacheService.get(CacheKeys.loginLockout(key));
+    if (lockout) {
+      const retryAfter = Math.max(1, Math.ceil((new Date(lockout.until) - Date.now()) / 1000));
+      return { allowed: false, code: "ACCOUNT_LOCKED", retryAfter, until: lockout.until };
+    }
+
+    const delay = await cacheService.get(CacheKeys.loginDelay(key));
+    if (delay && delay.nextAttemptAt) {
+      const waitMs = new Date(delay.nextAttemptAt) - Date.now();
+      if (waitMs > 0) {
+        return { allowed: false, code: "LOGIN_DELAYED", retryAfter: Math.ceil(waitMs / 1000) };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Registra uma falha (senha ou código 2FA incorretos) e bloqueia ao atingir o limite
+   * @param {string} username - Username informado
+   * @param {object} context
+   * @param {string|null} context.userId - ID do usuário, se existir
+   * @param {string} [context.ip] - IP da requisição
+   * @returns {Promise<{locked: boolean, remainingAttempts: number}>}
+   */
+  async recordFailure(username, { userId = null, ip = null } = {}) {
+    const key = this.normalize(username);
+    const failuresKey = CacheKeys.loginFailures(key);
+
+    // A janela começa na primeira falha: o TTL só é definido quando o contador nasce
+    const count = await cacheService.incr(failuresKey);
+    if (count === null) {
+      return { locked: false, remainingAttempts: this.maxAttempts };
+    }
+    if (count === 1) {
+      await cacheService.expire(failuresKey, this.windowSeconds);
+    }
+
+    if (count >= this.maxAttempts) {
+      // Só a falha que atinge o limite bloqueia; as concorrentes apenas recebem o bloqueio
+      if (count === this.maxAttempts) {
+        await this.lock(key, { userId, ip, attempts: count });
+        await cacheService.del(failuresKey);
+        await cacheService.del(CacheKeys.loginDelay(key));
+      }
+      return { locked: true, remainingAttempts: 0 };
+    }
+
+    // Atraso progressivo: 1s, 2s, 4s... até maxDelaySeconds
+    if (count >= this.delayAfter) {
+      const delaySeconds = Math.min(2 ** (count - this.delayAfter), this.maxDelaySeconds);
+      const nextAttemptAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+      await cacheService.set(CacheKeys.loginDelay(key), { nextAttemptAt, lastIp: ip }, delaySeconds);
+    }
+
+    return { locked: false, remainingAttempts: this.maxAttempts - count };
+  }
+
+  /**
+   * Zera o contador após um login bem-sucedido
+   * @param {string} username - Username
+   */
+  async recordSuccess(username) {
+    const key = this.normalize(username);
+    await cacheService.del(CacheKeys.loginFailures(key));
+    await cacheService.del(CacheKeys.loginDelay(key));
+  }
+
+  async lock(key, { userId, ip, attempts }) {
+    const lockedAt = new Date();
+    const lockout = {
+      username: key,
+      userId: userId ? String(userId) : null,
+      attempts,
+      lastIp: ip,
+      lockedAt: lockedAt.toISOString(),
+      until: new Date(lockedAt.getTime() + this.lockoutSeconds * 1000).toISOString()
+    };
+
+    await cacheService.set(CacheKeys.loginLockout(key), lockout, this.lockoutSeconds);
+    await cacheService.setAdd(CacheKeys.lockedAccounts(), key);
+    logger.warn(`Account ${key} locked after ${attempts} failed attempts`, { ip });
+
+    // Usernames inexistentes também são bloqueados, mas só contas reais vão para o AuditLog
+    if (userId) {
+      await this.audit("account_lockout", userId, userId,
+        `Conta bloqueada após ${attempts} tentativas de login falhas (último IP: ${ip || "desconhecido"}) até ${lockout.until}`);
+    }
+  }
+
+  /**
+   * Lista as contas bloqueadas no momento (limpa do índice as que já expiraram)
+   * @returns {Promise<object[]>}
+   */
+  async listLockouts() {
+    const usernames = await cacheService.setMembers(CacheKeys.lockedAccounts());
+    const lockouts = [];
+
+    for (const member of usernames) {
+      const key = String(member);
+      const lockout = await cacheService.get(CacheKeys.loginLockout(key));
+      if (lockout) {
+        lockouts.push(lockout);
+      } else {
+        await cacheService.setRemove(CacheKeys.lockedAccounts(), key);
+      }
+    }
+
+    return lockouts.sort((a, b) => new Date(b.lockedAt) - new Date(a.lockedAt));
+  }
+
+  /**
+   * Remove o bloqueio e o contador de falhas de um username
+   * @param {string} username - Username
+   * @param {string} adminId - ADM que liberou a conta
+   * @returns {Promise<boolean>} True se havia bloqueio
+   */
+  async clearLockout(username, adminId) {
+    const key = this.normalize(username);
+    const lockout = await cacheService.get(CacheKeys.loginLockout(key));
+
+    await cacheService.del(CacheKeys.loginLockout(key));
+    await cacheService.del(CacheKeys.loginFailures(key));
+    await cacheService.del(CacheKeys.loginDelay(key));
+    await cacheService.setRemove(CacheKeys.lockedAccounts(), key);
+
+    if (lockout && lockout.userId) {
+      await this.audit("account_unlock", adminId, lockout.userId, `Bloqueio de login removido manualmente (${key})`);
+    }
+    return !!lockout;
+  }
+
+  async audit(action, performedBy, targetId, details) {
+    try {
+      await AuditLog.create({ action, performedBy, targetType: "user", targetId, details });
+    } catch (error) {
+      logger.error(`Error writing audit log for ${action}:`, error);
+    }
+  }
+}
+
+const loginAttemptService = new LoginAttemptService();
+module.exports = loginAttemptService;
@@ -0,0 +1,683 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const JoinRequest = require("../models/JoinRequest");
+const capacityService = require("./capacityService");
+const cacheService = require("./cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+const { CLAN_ROLES } = require("../utils/clanRoles");
+const winston = require("winston");
+
+// Logger específico para alterações de afiliação
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [MEMBERSHIP-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Interrompe a transação; o erro volta ao chamador como { error }
+class MembershipAbort extends Error {
+  constructor(error) {
+    super(error.msg);
+    this.error = error;
+  }
+}
+
+const abort = (status, msg, code) => new MembershipAbort(code ? { status, msg, code } : { status, msg });
+
+// Servidor MongoDB standalone (sem replica set) não aceita transações
+const isTransactionUnsupported = (error) =>
+  error && (error.code === 20 || /Transaction numbers are only allowed/i.test(error.message || ""));
+
+/**
+ * Alterações de afiliação (entrar, sair, expulsar, transferir, liderança e clãs em federações).
+ *
+ * A afiliação é gravada dos dois lados: `User.clan`/`User.federation` e `Clan.members`/`Federation.clans`.
+ * Os membros de um clã federado pertencem à federação do clã (`User.federation`), exceto quem lidera
+ * outra federação. Cada operação aqui grava todos os lados na mesma transação, para que uma falha no
+ * meio não deixe referências pela metade. `checkConsistency` encontra (e opcionalmente corrige) as divergências que
+ * já existam no banco.
+ */
+class MembershipService {
+  constructor() {
+    this.transactionsUnsupported = false;
+  }
+
+  /**
+   * Executa `work(session)` em uma transação
+   * @param {Function} work - Recebe a sessão (ou null sem suporte a transações)
+   * @returns {Promise<object>} Retorno de `work`, ou { error } se a operação foi interrompida
+   */
+  async runInTransaction(work) {
+    if (this.transactionsUnsupported) return this.runWithoutTransaction(work);
+
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result || {};
+    } catch (error) {
+      if (error instanceof MembershipAbort) return { error: error.error };
+      if (isTransactionUnsupported(error)) {
+        this.transactionsUnsupported = true;
+        logger.warn("MongoDB deployment does not support transactions; membership changes will run without them");
+        return this.runWithoutTransaction(work);
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  async runWithoutTransaction(work) {
+    try {
+      return (await work(null)) || {};
+    } catch (error) {
+      if (error instanceof MembershipAbort) return { error: error.error };
+      throw error;
+    }
+  }
+
+  async invalidate({ users = [], clans = [], federations = [] }) {
+    for (const id of users) await cacheService.del(CacheKeys.user(id));
+    for (const id of clans) await cacheService.del(CacheKeys.clan(id));
+    for (const id of federations) await cacheService.del(CacheKeys.federation(id));
+  }
+
+  /**
+   * Leva os usuários para a federação (dentro de uma transação). Quem lidera outra federação
+   * mantém a sua; sub-líderes de outra federação deixam o cargo por lá.
+   */
+  async enterFederation(federationId, userIds, session) {
+    if (userIds.length === 0) return;
+    await User.updateMany(
+      {
+        _id: { $in: userIds },
+        federation: { $ne: federationId },
+        $or: [{ federation: null }, { federationRole: { $ne: "leader" } }]
+      },
+      { $set: { federation: federationId, federationRole: "member" } },
+      { session }
+    );
+    await Federation.updateMany(
+      { _id: { $ne: federationId }, subLeaders: { $in: userIds } },
+      { $pull: { subLeaders: { $in: userIds } } },
+      { session }
+    );
+  }
+
+  /**
+   * Tira os usuários da federação (dentro de uma transação), exceto o líder dela
+   */
+  async exitFederation(federationId, userIds, session) {
+    if (userIds.length === 0) return;
+    await Federation.updateOne({ _id: federationId }, { $pull: { subLeaders: { $in: userIds } } }, { session });
+    await User.updateMany(
+      { _id: { $in: userIds }, federation: federationId, federationRole: { $ne: "leader" } },
+      { $set: { federation: null, federationRole: null } },
+      { session }
+    );
+  }
+
+  /**
+   * Inclui o usuário no clã (dentro de uma transação), respeitando o limite de membros.
+   * Se o clã é federado, o usuário passa a pertencer à federação.
+   * @returns {Promise<string|null>} Federação do clã
+   */
+  async addToClan(clan, userId, role, session) {
+    const capacityError = await capacityService.addClanMember(clan, userId, { session });
+    if (capacityError) throw new MembershipAbort(capacityError);
+
+    if (role === CLAN_ROLES.SUBLEADER) {
+      await Clan.updateOne({ _id: clan._id }, { $addToSet: { subLeaders: userId } }, { session });
+    }
+    await User.updateOne({ _id: userId }, { $set: { clan: clan._id, clanRole: role } }, { session });
+
+    const { federation } = await Clan.findById(clan._id).select("federation").session(session).lean();
+    if (federation) await this.enterFederation(federation, [userId], session);
+    return federation || null;
+  }
+
+  /**
+   * Tira o usuário do clã (dentro de uma transação): membros, sub-líderes e cargos customizados.
+   * Se o clã é federado, o usuário também sai da federação.
+   * @returns {Promise<string|null>} Federação do clã
+   */
+  async removeFromClan(clanId, userId, session) {
+    const clan = await Clan.findOneAndUpdate(
+      { _id: clanId },
+      { $pull: { members: userId, subLeaders: userId, memberRoles: { user: userId } } },
+      { session, projection: { federation: 1 } }
+    );
+    await User.updateOne(
+      { _id: userId, clan: clanId },
+      { $set: { clan: null, clanRole: null, lastClan: { clan: clanId, leftAt: new Date() } } },
+      { session }
+    );
+
+    const federation = clan ? clan.federation : null;
+    if (federation) await this.exitFederation(federation, [userId], session);
+    return federation || null;
+  }
+
+  /**
+   * Entrada de um usuário sem clã
+   * @param {object} clan - Documento do clã
+   * @param {string} userId - ID do usuário
+   * @param {object} [options] - { role } cargo inicial (padrão: membro)
+   * @returns {Promise<{error?: object}>}
+   */
+  async joinClan(clan, userId, { role = CLAN_ROLES.MEMBER } = {}) {
+    const result = await this.runInTransaction(async (session) => {
+      const user = await User.findById(userId).select("clan").session(session);
+      if (!user) throw abort(404, "Usuário não encontrado.");
+      if (user.clan) throw abort(400, "O usuário já pertence a um clã.", "ALREADY_IN_CLAN");
+
+      const federation = await this.addToClan(clan, userId, role, session);
+      return { federation };
+    });
+
+    if (!result.error) await this.invalidate({ users: [userId], clans: [clan._id], federations: [result.federation].filter(Boolean) });
+    return result;
+  }
+
+  /**
+   * Saída voluntária do clã (a checagem de liderança fica com quem chama)
+   * @returns {Promise<{error?: object}>}
+   */
+  async leaveClan(clanId, userId) {
+    const result = await this.runInTransaction(async (session) => ({ federation: await this.removeFromClan(clanId, userId, session) }));
+    await this.invalidate({ users: [userId], clans: [clanId], federations: [result.federation].filter(Boolean) });
+    return result;
+  }
+
+  /**
+   * Expulsão de um membro do clã
+   * @param {string} clanId - ID do clã
+   * @param {string} userId - Membro expulso
+   * @param {string} kickedBy - Quem expulsou
+   * @returns {Promise<{error?: object}>}
+   */
+  async kickMember(clanId, userId, kickedBy) {
+    const result = await this.runInTransaction(async (session) => ({ federation: await this.removeFromClan(clanId, userId, session) }));
+    logger.info(`User ${userId} kicked from clan ${clanId}`, { kickedBy: String(kickedBy) });
+    await this.invalidate({ users: [userId], clans: [clanId], federations: [result.federation].filter(Boolean) });
+    return result;
+  }
+
+  /**
+   * Move o usuário para outro clã, saindo do atual (se houver). Se liderava o clã anterior,
+   * esse clã fica sem líder.
+   * @param {string} userId - ID do usuário
+   * @param {object} clan - Clã de destino
+   * @param {object} [options] - { role } cargo no novo clã
+   * @returns {Promise<{previousClan?: string|null, error?: object}>}
+   */
+  async transferMember(userId, clan, { role = CLAN_ROLES.MEMBER } = {}) {
+    const result = await this.runInTransaction(async (session) => {
+      const user = await User.findById(userId).select("clan").session(session);
+      if (!user) throw abort(404, "Usuário não encontrado.");
+
+      const previousClan = user.clan && !sameId(user.clan, clan._id) ? user.clan : null;
+      let previousFederation = null;
+      if (previousClan) {
+        previousFederation = await this.removeFromClan(previousClan, userId, session);
+        await Clan.updateOne({ _id: previousClan, leader: userId }, { $set: { leader: null } }, { session });
+      }
+
+      const federation = await this.addToClan(clan, userId, role, session);
+      return { previousClan, federations: [previousFederation, federation].filter(Boolean) };
+    });
+
+    if (!result.error) {
+      await this.invalidate({ users: [userId], clans: [clan._id, result.previousClan].filter(Boolean), federations: result.federations });
+    }
+    return result;
+  }
+
+  /**
+   * Passa a liderança do clã para outro membro; o líder anterior vira membro
+   * @param {object} clan - Documento do clã (com o líder atual)
+   * @param {string} newLeaderId - Novo líder
+   * @returns {Promise<{previousLeader?: string|null, error?: object}>}
+   */
+  async transferClanLeadership(clan, newLeaderId) {
+    const previousLeader = clan.leader || null;
+
+    const result = await this.runInTransaction(async (session) => {
+      const updated = await Clan.updateOne(
+        { _id: clan._id, leader: previousLeader, members: newLeaderId },
+        { $set: { leader: newLeaderId }, $pull: { subLeaders: newLeaderId } },
+        { session }
+      );
+      if (updated.matchedCount === 0) {
+        throw abort(409, "A liderança ou os membros do clã mudaram. Tente novamente.");
+      }
+
+      if (previousLeader) {
+        await User.updateOne({ _id: previousLeader, clan: clan._id }, { $set: { clanRole: CLAN_ROLES.MEMBER } }, { session });
+      }
+      await User.updateOne({ _id: newLeaderId }, { $set: { clan: clan._id, clanRole: CLAN_ROLES.LEADER } }, { session });
+      return { previousLeader };
+    });
+
+    if (!result.error) {
+      await this.invalidate({ users: [newLeaderId, previousLeader].filter(Boolean), clans: [clan._id] });
+    }
+    return result;
+  }
+
+  /**
+   * Passa a liderança da federação para outro usuário; o líder anterior vira membro da federação
+   * @param {object} federation - Documento da federação (com o líder atual)
+   * @param {string} newLeaderId - Novo líder
+   * @returns {Promise<{previousLeader?: string|null, error?: object}>}
+   */
+  async transferFederationLeadership(federation, newLeaderId) {
+    const previousLeader = federation.leader || null;
+
+    const result = await this.runInTransaction(async (session) => {
+      const updated = await Federation.updateOne(
+        { _id: federation._id, leader: previousLeader },
+        { $set: { leader: newLeaderId }, $pull: { subLeaders: newLeaderId } },
+        { session }
+      );
+      if (updated.matchedCount === 0) {
+        throw abort(409, "A liderança da federação mudou. Tente novamente.");
+      }
+
+      if (previousLeader) {
+        await User.updateOne(
+          { _id: previousLeader, federation: federation._id },
+          { $set: { federationRole: "member" } },
+          { session }
+        );
+      }
+      await User.updateOne(
+        { _id: newLeaderId },
+        { $set: { federation: federation._id, federationRole: "leader" } },
+        { session }
+      );
+      return { previousLeader };
+    });
+
+    if (!result.error) {
+      await this.invalidate({ users: [newLeaderId, previousLeader].filter(Boolean), federations: [federation._id] });
+    }
+    return result;
+  }
+
+  /**
+   * Rebaixa o usuário a membro comum do clã: deixa de ser sub-líder e perde os cargos customizados
+   * @returns {Promise<{error?: object}>}
+   */
+  async demoteToMember(clanId, userId) {
+    const result = await this.runInTransaction(async (session) => {
+      await Clan.updateOne(
+        { _id: clanId },
+        { $pull: { subLeaders: userId, memberRoles: { user: userId } } },
+        { session }
+      );
+      await User.updateOne({ _id: userId, clan: clanId }, { $set: { clanRole: CLAN_ROLES.MEMBER } }, { session });
+    });
+
+    await this.invalidate({ users: [userId], clans: [clanId] });
+    return result;
+  }
+
+  /**
+   * Rebaixa o usuário a membro comum da federação (deixa de ser sub-líder)
+   * @returns {Promise<{error?: object}>}
+   */
+  async demoteInFederation(federationId, userId) {
+    const result = await this.runInTransaction(async (session) => {
+      await Federation.updateOne({ _id: federationId }, { $pull: { subLeaders: userId } }, { session });
+      await User.updateOne(
+        { _id: userId, federation: federationId, federationRole: { $ne: "leader" } },
+        { $set: { federationRole: "member" } },
+        { session }
+      );
+    });
+
+    await this.invalidate({ users: [userId], federations: [federationId] });
+    return result;
+  }
+
+  /**
+   * Entrada de um clã inteiro na federação (candidatura aceita): além de Federation.clans e
+   * Clan.federation, todos os membros passam a pertencer à federação. Quem lidera outra
+   * federação mantém a sua; sub-líderes de outra federação deixam o cargo por lá.
+   * As demais candidaturas pendentes do clã são retiradas.
+   * @returns {Promise<{error?: object}>}
+   */
+  async admitClanToFederation(federation, clan) {
+    const moving = await User.find({
+      _id: { $in: clan.members || [] },
+      federation: { $ne: federation._id },
+      $or: [{ federation: null }, { federationRole: { $ne: "leader" } }]
+    }).select("_id federation").lean();
+    const movingIds = moving.map(user => user._id);
+    const previousFederations = moving.map(user => user.federation).filter(Boolean);
+
+    const result = await this.runInTransaction(async (session) => {
+      const claimed = await Clan.updateOne({ _id: clan._id, federation: null }, { $set: { federation: federation._id } }, { session });
+      if (claimed.matchedCount === 0) throw abort(400, "Este clã já pertence a uma federação.");
+
+      const capacityError = await capacityService.addFederationClan(federation, clan._id, { session });
+      if (capacityError) {
+        // Sem transação o abort não desfaz a reivindicação acima
+        if (!session) await Clan.updateOne({ _id: clan._id, federation: federation._id }, { $set: { federation: null } });
+        throw new MembershipAbort(capacityError);
+      }
+
+      await this.enterFederation(federation._id, movingIds, session);
+
+      const now = new Date();
+      await JoinRequest.updateMany(
+        { applicantClan: clan._id, type: "federation", status: "pending" },
+        [{ $set: { status: { $cond: [{ $eq: ["$target", federation._id] }, "accepted", "withdrawn"] }, respondedAt: now } }],
+        { session }
+      );
+    });
+
+    if (!result.error) {
+      await this.invalidate({ users: movingIds, clans: [clan._id], federations: [federation._id, ...previousFederations] });
+      logger.info(`Clan ${clan._id} admitted to federation ${federation._id}`, { members: movingIds.length });
+    }
+    return result;
+  }
+
+  /**
+   * Tira o clã da federação; os membros do clã (exceto o líder da federação) saem junto
+   * @returns {Promise<{error?: object}>}
+   */
+  async removeClanFromFederation(federationId, clanId) {
+    const result = await this.runInTransaction(async (session) => {
+      await Federation.updateOne({ _id: federationId }, { $pull: { clans: clanId } }, { session });
+      const clan = await Clan.findOneAndUpdate(
+        { _id: clanId, federation: federationId },
+        { $set: { federation: null } },
+        { session, projection: { members: 1 } }
+      );
+
+      const members = clan ? clan.members || [] : [];
+      await this.exitFederation(federationId, members, session);
+      return { members };
+    });
+
+    await this.invalidate({ users: result.members || [], clans: [clanId], federations: [federationId] });
+    return result;
+  }
+
+  /**
+   * Entrada de um usuário sem federação como membro da federação
+   * @returns {Promise<{error?: object}>}
+   */
+  async joinFederation(federationId, userId) {
+    const updated = await User.updateOne(
+      { _id: userId, federation: null },
+      { $set: { federation: federationId, federationRole: "member" } }
+    );
+    if (updated.matchedCount === 0) {
+      return { error: { status: 400, msg: "O usuário já pertence a uma federação." } };
+    }
+
+    await this.invalidate({ users: [userId], federations: [federationId] });
+    return {};
+  }
+
+  /**
+   * Saída do usuário da federação (deixa de ser sub-líder, se era)
+   * @returns {Promise<{error?: object}>}
+   */
+  async leaveFederation(federationId, userId) {
+    const result = await this.runInTransaction(async (session) => {
+      await Federation.updateOne({ _id: federationId }, { $pull: { subLeaders: userId } }, { session });
+      await User.updateOne(
+        { _id: userId, federation: federationId },
+        { $set: { federation: null, federationRole: null } },
+        { session }
+      );
+    });
+
+    await this.invalidate({ users: [userId], federations: [federationId] });
+    return result;
+  }
+
+  /**
+   * Procura referências de afiliação órfãs ou divergentes entre usuários, clãs e federações.
+   *
+   * `Clan.members` e `Federation.clans` são tratados como a fonte da verdade; o lado do usuário/clã
+   * é ajustado a eles, exceto quando o líder do clã não consta nos membros (ele é incluído).
+   * @param {object} [options] - { repair } aplica as correções; { performedBy } ADM que pediu a correção
+   * @returns {Promise<{checkedAt: Date, repaired: boolean, total: number, counts: object, issues: Array<object>}>}
+   */
+  async checkConsistency({ repair = false, performedBy = null } = {}) {
+    const [clans, federations] = await Promise.all([
+      Clan.find().select("name leader subLeaders members federation").lean(),
+      Federation.find().select("name clans").lean()
+    ]);
+
+    const memberIds = clans.flatMap(clan => clan.members || []);
+    const users = await User.find({
+      $or: [{ clan: { $ne: null } }, { federation: { $ne: null } }, { _id: { $in: memberIds } }]
+    }).select("username clan federation federationRole").lean();
+
+    const usersById = new Map(users.map(user => [user._id.toString(), { ...user }]));
+    const clansById = new Map(clans.map(clan => [clan._id.toString(), clan]));
+    const federationIds = new Set(federations.map(federation => federation._id.toString()));
+
+    // Em quais clãs/federações cada usuário/clã aparece listado
+    const listedInClans = new Map();
+    for (const clan of clans) {
+      for (const memberId of clan.members || []) {
+        const key = memberId.toString();
+        if (!listedInClans.has(key)) listedInClans.set(key, []);
+        listedInClans.get(key).push(clan);
+      }
+    }
+    const listedInFederations = new Map();
+    for (const federation of federations) {
+      for (const clanId of federation.clans || []) {
+        const key = clanId.toString();
+        if (!listedInFederations.has(key)) listedInFederations.set(key, []);
+        listedInFederations.get(key).push(federation);
+      }
+    }
+
+    const issues = [];
+    const fixes = [];
+    const touched = { users: new Set(), clans: new Set(), federations: new Set() };
+    const report = (issue, fix, affected) => {
+      issues.push(issue);
+      fixes.push({ fix, affected });
+    };
+    const roleIn = (clan, userId) => {
+      if (sameId(clan.leader, userId)) return CLAN_ROLES.LEADER;
+      if ((clan.subLeaders || []).some(id => sameId(id, userId))) return CLAN_ROLES.SUBLEADER;
+      return CLAN_ROLES.MEMBER;
+    };
+
+    // Lado do usuário: User.clan / User.federation
+    for (const user of usersById.values()) {
+      if (user.clan) {
+        const clan = clansById.get(user.clan.toString());
+        if (!clan) {
+          report(
+            { type: "user_clan_missing", user: user._id, clan: user.clan, message: `${user.username} aponta para um clã que não existe.`, action: "Limpar o clã do usuário." },
+            () => User.updateOne({ _id: user._id }, { $set: { clan: null, clanRole: null } }),
+            { users: [user._id] }
+          );
+          user.clan = null;
+        } else if (!(clan.members || []).some(id => sameId(id, user._id))) {
+          const listed = listedInClans.get(user._id.toString()) || [];
+          if (sameId(clan.leader, user._id)) {
+            report(
+              { type: "leader_not_in_members", user: user._id, clan: clan._id, message: `${user.username} lidera ${clan.name} mas não está na lista de membros.`, action: "Incluir o líder nos membros do clã." },
+              () => Clan.updateOne({ _id: clan._id }, { $addToSet: { members: user._id } }),
+              { clans: [clan._id] }
+            );
+          } else if (listed.length > 0) {
+            const actual = listed[0];
+            report(
+              { type: "user_clan_mismatch", user: user._id, clan: user.clan, message: `${user.username} aponta para ${clan.name} mas é membro de ${actual.name}.`, action: `Apontar o usuário para ${actual.name}.` },
+              () => User.updateOne({ _id: user._id }, { $set: { clan: actual._id, clanRole: roleIn(actual, user._id) } }),
+              { users: [user._id] }
+            );
+            user.clan = actual._id;
+          } else {
+            report(
+              { type: "user_not_in_clan_members", user: user._id, clan: clan._id, message: `${user.username} aponta para ${clan.name} mas não está na lista de membros.`, action: "Limpar o clã do usuário." },
+              () => User.updateOne({ _id: user._id }, { $set: { clan: null, clanRole: null } }),
+              { users: [user._id] }
+            );
+            user.clan = null;
+          }
+        }
+      }
+
+      if (user.federation && !federationIds.has(user.federation.toString())) {
+        report(
+          { type: "user_federation_missing", user: user._id, federation: user.federation, message: `${user.username} aponta para uma federação que não existe.`, action: "Limpar a federação do usuário." },
+          () => User.updateOne({ _id: user._id }, { $set: { federation: null, federationRole: null } }),
+          { users: [user._id] }
+        );
+      }
+    }
+
+    // Lado do clã: Clan.members
+    for (const clan of clans) {
+      for (const memberId of clan.members || []) {
+        const user = usersById.get(memberId.toString());
+        if (!user) {
+          report(
+            { type: "clan_member_missing", clan: clan._id, user: memberId, message: `${clan.name} lista um membro que não existe.`, action: "Remover o membro do clã." },
+            () => Clan.updateOne({ _id: clan._id }, { $pull: { members: memberId, subLeaders: memberId, memberRoles: { user: memberId } } }),
+            { clans: [clan._id] }
+          );
+        } else if (!user.clan) {
+          report(
+            { type: "clan_member_without_clan", clan: clan._id, user: user._id, message: `${user.username} está em ${clan.name} mas não tem clã.`, action: `Apontar o usuário para ${clan.name}.` },
+            () => User.updateOne({ _id: user._id }, { $set: { clan: clan._id, clanRole: roleIn(clan, user._id) } }),
+            { users: [user._id] }
+          );
+          user.clan = clan._id;
+        } else if (!sameId(user.clan, clan._id)) {
+          report(
+            { type: "clan_member_elsewhere", clan: clan._id, user: user._id, message: `${user.username} está em ${clan.name} mas pertence a outro clã.`, action: `Remover o usuário de ${clan.name}.` },
+            () => Clan.updateOne({ _id: clan._id }, { $pull: { members: user._id, subLeaders: user._id, memberRoles: { user: user._id } } }),
+            { clans: [clan._id] }
+          );
+        }
+      }
+    }
+
+    // Lado do clã: Clan.federation
+    for (const clan of clans) {
+      if (!clan.federation) continue;
+      const listed = listedInFederations.get(clan._id.toString()) || [];
+      if (!federationIds.has(clan.federation.toString())) {
+        report(
+          { type: "clan_federation_missing", clan: clan._id, federation: clan.federation, message: `${clan.name} aponta para uma federação que não existe.`, action: "Limpar a federação do clã." },
+          () => Clan.updateOne({ _id: clan._id }, { $set: { federation: null } }),
+          { clans: [clan._id] }
+        );
+        clan.federation = null;
+      } else if (!listed.some(federation => sameId(federation._id, clan.federation))) {
+        const actual = listed[0] || null;
+        report(
+          {
+            type: "clan_not_in_federation_clans",
+            clan: clan._id,
+            federation: clan.federation,
+            message: `${clan.name} aponta para uma federação que não o lista entre os clãs.`,
+            action: actual ? `Apontar o clã para ${actual.name}.` : "Limpar a federação do clã."
+          },
+          () => Clan.updateOne({ _id: clan._id }, { $set: { federation: actual ? actual._id : null } }),
+          { clans: [clan._id] }
+        );
+        clan.federation = actual ? actual._id : null;
+      }
+    }
+
+    // Lado da federação: Federation.clans
+    for (const federation of federations) {
+      for (const clanId of federation.clans || []) {
+        const clan = clansById.get(clanId.toString());
+        if (!clan) {
+          report(
+            { type: "federation_clan_missing", federation: federation._id, clan: clanId, message: `${federation.name} lista um clã que não existe.`, action: "Remover o clã da federação." },
+            () => Federation.updateOne({ _id: federation._id }, { $pull: { clans: clanId } }),
+            { federations: [federation._id] }
+          );
+        } else if (!clan.federation) {
+          report(
+            { type: "federation_clan_without_federation", federation: federation._id, clan: clan._id, message: `${clan.name} está em ${federation.name} mas não tem federação.`, action: `Apontar o clã para ${federation.name}.` },
+            () => Clan.updateOne({ _id: clan._id }, { $set: { federation: federation._id } }),
+            { clans: [clan._id] }
+          );
+          clan.federation = federation._id;
+        } else if (!sameId(clan.federation, federation._id)) {
+          report(
+            { type: "federation_clan_elsewhere", federation: federation._id, clan: clan._id, message: `${clan.name} está em ${federation.name} mas pertence a outra federação.`, action: `Remover o clã de ${federation.name}.` },
+            () => Federation.updateOne({ _id: federation._id }, { $pull: { clans: clan._id } }),
+            { federations: [federation._id] }
+          );
+        }
+      }
+    }
+
+    // Lado do usuário: membros de clã federado pertencem à federação do clã (quem lidera outra mantém a sua)
+    for (const user of usersById.values()) {
+      const clan = user.clan ? clansById.get(user.clan.toString()) : null;
+      if (!clan || !clan.federation || sameId(user.federation, clan.federation) || user.federationRole === "leader") continue;
+      report(
+        { type: "user_federation_mismatch", user: user._id, clan: clan._id, federation: clan.federation, message: `${user.username} é membro de ${clan.name} mas não pertence à federação do clã.`, action: "Apontar o usuário para a federação do clã." },
+        () => User.updateOne({ _id: user._id }, { $set: { federation: clan.federation, federationRole: "member" } }),
+        { users: [user._id], federations: [clan.federation] }
+      );
+    }
+
+    const counts = issues.reduce((acc, issue) => {
+      acc[issue.type] = (acc[issue.type] || 0) + 1;
+      return acc;
+    }, {});
+
+    if (repair) {
+      for (const { fix, affected } of fixes) {
+        await fix();
+        (affected.users || []).forEach(id => touched.users.add(id.toString()));
+        (affected.clans || []).forEach(id => touched.clans.add(id.toString()));
+        (affected.federations || []).forEach(id => touched.federations.add(id.toString()));
+      }
+      await this.invalidate({ users: [...touched.users], clans: [...touched.clans], federations: [...touched.federations] });
+      if (issues.length > 0) {
+        await cacheService.del(CacheKeys.clanList("all"));
+        await cacheService.del(CacheKeys.federationList());
+        logger.info(`Repaired ${issues.length} membership inconsistency(ies)`, { performedBy: String(performedBy), counts });
+      }
+    }
+
+    return { checkedAt: new Date(), repaired: repair && issues.length > 0, total: issues.length, counts, issues };
+  }
+}
+
+const membershipService = new MembershipService();
+module.exports = membershipService;
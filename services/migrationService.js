@@ -0,0 +1,198 @@
+const os = require("os");
+const SystemConfig = require("../models/SystemConfig");
+const winston = require("winston");
+
+// Logger específico para migrações
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [MIGRATION-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+// Chaves usadas no SystemConfig
+const APPLIED_KEY = "migrations.applied";
+const LOCK_KEY = "migrations.lock";
+
+/**
+ * Executor de migrações de dados versionadas.
+ *
+ * Cada arquivo em /migrations (`<versão>-<nome>.js`, registrado em migrations/index.js)
+ * exporta `{ version, name, description, up }`, onde `up({ dryRun, logger })` devolve um resumo
+ * das alterações. Com `dryRun` a migração só conta o que mudaria.
+ *
+ * As migrações aplicadas ficam registradas no SystemConfig (`migrations.applied`);
+ * um lock no mesmo modelo impede execuções simultâneas de várias instâncias.
+ */
+class MigrationService {
+  constructor() {
+    this.lockTtlMs = 10 * 60 * 1000; // lock abandonado por um processo que caiu expira em 10 min
+    this.lockPollMs = 2000; // intervalo entre tentativas ao aguardar o lock de outra instância
+  }
+
+  /**
+   * Carrega as migrações registradas, em ordem de versão
+   * @returns {object[]}
+   */
+  loadMigrations() {
+    const migrations = require("../migrations")
+      .map(migration => {
+        if (!Number.isInteger(migration.version) || typeof migration.up !== "function") {
+          throw new Error(`Migração inválida: ${migration.name || "sem nome"} (version e up são obrigatórios)`);
+        }
+        return migration;
+      })
+      .sort((a, b) => a.version - b.version);
+
+    const versions = new Set();
+    for (const migration of migrations) {
+      if (versions.has(migration.version)) {
+        throw new Error(`Versão de migração duplicada: ${migration.version}`);
+      }
+      versions.add(migration.version);
+    }
+    return migrations;
+  }
+
+  /**
+   * Registros das migrações já aplicadas
+   * @returns {Promise<object[]>}
+   */
+  async getApplied() {
+    const config = await SystemConfig.findOne({ key: APPLIED_KEY }).lean();
+    return config && Array.isArray(config.value) ? config.value : [];
+  }
+
+  /**
+   * Situação de todas as migrações conhecidas
+   * @returns {Promise<object[]>}
+   */
+  async getStatus() {
+    const applied = await this.getApplied();
+    return this.loadMigrations().map(({ version, name, description }) => {
+      const record = applied.find(entry => entry.version === version);
+      return { version, name, description, applied: !!record, appliedAt: record ? record.appliedAt : null };
+    });
+  }
+
+  async acquireLock() {
+    const now = new Date();
+    const owner = `${os.hostname()}:${process.pid}`;
+
+    // Remove lock vencido antes de tentar criar o novo
+    await SystemConfig.deleteOne({ key: LOCK_KEY, "value.expiresAt": { $lte: now } });
+    try {
+      await SystemConfig.create({
+        key: LOCK_KEY,
+        value: { owner, lockedAt: now, expiresAt: new Date(now.getTime() + this.lockTtlMs) }
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Tenta obter o lock até `timeoutMs`, enquanto outra instância executa as migrações
+   * @returns {Promise<boolean>} False se o lock não foi liberado a tempo
+   */
+  async waitForLock(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await this.acquireLock())) {
+      if (Date.now() >= deadline) return false;
+      await new Promise(resolve => setTimeout(resolve, this.lockPollMs));
+    }
+    return true;
+  }
+
+  async releaseLock() {
+    await SystemConfig.deleteOne({ key: LOCK_KEY });
+  }
+
+  /**
+   * Executa as migrações pendentes em ordem
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Apenas relata o que mudaria, sem gravar nem registrar
+   * @param {number} [options.to] - Executa somente até esta versão (inclusive)
+   * @param {number} [options.waitForLock=0] - Aguarda até estes ms se outra instância estiver migrando
+   * @returns {Promise<object[]>} Resultado de cada migração executada
+   */
+  async runPending({ dryRun = false, to = null, waitForLock = 0 } = {}) {
+    const getPending = async () => {
+      const applied = new Set((await this.getApplied()).map(entry => entry.version));
+      return this.loadMigrations()
+        .filter(migration => !applied.has(migration.version))
+        .filter(migration => to === null || migration.version <= to);
+    };
+
+    let pending = await getPending();
+    if (pending.length === 0) {
+      logger.info("No pending migrations");
+      return [];
+    }
+
+    if (!dryRun) {
+      const locked = await this.acquireLock() || (waitForLock > 0 && await this.waitForLock(waitForLock));
+      if (!locked) {
+        const error = new Error("Outra instância está executando migrações. Tente novamente em instantes.");
+        error.code = "MIGRATION_LOCKED";
+        throw error;
+      }
+    }
+
+    const results = [];
+    try {
+      // Quem aguardou o lock encontra as migrações já aplicadas pela outra instância
+      if (!dryRun) pending = await getPending();
+
+      for (const migration of pending) {
+        const label = `${migration.version} (${migration.name})`;
+        logger.info(`${dryRun ? "[dry-run] " : ""}Running migration ${label}`);
+
+        const startedAt = Date.now();
+        const summary = await migration.up({ dryRun, logger });
+        const durationMs = Date.now() - startedAt;
+
+        if (!dryRun) {
+          await SystemConfig.updateOne(
+            { key: APPLIED_KEY },
+            {
+              $push: {
+                value: {
+                  version: migration.version,
+                  name: migration.name,
+                  appliedAt: new Date(),
+                  durationMs,
+                  summary
+                }
+              }
+            },
+            { upsert: true }
+          );
+        }
+
+        logger.info(`${dryRun ? "[dry-run] " : ""}Migration ${label} finished in ${durationMs}ms`, summary);
+        results.push({ version: migration.version, name: migration.name, dryRun, durationMs, summary });
+      }
+    } finally {
+      if (!dryRun) await this.releaseLock();
+    }
+
+    return results;
+  }
+}
+
+const migrationService = new MigrationService();
+module.exports = migrationService;
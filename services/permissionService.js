@@ -0,0 +1,258 @@
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+
+/**
+ * Motor único de permissões.
+ *
+ * As permissões efetivas de um usuário em um recurso (clã, federação ou canal) são a união de:
+ * - papel no sistema (ADM tem todas)
+ * - papel no clã/federação (líder, sub-líder, membro), sempre lido do próprio documento
+ *   do clã/federação e não de `User.clanRole`, que tem grafias inconsistentes
+ * - cargos customizados do clã (`Clan.customRoles` + `Clan.memberRoles`)
+ * - cargos do canal (`Channel.memberRoles[].permissions`)
+ *
+ * O escopo "system" não tem recurso: suas permissões são só do ADM.
+ *
+ * Permissões são strings no formato "<escopo>.<ação>", ex.: "clan.kick".
+ */
+const PERMISSIONS = {
+  clan: [
+    "clan.view",
+    "clan.update",
+    "clan.delete",
+    "clan.transfer",
+    "clan.members.promote",
+    "clan.members.manage",
+    "clan.kick",
+    "clan.mute",
+    "clan.ban",
+    "clan.roles.manage",
+    "clan.channels.manage",
+    "clan.diplomacy",
+    "clan.bots.manage"
+  ],
+  federation: [
+    "federation.view",
+    "federation.update",
+    "federation.delete",
+    "federation.transfer",
+    "federation.clans.manage",
+    "federation.subleaders.manage",
+    "federation.diplomacy",
+    "federation.ban",
+    "federation.channels.manage"
+  ],
+  channel: [
+    "channel.view",
+    "channel.manage",
+    "channel.ban",
+    "channel.messages.manage"
+  ],
+  system: [
+    "system.notifications.broadcast"
+  ]
+};
+
+const CLAN_ROLE_GRANTS = {
+  leader: PERMISSIONS.clan,
+  subleader: PERMISSIONS.clan.filter(p => !["clan.delete", "clan.transfer", "clan.bots.manage"].includes(p)),
+  member: ["clan.view"]
+};
+
+// Flags de Clan.customRoles[].permissions → permissões do motor
+const CLAN_CUSTOM_ROLE_GRANTS = {
+  manageMembers: ["clan.members.manage"],
+  manageChannels: ["clan.channels.manage"],
+  manageRoles: ["clan.roles.manage"],
+  kickMembers: ["clan.kick"],
+  muteMembers: ["clan.mute"]
+};
+
+const FEDERATION_ROLE_GRANTS = {
+  leader: PERMISSIONS.federation,
+  subleader: ["federation.view", "federation.diplomacy", "federation.ban", "federation.channels.manage"],
+  // Líderes dos clãs membros podem criar e gerenciar canais da federação
+  clanLeader: ["federation.view", "federation.channels.manage"],
+  member: ["federation.view"]
+};
+
+// Flags de Channel.memberRoles[].permissions → permissões do motor
+const CHANNEL_ROLE_GRANTS = {
+  manageChannel: ["channel.manage"],
+  manageMembers: ["channel.ban"],
+  manageMessages: ["channel.messages.manage"]
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+const includesId = (list, id) => Array.isArray(list) && list.some(item => sameId(item, id));
+
+class PermissionService {
+  constructor() {
+    this.PERMISSIONS = PERMISSIONS;
+  }
+
+  /**
+   * Escopo de uma permissão ("clan.kick" → "clan")
+   * @param {string} permission - Permissão
+   */
+  scopeOf(permission) {
+    return String(permission).split(".")[0];
+  }
+
+  isAdmin(user) {
+    return !!user && user.role === "ADM";
+  }
+
+  /**
+   * Papel do usuário no clã, segundo o documento do clã
+   * @returns {"leader"|"subleader"|"member"|null}
+   */
+  getClanRole(user, clan) {
+    if (!user || !clan) return null;
+    if (sameId(clan.leader, user._id)) return "leader";
+    if (includesId(clan.subLeaders, user._id)) return "subleader";
+    if (includesId(clan.members, user._id)) return "member";
+    return null;
+  }
+
+  /**
+   * Papel do usuário na federação, segundo o documento da federação
+   * @returns {"leader"|"subleader"|null}
+   */
+  getFederationRole(user, federation) {
+    if (!user || !federation) return null;
+    if (sameId(federation.leader, user._id)) return "leader";
+    if (includesId(federation.subLeaders, user._id)) return "subleader";
+    return null;
+  }
+
+  /**
+   * Permissões efetivas no clã
+   * @param {object} user - Usuário (documento ou objeto com _id e role)
+   * @param {object} clan - Documento do clã
+   * @returns {Set<string>}
+   */
+  getClanPermissions(user, clan) {
+    if (this.isAdmin(user)) return new Set(PERMISSIONS.clan);
+
+    const permissions = new Set();
+    const role = this.getClanRole(user, clan);
+    if (!role) return permissions;
+
+    CLAN_ROLE_GRANTS[role].forEach(p => permissions.add(p));
+
+    const assigned = (clan.memberRoles || []).filter(entry => sameId(entry.user, user._id));
+    for (const { roleName } of assigned) {
+      const customRole = (clan.customRoles || []).find(r => r.name === roleName);
+      if (!customRole || !customRole.permissions) continue;
+
+      for (const [flag, granted] of Object.entries(CLAN_CUSTOM_ROLE_GRANTS)) {
+        if (customRole.permissions[flag]) granted.forEach(p => permissions.add(p));
+      }
+    }
+
+    return permissions;
+  }
+
+  /**
+   * Permissões efetivas na federação (a participação comum é via clã)
+   * @param {object} user - Usuário
+   * @param {object} federation - Documento da federação
+   * @returns {Promise<Set<string>>}
+   */
+  async getFederationPermissions(user, federation) {
+    if (this.isAdmin(user)) return new Set(PERMISSIONS.federation);
+
+    const permissions = new Set();
+    const role = this.getFederationRole(user, federation);
+    if (role) FEDERATION_ROLE_GRANTS[role].forEach(p => permissions.add(p));
+
+    if (user && user.clan && includesId(federation.clans, user.clan._id || user.clan)) {
+      FEDERATION_ROLE_GRANTS.member.forEach(p => permissions.add(p));
+
+      const clan = await Clan.findById(user.clan._id || user.clan).select("leader").lean();
+      if (clan && sameId(clan.leader, user._id)) {
+        FEDERATION_ROLE_GRANTS.clanLeader.forEach(p => permissions.add(p));
+      }
+    }
+
+    return permissions;
+  }
+
+  /**
+   * Permissões efetivas no canal: dono, cargos do canal e, para canais de clã/federação,
+   * quem gerencia canais no escopo pai
+   * @param {object} user - Usuário
+   * @param {object} channel - Documento do canal
+   * @returns {Promise<Set<string>>}
+   */
+  async getChannelPermissions(user, channel) {
+    if (this.isAdmin(user) || sameId(channel.owner, user._id)) return new Set(PERMISSIONS.channel);
+
+    const permissions = new Set();
+    if (includesId(channel.members, user._id) || channel.type === "public") {
+      permissions.add("channel.view");
+    }
+
+    const entry = (channel.memberRoles || []).find(r => sameId(r.user, user._id));
+    if (entry && entry.permissions) {
+      for (const [flag, granted] of Object.entries(CHANNEL_ROLE_GRANTS)) {
+        if (entry.permissions[flag]) granted.forEach(p => permissions.add(p));
+      }
+    }
+
+    const clanId = channel.clan || (channel.channelType === "clan" ? channel.entityId : null);
+    const federationId = channel.federation || (channel.channelType === "federation" ? channel.entityId : null);
+
+    let managesParent = false;
+    if (clanId) {
+      const clan = await Clan.findById(clanId).lean();
+      managesParent = !!clan && this.getClanPermissions(user, clan).has("clan.channels.manage");
+    } else if (federationId) {
+      const federation = await Federation.findById(federationId).lean();
+      managesParent = !!federation &&
+        (await this.getFederationPermissions(user, federation)).has("federation.channels.manage");
+    }
+    if (managesParent) PERMISSIONS.channel.forEach(p => permissions.add(p));
+
+    return permissions;
+  }
+
+  /**
+   * Permissões efetivas do usuário no recurso do escopo informado
+   * @param {object} user - Usuário
+   * @param {string} scope - clan, federation, channel ou system
+   * @param {object} [resource] - Documento do recurso (não usado em system)
+   * @returns {Promise<Set<string>>}
+   */
+  async getPermissions(user, scope, resource) {
+    switch (scope) {
+      case "system":
+        return new Set(this.isAdmin(user) ? PERMISSIONS.system : []);
+      case "clan":
+        return this.getClanPermissions(user, resource);
+      case "federation":
+        return this.getFederationPermissions(user, resource);
+      case "channel":
+        return this.getChannelPermissions(user, resource);
+      default:
+        throw new Error(`Escopo de permissão desconhecido: ${scope}`);
+    }
+  }
+
+  /**
+   * Verifica uma permissão no recurso
+   * @param {object} user - Usuário
+   * @param {string} permission - Ex.: "clan.kick"
+   * @param {object} resource - Documento do recurso do mesmo escopo da permissão
+   * @returns {Promise<boolean>}
+   */
+  async can(user, permission, resource) {
+    if (!user || !resource) return false;
+    const permissions = await this.getPermissions(user, this.scopeOf(permission), resource);
+    return permissions.has(permission);
+  }
+}
+
+const permissionService = new PermissionService();
+module.exports = permissionService;
@@ -0,0 +1,236 @@
+const Invite = require("../models/Invite");
+const JoinRequest = require("../models/JoinRequest");
+const User = require("../models/User");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const Channel = require("../models/Channel");
+const SystemConfig = require("../models/SystemConfig");
+const systemSettingService = require("./systemSettingService");
+const AutoNotificationService = require("./autoNotificationService");
+const winston = require("winston");
+
+// Logger específico para expiração de convites e solicitações
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [REQUEST-EXPIRY-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TARGET_MODELS = { clan: Clan, federation: Federation, channel: Channel };
+const TARGET_LABELS = { clan: "clã", federation: "federação", channel: "canal" };
+const STALE_SUMMARY_KEY = "requestExpiry.staleSummaryAt"; // último envio do resumo diário (SystemConfig)
+
+/**
+ * Manutenção de convites (`Invite`) e solicitações de entrada (`JoinRequest`) pendentes.
+ *
+ * - Expira pendências mais velhas que inviteTtlDays/joinRequestTtlDays (SystemSetting) e avisa os dois lados
+ * - Envia uma vez por dia aos líderes um resumo das solicitações paradas há mais de staleJoinRequestDays;
+ *   o último envio fica no SystemConfig, então reinícios e várias instâncias não repetem o resumo
+ *
+ * Pendências duplicadas são impedidas pelos índices únicos (criados pela migração 003).
+ */
+class RequestExpiryService {
+  constructor() {
+    this.expiryInterval = 60 * 60 * 1000; // expiração (e verificação do resumo diário) a cada hora
+    this.summaryInterval = DAY_MS; // resumo de solicitações paradas uma vez por dia
+  }
+
+  async getTargetName(type, targetId) {
+    const Model = TARGET_MODELS[type];
+    const target = Model ? await Model.findById(targetId).select("name").lean() : null;
+    return target ? target.name : TARGET_LABELS[type];
+  }
+
+  /**
+   * Quem responde às solicitações do alvo: líder e sublíderes do clã ou da federação
+   * @returns {Promise<string[]>} IDs dos usuários
+   */
+  async getManagers(type, targetId) {
+    const Model = TARGET_MODELS[type];
+    if (!Model || type === "channel") return [];
+
+    const target = await Model.findById(targetId).select("leader subLeaders").lean();
+    if (!target) return [];
+    return [target.leader, ...(target.subLeaders || [])].filter(Boolean).map(id => id.toString());
+  }
+
+  /**
+   * Expira os convites pendentes mais velhos que inviteTtlDays e avisa convidado e remetente
+   * @returns {Promise<number>} Quantidade expirada
+   */
+  async expireInvites(ttlDays) {
+    const cutoff = new Date(Date.now() - ttlDays * DAY_MS);
+    const due = await Invite.find({ status: "pending", createdAt: { $lte: cutoff } }).lean();
+    let expired = 0;
+
+    for (const invite of due) {
+      // Só expira se ninguém respondeu enquanto isso
+      const claimed = await Invite.updateOne(
+        { _id: invite._id, status: "pending" },
+        { $set: { status: "expired", respondedAt: new Date() } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+      expired++;
+
+      const [targetName, recipient] = await Promise.all([
+        this.getTargetName(invite.type, invite.target),
+        User.findById(invite.recipient).select("username").lean()
+      ]);
+      const data = { type: "invite_expired", inviteId: invite._id.toString(), targetType: invite.type, targetId: invite.target.toString() };
+
+      await AutoNotificationService.notifyUsers([invite.recipient], "Convite expirado",
+        `Seu convite para o ${TARGET_LABELS[invite.type]} ${targetName} expirou.`, data);
+      await AutoNotificationService.notifyUsers([invite.sender], "Convite expirado",
+        `O convite enviado a ${recipient ? recipient.username : "um usuário"} para ${targetName} expirou sem resposta.`, data);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Expira as solicitações pendentes mais velhas que joinRequestTtlDays e avisa solicitante e líderes
+   * @returns {Promise<number>} Quantidade expirada
+   */
+  async expireJoinRequests(ttlDays) {
+    const cutoff = new Date(Date.now() - ttlDays * DAY_MS);
+    const due = await JoinRequest.find({ status: "pending", createdAt: { $lte: cutoff } }).lean();
+    let expired = 0;
+
+    for (const joinRequest of due) {
+      const claimed = await JoinRequest.updateOne(
+        { _id: joinRequest._id, status: "pending" },
+        { $set: { status: "expired", respondedAt: new Date() } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+      expired++;
+
+      const [targetName, requester, managers] = await Promise.all([
+        this.getTargetName(joinRequest.type, joinRequest.target),
+        User.findById(joinRequest.requester).select("username").lean(),
+        this.getManagers(joinRequest.type, joinRequest.target)
+      ]);
+      const data = {
+        type: "join_request_expired",
+        requestId: joinRequest._id.toString(),
+        targetType: joinRequest.type,
+        targetId: joinRequest.target.toString()
+      };
+
+      await AutoNotificationService.notifyUsers([joinRequest.requester], "Solicitação expirada",
+        `Sua solicitação para entrar em ${targetName} expirou sem resposta.`, data);
+      await AutoNotificationService.notifyUsers(managers, "Solicitação expirada",
+        `A solicitação de ${requester ? requester.username : "um usuário"} para entrar em ${targetName} expirou sem resposta.`, data);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Resumo das solicitações pendentes há mais de staleJoinRequestDays, agrupadas por alvo
+   * @param {object} [filter] - Restringe os alvos (ex.: { target: { $in: ids } })
+   * @returns {Promise<Array<{type: string, target: string, count: number, oldest: Date}>>}
+   */
+  async getStaleSummary(filter = {}) {
+    const { staleJoinRequestDays } = await systemSettingService.get();
+    const cutoff = new Date(Date.now() - staleJoinRequestDays * DAY_MS);
+
+    const groups = await JoinRequest.aggregate([
+      { $match: { ...filter, status: "pending", createdAt: { $lte: cutoff } } },
+      { $group: { _id: { type: "$type", target: "$target" }, count: { $sum: 1 }, oldest: { $min: "$createdAt" } } },
+      { $sort: { oldest: 1 } }
+    ]);
+
+    return groups.map(group => ({
+      type: group._id.type,
+      target: group._id.target,
+      count: group.count,
+      oldest: group.oldest
+    }));
+  }
+
+  /**
+   * Envia aos líderes o resumo das solicitações paradas dos seus clãs/federações
+   * @returns {Promise<number>} Quantidade de alvos notificados
+   */
+  async sendStaleSummaries() {
+    const summary = await this.getStaleSummary();
+
+    for (const entry of summary) {
+      const [targetName, managers] = await Promise.all([
+        this.getTargetName(entry.type, entry.target),
+        this.getManagers(entry.type, entry.target)
+      ]);
+      const days = Math.floor((Date.now() - new Date(entry.oldest).getTime()) / DAY_MS);
+
+      await AutoNotificationService.notifyUsers(managers, "Solicitações aguardando resposta",
+        `${entry.count} solicitação(ões) para ${targetName} aguardam resposta (a mais antiga há ${days} dia(s)).`,
+        { type: "stale_join_requests", targetType: entry.type, targetId: entry.target.toString(), count: String(entry.count) });
+    }
+
+    return summary.length;
+  }
+
+  /**
+   * Reivindica o resumo do dia: só uma instância avança o marcador quando o último envio
+   * tem mais de summaryInterval
+   * @returns {Promise<boolean>} True se esta instância deve enviar o resumo
+   */
+  async claimStaleSummary() {
+    const now = new Date();
+    try {
+      const claimed = await SystemConfig.findOneAndUpdate(
+        { key: STALE_SUMMARY_KEY, value: { $lte: new Date(now.getTime() - this.summaryInterval) } },
+        { $set: { value: now } },
+        { upsert: true, new: true }
+      );
+      return !!claimed;
+    } catch (error) {
+      // Marcador recente: o upsert colide com a chave única
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Expira o que passou do prazo e envia o resumo diário quando for a vez
+   */
+  async run() {
+    const { inviteTtlDays, joinRequestTtlDays } = await systemSettingService.get();
+
+    const invites = await this.expireInvites(inviteTtlDays);
+    const joinRequests = await this.expireJoinRequests(joinRequestTtlDays);
+    const summaries = (await this.claimStaleSummary()) ? await this.sendStaleSummaries() : 0;
+
+    if (invites || joinRequests || summaries) {
+      logger.info("Pending invites/join requests cleanup finished", { invites, joinRequests, summaries });
+    }
+    return { invites, joinRequests, summaries };
+  }
+}
+
+// Instância singleton
+const requestExpiryService = new RequestExpiryService();
+
+// Expiração periódica e resumo diário de solicitações paradas para os líderes
+setInterval(async () => {
+  try {
+    await requestExpiryService.run();
+  } catch (error) {
+    logger.error("Error expiring pending invites/join requests:", error);
+  }
+}, requestExpiryService.expiryInterval);
+
+module.exports = requestExpiryService;
@@ -1,6 +1,7 @@
 const cacheService = require('./cacheService');
 const CacheKeys = require('../utils/cacheKeys');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const winston = require('winston');
 
 // Logger específico para sessões
@@ -22,10 +23,288 @@ const logger = winston.createLogger({
   ]
 });
 
+// Troca atômica do refresh token: só grava se o hash atual ainda é o apresentado.
+// A rotação não estende o tempo de vida absoluto da sessão.
+// Retorna 1 se trocou, 0 se o token já foi rotacionado e -1 se a sessão não existe mais.
+const ROTATE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then return -1 end
+if cjson.decode(current).refreshTokenHash ~= ARGV[1] then return 0 end
+local ttl = redis.call('TTL', KEYS[1])
+if ttl <= 0 then ttl = tonumber(ARGV[3]) end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ttl)
+return 1
+`;
+
 class SessionService {
   constructor() {
     this.defaultTTL = 24 * 60 * 60; // 24 horas
     this.refreshThreshold = 2 * 60 * 60; // 2 horas antes do vencimento
+    this.refreshTokenTTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60; // 30 dias
+    this.maxRotatedHashes = 10; // Hashes de refresh tokens antigos mantidos para detectar reuso
+    this.activityWriteInterval = 60; // Intervalo mínimo (s) entre gravações de última atividade
+  }
+
+  /**
+   * Gera o hash de um refresh token (nunca armazenamos o token em texto puro)
+   * @param {string} secret - Parte secreta do refresh token
+   * @returns {string} Hash SHA-256 em hexadecimal
+   */
+  hashToken(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+  }
+
+  /**
+   * Cria uma sessão de dispositivo com refresh token rotativo
+   * @param {string | number} userId - ID do usuário
+   * @param {object} metadata - Dados do cliente (lastIp, userAgent, dispositivo)
+   * @param {object} [options]
+   * @param {number} [options.ttl] - Tempo de vida da sessão em segundos (padrão: o do refresh token)
+   * @returns {Promise<{sessionId: string, refreshToken: string, stored: boolean}>}
+   */
+  async createSession(userId, metadata = {}, { ttl = this.refreshTokenTTL } = {}) {
+    const userIdStr = String(userId);
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(48).toString('hex');
+    const now = new Date();
+
+    const session = {
+      sessionId,
+      userId: userIdStr,
+      refreshTokenHash: this.hashToken(secret),
+      previousTokenHashes: [],
+      ...metadata,
+      createdAt: now.toISOString(),
+      lastActivity: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttl * 1000).toISOString()
+    };
+
+    let stored = false;
+    try {
+      stored = await cacheService.set(CacheKeys.session(sessionId), session, ttl);
+      if (stored) {
+        await cacheService.setAdd(CacheKeys.userSessions(userIdStr), sessionId);
+        await cacheService.expire(CacheKeys.userSessions(userIdStr), this.refreshTokenTTL);
+        logger.info(`Refresh session ${sessionId} created for user ${userIdStr}`);
+      } else {
+        logger.warn(`Refresh session for user ${userIdStr} not stored: cache unavailable`);
+      }
+    } catch (error) {
+      logger.error(`Error creating refresh session for user ${userIdStr}:`, error);
+    }
+
+    return { sessionId, refreshToken: `${sessionId}.${secret}`, stored };
+  }
+
+  /**
+   * Obtém uma sessão de dispositivo pelo ID, com a última atividade registrada
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<object|null>} Dados da sessão ou null
+   */
+  async getSessionById(sessionId) {
+    if (!cacheService.isAvailable() || !sessionId) return null;
+    const session = await cacheService.get(CacheKeys.session(String(sessionId)));
+    if (!session) return null;
+
+    const activity = await cacheService.get(CacheKeys.sessionActivity(String(sessionId)));
+    return activity ? { ...session, ...activity } : session;
+  }
+
+  /**
+   * Verifica se a sessão referenciada por um access token ainda está ativa.
+   * Sem Redis não há como revogar, então o token é aceito apenas pela assinatura.
+   * @param {string | number} userId - ID do usuário do token
+   * @param {string} sessionId - Claim `sid` do token
+   * @param {object|null} activity - Se informado ({ lastIp }), registra a atividade na sessão
+   * @returns {Promise<boolean>} True se a sessão está ativa
+   */
+  async isSessionActive(userId, sessionId, activity = null) {
+    if (!cacheService.isAvailable()) return true;
+    if (!sessionId) return false;
+    const session = await this.getSessionById(sessionId);
+    if (!session || session.userId !== String(userId)) return false;
+
+    if (activity) {
+      await this.touchSession(session, activity);
+    }
+    return true;
+  }
+
+  /**
+   * Atualiza última atividade e último IP de uma sessão de dispositivo.
+   * Grava no máximo uma vez por `activityWriteInterval`, salvo troca de IP.
+   * A atividade fica numa chave própria: a sessão em si (hash do refresh token)
+   * só é escrita pela criação e pela rotação.
+   * @param {object} session - Sessão obtida por getSessionById
+   * @param {object} activity - Dados da requisição atual ({ lastIp })
+   * @returns {Promise<boolean>} True se a atividade foi gravada
+   */
+  async touchSession(session, activity = {}) {
+    try {
+      const elapsed = (Date.now() - new Date(session.lastActivity).getTime()) / 1000;
+      const ipChanged = activity.lastIp && activity.lastIp !== session.lastIp;
+      if (elapsed < this.activityWriteInterval && !ipChanged) return false;
+
+      return this.recordActivity(session.sessionId, activity.lastIp || session.lastIp);
+    } catch (error) {
+      logger.error(`Error updating activity for session ${session.sessionId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Grava a última atividade de uma sessão, expirando junto com ela
+   * @param {string} sessionId - ID da sessão
+   * @param {string} [lastIp] - Último IP conhecido
+   * @returns {Promise<boolean>} True se gravada (false se a sessão não existe mais)
+   */
+  async recordActivity(sessionId, lastIp) {
+    const remainingTTL = await cacheService.ttl(CacheKeys.session(sessionId));
+    if (remainingTTL <= 0) return false;
+
+    const activity = { lastActivity: new Date().toISOString() };
+    if (lastIp) activity.lastIp = lastIp;
+    return cacheService.set(CacheKeys.sessionActivity(sessionId), activity, remainingTTL);
+  }
+
+  /**
+   * Troca um refresh token por um novo (rotação), detectando reuso de tokens antigos
+   * @param {string} refreshToken - Refresh token apresentado pelo cliente
+   * @param {object} metadata - Dados do cliente (lastIp, userAgent)
+   * @returns {Promise<{session?: object, refreshToken?: string, error?: string}>}
+   */
+  async rotateRefreshToken(refreshToken, metadata = {}) {
+    if (!cacheService.isAvailable()) return { error: 'unavailable' };
+
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) return { error: 'invalid' };
+
+    try {
+      const sessionKey = CacheKeys.session(sessionId);
+      const session = await cacheService.get(sessionKey);
+      if (!session) return { error: 'invalid' };
+
+      const presentedHash = this.hashToken(secret);
+      if (presentedHash !== session.refreshTokenHash) {
+        if ((session.previousTokenHashes || []).includes(presentedHash)) {
+          // Um token já rotacionado foi reapresentado: a sessão pode ter sido roubada
+          logger.warn(`Refresh token reuse detected for session ${sessionId}, user ${session.userId}. Revoking session.`);
+          await this.revokeSession(sessionId);
+          return { error: 'reused', userId: session.userId };
+        }
+        return { error: 'invalid' };
+      }
+
+      const newSecret = crypto.randomBytes(48).toString('hex');
+      session.previousTokenHashes = [...(session.previousTokenHashes || []), presentedHash].slice(-this.maxRotatedHashes);
+      session.refreshTokenHash = this.hashToken(newSecret);
+      session.lastActivity = new Date().toISOString();
+      Object.assign(session, metadata);
+
+      // A troca só é gravada se ninguém rotacionou o mesmo token nesse meio tempo
+      const swapped = await cacheService.eval(
+        ROTATE_SCRIPT,
+        [sessionKey],
+        [presentedHash, JSON.stringify(session), this.refreshTokenTTL]
+      );
+      if (swapped === 0) {
+        logger.warn(`Concurrent refresh token reuse detected for session ${sessionId}, user ${session.userId}. Revoking session.`);
+        await this.revokeSession(sessionId);
+        return { error: 'reused', userId: session.userId };
+      }
+      if (swapped !== 1) return { error: 'invalid' };
+
+      await this.recordActivity(sessionId, session.lastIp);
+
+      return { session, refreshToken: `${sessionId}.${newSecret}` };
+    } catch (error) {
+      logger.error(`Error rotating refresh token for session ${sessionId}:`, error);
+      return { error: 'invalid' };
+    }
+  }
+
+  /**
+   * Revoga uma sessão de dispositivo
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<boolean>} True se a sessão existia e foi removida
+   */
+  async revokeSession(sessionId) {
+    if (!cacheService.isAvailable() || !sessionId) return false;
+    try {
+      const sessionKey = CacheKeys.session(String(sessionId));
+      const session = await cacheService.get(sessionKey);
+      const success = await cacheService.del(sessionKey);
+      await cacheService.del(CacheKeys.sessionActivity(String(sessionId)));
+
+      if (session) {
+        await cacheService.setRemove(CacheKeys.userSessions(session.userId), String(sessionId));
+        logger.info(`Refresh session ${sessionId} revoked for user ${session.userId}`);
+      }
+
+      return success;
+    } catch (error) {
+      logger.error(`Error revoking session ${sessionId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Revoga todas as sessões de um usuário (logout geral, banimento, troca de senha)
+   * @param {string | number} userId - ID do usuário
+   * @returns {Promise<number>} Número de sessões revogadas
+   */
+  async revokeAllUserSessions(userId) {
+    if (!cacheService.isAvailable()) return 0;
+    const userIdStr = String(userId);
+    try {
+      const sessionIds = await cacheService.setMembers(CacheKeys.userSessions(userIdStr));
+      let revokedCount = 0;
+
+      for (const sessionId of sessionIds) {
+        if (await cacheService.del(CacheKeys.session(String(sessionId)))) {
+          revokedCount++;
+        }
+        await cacheService.del(CacheKeys.sessionActivity(String(sessionId)));
+      }
+
+      await cacheService.del(CacheKeys.userSessions(userIdStr));
+      await this.removeSession(userIdStr);
+      logger.info(`Revoked ${revokedCount} sessions for user ${userIdStr}`);
+
+      return revokedCount;
+    } catch (error) {
+      logger.error(`Error revoking sessions for user ${userIdStr}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Lista as sessões de dispositivo ativas de um usuário
+   * @param {string | number} userId - ID do usuário
+   * @returns {Promise<object[]>} Sessões ativas (sem hashes de token)
+   */
+  async getUserSessions(userId) {
+    if (!cacheService.isAvailable()) return [];
+    const userIdStr = String(userId);
+    try {
+      const sessionIds = await cacheService.setMembers(CacheKeys.userSessions(userIdStr));
+      const sessions = [];
+
+      for (const sessionId of sessionIds) {
+        const session = await this.getSessionById(sessionId);
+        if (session) {
+          const { refreshTokenHash, previousTokenHashes, ...publicData } = session;
+          sessions.push(publicData);
+        } else {
+          await cacheService.setRemove(CacheKeys.userSessions(userIdStr), String(sessionId));
+        }
+      }
+
+      return sessions;
+    } catch (error) {
+      logger.error(`Error listing sessions for user ${userIdStr}:`, error);
+      return [];
+    }
   }
 
   /**
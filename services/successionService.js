@@ -0,0 +1,473 @@
+const LeadershipSuccession = require("../models/LeadershipSuccession");
+const User = require("../models/User");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const AuditLog = require("../models/AuditLog");
+const systemSettingService = require("./systemSettingService");
+const membershipService = require("./membershipService");
+const clanActivityService = require("./clanActivityService");
+const permissionService = require("./permissionService");
+const AutoNotificationService = require("./autoNotificationService");
+const winston = require("winston");
+
+// Logger específico para sucessão de liderança
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [SUCCESSION-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const RESOLVE_TIMEOUT_MS = 15 * 60 * 1000; // reivindicação abandonada (instância caiu durante a resolução)
+const ACTIVITY_WINDOW_DAYS = 30;
+const TARGET_MODELS = { clan: Clan, federation: Federation };
+const TARGET_LABELS = { clan: "clã", federation: "federação" };
+
+// Regras de escolha do sucessor
+const RULES = {
+  longest_serving_subleader: "O sub-líder promovido há mais tempo assume",
+  most_active_member: "O membro mais ativo assume",
+  vote: "Os membros votam até o fim do prazo; o mais votado assume"
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+const uniqueIds = (ids) => [...new Map(ids.filter(Boolean).map(id => [id.toString(), id])).values()];
+const lastActivityOf = (user) => {
+  if (user.online) return new Date();
+  const dates = [user.lastSeen, user.ultimaAtividade].filter(Boolean).map(date => new Date(date));
+  return dates.length ? new Date(Math.max(...dates)) : null;
+};
+const formatDate = (date) => new Date(date).toLocaleString("pt-BR");
+
+/**
+ * Sucessão automática de liderança de clãs e federações abandonados.
+ *
+ * De hora em hora procura líderes sem atividade há mais de leaderInactivityDays (SystemSetting) e
+ * abre uma sucessão: os sub-líderes são avisados e têm successionObjectionHours para se opor (ou,
+ * na regra "vote", os membros votam). Sem objeção, ao fim do prazo o sucessor escolhido pela regra
+ * do clã/federação assume. Se o líder voltar antes disso, a sucessão é cancelada.
+ */
+class SuccessionService {
+  constructor() {
+    this.RULES = RULES;
+    this.checkInterval = HOUR_MS;
+  }
+
+  async getTarget(type, targetId) {
+    return TARGET_MODELS[type].findById(targetId);
+  }
+
+  /**
+   * Quem é avisado e pode se opor: sub-líderes (e, na federação, os líderes dos clãs membros)
+   * @returns {Promise<Array>} IDs sem o líder atual
+   */
+  async getManagers(type, target) {
+    let ids = [...(target.subLeaders || [])];
+    if (type === "federation") {
+      const clans = await Clan.find({ _id: { $in: target.clans || [] } }).select("leader").lean();
+      ids = ids.concat(clans.map(clan => clan.leader));
+    }
+    return uniqueIds(ids).filter(id => !sameId(id, target.leader));
+  }
+
+  /**
+   * Quem pode votar na regra "vote": membros do clã, ou sub-líderes e líderes de clãs na federação
+   */
+  async getVoters(type, target) {
+    if (type === "clan") return uniqueIds(target.members || []).filter(id => !sameId(id, target.leader));
+    return this.getManagers(type, target);
+  }
+
+  /**
+   * Possíveis sucessores ativos desde `activeSince`, na ordem de preferência: sub-líderes (na ordem
+   * em que foram promovidos) e depois os demais membros/líderes de clãs
+   * @returns {Promise<Array<object>>} Usuários (lean)
+   */
+  async getEligible(type, target, activeSince) {
+    const ids = type === "clan"
+      ? uniqueIds([...(target.subLeaders || []), ...(target.members || [])])
+      : await this.getManagers(type, target);
+    const candidateIds = ids.filter(id => !sameId(id, target.leader));
+
+    const users = await User.find({ _id: { $in: candidateIds } })
+      .select("username online lastSeen ultimaAtividade banned")
+      .lean();
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+    return candidateIds
+      .map(id => byId.get(id.toString()))
+      .filter(user => user && !user.banned && lastActivityOf(user) >= activeSince);
+  }
+
+  /**
+   * Aplica a regra da sucessão aos candidatos ativos
+   * @returns {Promise<object|null>} Usuário escolhido ou null se não há candidato
+   */
+  async chooseSuccessor(type, target, succession, activeSince) {
+    const eligible = await this.getEligible(type, target, activeSince);
+    if (eligible.length === 0) return null;
+
+    if (succession.rule === "vote") {
+      const tally = new Map();
+      for (const vote of succession.votes || []) {
+        tally.set(vote.candidate.toString(), (tally.get(vote.candidate.toString()) || 0) + 1);
+      }
+      // Empate: vale a ordem de preferência (sub-líderes primeiro)
+      let winner = null;
+      for (const user of eligible) {
+        const count = tally.get(user._id.toString()) || 0;
+        if (count > 0 && (!winner || count > winner.count)) winner = { user, count };
+      }
+      if (winner) return winner.user;
+    }
+
+    if (succession.rule === "most_active_member") {
+      if (type === "clan") {
+        const rows = await clanActivityService.collectActivity(target, new Date(Date.now() - ACTIVITY_WINDOW_DAYS * DAY_MS));
+        const score = (row) => row.chat.messages + row.voice.calls + row.qrr.attended + row.missions.confirmed;
+        const ranked = rows
+          .filter(row => eligible.some(user => sameId(user._id, row.user._id)))
+          .sort((a, b) => (a.inactiveDays - b.inactiveDays) || (score(b) - score(a)));
+        if (ranked.length > 0) return eligible.find(user => sameId(user._id, ranked[0].user._id));
+      }
+      return [...eligible].sort((a, b) => lastActivityOf(b) - lastActivityOf(a))[0];
+    }
+
+    // longest_serving_subleader (e votação sem votos): primeiro sub-líder ativo, senão o primeiro candidato
+    return eligible.find(user => (target.subLeaders || []).some(id => sameId(id, user._id))) || eligible[0];
+  }
+
+  /**
+   * Líderes sem atividade desde `cutoff` e o clã/federação que lideram
+   * @returns {Promise<Array<{target: object, leader: object}>>}
+   */
+  async findAbandoned(type, cutoff) {
+    const Model = TARGET_MODELS[type];
+    const leaderIds = (await Model.distinct("leader")).filter(Boolean);
+
+    const inactiveLeaders = await User.find({
+      _id: { $in: leaderIds },
+      online: { $ne: true },
+      $and: [
+        { $or: [{ lastSeen: null }, { lastSeen: { $lt: cutoff } }] },
+        { $or: [{ ultimaAtividade: null }, { ultimaAtividade: { $lt: cutoff } }] }
+      ]
+    }).select("username online lastSeen ultimaAtividade").lean();
+    if (inactiveLeaders.length === 0) return [];
+
+    const byId = new Map(inactiveLeaders.map(user => [user._id.toString(), user]));
+    const targets = await Model.find({ leader: { $in: inactiveLeaders.map(user => user._id) } });
+    return targets.map(target => ({ target, leader: byId.get(target.leader.toString()) }));
+  }
+
+  /**
+   * Abre a sucessão de um clã/federação com líder inativo e avisa os envolvidos
+   * @returns {Promise<object|null>} Sucessão criada, ou null se não foi aberta
+   */
+  async open(type, target, leader, settings) {
+    const now = Date.now();
+
+    // Depois de uma objeção, só reabre se o líder seguir inativo por mais um período inteiro
+    const recentlyObjected = await LeadershipSuccession.exists({
+      type,
+      target: target._id,
+      previousLeader: leader._id,
+      status: "objected",
+      resolvedAt: { $gte: new Date(now - settings.leaderInactivityDays * DAY_MS) }
+    });
+    if (recentlyObjected) return null;
+
+    // Uma sucessão sendo resolvida por outra instância ainda conta como em andamento
+    if (await LeadershipSuccession.exists({ type, target: target._id, status: "resolving" })) return null;
+
+    const activeSince = new Date(now - settings.leaderInactivityDays * DAY_MS);
+    const rule = target.successionRule || "longest_serving_subleader";
+    const eligible = await this.getEligible(type, target, activeSince);
+    if (eligible.length === 0) {
+      logger.warn(`No active successor for abandoned ${type} ${target._id}`, { leader: String(leader._id) });
+      return null;
+    }
+
+    const lastActivity = lastActivityOf(leader);
+    const draft = {
+      type,
+      target: target._id,
+      previousLeader: leader._id,
+      rule,
+      leaderInactiveDays: lastActivity ? Math.floor((now - lastActivity) / DAY_MS) : settings.leaderInactivityDays,
+      deadline: new Date(now + settings.successionObjectionHours * HOUR_MS)
+    };
+    if (rule === "vote") {
+      draft.candidates = eligible.map(user => user._id);
+    } else {
+      const candidate = await this.chooseSuccessor(type, target, draft, activeSince);
+      draft.candidate = candidate ? candidate._id : null;
+    }
+
+    let succession;
+    try {
+      succession = await LeadershipSuccession.create(draft);
+    } catch (error) {
+      if (error.code === 11000) return null; // já existe uma sucessão em andamento
+      throw error;
+    }
+
+    const label = TARGET_LABELS[type];
+    const data = { type: "leadership_succession_started", successionId: succession._id.toString(), targetType: type, targetId: target._id.toString() };
+    const intro = `${leader.username} está inativo há ${succession.leaderInactiveDays} dia(s).`;
+
+    if (rule === "vote") {
+      const voters = await this.getVoters(type, target);
+      await AutoNotificationService.notifyUsers([...voters, leader._id], "Eleição de novo líder",
+        `${intro} Vote no novo líder do(a) ${label} ${target.name} até ${formatDate(succession.deadline)}.`, data);
+    } else {
+      const candidate = eligible.find(user => sameId(user._id, succession.candidate));
+      const managers = await this.getManagers(type, target);
+      await AutoNotificationService.notifyUsers([...managers, leader._id], "Sucessão de liderança",
+        `${intro} Se ninguém se opuser até ${formatDate(succession.deadline)}, ${candidate ? candidate.username : "um sub-líder"} assumirá a liderança do(a) ${label} ${target.name}.`, data);
+    }
+
+    logger.info(`Succession opened for ${type} ${target._id}`, { rule, leader: String(leader._id), deadline: succession.deadline });
+    return succession;
+  }
+
+  /**
+   * Encerra uma sucessão reivindicada por resolve (só a partir de "resolving")
+   */
+  async close(succession, status, fields = {}) {
+    await LeadershipSuccession.updateOne(
+      { _id: succession._id, status: "resolving" },
+      { $set: { status, resolvedAt: new Date(), ...fields } }
+    );
+  }
+
+  /**
+   * Fim do prazo: promove o sucessor, ou cancela se o líder voltou ou a liderança já mudou
+   * @returns {Promise<string>} Status final
+   */
+  async resolve(succession, settings) {
+    // Reivindica a sucessão (pending → resolving) para que ela não seja resolvida duas vezes.
+    // Uma reivindicação antiga demais é de uma instância que caiu no meio e pode ser retomada
+    const now = Date.now();
+    const claimed = await LeadershipSuccession.findOneAndUpdate(
+      {
+        _id: succession._id,
+        $or: [
+          { status: "pending" },
+          { status: "resolving", resolvingSince: { $lt: new Date(now - RESOLVE_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: "resolving", resolvingSince: new Date(now) } },
+      { new: true }
+    );
+    if (!claimed) return succession.status;
+    succession = claimed;
+
+    const target = await this.getTarget(succession.type, succession.target);
+    if (!target) {
+      await this.close(succession, "cancelled", { note: `O(a) ${TARGET_LABELS[succession.type]} não existe mais.` });
+      return "cancelled";
+    }
+    if (!sameId(target.leader, succession.previousLeader)) {
+      await this.close(succession, "cancelled", { note: "A liderança já foi transferida." });
+      return "cancelled";
+    }
+
+    const leader = await User.findById(succession.previousLeader).select("username online lastSeen ultimaAtividade").lean();
+    const leaderActivity = leader ? lastActivityOf(leader) : null;
+    if (leaderActivity && leaderActivity > succession.createdAt) {
+      await this.close(succession, "cancelled", { note: "O líder voltou a ficar ativo." });
+      await this.notifyOutcome(succession, target, "Sucessão cancelada",
+        `A sucessão de liderança do(a) ${TARGET_LABELS[succession.type]} ${target.name} foi cancelada: o líder voltou a ficar ativo.`);
+      return "cancelled";
+    }
+
+    const activeSince = new Date(Date.now() - settings.leaderInactivityDays * DAY_MS);
+    const successor = await this.chooseSuccessor(succession.type, target, succession, activeSince);
+    if (!successor) {
+      await this.close(succession, "failed", { note: "Nenhum candidato ativo para assumir a liderança." });
+      logger.warn(`Succession ${succession._id} failed: no active successor`);
+      return "failed";
+    }
+
+    const { error } = succession.type === "clan"
+      ? await membershipService.transferClanLeadership(target, successor._id)
+      : await membershipService.transferFederationLeadership(target, successor._id);
+    if (error) {
+      await this.close(succession, "failed", { note: error.msg });
+      logger.warn(`Succession ${succession._id} failed: ${error.msg}`);
+      return "failed";
+    }
+
+    await this.close(succession, "completed", { newLeader: successor._id });
+
+    try {
+      await AuditLog.create({
+        action: "leadership_succession",
+        performedBy: successor._id,
+        targetType: succession.type,
+        targetId: target._id,
+        details: `Sucessão automática (${succession.rule}): ${leader ? leader.username : succession.previousLeader} → ${successor.username} após ${succession.leaderInactiveDays} dia(s) de inatividade do líder`
+      });
+    } catch (auditError) {
+      logger.error("Error writing audit log for leadership_succession:", auditError);
+    }
+
+    await this.notifyOutcome(succession, target, "Novo líder",
+      `${successor.username} é o novo líder do(a) ${TARGET_LABELS[succession.type]} ${target.name}.`, [successor._id]);
+    logger.info(`Succession ${succession._id} completed`, { newLeader: String(successor._id) });
+    return "completed";
+  }
+
+  async notifyOutcome(succession, target, title, body, extra = []) {
+    const managers = await this.getManagers(succession.type, target);
+    await AutoNotificationService.notifyUsers([...managers, succession.previousLeader, ...extra], title, body, {
+      type: "leadership_succession_resolved",
+      successionId: succession._id.toString(),
+      targetType: succession.type,
+      targetId: target._id.toString()
+    });
+  }
+
+  /**
+   * Sucessão em andamento (ou a mais recente) do clã/federação
+   */
+  async getCurrent(type, targetId) {
+    const populate = (query) => query
+      .populate("previousLeader", "username avatar")
+      .populate("candidate", "username avatar")
+      .populate("candidates", "username avatar")
+      .populate("newLeader", "username avatar");
+
+    const pending = await populate(LeadershipSuccession.findOne({ type, target: targetId, status: "pending" }));
+    if (pending) return pending;
+    return populate(LeadershipSuccession.findOne({ type, target: targetId }).sort({ createdAt: -1 }));
+  }
+
+  /**
+   * Objeção à sucessão. Se quem se opõe é o próprio líder, a sucessão é cancelada; sub-líderes
+   * (e ADM) interrompem a sucessão, que só é reaberta após mais um período de inatividade.
+   * @returns {Promise<{succession?: object, error?: {status: number, msg: string}}>}
+   */
+  async object(type, target, user, reason = "") {
+    const succession = await LeadershipSuccession.findOne({ type, target: target._id, status: "pending" });
+    if (!succession) return { error: { status: 404, msg: "Não há sucessão em andamento." } };
+
+    const isLeader = sameId(succession.previousLeader, user._id);
+    const managers = await this.getManagers(type, target);
+    if (!isLeader && !managers.some(id => sameId(id, user._id)) && !permissionService.isAdmin(user)) {
+      return { error: { status: 403, msg: "Apenas o líder, os sub-líderes ou um ADM podem se opor à sucessão." } };
+    }
+
+    const status = isLeader ? "cancelled" : "objected";
+    const updated = await LeadershipSuccession.findOneAndUpdate(
+      { _id: succession._id, status: "pending" },
+      {
+        $set: { status, resolvedAt: new Date(), note: isLeader ? "O líder se manifestou." : "" },
+        $push: { objections: { user: user._id, reason: String(reason || "").trim().slice(0, 500) } }
+      },
+      { new: true }
+    );
+    if (!updated) return { error: { status: 409, msg: "A sucessão já foi encerrada." } };
+
+    await this.notifyOutcome(updated, target, isLeader ? "Sucessão cancelada" : "Objeção à sucessão",
+      isLeader
+        ? `O líder do(a) ${TARGET_LABELS[type]} ${target.name} voltou e a sucessão foi cancelada.`
+        : `${user.username} se opôs à sucessão de liderança do(a) ${TARGET_LABELS[type]} ${target.name}. O líder atual continua.`);
+    logger.info(`Succession ${updated._id} ${status}`, { by: String(user._id) });
+    return { succession: updated };
+  }
+
+  /**
+   * Voto (ou troca de voto) na sucessão por votação
+   * @returns {Promise<{succession?: object, error?: {status: number, msg: string}}>}
+   */
+  async vote(type, target, user, candidateId) {
+    const succession = await LeadershipSuccession.findOne({ type, target: target._id, status: "pending" });
+    if (!succession) return { error: { status: 404, msg: "Não há sucessão em andamento." } };
+    if (succession.rule !== "vote") return { error: { status: 400, msg: "Esta sucessão não é por votação." } };
+
+    const voters = await this.getVoters(type, target);
+    if (!voters.some(id => sameId(id, user._id))) {
+      return { error: { status: 403, msg: "Você não pode votar nesta sucessão." } };
+    }
+    if (!succession.candidates.some(id => sameId(id, candidateId))) {
+      return { error: { status: 400, msg: "Candidato inválido." } };
+    }
+
+    const existing = succession.votes.find(v => sameId(v.voter, user._id));
+    if (existing) {
+      existing.candidate = candidateId;
+      existing.votedAt = new Date();
+    } else {
+      succession.votes.push({ voter: user._id, candidate: candidateId });
+    }
+    await succession.save();
+    return { succession };
+  }
+
+  /**
+   * Abre sucessões para líderes inativos e resolve as que passaram do prazo
+   */
+  async run() {
+    const settings = await systemSettingService.get();
+    const cutoff = new Date(Date.now() - settings.leaderInactivityDays * DAY_MS);
+    let opened = 0;
+    let resolved = 0;
+
+    for (const type of Object.keys(TARGET_MODELS)) {
+      for (const { target, leader } of await this.findAbandoned(type, cutoff)) {
+        try {
+          if (await this.open(type, target, leader, settings)) opened++;
+        } catch (error) {
+          logger.error(`Error opening succession for ${type} ${target._id}:`, error);
+        }
+      }
+    }
+
+    const due = await LeadershipSuccession.find({
+      $or: [
+        { status: "pending", deadline: { $lte: new Date() } },
+        { status: "resolving", resolvingSince: { $lt: new Date(Date.now() - RESOLVE_TIMEOUT_MS) } }
+      ]
+    });
+    for (const succession of due) {
+      try {
+        await this.resolve(succession, settings);
+        resolved++;
+      } catch (error) {
+        logger.error(`Error resolving succession ${succession._id}:`, error);
+      }
+    }
+
+    if (opened || resolved) logger.info("Leadership succession check finished", { opened, resolved });
+    return { opened, resolved };
+  }
+}
+
+// Instância singleton
+const successionService = new SuccessionService();
+
+// Verificação periódica de líderes inativos e prazos de sucessão
+setInterval(async () => {
+  try {
+    await successionService.run();
+  } catch (error) {
+    logger.error("Error running leadership succession check:", error);
+  }
+}, successionService.checkInterval);
+
+module.exports = successionService;
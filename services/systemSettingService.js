@@ -0,0 +1,54 @@
+const SystemSetting = require("../models/SystemSetting");
+const cacheService = require("./cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+
+// Campos que o ADM pode alterar via /api/admin/settings
+const EDITABLE_FIELDS = Object.keys(SystemSetting.schema.paths)
+  .filter(path => !path.startsWith("_"));
+
+class SystemSettingService {
+  constructor() {
+    this.cacheTTL = 60; // segundos
+  }
+
+  /**
+   * Retorna o documento único de configurações (criado com os defaults se não existir)
+   * @returns {Promise<object>} Configurações (lean)
+   */
+  async get() {
+    const cached = await cacheService.get(CacheKeys.systemSettings());
+    if (cached) return cached;
+
+    let settings = await SystemSetting.findOne().lean();
+    if (!settings) {
+      settings = (await SystemSetting.create({})).toObject();
+    }
+
+    await cacheService.set(CacheKeys.systemSettings(), settings, this.cacheTTL);
+    return settings;
+  }
+
+  /**
+   * Atualiza as configurações aceitando apenas campos conhecidos do schema
+   * @param {object} changes - Campos a alterar
+   * @returns {Promise<object>} Configurações atualizadas
+   */
+  async update(changes) {
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) updates[field] = changes[field];
+    }
+
+    const settings = await SystemSetting.findOneAndUpdate(
+      {},
+      { $set: updates },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    await cacheService.del(CacheKeys.systemSettings());
+    return settings;
+  }
+}
+
+const systemSettingService = new SystemSettingService();
+module.exports = systemSettingService;
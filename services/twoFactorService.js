@@ -0,0 +1,197 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const systemSettingService = require("./systemSettingService");
+const totp = require("../utils/totp");
+require("dotenv").config();
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "FederacaoMad";
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_EXPIRES_IN = "5m";
+
+// Chave própria para o desafio de login: o token intermediário nunca vale como access token
+const challengeSecret = () => process.env.JWT_2FA_SECRET || `${process.env.JWT_SECRET}:2fa`;
+
+// Rotas liberadas para ADMs que ainda precisam cadastrar o 2FA obrigatório
+const SETUP_ALLOWED_PATHS = [
+  "/api/auth/2fa/setup",
+  "/api/auth/2fa/verify",
+  "/api/auth/password",
+  "/api/auth/profile",
+  "/api/auth/logout",
+  "/api/auth/logout-all"
+];
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(String(code).trim().toLowerCase()).digest("hex");
+
+class TwoFactorService {
+  /**
+   * Inicia o cadastro: gera um segredo pendente até o primeiro código válido
+   * @param {object} user - Documento do usuário
+   * @returns {Promise<{secret: string, otpauthUrl: string}>}
+   */
+  async startSetup(user) {
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpAuthUrl(secret, user.username, ISSUER)
+    };
+  }
+
+  /**
+   * Confirma o cadastro com um código do app e ativa o 2FA
+   * @param {string} userId - ID do usuário
+   * @param {string} code - Código TOTP
+   * @returns {Promise<string[]|null>} Códigos de recuperação (exibidos uma única vez) ou null se inválido
+   */
+  async confirmSetup(userId, code) {
+    const user = await User.findById(userId).select("+twoFactorPendingSecret");
+    if (!user || !user.twoFactorPendingSecret) return null;
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) return null;
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        twoFactorLastUsedStep: step
+      }
+    });
+    return recoveryCodes;
+  }
+
+  /**
+   * Valida um código TOTP ou, na falta dele, um código de recuperação (que é consumido)
+   * @param {string} userId - ID do usuário
+   * @param {object} params
+   * @param {string} [params.code] - Código TOTP
+   * @param {string} [params.recoveryCode] - Código de recuperação
+   * @returns {Promise<{valid: boolean, method?: string, remainingRecoveryCodes?: number}>}
+   */
+  async verify(userId, { code, recoveryCode }) {
+    const user = await User.findById(userId)
+      .select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep");
+    if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) return { valid: false };
+
+    if (code) {
+      const step = totp.verifyCode(user.twoFactorSecret, code);
+      if (step === null) return { valid: false };
+
+      // Um mesmo código não pode ser reaproveitado dentro da sua janela de validade; o filtro
+      // garante isso também para logins simultâneos com o mesmo código
+      const result = await User.updateOne(
+        { _id: user._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+        { $set: { twoFactorLastUsedStep: step } }
+      );
+      if (result.modifiedCount === 0) return { valid: false };
+      return { valid: true, method: "totp" };
+    }
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+      );
+      if (result.modifiedCount === 0) return { valid: false };
+      return {
+        valid: true,
+        method: "recovery",
+        remainingRecoveryCodes: user.twoFactorRecoveryCodes.length - 1
+      };
+    }
+
+    return { valid: false };
+  }
+
+  /**
+   * Desativa o 2FA e apaga segredo e códigos de recuperação
+   * @param {string} userId - ID do usuário
+   */
+  async disable(userId) {
+    await User.updateOne({ _id: userId }, {
+      $set: {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastUsedStep: null
+      }
+    });
+  }
+
+  /**
+   * Gera códigos de recuperação no formato xxxxx-xxxxx
+   * @returns {string[]}
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString("hex");
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Indica se a política do sistema exige 2FA para o usuário
+   * @param {object} user - Documento do usuário
+   */
+  async isRequired(user) {
+    if (!user || user.role !== "ADM") return false;
+    const settings = await systemSettingService.get();
+    return !!settings.requireTwoFactorForAdmins;
+  }
+
+  /**
+   * Usuário obrigado a ter 2FA que ainda não concluiu o cadastro
+   * @param {object} user - Documento do usuário
+   */
+  async isSetupPending(user) {
+    return !user.twoFactorEnabled && (await this.isRequired(user));
+  }
+
+  /**
+   * Indica se a rota pode ser acessada enquanto o cadastro obrigatório está pendente
+   * @param {object} req - Requisição Express
+   */
+  isSetupAllowedRoute(req) {
+    const path = (req.originalUrl || "").split("?")[0];
+    return SETUP_ALLOWED_PATHS.includes(path);
+  }
+
+  /**
+   * Emite o token intermediário do login em duas etapas
+   * @param {object} user - Documento do usuário
+   * @returns {string}
+   */
+  createLoginChallenge(user) {
+    return jwt.sign({ id: user._id, purpose: "2fa_login" }, challengeSecret(), {
+      expiresIn: LOGIN_CHALLENGE_EXPIRES_IN
+    });
+  }
+
+  /**
+   * Valida o token intermediário e retorna o ID do usuário
+   * @param {string} token - Token emitido por createLoginChallenge
+   * @returns {string|null}
+   */
+  verifyLoginChallenge(token) {
+    try {
+      const decoded = jwt.verify(token, challengeSecret());
+      return decoded.purpose === "2fa_login" ? decoded.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+module.exports = twoFactorService;
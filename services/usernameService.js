@@ -0,0 +1,175 @@
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const cacheService = require("./cacheService");
+const CacheKeys = require("../utils/cacheKeys");
+const winston = require("winston");
+
+// Logger específico para nomes de usuário
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === "production" ? "error" : "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [USERNAME-${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ""}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Troca de nome de usuário.
+ *
+ * - Cooldown entre trocas (USERNAME_CHANGE_COOLDOWN_DAYS)
+ * - Cada troca fica em `User.usernameHistory`
+ * - O nome antigo fica reservado ao dono anterior por USERNAME_RESERVATION_DAYS
+ * - ADM pode trocar o nome de qualquer usuário ignorando cooldown e reserva
+ * - Buscas por nome também encontram a conta pelo nome antigo (`findByUsername`)
+ */
+class UsernameService {
+  constructor() {
+    this.cooldownDays = parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30;
+    this.reservationDays = parseInt(process.env.USERNAME_RESERVATION_DAYS) || 30;
+  }
+
+  /**
+   * Dono do nome enquanto ele estiver reservado (nome antigo trocado há menos de reservationDays)
+   * @param {string} username - Nome procurado
+   * @returns {Promise<object|null>} Usuário que reserva o nome
+   */
+  async findReservation(username) {
+    const since = new Date(Date.now() - this.reservationDays * DAY_MS);
+    return User.findOne({
+      usernameHistory: { $elemMatch: { username, changedAt: { $gte: since } } }
+    }).select("_id username");
+  }
+
+  /**
+   * Verifica se o nome pode ser usado pelo usuário informado (ou por um novo cadastro)
+   * @param {string} username - Nome desejado
+   * @param {string|null} userId - Quem quer usar o nome (o dono anterior pode retomá-lo)
+   * @returns {Promise<{available: boolean, reason: string|null}>}
+   */
+  async checkAvailability(username, userId = null) {
+    const current = await User.findOne({ username }).select("_id");
+    if (current && String(current._id) !== String(userId)) {
+      return { available: false, reason: "Nome de usuário já está em uso" };
+    }
+
+    const reservation = await this.findReservation(username);
+    if (reservation && String(reservation._id) !== String(userId)) {
+      return { available: false, reason: "Nome de usuário reservado. Tente novamente mais tarde." };
+    }
+
+    return { available: true, reason: null };
+  }
+
+  /**
+   * Troca o nome de usuário
+   * @param {object} user - Documento do usuário
+   * @param {string} newUsername - Novo nome
+   * @param {object} options
+   * @param {string} options.changedBy - Quem fez a troca
+   * @param {boolean} [options.override=false] - ADM: ignora cooldown e reserva
+   * @returns {Promise<{user?: object, error?: {status: number, msg: string, code: string, nextChangeAt?: Date}}>}
+   */
+  async rename(user, newUsername, { changedBy, override = false }) {
+    const username = String(newUsername || "").trim();
+    if (!username) {
+      return { error: { status: 400, msg: "Informe o novo nome de usuário.", code: "USERNAME_REQUIRED" } };
+    }
+    if (username === user.username) {
+      return { error: { status: 400, msg: "O novo nome é igual ao atual.", code: "USERNAME_UNCHANGED" } };
+    }
+
+    if (!override && user.usernameChangedAt) {
+      const nextChangeAt = new Date(user.usernameChangedAt.getTime() + this.cooldownDays * DAY_MS);
+      if (nextChangeAt > new Date()) {
+        return {
+          error: {
+            status: 429,
+            msg: `Você só pode trocar o nome de usuário a cada ${this.cooldownDays} dia(s).`,
+            code: "USERNAME_CHANGE_COOLDOWN",
+            nextChangeAt
+          }
+        };
+      }
+    }
+
+    if (override) {
+      // Mesmo o ADM não pode tomar o nome atual de outra conta
+      const current = await User.findOne({ username, _id: { $ne: user._id } }).select("_id");
+      if (current) {
+        return { error: { status: 400, msg: "Nome de usuário já está em uso", code: "USERNAME_TAKEN" } };
+      }
+    } else {
+      const { available, reason } = await this.checkAvailability(username, user._id);
+      if (!available) {
+        return { error: { status: 400, msg: reason, code: "USERNAME_UNAVAILABLE" } };
+      }
+    }
+
+    const previous = user.username;
+    const now = new Date();
+    user.usernameHistory.push({ username: previous, changedAt: now, changedBy });
+    user.username = username;
+    user.usernameChangedAt = now;
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return { error: { status: 400, msg: "Nome de usuário já está em uso", code: "USERNAME_TAKEN" } };
+      }
+      throw error;
+    }
+    await cacheService.del(CacheKeys.user(user._id));
+
+    await this.audit(changedBy, user._id,
+      `Nome alterado de "${previous}" para "${username}"${override ? " (ADM, sem cooldown/reserva)" : ""}`);
+    logger.info(`User ${user._id} renamed from ${previous} to ${username}`, { changedBy: String(changedBy), override });
+
+    return { user };
+  }
+
+  /**
+   * Busca por nome de usuário que também resolve nomes antigos para a conta atual.
+   * O nome atual tem prioridade; entre nomes antigos, vale a troca mais recente.
+   * @param {string} username - Nome atual ou antigo
+   * @returns {Promise<object|null>} Documento do usuário (sem senha)
+   */
+  async findByUsername(username) {
+    const current = await User.findOne({ username }).select("-password");
+    if (current) return current;
+
+    // Ordena pela data da entrada do histórico com esse nome (não por qualquer troca do usuário)
+    const [previousOwner] = await User.aggregate([
+      { $match: { "usernameHistory.username": username } },
+      { $unwind: "$usernameHistory" },
+      { $match: { "usernameHistory.username": username } },
+      { $sort: { "usernameHistory.changedAt": -1 } },
+      { $limit: 1 },
+      { $project: { _id: 1 } }
+    ]);
+    return previousOwner ? User.findById(previousOwner._id).select("-password") : null;
+  }
+
+  async audit(performedBy, targetId, details) {
+    try {
+      await AuditLog.create({ action: "username_changed", performedBy, targetType: "user", targetId, details });
+    } catch (error) {
+      logger.error("Error writing audit log for username_changed:", error);
+    }
+  }
+}
+
+const usernameService = new UsernameService();
+module.exports = usernameService;
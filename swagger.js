@@ -13,6 +13,7 @@ const options = {
   apis: [
     "./routes/adminRoutes.js",
     "./routes/authRoutes.js",
+    "./routes/botRoutes.js",
     "./routes/channelRoutes.js",
     "./routes/clanMission.routes.js",
     "./routes/clanRoutes.js",
@@ -0,0 +1,91 @@
+const jwt = require("jsonwebtoken");
+const sessionService = require("../services/sessionService");
+require("dotenv").config();
+
+// Access tokens são curtos; a sessão é mantida pelo refresh token rotativo
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+
+/**
+ * Extrai os metadados do cliente que são atualizados a cada uso da sessão
+ * @param {object} req - Requisição Express
+ * @returns {object} Metadados da sessão
+ */
+const getSessionMetadata = (req) => ({
+  lastIp: req.ip,
+  userAgent: req.get("User-Agent") || null
+});
+
+/**
+ * Extrai os dados do dispositivo enviados pelo app no login/cadastro
+ * @param {object} body - Corpo da requisição
+ * @returns {object} Dados do dispositivo registrados na sessão
+ */
+const getDeviceMetadata = (body = {}) => {
+  const deviceInfo = body.deviceInfo || {};
+  return {
+    deviceId: body.deviceId || null,
+    deviceType: body.deviceType || null,
+    deviceModel: deviceInfo.model || null,
+    osVersion: deviceInfo.osVersion || null,
+    appVersion: body.appVersion || deviceInfo.appBuild || null
+  };
+};
+
+/**
+ * Gera o access token JWT com id, role e a sessão (sid) à qual pertence
+ * @param {object} user - Documento do usuário
+ * @param {string} sessionId - ID da sessão no sessionService
+ * @returns {string} Access token assinado
+ */
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign({ id: user._id, role: user.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+/**
+ * Gera o access token de personificação: identifica o usuário personificado (id/role),
+ * o ADM responsável (impersonatedBy) e a sessão do ADM (sid). Não tem refresh token.
+ * @param {object} user - Usuário personificado
+ * @param {object} admin - ADM que iniciou a personificação
+ * @param {string} sessionId - Sessão de personificação (pertence ao ADM)
+ * @param {number} expiresInSeconds - Duração da personificação
+ * @returns {string} Access token assinado
+ */
+const generateImpersonationToken = (user, admin, sessionId, expiresInSeconds) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: sessionId, impersonatedBy: admin._id },
+    process.env.JWT_SECRET,
+    { expiresIn: expiresInSeconds }
+  );
+};
+
+/**
+ * Abre uma nova sessão de dispositivo para o usuário e retorna o par de tokens
+ * @param {object} user - Documento do usuário
+ * @param {object} req - Requisição Express (para metadados da sessão)
+ * @param {object} extra - Dados adicionais gravados na sessão (ex: fcmTokenId)
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+ */
+const issueAuthTokens = async (user, req, extra = {}) => {
+  const { sessionId, refreshToken } = await sessionService.createSession(user._id, {
+    ...getSessionMetadata(req),
+    ...getDeviceMetadata(req.body),
+    ...extra
+  });
+
+  return {
+    token: generateAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  getSessionMetadata,
+  getDeviceMetadata,
+  generateAccessToken,
+  generateImpersonationToken,
+  issueAuthTokens
+};
@@ -14,7 +14,8 @@ class CacheKeys {
     SESSION: 'session',
     CHAT: 'chat',
     VOICE: 'voice',
-    CONFIG: 'config'
+    CONFIG: 'config',
+    AUTH: 'auth'
   };
 
   // Separador padrão
@@ -131,10 +132,39 @@ class CacheKeys {
     return this.generateKey(this.PREFIXES.SESSION, sessionId);
   }
 
+  static sessionActivity(sessionId) {
+    return this.generateKey(this.PREFIXES.SESSION, sessionId, 'activity');
+  }
+
   static userSession(userId) {
     return this.generateKey(this.PREFIXES.SESSION, 'user', userId);
   }
 
+  static userSessions(userId) {
+    return this.generateKey(this.PREFIXES.SESSION, 'user_sessions', userId);
+  }
+
+  // === PROTEÇÃO DE LOGIN ===
+  static loginFailures(username) {
+    return this.generateKey(this.PREFIXES.AUTH, 'failures', username);
+  }
+
+  static loginDelay(username) {
+    return this.generateKey(this.PREFIXES.AUTH, 'delay', username);
+  }
+
+  static loginLockout(username) {
+    return this.generateKey(this.PREFIXES.AUTH, 'lockout', username);
+  }
+
+  static lockedAccounts() {
+    return this.generateKey(this.PREFIXES.AUTH, 'locked_accounts');
+  }
+
+  static apiKeyRate(apiKeyId, window) {
+    return this.generateKey(this.PREFIXES.AUTH, `api_key_rate_${apiKeyId}`, window);
+  }
+
   // === CHAT ===
   static chatHistory(channelId, page = 1) {
     return this.generateKey(this.PREFIXES.CHAT, channelId, `page_${page}`);
@@ -166,6 +196,10 @@ class CacheKeys {
     return this.generateKey(this.PREFIXES.CONFIG, 'features');
   }
 
+  static systemSettings() {
+    return this.generateKey(this.PREFIXES.CONFIG, 'system_settings');
+  }
+
   // === UTILITÁRIOS ===
 
   /**
@@ -0,0 +1,39 @@
+// Valores canônicos de User.clanRole (mesma grafia de User.federationRole)
+const CLAN_ROLES = {
+  LEADER: "leader",
+  SUBLEADER: "subleader",
+  MEMBER: "member"
+};
+
+// Grafias antigas ainda encontradas no banco e no código legado
+const LEGACY_CLAN_ROLES = {
+  leader: CLAN_ROLES.LEADER,
+  subleader: CLAN_ROLES.SUBLEADER,
+  sub_leader: CLAN_ROLES.SUBLEADER,
+  "sub-leader": CLAN_ROLES.SUBLEADER,
+  member: CLAN_ROLES.MEMBER
+};
+
+/**
+ * Converte qualquer grafia conhecida ("Leader", "SubLeader", "sub_leader", "Member"...) para o valor canônico
+ * @param {string|null} value - Valor recebido
+ * @returns {string|null} Valor canônico, o próprio valor se desconhecido, ou null
+ */
+const normalizeClanRole = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  return LEGACY_CLAN_ROLES[String(value).trim().toLowerCase()] || value;
+};
+
+const isClanLeaderRole = (value) => normalizeClanRole(value) === CLAN_ROLES.LEADER;
+
+// Líder ou sub-líder
+const isClanManagerRole = (value) =>
+  [CLAN_ROLES.LEADER, CLAN_ROLES.SUBLEADER].includes(normalizeClanRole(value));
+
+module.exports = {
+  CLAN_ROLES,
+  LEGACY_CLAN_ROLES,
+  normalizeClanRole,
+  isClanLeaderRole,
+  isClanManagerRole
+};
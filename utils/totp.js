@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+
+// TOTP (RFC 6238) com HMAC-SHA1, 6 dígitos e passo de 30s — padrão dos apps autenticadores
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Segredo base32 inválido");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Gera um novo segredo aleatório (160 bits) em base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Índice do passo de tempo atual
+ * @param {number} [timestamp] - Momento em ms
+ */
+const currentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Calcula o código de um passo específico
+ * @param {string} secret - Segredo em base32
+ * @param {number} step - Índice do passo de tempo
+ * @returns {string} Código de 6 dígitos
+ */
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return binary.toString().padStart(DIGITS, "0");
+};
+
+/**
+ * Verifica um código tolerando `window` passos de diferença de relógio
+ * @param {string} secret - Segredo em base32
+ * @param {string} code - Código informado pelo usuário
+ * @param {number} [window=1] - Passos aceitos antes/depois do atual
+ * @returns {number|null} Passo correspondente ao código ou null se inválido
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = Buffer.from(generateCode(secret, now + offset));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return now + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * Monta a URL otpauth:// usada no QR code dos apps autenticadores
+ */
+const buildOtpAuthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUrl
+};